@@ -1,27 +1,61 @@
 /**
  * @singleton
  * Application class. Creates global objects and runs an application. run() method
- * is calling then html document will be ready to proceed. It Creates main controller
- * and run it. It's all that this class does. So, after that, all responsibility will
- * be on this controller.
+ * is calling then html document will be ready to proceed. It creates the router, which
+ * creates main controller and runs it. Before that, Backbone.sync is replaced by storage
+ * service (see App.storage.Sync and App.Config.storage). It's all that this class does. So,
+ * after that, all responsibility will be on this controller. See App.Router for details.
  *
  * @author DeadbraiN
  */
 N13.define('App.Application', {
     extend  : 'App.base.App',
-    requires: ['App.view.player.Container', 'App.controller.player.Player'],
+    requires: [
+        'App.Config',
+        'App.Router',
+        'App.storage.Sync',
+        'App.storage.mock.Server'
+    ],
+    configs : {
+        /**
+         * {String} Class name of the application router
+         */
+        router: 'App.Router'
+    },
+
+
+    /**
+     * Initializes and creates private fields
+     */
+    initPrivates: function () {
+        /**
+         * {App.storage.Sync|null} Storage service, which is used by all models and collections
+         * @private
+         */
+        this._storage = null;
+        /**
+         * {App.storage.mock.Server|null} Mock REST server. It's created if App.Config.storage.mockServer is true
+         * @private
+         */
+        this._server  = null;
+    },
 
     /**
-     * This is where an application starts and our html document is loaded and ready.
-     * Here, we create main controller and run it. All other logic will be managed
-     * inside this controller. This method will be called then all html document
-     * will be ready to proceed.
+     * Installs storage service before controllers are created by the router. Storage
+     * errors are shown in console, because they mean that user data isn't stored. Invalid
+     * usage of the event bus is shown in console too.
      */
-    run: function () {
-        var playerCtrl = new App.controller.player.Player({
-            view: {cl: 'player.Container', elPath: '.main-container'}
-        });
+    onBeforeRun: function () {
+        var config = App.Config.storage;
 
-        playerCtrl.run();
+        this.listen(App.base.App.bus, 'error', function (message) {console.error(message);});
+        if (config.mockServer) {
+            this._server = new App.storage.mock.Server({url: config.adapterConfig.url});
+            this._server.install();
+        }
+        this._storage = new App.storage.Sync(_.extend({
+            listeners: {error: function (message) {console.error(message);}}
+        }, _.omit(config, 'mockServer')));
+        this._storage.install();
     }
 });
\ No newline at end of file
@@ -4,7 +4,59 @@ N13.define('App.Config', {
          * Settings for "player" module
          */
         player: {
-            defaultTrack: 'https://dl.dropboxusercontent.com/u/45900723/Recue-Korento.mp3'
+            /**
+             * {String|Array} Audio backend alias or array of aliases. See App.audio.Engine for details
+             */
+            backend     : ['Html', 'WebAudio'],
+            /**
+             * {Boolean} true - player state (track, position, volume and modes) is stored in
+             * localStorage and restored after page reload
+             */
+            persist     : true,
+            /**
+             * {String} localStorage key of player state
+             */
+            stateKey    : 'player.state',
+            /**
+             * {Number} Interval of player state storing in milliseconds
+             */
+            saveInterval: 5000
+        },
+        /**
+         * Settings of models storage. See App.storage.Sync for details
+         */
+        storage: {
+            /**
+             * {String|Array} Storage adapter alias or array of aliases. First supported adapter will be
+             * used. Use 'Rest' for storing on the server
+             */
+            adapter      : ['IndexedDb', 'Local', 'Memory'],
+            /**
+             * {String} Database name
+             */
+            name         : 'player',
+            /**
+             * {Object} Additional configuration of the adapter. url, retries and retryDelay are
+             * used by Rest adapter. See App.storage.adapter.Rest
+             */
+            adapterConfig: {url: 'api', retries: 3, retryDelay: 500},
+            /**
+             * {Boolean} true - requests of Rest adapter are handled by in-process mock
+             * server (see App.storage.mock.Server). It's used for offline development
+             */
+            mockServer   : false,
+            /**
+             * {Array} Schema migrations. Index + 1 is a schema version. New migrations should be
+             * added to the end. Existing migrations shouldn't be changed.
+             */
+            migrations   : [
+                {stores: ['tracks'], seed: {tracks: [{url: 'https://dl.dropboxusercontent.com/u/45900723/Recue-Korento.mp3'}]}},
+                {stores: ['playlists']},
+                {
+                    seed  : {playlists: [{name: 'Default'}]},
+                    update: {tracks: function (track) {track.playlist = 1; return track;}}
+                }
+            ]
         }
     }
 });
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Application router. Maps URL hashes to the controllers. Empty hash runs audio player, '#/track/:index'
+ * runs audio player and selects a track by it's index in the playlist. For example: index.html#/track/2.
+ * '#/playlist/:id' runs audio player and makes the playlist with specified id active.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.Router', {
+    extend  : 'App.base.Router',
+    requires: ['App.view.player.Container', 'App.controller.player.Player'],
+    configs : {
+        routes: {
+            '#/track/:index': {
+                controller: 'player.Player',
+                action    : 'selectTrack',
+                config    : {view: {cl: 'player.Container', elPath: '.main-container'}}
+            },
+            '#/playlist/:id': {
+                controller: 'player.Player',
+                action    : 'openPlaylist',
+                config    : {view: {cl: 'player.Container', elPath: '.main-container'}}
+            },
+            '': {
+                controller: 'player.Player',
+                config    : {view: {cl: 'player.Container', elPath: '.main-container'}}
+            }
+        }
+    }
+});
\ No newline at end of file
@@ -0,0 +1,485 @@
+/**
+ * Audio engine service. It provides stable playback API (load, play, pause, seek, volume, rate) and tracks
+ * playback state. Real playing is done by pluggable backend (see App.audio.backend.Base). Available backends:
+ *
+ *     Html     HTML5 <audio> element. Supports streaming (App.audio.backend.Html)
+ *     WebAudio Web Audio API. Loads and decodes full track before playing (App.audio.backend.WebAudio)
+ *     Fake     In-memory backend for unit tests (App.audio.backend.Fake). It isn't required by
+ *              the engine, so it should be loaded manually
+ *
+ * backend config may contain an array of aliases. In this case first supported backend will be used.
+ * Engine owns volume, muted and rate values, so they are kept after backend re-loading. Current state
+ * may be obtained by getState() method. Possible states are in App.audio.Engine.STATES.
+ *
+ * Events:
+ *     statechange  Fires if playback state was changed
+ *         {String} New state
+ *         {String} Previous state
+ *     load         Fires if new track has started loading
+ *         {String} URL of the track
+ *     loaded       Fires if track was loaded and it's duration is known
+ *         {Number} Duration in seconds
+ *     play         Fires if playing was started
+ *     resume       Fires if paused track was resumed. play event is fired before it
+ *     pause        Fires if playing was paused
+ *     ended        Fires if track has finished playing
+ *     seek         Fires if position was changed by seek() method
+ *         {Number} New position in seconds
+ *     timeupdate   Fires if current position was changed during playing
+ *         {Number} Current position in seconds
+ *         {Number} Duration in seconds
+ *     progress     Fires if buffered ranges were changed
+ *         {Array} Array of ranges: {start: Number, end: Number} in seconds
+ *         {Number} Duration in seconds
+ *     volumechange Fires if volume or muted state was changed
+ *         {Number} Volume from 0 to 1
+ *         {Boolean} true if sound is muted
+ *     ratechange   Fires if playback rate was changed
+ *         {Number} New rate
+ *     error        Fires in case of error
+ *         {String} Error message
+ *
+ * Usage:
+ *     var engine = new App.audio.Engine({backend: ['WebAudio', 'Html'], volume: 0.5});
+ *
+ *     engine.on('ended', function () {...});
+ *     engine.load('track.mp3');
+ *     engine.play();
+ *     engine.seek(30);
+ *     engine.getState();          // 'playing'
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.audio.Engine', {
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    requires: [
+        'App.audio.backend.Html',
+        'App.audio.backend.WebAudio'
+    ],
+    configs : {
+        /**
+         * {String|Array} Backend alias or array of aliases. First supported backend will be used
+         */
+        backend  : 'Html',
+        /**
+         * {String} Prefix namespace for all backends. This prefix + alias will produce full backend class name
+         */
+        backendNs: 'App.audio.backend',
+        /**
+         * {Number} Initial volume from 0 to 1
+         */
+        volume   : 1,
+        /**
+         * {Boolean} Initial muted state
+         */
+        muted    : false,
+        /**
+         * {Number} Initial playback rate
+         */
+        rate     : 1,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners: {}
+    },
+    statics : {
+        /**
+         * {Object} Playback states
+         */
+        STATES: {
+            IDLE   : 'idle',
+            LOADING: 'loading',
+            PLAYING: 'playing',
+            PAUSED : 'paused',
+            ENDED  : 'ended',
+            ERROR  : 'error'
+        }
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {App.audio.backend.Base|null} Backend instance
+         * @private
+         */
+        this._backend = null;
+        /**
+         * {String} Current playback state. See STATES static
+         * @private
+         */
+        this._state   = App.audio.Engine.STATES.IDLE;
+        /**
+         * {String|null} URL of loaded track
+         * @private
+         */
+        this._url     = null;
+    },
+
+    /**
+     * @constructor
+     * Creates the backend and applies initial volume, muted state and rate to it
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        this._backend = this._createBackend();
+        if (!this._backend) {
+            return;
+        }
+        this._backend.setVolume(this.volume);
+        this._backend.setMuted(this.muted);
+        this._backend.setRate(this.rate);
+        this._bindBackend();
+    },
+
+    /**
+     * Loads the track. Current track will be stopped. Playing isn't started. Use play() method for this.
+     * @param {String} url URL of the track
+     * @returns {Boolean} true if loading was started
+     */
+    load: function (url) {
+        if (!N13.isString(url) || url === '') {
+            this.trigger('error', 'Invalid track URL "' + url + '" in engine "' + this.className + '". Audio file URL is expected.');
+            return false;
+        }
+        if (!this._backend) {
+            this.trigger('error', 'Track "' + url + '" can\'t be loaded, because engine "' + this.className + '" has no backend');
+            return false;
+        }
+
+        this._url = url;
+        this._setState(App.audio.Engine.STATES.LOADING);
+        this.trigger('load', url);
+        this._backend.load(url);
+
+        return true;
+    },
+
+    /**
+     * Starts or resumes playing of loaded track. Ended track is played from the beginning.
+     * If the track is loading, then playing will be started after loading.
+     * @returns {Boolean} true if playing was requested, false if there is nothing to play
+     */
+    play: function () {
+        var states = App.audio.Engine.STATES;
+
+        if (!this._url || this._state === states.PLAYING || this._state === states.ERROR) {
+            this.trigger('debug', 'Method play() was called, but engine "' + this.className + '" has nothing to play in state "' + this._state + '"');
+            return false;
+        }
+        if (this._state === states.ENDED) {
+            this._backend.seek(0);
+        }
+        this._backend.play();
+
+        return true;
+    },
+
+    /**
+     * Pauses playing track
+     * @returns {Boolean} true if track was paused, false if there is nothing to pause
+     */
+    pause: function () {
+        if (this._state !== App.audio.Engine.STATES.PLAYING) {
+            this.trigger('debug', 'Method pause() was called, but engine "' + this.className + '" isn\'t playing');
+            return false;
+        }
+        this._backend.pause();
+
+        return true;
+    },
+
+    /**
+     * Pauses playing track or resumes paused one
+     * @returns {Boolean} true if state was changed
+     */
+    toggle: function () {
+        if (this._state === App.audio.Engine.STATES.PLAYING) {
+            return this.pause();
+        }
+
+        return this.play();
+    },
+
+    /**
+     * Changes current position of loaded track. Position is limited by track duration.
+     * @param {Number} time New position in seconds
+     * @returns {Boolean} true if position was changed
+     */
+    seek: function (time) {
+        var duration = this.getDuration();
+        var states   = App.audio.Engine.STATES;
+
+        if (!this._url || !_.isNumber(time) || !isFinite(duration)) {
+            this.trigger('debug', 'Track of engine "' + this.className + '" can\'t be sought to "' + time + '", because it isn\'t loaded');
+            return false;
+        }
+
+        time = Math.min(Math.max(time, 0), duration);
+        this._backend.seek(time);
+        if (this._state === states.ENDED && time < duration) {
+            this._setState(states.PAUSED);
+        }
+        this.trigger('seek', time);
+
+        return true;
+    },
+
+    /**
+     * Sets the volume. Value is limited by 0..1 range.
+     * @param {Number} volume Volume from 0 to 1
+     * @returns {Boolean} true if volume was changed
+     */
+    setVolume: function (volume) {
+        if (!_.isNumber(volume) || _.isNaN(volume)) {
+            return false;
+        }
+
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        if (this._backend) {
+            this._backend.setVolume(this.volume);
+        }
+        this.trigger('volumechange', this.volume, this.muted);
+
+        return true;
+    },
+
+    /**
+     * @returns {Number} Current volume from 0 to 1
+     */
+    getVolume: function () {
+        return this.volume;
+    },
+
+    /**
+     * Mutes or unmutes the sound
+     * @param {Boolean} muted true - mute, false - unmute
+     */
+    setMuted: function (muted) {
+        this.muted = !!muted;
+        if (this._backend) {
+            this._backend.setMuted(this.muted);
+        }
+        this.trigger('volumechange', this.volume, this.muted);
+    },
+
+    /**
+     * @returns {Boolean} true if sound is muted
+     */
+    isMuted: function () {
+        return this.muted;
+    },
+
+    /**
+     * Sets playback rate
+     * @param {Number} rate Playback rate. 1 is normal speed. Should be finite and greater than 0
+     * @returns {Boolean} true if rate was changed
+     */
+    setRate: function (rate) {
+        if (!_.isNumber(rate) || !isFinite(rate) || rate <= 0) {
+            this.trigger('error', 'Invalid playback rate "' + rate + '" in engine "' + this.className + '". Positive number is expected.');
+            return false;
+        }
+
+        this.rate = rate;
+        if (this._backend) {
+            this._backend.setRate(rate);
+        }
+        this.trigger('ratechange', rate);
+
+        return true;
+    },
+
+    /**
+     * @returns {Number} Current playback rate
+     */
+    getRate: function () {
+        return this.rate;
+    },
+
+    /**
+     * @returns {String} Current playback state. See STATES static
+     */
+    getState: function () {
+        return this._state;
+    },
+
+    /**
+     * @returns {Boolean} true if track is playing now
+     */
+    isPlaying: function () {
+        return this._state === App.audio.Engine.STATES.PLAYING;
+    },
+
+    /**
+     * @returns {Number} Current position in seconds
+     */
+    getTime: function () {
+        return this._url ? this._backend.getTime() : 0;
+    },
+
+    /**
+     * @returns {Number} Duration of loaded track in seconds or NaN if it's unknown
+     */
+    getDuration: function () {
+        return this._url ? this._backend.getDuration() : NaN;
+    },
+
+    /**
+     * @returns {Array} Buffered ranges of loaded track: {start: Number, end: Number} in seconds
+     */
+    getBuffered: function () {
+        return this._url ? this._backend.getBuffered() : [];
+    },
+
+    /**
+     * @returns {String|null} URL of loaded track
+     */
+    getUrl: function () {
+        return this._url;
+    },
+
+    /**
+     * @returns {App.audio.backend.Base|null} Backend instance
+     */
+    getBackend: function () {
+        return this._backend;
+    },
+
+    /**
+     * Stops playing, destroys the backend and removes all event handlers
+     */
+    destroy: function () {
+        if (this._backend) {
+            this._backend.destroy();
+            this._backend = null;
+        }
+        this._url = null;
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Creates first supported backend from backend config
+     * @returns {App.audio.backend.Base|null} Backend instance or null if there is no supported backend
+     * @private
+     */
+    _createBackend: function () {
+        var aliases = _.isArray(this.backend) ? this.backend : [this.backend];
+        var backend;
+        var Backend;
+        var i;
+        var len;
+
+        for (i = 0, len = aliases.length; i < len; i++) {
+            Backend = N13.isString(aliases[i]) ? N13.ns(this.backendNs + '.' + aliases[i], false) : null;
+            if (!N13.isFunction(Backend)) {
+                this.trigger('error', 'Invalid backend "' + aliases[i] + '" in engine "' + this.className + '"');
+                continue;
+            }
+            backend = new Backend();
+            if (backend.isSupported()) {
+                return backend;
+            }
+            this.trigger('debug', 'Backend "' + aliases[i] + '" isn\'t supported in current environment');
+            backend.destroy();
+        }
+        this.trigger('error', 'Engine "' + this.className + '" has no supported backends');
+
+        return null;
+    },
+
+    /**
+     * Binds backend event handlers
+     * @private
+     */
+    _bindBackend: function () {
+        var me      = this;
+        var backend = this._backend;
+
+        this.listen(backend, 'loaded',     this._onLoaded, this);
+        this.listen(backend, 'play',       this._onPlay, this);
+        this.listen(backend, 'pause',      this._onPause, this);
+        this.listen(backend, 'ended',      this._onEnded, this);
+        this.listen(backend, 'error',      this._onError, this);
+        this.listen(backend, 'timeupdate', function (time) {me.trigger('timeupdate', time, me.getDuration());});
+        this.listen(backend, 'progress',   function (ranges) {me.trigger('progress', ranges, me.getDuration());});
+    },
+
+    /**
+     * Changes playback state and fires statechange event
+     * @param {String} state New state
+     * @private
+     */
+    _setState: function (state) {
+        var prev = this._state;
+
+        if (prev !== state) {
+            this._state = state;
+            this.trigger('statechange', state, prev);
+        }
+    },
+
+    /**
+     * Backend 'loaded' event handler. Track, which isn't playing yet, becomes paused.
+     * @param {Number} duration Duration in seconds
+     * @private
+     */
+    _onLoaded: function (duration) {
+        if (this._state === App.audio.Engine.STATES.LOADING) {
+            this._setState(App.audio.Engine.STATES.PAUSED);
+        }
+        this.trigger('loaded', duration);
+    },
+
+    /**
+     * Backend 'play' event handler. Fires resume event if paused track was resumed.
+     * @private
+     */
+    _onPlay: function () {
+        var resumed = this._state === App.audio.Engine.STATES.PAUSED && this.getTime() > 0;
+
+        this._setState(App.audio.Engine.STATES.PLAYING);
+        this.trigger('play');
+        if (resumed) {
+            this.trigger('resume');
+        }
+    },
+
+    /**
+     * Backend 'pause' event handler. Some backends fire it during loading of new track. We skip it in this case.
+     * @private
+     */
+    _onPause: function () {
+        if (this._state !== App.audio.Engine.STATES.LOADING) {
+            this._setState(App.audio.Engine.STATES.PAUSED);
+            this.trigger('pause');
+        }
+    },
+
+    /**
+     * Backend 'ended' event handler
+     * @private
+     */
+    _onEnded: function () {
+        this._setState(App.audio.Engine.STATES.ENDED);
+        this.trigger('ended');
+    },
+
+    /**
+     * Backend 'error' event handler
+     * @param {String} msg Error message
+     * @private
+     */
+    _onError: function (msg) {
+        this._setState(App.audio.Engine.STATES.ERROR);
+        this.trigger('error', msg);
+    }
+});
\ No newline at end of file
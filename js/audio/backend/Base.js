@@ -0,0 +1,125 @@
+/**
+ * Base class for audio backends of App.audio.Engine. Backend is a thin wrapper around some playback technology
+ * (HTML5 <audio> tag, Web Audio API and so on). It doesn't store playback state. It only executes commands and
+ * fires events. Playback state is tracked by the engine. All backends should be derived from this one and
+ * should implement all methods marked with @interface.
+ *
+ * Events:
+ *     loaded     Fires if track was loaded and it's duration is known
+ *         {Number} Duration in seconds
+ *     play       Fires if playing was started or resumed
+ *     pause      Fires if playing was paused
+ *     ended      Fires if track has finished playing
+ *     timeupdate Fires if current position was changed
+ *         {Number} Current position in seconds
+ *     progress   Fires if buffered ranges were changed
+ *         {Array} Array of buffered ranges: {start: Number, end: Number} in seconds
+ *     error      Fires in case of error
+ *         {String} Error message
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.audio.backend.Base', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners: {}
+    },
+
+
+    /**
+     * @interface
+     * Returns true if current environment supports this backend
+     * @returns {Boolean}
+     */
+    isSupported: function () {
+        return true;
+    },
+    /**
+     * @interface
+     * Loads the track. Previous track will be stopped.
+     * @param {String} url URL of the track
+     */
+    load       : N13.emptyFn,
+    /**
+     * @interface
+     * Starts or resumes playing of loaded track. If track is loading, then playing
+     * should be started after loading.
+     */
+    play       : N13.emptyFn,
+    /**
+     * @interface
+     * Pauses playing
+     */
+    pause      : N13.emptyFn,
+    /**
+     * @interface
+     * Changes current position
+     * @param {Number} time Position in seconds
+     */
+    seek       : N13.emptyFn,
+    /**
+     * @interface
+     * Sets the volume
+     * @param {Number} volume Volume from 0 to 1
+     */
+    setVolume  : N13.emptyFn,
+    /**
+     * @interface
+     * Mutes or unmutes the sound
+     * @param {Boolean} muted
+     */
+    setMuted   : N13.emptyFn,
+    /**
+     * @interface
+     * Sets playback rate
+     * @param {Number} rate Playback rate. 1 is normal speed
+     */
+    setRate    : N13.emptyFn,
+    /**
+     * @interface
+     * Returns current position
+     * @returns {Number} Position in seconds
+     */
+    getTime    : function () {
+        return 0;
+    },
+    /**
+     * @interface
+     * Returns duration of loaded track
+     * @returns {Number} Duration in seconds or NaN if it's unknown
+     */
+    getDuration: function () {
+        return NaN;
+    },
+    /**
+     * @interface
+     * Returns buffered ranges of loaded track
+     * @returns {Array} Array of ranges: {start: Number, end: Number} in seconds
+     */
+    getBuffered: function () {
+        return [];
+    },
+
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+    },
+
+    /**
+     * Destroys the backend. Removes all event handlers.
+     */
+    destroy: function () {
+        this.callMixin('observe');
+    }
+});
\ No newline at end of file
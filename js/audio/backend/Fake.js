@@ -0,0 +1,158 @@
+/**
+ * In-memory audio backend for unit tests. It doesn't play anything. Time is moved manually
+ * by tick() method. All events are fired synchronously. Errors may be simulated by fail()
+ * method. See App.audio.backend.Base for details.
+ *
+ * Usage:
+ *     var engine  = new App.audio.Engine({backend: 'Fake'});
+ *     var backend = engine.getBackend();
+ *
+ *     engine.load('track.mp3');
+ *     engine.play();
+ *     backend.tick(10);           // 10 seconds later
+ *     engine.getTime();           // 10
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.audio.backend.Fake', {
+    extend : 'App.audio.backend.Base',
+    configs: {
+        /**
+         * {Number} Duration of every loaded track in seconds
+         */
+        duration: 180
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {String|null} URL of loaded track
+         * @private
+         */
+        this._url     = null;
+        /**
+         * {Number} Current position in seconds
+         * @private
+         */
+        this._time    = 0;
+        /**
+         * {Boolean} Playing state
+         * @private
+         */
+        this._playing = false;
+        /**
+         * {Number} Playback rate
+         * @private
+         */
+        this._rate    = 1;
+    },
+
+    /**
+     * @override
+     * Loads the track immediately
+     * @param {String} url URL of the track
+     */
+    load: function (url) {
+        this._url     = url;
+        this._time    = 0;
+        this._playing = false;
+        this.trigger('loaded', this.duration);
+        this.trigger('progress', this.getBuffered());
+    },
+
+    /**
+     * @override
+     * Starts or resumes playing
+     */
+    play: function () {
+        if (this._url && !this._playing) {
+            this._playing = true;
+            this.trigger('play');
+        }
+    },
+
+    /**
+     * @override
+     * Pauses playing
+     */
+    pause: function () {
+        if (this._playing) {
+            this._playing = false;
+            this.trigger('pause');
+        }
+    },
+
+    /**
+     * @override
+     * Changes current position
+     * @param {Number} time Position in seconds
+     */
+    seek: function (time) {
+        this._time = time;
+        this.trigger('timeupdate', time);
+    },
+
+    /**
+     * @override
+     * Sets playback rate
+     * @param {Number} rate Playback rate
+     */
+    setRate: function (rate) {
+        this._rate = rate;
+    },
+
+    /**
+     * @override
+     * Returns current position
+     * @returns {Number} Position in seconds
+     */
+    getTime: function () {
+        return this._time;
+    },
+
+    /**
+     * @override
+     * Returns duration of loaded track
+     * @returns {Number} Duration in seconds or NaN if nothing is loaded
+     */
+    getDuration: function () {
+        return this._url ? this.duration : NaN;
+    },
+
+    /**
+     * @override
+     * Returns buffered ranges. Fake track is always fully buffered
+     * @returns {Array} Array of ranges
+     */
+    getBuffered: function () {
+        return this._url ? [{start: 0, end: this.duration}] : [];
+    },
+
+    /**
+     * Moves the time of playing track. Fires ended event at the end of the track
+     * @param {Number} seconds Amount of seconds
+     */
+    tick: function (seconds) {
+        if (!this._playing) {
+            return;
+        }
+        this._time = Math.min(this._time + seconds * this._rate, this.duration);
+        this.trigger('timeupdate', this._time);
+        if (this._time >= this.duration) {
+            this._playing = false;
+            this.trigger('ended');
+        }
+    },
+
+    /**
+     * Simulates an error of the backend
+     * @param {String=} message Error message
+     */
+    fail: function (message) {
+        this._playing = false;
+        this.trigger('error', message || 'Fake error');
+    }
+});
\ No newline at end of file
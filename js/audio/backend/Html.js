@@ -0,0 +1,197 @@
+/**
+ * Audio backend, based on HTML5 <audio> element. Element is created in memory and isn't
+ * added into the DOM. It supports streaming, so playing is started before full loading.
+ * See App.audio.backend.Base for details.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.audio.backend.Html', {
+    extend : 'App.audio.backend.Base',
+    statics: {
+        /**
+         * {Object} Error messages by MediaError codes
+         */
+        ERRORS: {
+            1: 'Loading was aborted',
+            2: 'Network error',
+            3: 'Decoding error',
+            4: 'Format is not supported'
+        }
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {HTMLAudioElement} Audio element
+         * @private
+         */
+        this._audio = document.createElement('audio');
+    },
+
+    /**
+     * @constructor
+     * Binds <audio> element event handlers
+     */
+    init: function () {
+        var me    = this;
+        var audio = $(this._audio);
+
+        this.callParent(arguments);
+        this._audio.preload = 'auto';
+
+        this.listen(audio, 'loadedmetadata', function () {me.trigger('loaded', me._audio.duration);});
+        this.listen(audio, 'play',           function () {me.trigger('play');});
+        this.listen(audio, 'pause',          function () {me._onPause();});
+        this.listen(audio, 'ended',          function () {me.trigger('ended');});
+        this.listen(audio, 'timeupdate',     function () {me.trigger('timeupdate', me._audio.currentTime);});
+        this.listen(audio, 'progress',       function () {me.trigger('progress', me.getBuffered());});
+        this.listen(audio, 'error',          function () {me._onError();});
+    },
+
+    /**
+     * @override
+     * Checks if browser supports <audio> element
+     */
+    isSupported: function () {
+        return N13.isFunction(this._audio.canPlayType);
+    },
+
+    /**
+     * @override
+     * Loads the track by src attribute of <audio> element
+     * @param {String} url URL of the track
+     */
+    load: function (url) {
+        this._audio.src = url;
+        this._audio.load();
+    },
+
+    /**
+     * @override
+     * Starts or resumes playing
+     */
+    play: function () {
+        var me      = this;
+        var promise = this._audio.play();
+
+        //
+        // Modern browsers return a promise, which is rejected, if playing is not allowed
+        //
+        if (promise && N13.isFunction(promise.then)) {
+            promise.then(null, function (e) {me.trigger('error', 'Playing was rejected: ' + (e && e.message));});
+        }
+    },
+
+    /**
+     * @override
+     * Pauses playing
+     */
+    pause: function () {
+        this._audio.pause();
+    },
+
+    /**
+     * @override
+     * Changes current position
+     * @param {Number} time Position in seconds
+     */
+    seek: function (time) {
+        this._audio.currentTime = time;
+    },
+
+    /**
+     * @override
+     * Sets the volume
+     * @param {Number} volume Volume from 0 to 1
+     */
+    setVolume: function (volume) {
+        this._audio.volume = volume;
+    },
+
+    /**
+     * @override
+     * Mutes or unmutes the sound
+     * @param {Boolean} muted
+     */
+    setMuted: function (muted) {
+        this._audio.muted = muted;
+    },
+
+    /**
+     * @override
+     * Sets playback rate
+     * @param {Number} rate Playback rate. 1 is normal speed
+     */
+    setRate: function (rate) {
+        this._audio.playbackRate = rate;
+    },
+
+    /**
+     * @override
+     * Returns current position
+     * @returns {Number} Position in seconds
+     */
+    getTime: function () {
+        return this._audio.currentTime;
+    },
+
+    /**
+     * @override
+     * Returns duration of loaded track
+     * @returns {Number} Duration in seconds or NaN if it's unknown
+     */
+    getDuration: function () {
+        return this._audio.duration;
+    },
+
+    /**
+     * @override
+     * Returns buffered ranges of loaded track
+     * @returns {Array} Array of ranges: {start: Number, end: Number} in seconds
+     */
+    getBuffered: function () {
+        var buffered = this._audio.buffered;
+        var ranges   = [];
+        var i;
+        var len;
+
+        for (i = 0, len = buffered ? buffered.length : 0; i < len; i++) {
+            ranges.push({start: buffered.start(i), end: buffered.end(i)});
+        }
+
+        return ranges;
+    },
+
+    /**
+     * Stops loading and playing and destroys the backend
+     */
+    destroy: function () {
+        this._audio.pause();
+        this._audio.removeAttribute('src');
+        this.callParent(arguments);
+    },
+
+
+    /**
+     * <audio> 'pause' event handler. Browser fires it before 'ended' event also. We skip it in this case.
+     * @private
+     */
+    _onPause: function () {
+        if (!this._audio.ended) {
+            this.trigger('pause');
+        }
+    },
+
+    /**
+     * <audio> 'error' event handler
+     * @private
+     */
+    _onError: function () {
+        var error = this._audio.error;
+
+        this.trigger('error', App.audio.backend.Html.ERRORS[error && error.code] || 'Unknown error of audio element');
+    }
+});
\ No newline at end of file
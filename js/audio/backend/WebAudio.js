@@ -0,0 +1,381 @@
+/**
+ * Audio backend, based on Web Audio API. Track is fully loaded by XMLHttpRequest and decoded into the
+ * memory before playing. So, it doesn't support streaming, but it may be used for precise seeking and
+ * audio processing. Remote tracks should be available by CORS. All instances share one AudioContext.
+ * See App.audio.backend.Base for details.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.audio.backend.WebAudio', {
+    extend : 'App.audio.backend.Base',
+    configs: {
+        /**
+         * {Number} Interval of timeupdate event in milliseconds
+         */
+        updateInterval: 250
+    },
+    statics: {
+        /**
+         * {AudioContext|null} Shared audio context. Browsers limit the amount of contexts
+         */
+        context: null
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {GainNode|null} Volume node. It's created with audio context
+         * @private
+         */
+        this._gain      = null;
+        /**
+         * {AudioBuffer|null} Decoded track
+         * @private
+         */
+        this._buffer    = null;
+        /**
+         * {AudioBufferSourceNode|null} Playing source. Source can't be started twice, so it's created for every start
+         * @private
+         */
+        this._source    = null;
+        /**
+         * {XMLHttpRequest|null} Loading request
+         * @private
+         */
+        this._xhr       = null;
+        /**
+         * {Number} Id of the last loading. It's changed on every reset, so results of previous decoding are ignored
+         * @private
+         */
+        this._loadId    = 0;
+        /**
+         * {Number} Position in seconds, from which playing was started or where it was paused
+         * @private
+         */
+        this._offset    = 0;
+        /**
+         * {Number} Audio context time, when playing was started
+         * @private
+         */
+        this._startedAt = 0;
+        /**
+         * {Boolean} true if play() was called during loading
+         * @private
+         */
+        this._autoPlay  = false;
+        /**
+         * {Number|null} Id of timeupdate interval
+         * @private
+         */
+        this._timer     = null;
+        /**
+         * {Number} Volume from 0 to 1
+         * @private
+         */
+        this._volume    = 1;
+        /**
+         * {Boolean} Muted state
+         * @private
+         */
+        this._muted     = false;
+        /**
+         * {Number} Playback rate
+         * @private
+         */
+        this._rate      = 1;
+    },
+
+    /**
+     * @override
+     * Checks if browser supports Web Audio API
+     */
+    isSupported: function () {
+        return N13.isFunction(window.AudioContext || window.webkitAudioContext);
+    },
+
+    /**
+     * @override
+     * Loads the track by XMLHttpRequest and decodes it
+     * @param {String} url URL of the track
+     */
+    load: function (url) {
+        var me  = this;
+        var xhr = new XMLHttpRequest();
+
+        this._reset();
+        this._xhr = xhr;
+        xhr.open('GET', url, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.onload  = function () {
+            if (me._xhr !== xhr) {
+                return;
+            }
+            me._xhr = null;
+            if (xhr.status >= 400) {
+                me.trigger('error', 'Network error. Status: ' + xhr.status);
+                return;
+            }
+            me._decode(xhr.response);
+        };
+        xhr.onerror = function () {
+            if (me._xhr === xhr) {
+                me._xhr = null;
+                me.trigger('error', 'Network error');
+            }
+        };
+        xhr.send();
+    },
+
+    /**
+     * @override
+     * Starts or resumes playing. If track is loading, it will be played after decoding
+     */
+    play: function () {
+        if (!this._buffer) {
+            this._autoPlay = true;
+            return;
+        }
+        if (!this._source) {
+            this._start(this._offset >= this._buffer.duration ? 0 : this._offset);
+        }
+    },
+
+    /**
+     * @override
+     * Pauses playing
+     */
+    pause: function () {
+        this._autoPlay = false;
+        if (this._source) {
+            this._offset = this.getTime();
+            this._stop();
+            this.trigger('pause');
+        }
+    },
+
+    /**
+     * @override
+     * Changes current position. Playing source is re-created from new position
+     * @param {Number} time Position in seconds
+     */
+    seek: function (time) {
+        this._offset = time;
+        if (this._source) {
+            this._stop();
+            this._start(time);
+        } else {
+            this.trigger('timeupdate', time);
+        }
+    },
+
+    /**
+     * @override
+     * Sets the volume
+     * @param {Number} volume Volume from 0 to 1
+     */
+    setVolume: function (volume) {
+        this._volume = volume;
+        this._updateGain();
+    },
+
+    /**
+     * @override
+     * Mutes or unmutes the sound
+     * @param {Boolean} muted
+     */
+    setMuted: function (muted) {
+        this._muted = muted;
+        this._updateGain();
+    },
+
+    /**
+     * @override
+     * Sets playback rate. Current position is fixed, because time is calculated with the rate
+     * @param {Number} rate Playback rate. 1 is normal speed
+     */
+    setRate: function (rate) {
+        if (this._source) {
+            this._offset    = this.getTime();
+            this._startedAt = this._getContext().currentTime;
+            this._source.playbackRate.value = rate;
+        }
+        this._rate = rate;
+    },
+
+    /**
+     * @override
+     * Returns current position
+     * @returns {Number} Position in seconds
+     */
+    getTime: function () {
+        if (!this._source) {
+            return this._offset;
+        }
+
+        return Math.min(this._offset + (this._getContext().currentTime - this._startedAt) * this._rate, this._buffer.duration);
+    },
+
+    /**
+     * @override
+     * Returns duration of loaded track
+     * @returns {Number} Duration in seconds or NaN if it's unknown
+     */
+    getDuration: function () {
+        return this._buffer ? this._buffer.duration : NaN;
+    },
+
+    /**
+     * @override
+     * Returns buffered ranges. Decoded track is always fully buffered
+     * @returns {Array} Array of ranges: {start: Number, end: Number} in seconds
+     */
+    getBuffered: function () {
+        return this._buffer ? [{start: 0, end: this._buffer.duration}] : [];
+    },
+
+    /**
+     * Stops loading and playing and destroys the backend
+     */
+    destroy: function () {
+        this._reset();
+        if (this._gain) {
+            this._gain.disconnect();
+        }
+        this.callParent(arguments);
+    },
+
+
+    /**
+     * Returns shared audio context. Creates it and volume node on first call
+     * @returns {AudioContext}
+     * @private
+     */
+    _getContext: function () {
+        var statics = App.audio.backend.WebAudio;
+        var Context = window.AudioContext || window.webkitAudioContext;
+
+        if (!statics.context) {
+            statics.context = new Context();
+        }
+        if (!this._gain) {
+            this._gain = statics.context.createGain();
+            this._gain.connect(statics.context.destination);
+            this._updateGain();
+        }
+
+        return statics.context;
+    },
+
+    /**
+     * Decodes loaded track
+     * @param {ArrayBuffer} data Encoded track
+     * @private
+     */
+    _decode: function (data) {
+        var me = this;
+        var id = this._loadId;
+
+        this._getContext().decodeAudioData(data, function (buffer) {
+            if (me._loadId !== id) {
+                return;
+            }
+            me._buffer = buffer;
+            me.trigger('loaded', buffer.duration);
+            me.trigger('progress', me.getBuffered());
+            if (me._autoPlay) {
+                me._autoPlay = false;
+                me._start(me._offset);
+            }
+        }, function () {
+            if (me._loadId === id) {
+                me.trigger('error', 'Decoding error');
+            }
+        });
+    },
+
+    /**
+     * Creates new source and starts playing from specified position
+     * @param {Number} offset Position in seconds
+     * @private
+     */
+    _start: function (offset) {
+        var me      = this;
+        var context = this._getContext();
+        var source  = context.createBufferSource();
+
+        source.buffer = this._buffer;
+        source.playbackRate.value = this._rate;
+        source.connect(this._gain);
+        source.onended = function () {me._onEnded(source);};
+        source.start(0, offset);
+
+        this._source    = source;
+        this._offset    = offset;
+        this._startedAt = context.currentTime;
+        this._timer     = setInterval(function () {me.trigger('timeupdate', me.getTime());}, this.updateInterval);
+        this.trigger('play');
+    },
+
+    /**
+     * Stops and removes playing source
+     * @private
+     */
+    _stop: function () {
+        var source = this._source;
+
+        if (!source) {
+            return;
+        }
+        source.onended = null;
+        source.stop(0);
+        source.disconnect();
+        this._source = null;
+        clearInterval(this._timer);
+        this._timer  = null;
+    },
+
+    /**
+     * Stops playing, loading and decoding and removes loaded track
+     * @private
+     */
+    _reset: function () {
+        if (this._xhr) {
+            this._xhr.abort();
+            this._xhr = null;
+        }
+        this._stop();
+        this._buffer   = null;
+        this._offset   = 0;
+        this._autoPlay = false;
+        this._loadId++;
+    },
+
+    /**
+     * Applies volume and muted state to the volume node
+     * @private
+     */
+    _updateGain: function () {
+        if (this._gain) {
+            this._gain.gain.value = this._muted ? 0 : this._volume;
+        }
+    },
+
+    /**
+     * Source 'ended' event handler. Is called only if track has finished playing, because
+     * handler is removed before manual stop
+     * @param {AudioBufferSourceNode} source Finished source
+     * @private
+     */
+    _onEnded: function (source) {
+        if (this._source !== source) {
+            return;
+        }
+        this._stop();
+        this._offset = this._buffer.duration;
+        this.trigger('timeupdate', this._offset);
+        this.trigger('ended');
+    }
+});
\ No newline at end of file
@@ -6,24 +6,66 @@
  * only once (see example below). Remember, that you shouldn't store any reference
  * to this instance anywhere.
  *
+ * Application may have a router (see App.base.Router). It's set by router config and will be created and
+ * started after onRun() method. So, controllers of current URL hash will be run by the router automatically.
+ * Application also owns global event bus (see App.base.Bus). It's created in constructor and available through
+ * App.base.App.bus static property. Controllers and views should use it by subscribe() and publish() methods of
+ * App.mixin.Observer mixin.
+ *
+ * onBeforeRun() hook may return a promise (e.g. jQuery Deferred). For example, if application should load
+ * a configuration before running. In this case the rest of run() method will be called after it's resolving.
+ * See App.mixin.Async for details.
+ *
  * Events:
+ *     error      Fires in case of error
  *     debug      Fires if debug message has generated.
  *     beforerun  Fires before run() method will be called
  *     run        Fires after run logic is finished
+ *     runfailed  Fires if promise, returned by onBeforeRun(), is rejected
+ *         {*} Rejection reason
  *
  * Usage:
+ *     N13.define('App.Application', {
+ *         extend  : 'App.base.App',
+ *         requires: ['App.Router'],
+ *         configs : {router: 'App.Router'}  // Router will run all controllers
+ *     });
+ *
  *     N13.init({appRoot: ['App', 'js']});  // Binds App namespace to js folder
  *     N13.create('App.Application');       // We don't need to save an app reference
  *
  * @author DeadbraiN
  */
 N13.define('App.base.App', {
-    mixins : {iface: 'App.mixin.Interface'},
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer',
+        async  : 'App.mixin.Async'
+    },
+    requires: ['App.base.Bus'],
+    configs : {
+        /**
+         * {String|App.base.Router|null} Full class name of the application router. e.g.: 'App.Router'. It will
+         * be replaced by router instance in run() method. null means that application has no router.
+         */
+        router   : null,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners: {}
+    },
+    statics : {
+        /**
+         * {App.base.Bus|null} Application wide event bus. It's created in constructor
+         */
+        bus: null
+    },
 
     /**
      * @interface
-     * Calls before main run logic. You may stop running by returning false in child class
-     * @returns {Boolean|undefined}
+     * Calls before main run logic. You may stop running by returning false in child class or
+     * postpone it by returning a promise
+     * @returns {Boolean|undefined|jQuery.Promise}
      */
     onBeforeRun: N13.emptyFn,
     /**
@@ -42,27 +84,64 @@ N13.define('App.base.App', {
     /**
      * This is where an application starts and our html document is loaded and ready. You should
      * override this method in your child class.
-     * @returns {Boolean|undefined}
+     * @returns {Boolean|undefined|jQuery.Promise} false if application wasn't run or promise of running
      */
     run: function () {
-        this.trigger('beforerun');
-        if (this.onBeforeRun() === false) {
-            this.trigger('debug', 'Running of the application "' + this.className + '" was stopped, because onBeforeRun() method has returned false');
-            return false;
+        var queued = this._enqueue('run', arguments);
+
+        if (queued) {
+            return queued;
         }
-        this.onRun();
-        this.onAfterRun();
-        this.trigger('run');
+
+        this.trigger('beforerun');
+
+        return this._continue('run', this.onBeforeRun(), this._run, 'Running of the application "' + this.className + '" was stopped, because onBeforeRun() method has returned false');
     },
 
     /**
      * @constructor
-     * Do main initialization of the application and bind run() handler to the document ready state.
-     * run() method will be called after document will be ready. So, you need to override this
-     * method in your child class.
+     * Do main initialization of the application, creates global event bus and bind run() handler to the
+     * document ready state. run() method will be called after document will be ready. So, you need to
+     * override this method in your child class.
      */
     init: function () {
         this.callMixin('iface');
+        this.callMixin('observe');
+        this.callMixin('async');
+        App.base.App.bus = new App.base.Bus();
         $(document).ready(_.bind(this.run, this));
+    },
+
+
+    /**
+     * Main part of run() method, which is called after onBeforeRun() hook
+     * @private
+     */
+    _run: function () {
+        this.onRun();
+        this._startRouter();
+        this.onAfterRun();
+        this.trigger('run');
+    },
+
+    /**
+     * Creates router instance by router config and starts it. After that, current
+     * URL hash will be routed to appropriate controller.
+     * @private
+     */
+    _startRouter: function () {
+        var Router;
+
+        if (!N13.isString(this.router)) {
+            return;
+        }
+        Router = N13.ns(this.router, false);
+        if (!N13.isFunction(Router)) {
+            this.trigger('error', 'Invalid router "' + this.router + '" of application "' + this.className + '"');
+            return;
+        }
+
+        this.router = new Router();
+        this.router.start();
     }
 });
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Application wide publish/subscribe event bus. It's created and owned by App.base.App (see App.base.App.bus
+ * static property) and is used for communication of controllers and modules, which don't have references to
+ * each other. Every message is published into the channel. Channel is a string of segments separated by colon.
+ * For example: 'player:track:selected'. Subscriber may use wildcards in channel name:
+ *
+ *     '*'   matches exactly one segment.  'player:*:selected' matches 'player:track:selected'
+ *     '**'  matches one or more segments. 'player:**' matches 'player:track' and 'player:track:selected'
+ *
+ * In general, you shouldn't use this class directly. Use subscribe() and publish() methods of the
+ * App.mixin.Observer mixin instead. They remove all subscriptions automatically in destroy() method.
+ *
+ * Events:
+ *     error  Fires in case of invalid subscription or publishing
+ *         {String} Error message
+ *
+ * Usage:
+ *     var bus = App.base.App.bus;
+ *
+ *     bus.subscribe('player:track:*', function (track, channel) {...}, this);
+ *     bus.publish('player:track:selected', track);
+ *     bus.unsubscribe('player:track:*', fn, this);
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.base.Bus', {
+    mixins : {iface: 'App.mixin.Interface'},
+    configs: {
+        /**
+         * {String} Separator of channel segments
+         */
+        separator: ':'
+    },
+
+
+    /**
+     * Initializes and creates private fields
+     */
+    initPrivates: function () {
+        /**
+         * {Array} Array of subscribers. Every subscriber is an object: {channel, re, fn, scope}
+         * @private
+         */
+        this._subscribers = [];
+        /**
+         * {RegExp} Special regexp symbols, which should be escaped in channel segments
+         * @private
+         */
+        this._escapeRe    = /[\-{}\[\]+?.,\\\^$|#\s()]/g;
+    },
+
+    /**
+     * @constructor
+     * Creates private fields and adds Backbone.Events methods for error event
+     */
+    init: function () {
+        this.callMixin('iface');
+        //
+        // Observer mixin can't be used here, because it has own subscribe() and
+        // publish() methods. So, we copy Backbone.Events into the bus directly.
+        //
+        $.extend(this, Backbone.Events);
+    },
+
+    /**
+     * Subscribes a callback to the channel. Channel may contain wildcards.
+     * @param {String} channel Channel name or pattern. e.g.: 'player:track:selected' or 'player:**'
+     * @param {Function} fn Callback. Obtains published data and channel name
+     * @param {Object=} scope Scope of the callback
+     * @returns {Boolean} true if subscribed, false - otherwise
+     */
+    subscribe: function (channel, fn, scope) {
+        if (!N13.isString(channel) || channel === '' || !N13.isFunction(fn)) {
+            this.trigger('error', 'Invalid subscription to the channel "' + channel + '". Not empty channel and callback function are required.');
+            return false;
+        }
+
+        this._subscribers.push({
+            channel: channel,
+            re     : this._channelToRegExp(channel),
+            fn     : fn,
+            scope  : scope || null
+        });
+
+        return true;
+    },
+
+    /**
+     * Removes subscriptions. All arguments are optional filters. If no arguments
+     * are set, then all subscriptions will be removed.
+     * @param {String=} channel Channel name or pattern exactly as it was subscribed
+     * @param {Function=} fn Callback
+     * @param {Object=} scope Scope of the callback
+     */
+    unsubscribe: function (channel, fn, scope) {
+        this._subscribers = _.reject(this._subscribers, function (s) {
+            return (!channel || s.channel === channel) && (!fn || s.fn === fn) && (!scope || s.scope === scope);
+        });
+    },
+
+    /**
+     * Publishes data into the channel. All subscribers with matched channels will be called.
+     * Wildcards are not allowed here.
+     * @param {String} channel Full channel name. e.g.: 'player:track:selected'
+     * @param {*=} data Data for subscribers
+     * @returns {Number} Amount of called subscribers
+     */
+    publish: function (channel, data) {
+        var subscribers = this._subscribers.slice();
+        var called      = 0;
+        var i;
+        var len;
+
+        if (!N13.isString(channel) || channel === '' || channel.indexOf('*') !== -1) {
+            this.trigger('error', 'Invalid channel "' + channel + '" for publishing. Not empty channel without wildcards is required.');
+            return 0;
+        }
+        for (i = 0, len = subscribers.length; i < len; i++) {
+            if (subscribers[i].re.test(channel)) {
+                subscribers[i].fn.call(subscribers[i].scope, data, channel);
+                called++;
+            }
+        }
+
+        return called;
+    },
+
+
+    /**
+     * Converts channel name or pattern into the regular expression
+     * @param {String} channel Channel name or pattern
+     * @returns {RegExp}
+     * @private
+     */
+    _channelToRegExp: function (channel) {
+        var sep      = this.separator.replace(this._escapeRe, '\\$&');
+        var escapeRe = this._escapeRe;
+
+        return new RegExp('^' + _.map(channel.split(this.separator), function (segment) {
+            if (segment === '**') {
+                return '.+';
+            }
+            if (segment === '*') {
+                return '[^' + sep + ']+';
+            }
+            return segment.replace(escapeRe, '\\$&');
+        }).join(sep) + '$');
+    }
+});
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * Base router class. Maps URL hashes to controllers and their actions. Every route is a Backbone route string
+ * (leading '#/' is optional) and a descriptor of the controller, which should be run for this route. Router
+ * creates controllers lazily, on first route match, and runs them by standard run() method. If the route is
+ * changed to the route of other controller, then previous controller will be stopped by stop() method. Route
+ * parameters are passed into the controller's routeParams config as an object (e.g. {index: '2'}) and into the
+ * action method, if it's set. Action is called after controller has run, so deep links work in the same way as
+ * simple route changes. If controller runs asynchronously (onBeforeRun() returns a promise), then action is
+ * called after the running is finished. Action isn't called if controller wasn't run.
+ *
+ * Route descriptor may be a controller alias string or an object:
+ *
+ *     controller {String} Controller alias without controllerNs prefix (e.g. 'player.Player')
+ *     action     {String} Name of the controller's method, which will be called with route parameters object
+ *     config     {Object} Controller configuration. It's used only once, when controller is created
+ *
+ * Events:
+ *     error  Fires in case of error
+ *         {String} Error message
+ *     route  Standard Backbone route event
+ *
+ * Usage:
+ *     N13.define('App.Router', {
+ *         extend  : 'App.base.Router',
+ *         requires: ['App.controller.player.Player'],
+ *         configs : {
+ *             routes: {
+ *                 '#/track/:index'  : {controller: 'player.Player', action: 'selectTrack'},
+ *                 '#/playlist/:id'  : {controller: 'player.Player', action: 'openPlaylist'},
+ *                 ''                : 'player.Player'
+ *             }
+ *         }
+ *     });
+ *
+ *     var router = new App.Router();
+ *     router.start();
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.base.Router', {
+    extend : 'Backbone.Router',
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {Object} Map of routes. Key is a route string, value is a route descriptor. See class description
+         * for details. Routes, which are declared first have higher priority.
+         */
+        routes      : {},
+        /**
+         * {String} Prefix namespace for all controllers. This prefix + alias will produce
+         * full namespace for specified class. See App.mixin.controller.Controller for details.
+         */
+        controllerNs: 'App.controller',
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners   : {}
+    },
+
+
+    /**
+     * Initializes and creates private fields
+     */
+    initPrivates: function () {
+        /**
+         * {Object} Map of created controllers. Key is controller alias, value is an instance
+         * @private
+         */
+        this._controllers = {};
+        /**
+         * {App.controller.base.Controller|null} Controller of current route
+         * @private
+         */
+        this._active      = null;
+        /**
+         * {RegExp} Named route parameters format. For example: ':index' or '*path'
+         * @private
+         */
+        this._paramRe     = /[:*](\w+)/g;
+        /**
+         * {RegExp} Optional route prefix, which should be removed: '#/' or '#' or '/'
+         * @private
+         */
+        this._prefixRe    = /^#?\/?/;
+    },
+
+    /**
+     * @constructor
+     * Creates private fields and binds all routes to Backbone.history
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callParent(arguments);
+        this.callMixin('observe');
+    },
+
+    /**
+     * Starts listening of URL hash changes. Current hash will be routed immediately.
+     * @param {Object=} options Backbone.history.start() options
+     * @returns {Boolean} true if current URL matches one of the routes
+     */
+    start: function (options) {
+        if (Backbone.History.started) {
+            this.trigger('debug', 'Method start() was called, but Backbone.history has already started');
+            return false;
+        }
+
+        return Backbone.history.start(options);
+    },
+
+    /**
+     * Returns controller instance, which was created by this router or null
+     * @param {String} alias Controller alias. For example: 'player.Player'
+     * @returns {App.controller.base.Controller|null}
+     */
+    findController: function (alias) {
+        return this._controllers[alias] || null;
+    },
+
+    /**
+     * Stops listening of URL changes and destroys all created controllers
+     */
+    destroy: function () {
+        var controllers = this._controllers;
+        var alias;
+
+        Backbone.history.stop();
+        for (alias in controllers) {
+            if (controllers.hasOwnProperty(alias)) {
+                controllers[alias].destroy();
+            }
+        }
+        this._controllers = {};
+        this._active      = null;
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * @override
+     * Binds all routes from routes config. Unlike Backbone, values of the routes
+     * are route descriptors, not the names of the router methods.
+     * @private
+     */
+    _bindRoutes: function () {
+        var routes = N13.isObject(this.routes) ? _.keys(this.routes) : [];
+        var route;
+
+        //
+        // Backbone.history checks routes in reverse order of binding, so
+        // routes, declared first, should be bound last
+        //
+        while ((route = routes.pop()) !== undefined) {
+            this._bindRoute(route, this.routes[route]);
+        }
+    },
+
+    /**
+     * Binds one route to the Backbone.history
+     * @param {String} route Route string. For example: '#/track/:index'
+     * @param {String|Object} descriptor Controller alias or route descriptor
+     * @private
+     */
+    _bindRoute: function (route, descriptor) {
+        var me    = this;
+        var names = [];
+        var param;
+
+        if (N13.isString(descriptor)) {
+            descriptor = {controller: descriptor};
+        }
+        if (!N13.isObject(descriptor) || !N13.isString(descriptor.controller)) {
+            this.trigger('error', 'Invalid descriptor of route "' + route + '" in router "' + this.className + '". This route will be skipped.');
+            return;
+        }
+
+        route = route.replace(this._prefixRe, '');
+        this._paramRe.lastIndex = 0;
+        while ((param = this._paramRe.exec(route))) {
+            names.push(param[1]);
+        }
+        this.route(route, descriptor.controller, function () {
+            me._onRoute(descriptor, _.object(names, _.toArray(arguments)));
+        });
+    },
+
+    /**
+     * Route handler. Stops controller of previous route, creates and runs controller
+     * of current route and calls it's action after running is finished.
+     * @param {Object} descriptor Route descriptor
+     * @param {Object} params Route parameters. For example: {index: '2'}
+     * @private
+     */
+    _onRoute: function (descriptor, params) {
+        var me   = this;
+        var ctrl = this._getController(descriptor, params);
+
+        if (!ctrl) {
+            return;
+        }
+        if (this._active && this._active !== ctrl) {
+            this._active.stop();
+        }
+        this._active = ctrl;
+
+        ctrl.setConfig({routeParams: params});
+        $.when(ctrl.isRunning() || ctrl.run()).done(function () {
+            if (ctrl.isRunning()) {
+                me._callAction(ctrl, descriptor.action, params);
+            }
+        });
+    },
+
+    /**
+     * Calls route action of the controller
+     * @param {App.controller.base.Controller} ctrl Controller of the route
+     * @param {String|undefined} action Name of controller's method
+     * @param {Object} params Route parameters
+     * @private
+     */
+    _callAction: function (ctrl, action, params) {
+        if (!action) {
+            return;
+        }
+        if (N13.isFunction(ctrl[action])) {
+            ctrl[action](params);
+        } else {
+            this.trigger('error', 'Action "' + action + '" not found in controller "' + ctrl.className + '"');
+        }
+    },
+
+    /**
+     * Returns existing or creates new controller by route descriptor
+     * @param {Object} descriptor Route descriptor
+     * @param {Object} params Route parameters
+     * @returns {App.controller.base.Controller|null}
+     * @private
+     */
+    _getController: function (descriptor, params) {
+        var alias = descriptor.controller;
+        var Ctrl;
+
+        if (this._controllers[alias]) {
+            return this._controllers[alias];
+        }
+        Ctrl = N13.ns(this.controllerNs + '.' + alias, false);
+        if (!N13.isFunction(Ctrl)) {
+            this.trigger('error', 'Invalid controller "' + alias + '" in router "' + this.className + '"');
+            return null;
+        }
+
+        return (this._controllers[alias] = new Ctrl(_.extend({}, descriptor.config, {routeParams: params})));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Base collection class. All collections should be derived from this one. It solves model dependency issue:
+ * Backbone.Collection requires a model class in it's prototype, but with dynamic loading this class may not exist
+ * at the moment of collection definition. So, instead of class we set model alias (e.g. 'player.Track') in model
+ * config and it will be resolved against modelNs config in constructor. It also encapsulates App.mixin.Interface and
+ * App.mixin.Observer mixins. So you may use methods like initPrivates(), initPublics(), listen() and listeners config
+ * as well.
+ *
+ * Collection is created in Backbone manner: new Collection(models, options). All configuration parameters (model,
+ * modelNs, comparator, filters, urlBase, store, listeners) may be set in configs section of child class or passed in
+ * options argument. Options have higher priority. store config is a name of the store, which is used by
+ * App.storage.Sync for collection and it's models.
+ *
+ * Events:
+ *     error         - fires if error is occurs.
+ *     beforedestroy - fires before collection is destroyed.
+ *     destroy       - fires after collection is destroyed.
+ *
+ * Usage:
+ *     N13.define('App.collection.my.Collection', {
+ *         extend  : 'App.collection.base.Collection',
+ *         requires: ['App.model.my.Model'],
+ *         configs : {
+ *             model     : 'my.Model',                        // Alias of the model class. 'App.model.my.Model'
+ *             comparator: 'title',                           // Standard Backbone comparator
+ *             urlBase   : '/api/my',                         // Url for fetching and saving
+ *             store     : 'my',                              // Store name for App.storage.Sync
+ *             filters   : {                                  // Named filters, see filterBy() method
+ *                 empty : {title: ''},
+ *                 long  : function (m) {return m.get('duration') > 600;}
+ *             }
+ *         }
+ *     });
+ *
+ *     var col = new App.collection.my.Collection([{title: 'One'}], {comparator: 'duration'});
+ *     col.filterBy('long');
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.collection.base.Collection', {
+    extend : 'Backbone.Collection',
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {String|Function|null} Alias of the model class without modelNs prefix (e.g. 'player.Track') or model
+         * class itself. null means that standard Backbone.Model will be used.
+         */
+        model     : null,
+        /**
+         * {String} Prefix namespace of the models, according to the model folder. Should be set without dot at the end.
+         */
+        modelNs   : 'App.model',
+        /**
+         * {String|Function|null} Standard Backbone comparator. Attribute name, sortBy or sort function.
+         */
+        comparator: null,
+        /**
+         * {Object} Map of named filters. Every filter is a function, which obtains a model and returns true if
+         * it should be in result, or attributes hash for where() method. See filterBy() method for details.
+         */
+        filters   : {},
+        /**
+         * {String|null} Base url of the collection. It's returned by url() method and used by Backbone.sync().
+         */
+        urlBase   : null,
+        /**
+         * {String|null} Name of the store for App.storage.Sync. null means that collection can't be synchronized
+         */
+        store     : null,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners : {}
+    },
+    statics: {
+        /**
+         * {Array} Names of configuration parameters, which may be passed through options argument of the constructor
+         */
+        PARAMS: ['model', 'modelNs', 'comparator', 'filters', 'urlBase', 'store', 'listeners']
+    },
+
+
+    /**
+     * @interface
+     * Calls before collection will be destroyed.
+     * @returns {undefined|Boolean} false means, that destroying will be stopped, all other values will approve destroy.
+     */
+    onBeforeDestroy: N13.emptyFn,
+    /**
+     * @interface
+     * Calls after collection will be destroyed.
+     */
+    onAfterDestroy : N13.emptyFn,
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Boolean} Means that destroyed instance mustn't be destroyed twice or more
+         * @private
+         */
+        this._destroyed = false;
+    },
+
+    /**
+     * @constructor
+     * Applies construction parameters, resolves model class by it's alias and
+     * calls Backbone.Collection constructor after that. Error of invalid model
+     * is fired after observer initialization, so listeners config obtains it.
+     * @param {Array=} models Array of models or attributes hashes
+     * @param {Object=} options Standard Backbone options and configuration parameters
+     */
+    init: function (models, options) {
+        var model;
+        var Model;
+
+        options = N13.isObject(options) ? options : {};
+
+        _.extend(this, _.pick(options, App.collection.base.Collection.PARAMS));
+        model      = this.model;
+        Model      = this._resolveModel(model);
+        this.model = Model || Backbone.Model;
+        //
+        // Backbone.Collection copies model and comparator from options into the instance,
+        // so we should pass resolved model class there
+        //
+        this.callParent([models, _.extend({}, options, {model: this.model})]);
+        this.callMixin('iface');
+        this.callMixin('observe');
+        if (!Model && model !== null) {
+            this.trigger('error', 'Invalid model "' + model + '" of collection "' + this.className + '". Backbone.Model will be used.');
+        }
+    },
+
+    /**
+     * Returns base url of current collection. It's used by Backbone.sync()
+     * @returns {String|null}
+     */
+    url: function () {
+        return this.urlBase;
+    },
+
+    /**
+     * Applies named filter from filters config and returns array of models
+     * @param {String} name Name of the filter
+     * @returns {Array} Array of models or empty array if filter wasn't found
+     */
+    filterBy: function (name) {
+        var filter = N13.isObject(this.filters) ? this.filters[name] : null;
+
+        if (N13.isFunction(filter)) {
+            return this.filter(filter, this);
+        } else if (N13.isObject(filter)) {
+            return this.where(filter);
+        }
+
+        this.trigger('error', 'Unknown filter "' + name + '" in collection "' + this.className + '"');
+        return [];
+    },
+
+    /**
+     * Destroys a collection. Removes all event handlers, which were added by listen() method
+     * and listeners config. Models are not destroyed on the server side.
+     * @return {App.collection.base.Collection|Boolean} this or false
+     */
+    destroy: function () {
+        if (this._destroyed) {
+            this.trigger('debug', 'destroy() method is called twice or more in class "' + this.className + '"');
+            return false;
+        }
+
+        this.trigger('beforedestroy', this);
+        if (this.onBeforeDestroy() === false) {
+            this.trigger('debug', 'Destroying of collection "' + this.className + '" was stopped, because onBeforeDestroy() method has returned false');
+            return false;
+        }
+        this.onAfterDestroy();
+        this.trigger('destroy');
+        this.callMixin('observe');
+        this._destroyed = true;
+
+        return this;
+    },
+
+
+    /**
+     * Returns model class by it's alias or class itself
+     * @param {String|Function|null} model Model alias or class
+     * @returns {Function|null} Model class or null if it wasn't found
+     * @private
+     */
+    _resolveModel: function (model) {
+        var Model = N13.isString(model) ? N13.ns(this.modelNs + '.' + model, false) : model;
+
+        return N13.isFunction(Model) ? Model : null;
+    }
+});
\ No newline at end of file
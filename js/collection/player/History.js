@@ -0,0 +1,98 @@
+/**
+ * Bounded playback history. Records are sorted from the oldest to the newest one. The oldest
+ * records are removed if the amount of records exceeds the limit. Recorded local tracks keep
+ * their object URLs (see App.model.player.Track.retain()).
+ *
+ * Usage:
+ *     var history = new App.collection.player.History();
+ *
+ *     var item = history.record(track);   // track has started playing
+ *     history.addPlayed(item, 10);        // it was played for 10 seconds
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.collection.player.History', {
+    extend  : 'App.collection.base.Collection',
+    requires: ['App.model.player.HistoryItem'],
+    configs : {
+        /**
+         * {String} Alias of the history record model. See App.collection.base.Collection for details.
+         */
+        model: 'player.HistoryItem',
+        /**
+         * {Number} Maximum amount of records
+         */
+        limit: 50
+    },
+
+
+    /**
+     * @constructor
+     * Calls parent constructor and binds reference counting of object URLs
+     */
+    init: function () {
+        this.callParent(arguments);
+        this.listen(this, 'add',    function (item) {this._refer(item, 'retain');}, this);
+        this.listen(this, 'remove', function (item) {this._refer(item, 'release');}, this);
+        this.listen(this, 'reset',  this._onReset, this);
+    },
+
+    /**
+     * Adds new record for the track, which has started playing. The oldest records are removed if
+     * the limit is exceeded.
+     * @param {App.model.player.Track} track Played track
+     * @returns {App.model.player.HistoryItem|null} New record or null if the track is invalid
+     */
+    record: function (track) {
+        var item;
+
+        if (!(track instanceof Backbone.Model)) {
+            this.trigger('error', 'Invalid track for history "' + this.className + '". Instance of Backbone.Model is expected.');
+            return null;
+        }
+        item = this.push({track: track, startedAt: new Date()});
+        while (this.length > this.limit) {
+            this.shift();
+        }
+
+        return item;
+    },
+
+    /**
+     * Adds played time to the record
+     * @param {App.model.player.HistoryItem} item History record
+     * @param {Number} seconds Played time in seconds
+     */
+    addPlayed: function (item, seconds) {
+        if (this.contains(item) && seconds > 0) {
+            item.set({played: item.get('played') + seconds});
+        }
+    },
+
+
+    /**
+     * 'reset' event handler. Moves references of object URLs from tracks of previous records to current ones
+     * @param {App.collection.player.History} history This history
+     * @param {Object} options Options of reset() method. previousModels contains removed records
+     * @private
+     */
+    _onReset: function (history, options) {
+        history.each(function (item) {this._refer(item, 'retain');}, this);
+        _.each(options && options.previousModels, function (item) {this._refer(item, 'release');}, this);
+    },
+
+    /**
+     * Adds or removes a reference to object URL of the recorded track. Models without
+     * reference counting (not App.model.player.Track) are skipped
+     * @param {App.model.player.HistoryItem} item History record
+     * @param {String} method 'retain' or 'release'
+     * @private
+     */
+    _refer: function (item, method) {
+        var track = item.get('track');
+
+        if (track && N13.isFunction(track[method])) {
+            track[method]();
+        }
+    }
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Collection of named playlists. Playlists are stored in 'playlists' store (see App.storage.Sync).
+ * Tracks of every playlist are kept by the playlist itself (see App.model.player.Playlist).
+ *
+ * Usage:
+ *     var playlists = new App.collection.player.Playlist();
+ *
+ *     playlists.fetch().done(function () {
+ *         playlists.at(0).fetchTracks();
+ *     });
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.collection.player.Playlist', {
+    extend  : 'App.collection.base.Collection',
+    requires: ['App.model.player.Playlist'],
+    configs : {
+        /**
+         * {String} Alias of the playlist model. See App.collection.base.Collection for details.
+         */
+        model: 'player.Playlist',
+        /**
+         * {String} Name of the store. See App.storage.Sync for details.
+         */
+        store: 'playlists'
+    }
+});
\ No newline at end of file
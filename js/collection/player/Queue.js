@@ -0,0 +1,101 @@
+/**
+ * Play queue. Keeps tracks, which should be played before the rest of the playlist. Queue contains copies
+ * of the playlist tracks without ids (see App.model.player.Track.copy()). So, the same track may be queued
+ * twice and removing of the track from the playlist doesn't change the queue. Playlist track of the copy is
+ * returned by it's getOriginal() method. Player takes tracks from the beginning of the queue by dequeue() method.
+ * Queued copies of local tracks keep their object URLs (see App.model.player.Track.retain()).
+ *
+ * Usage:
+ *     var queue = new App.collection.player.Queue();
+ *
+ *     queue.enqueue(track);        // plays after all queued tracks
+ *     queue.playNext(track);       // plays before all queued tracks
+ *     queue.dequeue();             // returns and removes first track
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.collection.player.Queue', {
+    extend  : 'App.collection.base.Collection',
+    requires: ['App.model.player.Track'],
+    configs : {
+        /**
+         * {String} Alias of the track model. See App.collection.base.Collection for details.
+         */
+        model: 'player.Track'
+    },
+
+
+    /**
+     * @constructor
+     * Calls parent constructor and binds reference counting of object URLs
+     */
+    init: function () {
+        this.callParent(arguments);
+        this.listen(this, 'add',    function (track) {track.retain();}, this);
+        this.listen(this, 'remove', function (track) {track.release();}, this);
+        this.listen(this, 'reset',  this._onReset, this);
+    },
+
+    /**
+     * Adds a copy of the track to the end of the queue
+     * @param {App.model.player.Track} track Track to queue
+     * @returns {App.model.player.Track} Queued copy
+     */
+    enqueue: function (track) {
+        return this.push(track.copy());
+    },
+
+    /**
+     * Adds a copy of the track to the beginning of the queue. So, it will be played next. Already
+     * queued copy is moved to the beginning without copying.
+     * @param {App.model.player.Track} track Track to queue or queued copy
+     * @returns {App.model.player.Track} Queued copy
+     */
+    playNext: function (track) {
+        if (this.contains(track)) {
+            this.move(track, 0);
+            return track;
+        }
+
+        return this.unshift(track.copy());
+    },
+
+    /**
+     * Removes first track from the queue and returns it
+     * @returns {App.model.player.Track|null} First track or null if the queue is empty
+     */
+    dequeue: function () {
+        return this.shift() || null;
+    },
+
+    /**
+     * Moves queued track to other position
+     * @param {App.model.player.Track} track Queued track
+     * @param {Number} index New position. It's limited by the queue length
+     * @returns {Boolean} true if track was moved
+     */
+    move: function (track, index) {
+        if (!this.contains(track) || !$.isNumeric(index)) {
+            return false;
+        }
+
+        index = Math.min(Math.max(index, 0), this.length - 1);
+        this.remove(track, {silent: true});
+        this.add(track, {at: index, silent: true});
+        this.trigger('sort', this, {});
+
+        return true;
+    },
+
+
+    /**
+     * 'reset' event handler. Moves references of object URLs from previous tracks to current ones
+     * @param {App.collection.player.Queue} queue This queue
+     * @param {Object} options Options of reset() method. previousModels contains removed tracks
+     * @private
+     */
+    _onReset: function (queue, options) {
+        queue.invoke('retain');
+        _.invoke(options && options.previousModels || [], 'release');
+    }
+});
\ No newline at end of file
@@ -1,20 +1,116 @@
 /**
  * Audio tracks collection. Keeps available for listening tracks.
- * Used in audio playlists.
+ * Used in audio playlists. Tracks are stored in 'tracks' store (see App.storage.Sync).
+ * Every playlist has it's own collection (see App.model.player.Playlist). Such collection
+ * fetches only tracks of it's playlist and sets playlist attribute to all new tracks.
+ * Tracks of local files have object URLs (blob:...). Such URLs are revoked, when tracks
+ * are removed from the collection and aren't referred by play queue or history (see
+ * App.model.player.Track.retain() and release()), because nobody can play them after that.
+ *
+ * Usage:
+ *     var tracks = new App.collection.player.Track([], {playlist: 1});
+ *
+ *     tracks.fetch();                    // only tracks with playlist === 1
+ *     tracks.create({url: 'track.mp3'}); // stored with playlist === 1
  *
  * @author DeadbraiN
  */
 N13.define('App.collection.player.Track', {
-    extend  : 'Backbone.Collection',
+    extend  : 'App.collection.base.Collection',
     requires: ['App.model.player.Track'],
+    configs : {
+        /**
+         * {String} Alias of the track model. See App.collection.base.Collection for details.
+         */
+        model   : 'player.Track',
+        /**
+         * {String} Name of the store. See App.storage.Sync for details.
+         */
+        store   : 'tracks',
+        /**
+         * {Number|null} Id of the playlist. null means all tracks. It may be passed in options argument
+         */
+        playlist: null
+    },
+
 
     /**
      * @constructor
-     * Initializes model of current collection. We should do it
-     * here because of model dependency issue.
+     * Applies playlist option and calls parent constructor
+     * @param {Array=} models Array of models or attributes hashes
+     * @param {Object=} options Standard Backbone options and configuration parameters
      */
-    init: function () {
-        this.model = App.model.player.Track;
+    init: function (models, options) {
+        if (N13.isObject(options) && options.hasOwnProperty('playlist')) {
+            this.playlist = options.playlist;
+        }
+
         this.callParent(arguments);
+        this.listen(this, 'add',    this._onAdd, this);
+        this.listen(this, 'remove', this._onRemove, this);
+        this.listen(this, 'reset',  this._onReset, this);
+    },
+
+    /**
+     * @override
+     * Fetches only tracks of current playlist
+     * @param {Object=} options Standard Backbone options
+     * @returns {jqXHR|jQuery.Promise}
+     */
+    fetch: function (options) {
+        options = _.extend({}, options);
+        if (this.playlist !== null) {
+            options.data = _.extend({playlist: this.playlist}, options.data);
+        }
+
+        return this.callParent([options]);
+    },
+
+
+    /**
+     * @override
+     * Sets current playlist to new tracks, which have no playlist
+     * @param {Object|Backbone.Model} attrs Attributes or model
+     * @param {Object=} options Options of add() method
+     * @returns {Backbone.Model|Boolean} Model or false if it's invalid
+     * @private
+     */
+    _prepareModel: function (attrs, options) {
+        var model = this.callParent([attrs, options]);
+
+        if (model && this.playlist !== null && model.get('playlist') === null) {
+            model.set({playlist: this.playlist}, {silent: true});
+        }
+
+        return model;
+    },
+
+    /**
+     * 'add' event handler. Adds a reference to object URL of the track
+     * @param {App.model.player.Track} track Added track
+     * @private
+     */
+    _onAdd: function (track) {
+        track.retain();
+    },
+
+    /**
+     * 'remove' event handler. Removes a reference to object URL of the track
+     * @param {App.model.player.Track} track Removed track
+     * @private
+     */
+    _onRemove: function (track) {
+        track.release();
+    },
+
+    /**
+     * 'reset' event handler. Moves references of object URLs from previous tracks to current ones
+     * @param {App.collection.player.Track} tracks This collection
+     * @param {Object} options Options of reset() method. previousModels contains removed tracks
+     * @private
+     */
+    _onReset: function (tracks, options) {
+        tracks.invoke('retain');
+        _.invoke(options && options.previousModels || [], 'release');
     }
 });
\ No newline at end of file
@@ -9,6 +9,33 @@
  * work with views, you may add controller.View mixin for that. For details, about special controller's mixins
  * see App.mixin.controller.* namespace.
  *
+ * Controller may be stopped and run again any amount of times. stop() method calls stop() method of all controller
+ * mixins (nested controllers are stopped, control handlers are unbound, controlled view is kept, hidden, cleared or
+ * destroyed, see viewOnStop config) and removes all handlers and subscriptions, which were added by listen() and
+ * subscribe() methods. Listeners config handlers are kept. So, all handlers should be added in onBeforeRun(),
+ * onRun() or onAfterRun() methods to be bound again on next run.
+ *
+ * onBeforeRun() and onBeforeDestroy() hooks may return a promise (e.g. jQuery Deferred). For example, if controller
+ * should load data before running. In this case run() and destroy() methods become asynchronous and return a
+ * promise also. See App.mixin.Async for details.
+ *
+ * Events:
+ *     beforeinit    - fires before controller is initialized
+ *     init          - fires after controller is initialized
+ *     beforerun     - fires before controller runs
+ *     run           - fires after controller has run
+ *     restart       - fires after controller has run again after stop
+ *     runfailed     - fires if promise, returned by onBeforeRun(), is rejected
+ *         {*} Rejection reason
+ *     beforestop    - fires before controller stops
+ *     stop          - fires after controller has stopped
+ *     beforedestroy - fires before controller is destroyed
+ *     destroy       - fires after controller is destroyed
+ *     destroyfailed - fires if promise, returned by onBeforeDestroy(), is rejected
+ *         {*} Rejection reason
+ *     cancel        - fires if pending run() or destroy() call was cancelled by cancel() method
+ *         {String} Name of the cancelled method
+ *
  * Usage:
  *     N13.define('App.controller.my.Controller', {
  *         extend  : 'App.controller.base.Controller',    // This is parent class, we are inherited from
@@ -34,7 +61,8 @@
 N13.define('App.controller.base.Controller', {
     mixins : {
         iface  : 'App.mixin.Interface',
-        observe: 'App.mixin.Observer'
+        observe: 'App.mixin.Observer',
+        async  : 'App.mixin.Async'
     },
     configs: {
         /**
@@ -46,13 +74,20 @@ N13.define('App.controller.base.Controller', {
          * It's used for determining if current mixin is related to the controller class or not.
          * If so, we should run it's methods in _callFromMixins() method. Skip otherwise.
          */
-        ctrlMixinNs: 'App.mixin.controller'
+        ctrlMixinNs: 'App.mixin.controller',
+        /**
+         * {Object|null} Parameters of the current route. For example: {index: '2'} for route '#/track/:index'.
+         * It's set by App.base.Router before run() and action calls.
+         */
+        routeParams: null
     },
 
 
     /**
      * @interface
      * Calls before run() method. Is used for initialization and data preparing.
+     * @returns {undefined|Boolean|jQuery.Promise} false means, that running will be stopped, promise means, that
+     * running will be continued after it's resolving, all other values will approve running.
      */
     onBeforeRun: N13.emptyFn,
     /**
@@ -84,7 +119,9 @@ N13.define('App.controller.base.Controller', {
     onAfterStop: N13.emptyFn,
     /**
      * @interface
-     * Calls before controller stops. Can be used for saving data ar last chance actions
+     * Calls before controller will be destroyed. Can be used for saving data ar last chance actions
+     * @returns {undefined|Boolean|jQuery.Promise} false means, that destroying will be stopped, promise means, that
+     * destroying will be continued after it's resolving, all other values will approve destroy.
      */
     onBeforeDestroy: N13.emptyFn,
     /**
@@ -117,6 +154,11 @@ N13.define('App.controller.base.Controller', {
          * @private
          */
         this._running   = false;
+        /**
+         * {Boolean} will be true after first stop() call. Is used for restart event.
+         * @private
+         */
+        this._stopped   = false;
     },
 
     /**
@@ -132,6 +174,7 @@ N13.define('App.controller.base.Controller', {
 
         this.callMixin('iface');
         this.callMixin('observe');
+        this.callMixin('async');
         this.trigger('beforeinit');
         this.onBeforeInit();
         //
@@ -140,6 +183,7 @@ N13.define('App.controller.base.Controller', {
         this._callFromMixins('init');
         this.onInit();
         this.onAfterInit();
+        this._inited = true;
         this.trigger('init');
     },
 
@@ -154,25 +198,25 @@ N13.define('App.controller.base.Controller', {
     },
 
     /**
-     * This method will be called when controller is ready to do main job - create views, models and collections
-     * @returns {Boolean} true if it run was done, false - if not.
+     * This method will be called when controller is ready to do main job - create views, models and collections.
+     * If onBeforeRun() returns a promise, then running will be continued after it's resolving. Calls, which are
+     * made during this time, will be queued.
+     * @returns {Boolean|jQuery.Promise} true if it run was done, false - if not or promise of them
      */
     run: function () {
+        var queued = this._enqueue('run', arguments);
+
+        if (queued) {
+            return queued;
+        }
         if (this._running) {
             this.trigger('debug', 'Method run() was called, but controller "' + this.className + '" has already run');
             return false;
         }
 
         this.trigger('beforerun');
-        if (this.onBeforeRun() === false) {
-            this.trigger('debug', 'Running of controller "' + this.className + '" was stopped, because onBeforeRun() method has returned false');
-            return false;
-        }
-        this.onRun();
-        this.onAfterRun();
-        this.trigger('run');
 
-        return true;
+        return this._continue('run', this.onBeforeRun(), this._run, 'Running of controller "' + this.className + '" was stopped, because onBeforeRun() method has returned false');
     },
 
     /**
@@ -184,10 +228,25 @@ N13.define('App.controller.base.Controller', {
     },
 
     /**
-     * Calls before controller will stop. All event handler will be unbind here automatically
-     * @returns {Boolean} true if controller was stopped, false - otherwise
+     * Returns running state of the controller
+     * @returns {Boolean} true if controller has run and wasn't stopped after that
+     */
+    isRunning: function () {
+        return this._running;
+    },
+
+    /**
+     * Stops the controller. All event handlers, which were added by listen() method, bus subscriptions and control
+     * handlers will be unbind here automatically. Nested controllers will be stopped also. Controller may be run
+     * again after that. If run() is pending (asynchronous onBeforeRun() hook), then it will be cancelled and its
+     * promise will be rejected with 'cancelled' reason.
+     * @returns {Boolean} true if controller was stopped or pending run was cancelled, false - otherwise
      */
     stop: function () {
+        if (this._pending && this._pending.method === 'run') {
+            this.trigger('debug', 'Pending run() of controller "' + this.className + '" was cancelled by stop()');
+            return this.cancel();
+        }
         if (!this._running) {
             this.trigger('debug', 'Method stop() was called, but controller "' + this.className + '" has already stopped');
             return false;
@@ -198,9 +257,15 @@ N13.define('App.controller.base.Controller', {
             this.trigger('debug', 'Stopping of controller "' + this.className + '" was stopped, because onBeforeStop() method has returned false');
             return false;
         }
+        //
+        // Method stop() will be called for all mixins of this class
+        //
+        this._callFromMixins('stop');
         this.callMixin('observe');
         this.onStop();
         this.onAfterStop();
+        this._stopped = true;
+        this.trigger('stop');
 
         return true;
     },
@@ -214,10 +279,16 @@ N13.define('App.controller.base.Controller', {
     },
 
     /**
-     * Destroys a controller. Can be used as a destructor. Removes the view.
-     * @return {App.controller.base.Controller|Boolean} this or false
+     * Destroys a controller. Can be used as a destructor. Removes the view. If onBeforeDestroy()
+     * returns a promise, then destroying will be continued after it's resolving.
+     * @return {App.controller.base.Controller|Boolean|jQuery.Promise} this, false or promise of them
      */
     destroy: function () {
+        var queued = this._enqueue('destroy', arguments);
+
+        if (queued) {
+            return queued;
+        }
         if (this._destroyed) {
             this.trigger('debug', 'destroy() method is called twice or more in class "' + this.className + '"');
             return false;
@@ -228,10 +299,38 @@ N13.define('App.controller.base.Controller', {
         }
 
         this.trigger('beforedestroy', this);
-        if (this.onBeforeDestroy() === false) {
-            this.trigger('debug', 'Destroying of view "' + this.className + '" was stopped, because onBeforeDestroy() method has returned false');
-            return false;
+
+        return this._continue('destroy', this.onBeforeDestroy(), this._destroy, 'Destroying of controller "' + this.className + '" was stopped, because onBeforeDestroy() method has returned false');
+    },
+
+
+    /**
+     * Main part of run() method, which is called after onBeforeRun() hook
+     * @returns {Boolean} true
+     * @private
+     */
+    _run: function () {
+        //
+        // Method run() will be called for all mixins of this class
+        //
+        this._callFromMixins('run');
+        this.onRun();
+        this.onAfterRun();
+        this.trigger('run');
+        if (this._stopped) {
+            this.trigger('restart');
         }
+
+        return true;
+    },
+
+    /**
+     * Main part of destroy() method, which is called after onBeforeDestroy() hook. Event handlers
+     * and bus subscriptions are removed by Observer mixin at the end.
+     * @returns {App.controller.base.Controller} this
+     * @private
+     */
+    _destroy: function () {
         //
         // Method destroy() will be called from all mixins of this class
         //
@@ -239,11 +338,15 @@ N13.define('App.controller.base.Controller', {
         this.onDestroy();
         this.onAfterDestroy();
         this.trigger('destroy');
+        //
+        // callMixin() can't be used here, because it calls the method with the same name (_destroy)
+        //
+        this.mixins.observe.destroy.call(this);
+        this._destroyed = true;
 
         return this;
     },
 
-
     /**
      * Calls specified method in each mixin excepting mixins from except argument
      * @param {String} method Name of the method
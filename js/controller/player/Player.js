@@ -2,7 +2,55 @@
  * Controls audio player module generally. It tracks playing and selecting tracks.
  * Main idea here, is to track all nested views also. It should create and render main view
  * and all nested views. It also should bind all handlers to appropriate views, models
- * and collections events. It uses one nested controller - player.Playlist.
+ * and collections events. It uses one nested controller - player.Playlist. Playback state
+ * is owned by this controller through App.audio.Engine instance. Control panel only shows
+ * this state and fires user intents, which are passed to the engine.
+ *
+ * Playback order is set by repeat and shuffle modes (see setRepeat() and setShuffle() methods).
+ * Shuffle order is non repeating: every track is played once in a cycle (see App.util.Shuffle).
+ * Tracks from the play queue
+ * (see App.collection.player.Queue) are played before the rest of the playlist. The queue doesn't
+ * change the playlist order: playlist continues from the last track, which was played from it.
+ * Every played track is recorded into bounded playback history (see App.collection.player.History).
+ * previous() method goes back through this history, so it returns tracks in real playing order
+ * (including shuffle order and queued tracks).
+ *
+ * Player has many named playlists (see App.model.player.Playlist), but plays only tracks of active one. Active
+ * playlist is changed by setPlaylist() method or by playlists sidebar. Playlists are stored by App.storage.Sync
+ * and fetched on first run. Default playlist is created if there is no stored playlist. Tracks of every playlist
+ * are fetched on it's first activation. Currently playing track continues playing after switching, but next
+ * track is taken from new playlist.
+ *
+ * Player state (active playlist, current track, position, volume and modes) is stored in localStorage
+ * periodically and before page unload. It's restored on first run, so the track continues from the same
+ * position after reload. Restored track is loaded, but isn't played. If saved track was removed from the
+ * playlist, then only volume and modes are restored. Storing may be disabled by App.Config.player.persist
+ * setting.
+ *
+ * Events:
+ *     modechange  Fires if repeat or shuffle mode was changed
+ *         {String} Repeat mode: 'off', 'all' or 'one'
+ *         {Boolean} Shuffle mode
+ *
+ * Bus channels (see App.base.Bus):
+ *     player:track:selected  Is published if track was selected for playing
+ *         {App.model.player.Track} Selected track
+ *     player:track:ended     Is published if track has finished playing
+ *         {App.model.player.Track} Finished track
+ *     player:track:paused    Is published if track was paused
+ *         {App.model.player.Track} Paused track
+ *     player:track:resumed   Is published if paused track was resumed
+ *         {App.model.player.Track} Resumed track
+ *     player:track:seeked    Is published if user has changed the position of the track
+ *         {Number} New position in seconds
+ *     player:track:time      Is published if position of playing track was changed
+ *         {Object} {time: Number, duration: Number} in seconds
+ *     player:volume:changed  Is published if volume or muted state was changed
+ *         {Object} {volume: Number, muted: Boolean}
+ *     player:mode:changed    Is published if repeat or shuffle mode was changed
+ *         {Object} {repeat: String, shuffle: Boolean}
+ *     player:playlist:selected  Is published if active playlist was changed
+ *         {App.model.player.Playlist} Active playlist
  *
  * @author DeadbraiN
  */
@@ -13,9 +61,14 @@ N13.define('App.controller.player.Player', {
         view: 'App.mixin.controller.View'
     },
     requires: [
+        'App.audio.Engine',
+        'App.collection.player.History',
+        'App.collection.player.Playlist',
+        'App.collection.player.Queue',
         'App.collection.player.Track',
         'App.Config',
-        'App.controller.player.Playlist'
+        'App.controller.player.Playlist',
+        'App.util.Shuffle'
     ],
     configs : {
         /**
@@ -27,7 +80,47 @@ N13.define('App.controller.player.Player', {
         /**
          * {Array} Array of nested controllers
          */
-        controllers: ['player.Playlist']
+        controllers: ['player.Playlist'],
+        /**
+         * {Object} View event handlers. See App.mixin.controller.View for details
+         */
+        control    : {
+            'player.PlaylistGrid'   : {
+                selected: '_onTrackSelect',
+                playnext: '_onPlayNext',
+                enqueue : '_onEnqueue'
+            },
+            'player.QueueGrid'      : {selected: '_onQueueSelect'},
+            'player.HistoryGrid'    : {selected: '_onHistorySelect'},
+            'player.PlaylistSidebar': {select: '_onPlaylistSelect'},
+            'player.ControlPanel'   : {
+                prev        : '_onPrevTrack',
+                next        : '_onNextTrack',
+                toggle      : '_onToggle',
+                seek        : '_onSeek',
+                volumechange: '_onVolumeChange',
+                shuffle     : '_onShuffle',
+                repeat      : '_onRepeat'
+            }
+        },
+        /**
+         * {String} Initial repeat mode. See REPEAT static. Stored mode has higher priority
+         */
+        repeat     : 'off',
+        /**
+         * {Boolean} Initial shuffle mode. Stored mode has higher priority
+         */
+        shuffle    : false
+    },
+    statics : {
+        /**
+         * {Object} Repeat modes
+         */
+        REPEAT: {
+            OFF: 'off',
+            ALL: 'all',
+            ONE: 'one'
+        }
     },
 
     /**
@@ -38,15 +131,36 @@ N13.define('App.controller.player.Player', {
         this.callParent();
 
         /**
-         * {App.collection.player.Track} Collection of tracks, which player can play.
-         * The collection should be created here, in controller, because it will be shared
-         * between different modules.
+         * {App.collection.player.Playlist} All playlists. The collection should be created here, in
+         * controller, because it will be shared between different modules. Playlists are fetched
+         * from the storage on first run.
+         * @private
+         */
+        this._playlists    = new App.collection.player.Playlist();
+        /**
+         * {App.model.player.Playlist|null} Active playlist
          * @private
          */
-        this._tracks       = new App.collection.player.Track([{url: App.Config.player.defaultTrack}]);
+        this._playlist     = null;
         /**
-         * {null|App.view.player.ControlPanel} Reference to the ControlPanel view. We need it
-         * for running of selected tracks and tracking when the track is ended.
+         * {App.collection.player.Track} Tracks of active playlist, which player can play. Empty
+         * collection is used until the playlist is activated.
+         * @private
+         */
+        this._tracks       = new App.collection.player.Track();
+        /**
+         * {Boolean} true if playlists fetching was started
+         * @private
+         */
+        this._fetched      = false;
+        /**
+         * {App.audio.Engine} Audio engine, which plays selected tracks. Backend is set in App.Config
+         * @private
+         */
+        this._engine       = new App.audio.Engine({backend: App.Config.player.backend});
+        /**
+         * {null|App.view.player.ControlPanel} Reference to the ControlPanel view. It shows
+         * playback state of the engine.
          * @private
          */
         this._controlPanel = null;
@@ -55,34 +169,106 @@ N13.define('App.controller.player.Player', {
          * @private
          */
         this._playlistGrid = null;
+        /**
+         * {App.view.player.PlaylistSidebar} Reference to the playlists sidebar
+         * @private
+         */
+        this._sidebar      = null;
+        /**
+         * {App.model.player.Track|null} Track, which is playing now
+         * @private
+         */
+        this._curTrack     = null;
+        /**
+         * {App.model.player.Track|null} Last track, which was played from the playlist. Playlist
+         * order is continued from it after the queue is empty
+         * @private
+         */
+        this._listTrack    = null;
+        /**
+         * {App.collection.player.Queue} Tracks, which should be played before the rest of the playlist
+         * @private
+         */
+        this._playQueue    = new App.collection.player.Queue();
+        /**
+         * {App.collection.player.History} Playback history
+         * @private
+         */
+        this._history      = new App.collection.player.History();
+        /**
+         * {App.model.player.HistoryItem|null} History record of current track. Played time is added to it
+         * @private
+         */
+        this._historyItem  = null;
+        /**
+         * {Number|null} Timestamp in milliseconds, when current track has started or resumed playing
+         * @private
+         */
+        this._playStart    = null;
+        /**
+         * {App.util.Shuffle} Shuffle order of the tracks. It's updated on every tracks collection change
+         * @private
+         */
+        this._shuffle      = new App.util.Shuffle({collection: this._tracks});
+        /**
+         * {Object|null} Stored state of the player. Track and position are restored from it on first run
+         * @private
+         */
+        this._savedState   = null;
+        /**
+         * {Number|null} Id of state saving interval
+         * @private
+         */
+        this._saveTimer    = null;
     },
 
     /**
-     * This is how we can set a lazy configuration for nested controller. It should
-     * know about tracks collection nd it's main view. So tracks collection shares
-     * between these two controllers, but the owner is Player (parent controller).
+     * Restores stored modes and volume. Track is restored on first run, because it needs the views
      */
     onAfterInit: function () {
-        this.findController('player.Playlist').setConfig({
-            tracks: this._tracks,
-            view  : this.findView('player.PlaylistContainer')
-        });
+        this.callParent();
+        this._restoreState();
     },
 
     /**
-     * After binding all event handlers and after creation of all nested
-     * controllers we should render main view
+     * After creation of all nested controllers we should render main view. View
+     * event handlers are bound by control config. This is also how we can set a lazy
+     * configuration for nested controller. It should know about playlists, tracks of
+     * active playlist and it's main view. So these collections are shared between these
+     * two controllers, but the owner is Player (parent controller). It's done on every run,
+     * because the view may be re-created after stop (see viewOnStop config). Playlists are
+     * fetched from the storage on first run. Running is continued after fetching, even if
+     * it has failed, so the player works with empty playlist in this case.
+     * @returns {undefined|jQuery.Promise} Promise of fetching on first run
      */
     onBeforeRun: function () {
-        (this._playlistGrid = this.findView('player.PlaylistGrid')).on('selected', this._onTrackSelect, this);
-        (this._controlPanel = this.findView('player.ControlPanel')).on('played', this._onTrackPlayed, this);
+        var playlist = this.findController('player.Playlist');
+
+        playlist.setConfig({
+            playlists: this._playlists,
+            view     : this.findView('player.PlaylistContainer')
+        });
+        playlist.setTracks(this._tracks);
+        this._playlistGrid = this.findView('player.PlaylistGrid');
+        this._controlPanel = this.findView('player.ControlPanel');
+        this._sidebar      = this.findView('player.PlaylistSidebar');
 
         //
         // We need to set tracks collection to the playlist grid and render
         // main container after that. So, tracks collection will be used in rendering.
         //
         this._playlistGrid.setConfig({tracks: this._tracks});
+        this._sidebar.setConfig({playlists: this._playlists, active: this._playlist});
+        this.findView('player.QueueGrid').setConfig({queue: this._playQueue});
+        this.findView('player.HistoryGrid').setConfig({history: this._history});
         this.findView('player.Container').render();
+
+        if (!this._fetched) {
+            this._fetched = true;
+            return this._fetchPlaylists().then(null, function () {
+                return $.Deferred().resolve();
+            });
+        }
     },
 
     /**
@@ -93,21 +279,731 @@ N13.define('App.controller.player.Player', {
         this.runControllers();
     },
 
+    /**
+     * Binds engine event handlers and shows current playback state in the control panel,
+     * because the panel may be re-created after stop. Handlers are removed in stop() method.
+     */
+    onAfterRun: function () {
+        var engine = this._engine;
+
+        this.listen(engine, 'statechange',  this._onStateChange, this);
+        this.listen(engine, 'ended',        this._onTrackEnded, this);
+        this.listen(engine, 'pause',        this._onPause, this);
+        this.listen(engine, 'resume',       this._onResume, this);
+        this.listen(engine, 'seek',         this._onSought, this);
+        this.listen(engine, 'timeupdate',   this._onTimeUpdate, this);
+        this.listen(engine, 'progress',     this._onProgress, this);
+        this.listen(engine, 'volumechange', this._onVolumeChanged, this);
+        this.listen(this._playlists, 'remove', this._onPlaylistRemove, this);
+
+        this._controlPanel.setPlaying(engine.isPlaying());
+        this._controlPanel.setTime(engine.getTime(), engine.getDuration());
+        this._controlPanel.setBuffered(engine.getBuffered(), engine.getDuration());
+        this._controlPanel.setVolume(engine.getVolume(), engine.isMuted());
+        this._controlPanel.setModes(this.repeat, this.shuffle);
+
+        if (this._savedState) {
+            this._restoreTrack(this._savedState);
+            this._savedState = null;
+        }
+        if (App.Config.player.persist) {
+            this._saveTimer = setInterval(_.bind(this._saveState, this), App.Config.player.saveInterval);
+            this.listen($(window), 'beforeunload', this._saveState, this);
+        }
+    },
+
+    /**
+     * Pauses playing track. Engine events aren't listened after stop, so played time is added here
+     */
+    onStop: function () {
+        this.callParent();
+        this._addPlayed();
+        this._saveState();
+        clearInterval(this._saveTimer);
+        if (this._engine.isPlaying()) {
+            this._engine.pause();
+        }
+    },
+
+    /**
+     * Destroys audio engine
+     */
+    onDestroy: function () {
+        this.callParent();
+        clearInterval(this._saveTimer);
+        this._engine.destroy();
+        this._shuffle.destroy();
+        this._playQueue.destroy();
+        this._history.destroy();
+        this._playlists.destroy();
+    },
+
+    /**
+     * Router action. Selects and plays a track by it's index in the playlist. It's
+     * used for deep links like '#/track/2'. See App.Router for details.
+     * @param {Object} params Route parameters: {index: String}
+     * @returns {Boolean} true if track was selected, false - otherwise
+     */
+    selectTrack: function (params) {
+        var index = params && $.isNumeric(params.index) ? +params.index : -1;
+
+        if (!this._playlistGrid || index < 0 || index >= this._tracks.length) {
+            this.trigger('debug', 'Track with index "' + (params && params.index) + '" not found in controller "' + this.className + '"');
+            return false;
+        }
+        this._playlistGrid.select(index);
+
+        return true;
+    },
+
+    /**
+     * Router action. Makes the playlist with specified id active. It's used for deep
+     * links like '#/playlist/2'. See App.Router for details.
+     * @param {Object} params Route parameters: {id: String}
+     * @returns {jQuery.Promise|Boolean} Promise of fetched tracks or false if playlist wasn't found
+     */
+    openPlaylist: function (params) {
+        var playlist = params ? this._playlists.get(params.id) : null;
+
+        if (!playlist) {
+            this.trigger('debug', 'Playlist with id "' + (params && params.id) + '" not found in controller "' + this.className + '"');
+            return false;
+        }
+
+        return this.setPlaylist(playlist);
+    },
+
+    /**
+     * Adds the track to the end of play queue
+     * @param {App.model.player.Track} track Track to queue
+     */
+    enqueue: function (track) {
+        this._playQueue.enqueue(track);
+    },
+
+    /**
+     * Adds the track to the beginning of play queue. So, it will be played after current track.
+     * @param {App.model.player.Track} track Track to play next
+     */
+    playNext: function (track) {
+        this._playQueue.playNext(track);
+    },
+
+    /**
+     * Makes the playlist active. Player plays tracks of this playlist after that. Tracks are
+     * fetched on first activation of the playlist.
+     * @param {App.model.player.Playlist} playlist Playlist from the playlists collection
+     * @returns {jQuery.Promise} Promise of fetched tracks. It's rejected if the playlist is unknown
+     * or if fetching has failed
+     */
+    setPlaylist: function (playlist) {
+        if (!this._playlists.contains(playlist)) {
+            this.trigger('error', 'Unknown playlist was set to controller "' + this.className + '"');
+            return $.Deferred().reject().promise();
+        }
+        if (playlist !== this._playlist) {
+            this._playlist = playlist;
+            this._setTracks(playlist.getTracks());
+            if (this._sidebar) {
+                this._sidebar.select(playlist, true);
+            }
+            this._saveState();
+            this.publish('player:playlist:selected', playlist);
+        }
+
+        return playlist.fetchTracks();
+    },
+
+    /**
+     * @returns {App.model.player.Playlist|null} Active playlist
+     */
+    getPlaylist: function () {
+        return this._playlist;
+    },
+
+    /**
+     * @returns {App.collection.player.Playlist} All playlists
+     */
+    getPlaylists: function () {
+        return this._playlists;
+    },
+
+    /**
+     * @returns {App.collection.player.Queue} Play queue
+     */
+    getQueue: function () {
+        return this._playQueue;
+    },
+
+    /**
+     * Plays previous track from playback history. Every call goes one record back. If history has no
+     * previous record, then previous track of the playlist is played according to shuffle and repeat modes.
+     * @returns {Boolean} true if previous track was found
+     */
+    previous: function () {
+        var index = this._history.indexOf(this._historyItem);
+        var track;
+
+        if (index > 0) {
+            this._playHistory(this._history.at(index - 1), false);
+            return true;
+        }
+        track = this._getPrevTrack();
+        if (!track) {
+            this.trigger('debug', 'Method previous() was called, but controller "' + this.className + '" has no previous track');
+            return false;
+        }
+        this._selectTrack(track);
+
+        return true;
+    },
+
+    /**
+     * @returns {App.collection.player.History} Playback history
+     */
+    getHistory: function () {
+        return this._history;
+    },
+
+    /**
+     * Sets repeat mode:
+     *
+     *     off  Playing stops after the last track
+     *     all  First track is played after the last one. In shuffle mode new cycle is started
+     *     one  Current track is played again after it's ended. Next and previous buttons work as usual
+     *
+     * @param {String} mode Repeat mode. See REPEAT static
+     * @returns {Boolean} true if mode was set
+     */
+    setRepeat: function (mode) {
+        if (!_.contains(_.values(App.controller.player.Player.REPEAT), mode)) {
+            this.trigger('error', 'Invalid repeat mode "' + mode + '" in controller "' + this.className + '"');
+            return false;
+        }
+
+        this.repeat = mode;
+        this._onModeChange();
+
+        return true;
+    },
+
+    /**
+     * @returns {String} Current repeat mode. See REPEAT static
+     */
+    getRepeat: function () {
+        return this.repeat;
+    },
 
     /**
-     * 'selected' event handler. Get active Track model and run this track by ControlPanel view.
+     * Turns shuffle mode on or off. New shuffle order is created on turning on. Current track
+     * is the first one in this order.
+     * @param {Boolean} shuffle true - turn on, false - turn off
+     */
+    setShuffle: function (shuffle) {
+        this.shuffle = !!shuffle;
+        if (this.shuffle) {
+            this._shuffle.reshuffle(this._listTrack);
+        }
+        this._onModeChange();
+    },
+
+    /**
+     * @returns {Boolean} true if shuffle mode is on
+     */
+    isShuffle: function () {
+        return this.shuffle;
+    },
+
+
+    /**
+     * 'selected' event handler of playlist grid. Plays selected Track model and continues
+     * playlist order from it.
      * @param {App.model.player.Track} sel Selected Track model
      * @private
      */
     _onTrackSelect: function (sel) {
-        this._controlPanel.play(sel.get('url'));
+        this._listTrack = sel;
+        this._shuffle.setCurrent(sel);
+        this._playTrack(sel);
     },
 
     /**
-     * 'played' event handler. Play next track in the playlist
+     * 'playnext' event handler of playlist grid
+     * @param {App.model.player.Track} track Track to play next
      * @private
      */
-    _onTrackPlayed: function () {
-        this._playlistGrid.select(true);
+    _onPlayNext: function (track) {
+        this.playNext(track);
+    },
+
+    /**
+     * 'enqueue' event handler of playlist grid
+     * @param {App.model.player.Track} track Track to queue
+     * @private
+     */
+    _onEnqueue: function (track) {
+        this.enqueue(track);
+    },
+
+    /**
+     * 'selected' event handler of queue grid. Removes the track from the queue and plays it now
+     * @param {App.model.player.Track} track Queued track
+     * @private
+     */
+    _onQueueSelect: function (track) {
+        this._playQueue.remove(track);
+        this._playTrack(track);
+    },
+
+    /**
+     * 'selected' event handler of history grid. Plays the track again as new history record
+     * @param {App.model.player.HistoryItem} item History record
+     * @private
+     */
+    _onHistorySelect: function (item) {
+        this._playHistory(item, true);
+    },
+
+    /**
+     * 'select' event handler of playlists sidebar. Makes the playlist active
+     * @param {App.model.player.Playlist} playlist Selected playlist
+     * @private
+     */
+    _onPlaylistSelect: function (playlist) {
+        this.setPlaylist(playlist);
+    },
+
+    /**
+     * Playlists collection 'remove' event handler. First playlist becomes active, if active one was removed
+     * @param {App.model.player.Playlist} playlist Removed playlist
+     * @private
+     */
+    _onPlaylistRemove: function (playlist) {
+        if (playlist === this._playlist && this._playlists.length) {
+            this.setPlaylist(this._playlists.at(0));
+        }
+    },
+
+    /**
+     * 'prev' event handler of control panel. Plays previous track from the history
+     * @private
+     */
+    _onPrevTrack: function () {
+        this.previous();
+    },
+
+    /**
+     * 'next' event handler of control panel. Selects next track in the playlist
+     * @private
+     */
+    _onNextTrack: function () {
+        this._playNext();
+    },
+
+    /**
+     * 'toggle' event handler of control panel. Pauses or resumes current track.
+     * Starts next track if there is no current one.
+     * @private
+     */
+    _onToggle: function () {
+        if (!this._engine.getUrl()) {
+            this._playNext();
+        } else {
+            this._engine.toggle();
+        }
+    },
+
+    /**
+     * 'seek' event handler of control panel
+     * @param {Number} time New position in seconds
+     * @private
+     */
+    _onSeek: function (time) {
+        this._engine.seek(time);
+    },
+
+    /**
+     * 'volumechange' event handler of control panel
+     * @param {Number} volume Volume from 0 to 1
+     * @param {Boolean} muted true if sound should be muted
+     * @private
+     */
+    _onVolumeChange: function (volume, muted) {
+        if (volume !== this._engine.getVolume()) {
+            this._engine.setVolume(volume);
+        }
+        if (muted !== this._engine.isMuted()) {
+            this._engine.setMuted(muted);
+        }
+    },
+
+    /**
+     * Engine 'statechange' event handler. Updates play/pause button and counts played time
+     * @param {String} state New playback state
+     * @private
+     */
+    _onStateChange: function (state) {
+        var playing = state === App.audio.Engine.STATES.PLAYING;
+
+        this._addPlayed();
+        if (playing) {
+            this._playStart = new Date().getTime();
+        }
+        this._controlPanel.setPlaying(playing);
+    },
+
+    /**
+     * 'shuffle' event handler of control panel. Toggles shuffle mode
+     * @private
+     */
+    _onShuffle: function () {
+        this.setShuffle(!this.shuffle);
+    },
+
+    /**
+     * 'repeat' event handler of control panel. Switches repeat modes in a loop: off, all, one
+     * @private
+     */
+    _onRepeat: function () {
+        var modes = _.values(App.controller.player.Player.REPEAT);
+
+        this.setRepeat(modes[(_.indexOf(modes, this.repeat) + 1) % modes.length]);
+    },
+
+    /**
+     * Engine 'ended' event handler. Plays current track again in repeat one mode or next track
+     * according to repeat and shuffle modes
+     * @private
+     */
+    _onTrackEnded: function () {
+        this.publish('player:track:ended', this._curTrack);
+        if (this.repeat === App.controller.player.Player.REPEAT.ONE) {
+            this._engine.play();
+        } else {
+            this._playNext();
+        }
+    },
+
+    /**
+     * Engine 'pause' event handler
+     * @private
+     */
+    _onPause: function () {
+        this.publish('player:track:paused', this._curTrack);
+    },
+
+    /**
+     * Engine 'resume' event handler
+     * @private
+     */
+    _onResume: function () {
+        this.publish('player:track:resumed', this._curTrack);
+    },
+
+    /**
+     * Engine 'seek' event handler
+     * @param {Number} time New position in seconds
+     * @private
+     */
+    _onSought: function (time) {
+        this._controlPanel.setTime(time, this._engine.getDuration());
+        this.publish('player:track:seeked', time);
+    },
+
+    /**
+     * Engine 'timeupdate' event handler
+     * @param {Number} time Current position in seconds
+     * @param {Number} duration Duration of the track in seconds
+     * @private
+     */
+    _onTimeUpdate: function (time, duration) {
+        this._controlPanel.setTime(time, duration);
+        this.publish('player:track:time', {time: time, duration: duration});
+    },
+
+    /**
+     * Engine 'progress' event handler
+     * @param {Array} ranges Buffered ranges
+     * @param {Number} duration Duration of the track in seconds
+     * @private
+     */
+    _onProgress: function (ranges, duration) {
+        this._controlPanel.setBuffered(ranges, duration);
+    },
+
+    /**
+     * Engine 'volumechange' event handler
+     * @param {Number} volume Volume from 0 to 1
+     * @param {Boolean} muted true if sound is muted
+     * @private
+     */
+    _onVolumeChanged: function (volume, muted) {
+        this._saveState();
+        this._controlPanel.setVolume(volume, muted);
+        this.publish('player:volume:changed', {volume: volume, muted: muted});
+    },
+
+    /**
+     * Loads and plays the track by audio engine. New history record is created for the track
+     * if existing one isn't set.
+     * @param {App.model.player.Track} track Track to play
+     * @param {App.model.player.HistoryItem=} item Existing history record of the track
+     * @private
+     */
+    _playTrack: function (track, item) {
+        this._curTrack = track;
+        if (this._engine.load(track.get('url'))) {
+            this._engine.play();
+        }
+        this._historyItem = item || this._history.record(track);
+        this.publish('player:track:selected', track);
+    },
+
+    /**
+     * Plays the track of history record. Playlist track is highlighted in the grid and
+     * playlist order is continued from it.
+     * @param {App.model.player.HistoryItem} item History record
+     * @param {Boolean} record true - creates new history record, false - continues existing one
+     * @private
+     */
+    _playHistory: function (item, record) {
+        var track = item.get('track');
+
+        if (this._tracks.contains(track)) {
+            this._listTrack = track;
+            this._shuffle.setCurrent(track);
+            this._playlistGrid.select(this._tracks.indexOf(track), true);
+        }
+        this._playTrack(track, record ? null : item);
+    },
+
+    /**
+     * Adds time, which was played since last start or resume, to current history record
+     * @private
+     */
+    _addPlayed: function () {
+        if (this._playStart !== null && this._historyItem) {
+            this._history.addPlayed(this._historyItem, (new Date().getTime() - this._playStart) / 1000);
+        }
+        this._playStart = null;
+    },
+
+    /**
+     * Fetches playlists and activates stored or first one. Default playlist is created if
+     * there is no playlist in the storage.
+     * @returns {jQuery.Promise} Promise of fetched tracks of active playlist
+     * @private
+     */
+    _fetchPlaylists: function () {
+        var playlists = this._playlists;
+        var state     = this._savedState;
+        var me        = this;
+
+        return $.when(playlists.fetch({reset: true})).then(function () {
+            var deferred;
+
+            if (playlists.length) {
+                return playlists.get(state && state.playlist) || playlists.at(0);
+            }
+            deferred = $.Deferred();
+            playlists.create({name: 'Default'}, {
+                wait   : true,
+                success: function (playlist) {deferred.resolve(playlist);},
+                error  : function () {deferred.reject();}
+            });
+
+            return deferred.promise();
+        }).then(function (playlist) {
+            return me.setPlaylist(playlist);
+        });
+    },
+
+    /**
+     * Sets tracks collection of active playlist to the nested controller, views and shuffle order.
+     * Playlist order starts from the first track of new collection.
+     * @param {App.collection.player.Track} tracks Tracks of active playlist
+     * @private
+     */
+    _setTracks: function (tracks) {
+        this._tracks    = tracks;
+        this._listTrack = null;
+        this._shuffle.destroy();
+        this._shuffle   = new App.util.Shuffle({collection: tracks});
+        this.findController('player.Playlist').setTracks(tracks);
+        if (this._playlistGrid) {
+            this._playlistGrid.setConfig({tracks: tracks});
+            this._playlistGrid.deselect();
+            if (this._playlistGrid.rendered) {
+                this._playlistGrid.render();
+            }
+        }
+    },
+
+    /**
+     * Plays first queued track or next track of the playlist if the queue is empty
+     * @private
+     */
+    _playNext: function () {
+        var queued = this._playQueue.dequeue();
+
+        if (queued) {
+            this._playTrack(queued);
+        } else {
+            this._selectTrack(this._getNextTrack());
+        }
+    },
+
+    /**
+     * Returns next playlist track according to shuffle and repeat modes. First track is returned if
+     * there is no current track.
+     * @returns {App.model.player.Track|null} Next track or null if playing should be stopped
+     * @private
+     */
+    _getNextTrack: function () {
+        var wrap  = this.repeat === App.controller.player.Player.REPEAT.ALL;
+        var index = this._tracks.indexOf(this._listTrack) + 1;
+
+        if (this.shuffle) {
+            return this._shuffle.next(wrap);
+        }
+        if (index >= this._tracks.length && wrap) {
+            index = 0;
+        }
+
+        return this._tracks.at(index) || null;
+    },
+
+    /**
+     * Returns previous playlist track according to shuffle and repeat modes. Is used if playback
+     * history has no previous record. Shuffle mode has no previous track outside of the history.
+     * @returns {App.model.player.Track|null} Previous track or null if there is no such track
+     * @private
+     */
+    _getPrevTrack: function () {
+        var index = this._tracks.indexOf(this._listTrack) - 1;
+
+        if (this.shuffle) {
+            return null;
+        }
+        if (index < 0 && this.repeat === App.controller.player.Player.REPEAT.ALL) {
+            index = this._tracks.length - 1;
+        }
+
+        return this._tracks.at(index) || null;
+    },
+
+    /**
+     * Selects the track in the playlist grid. Grid fires selected event, which starts playing.
+     * @param {App.model.player.Track|null} track Track to select. null is skipped
+     * @private
+     */
+    _selectTrack: function (track) {
+        var index = this._tracks.indexOf(track);
+
+        if (index !== -1) {
+            this._playlistGrid.select(index);
+        }
+    },
+
+    /**
+     * Is called after repeat or shuffle mode change. Stores the modes and shows them
+     * @private
+     */
+    _onModeChange: function () {
+        this._saveState();
+        if (this._controlPanel) {
+            this._controlPanel.setModes(this.repeat, this.shuffle);
+        }
+        this.trigger('modechange', this.repeat, this.shuffle);
+        this.publish('player:mode:changed', {repeat: this.repeat, shuffle: this.shuffle});
+    },
+
+    /**
+     * Stores player state into the localStorage. Storage may be unavailable (e.g. private
+     * mode of the browser). State is not stored in this case.
+     * @private
+     */
+    _saveState: function () {
+        var engine = this._engine;
+
+        if (!App.Config.player.persist) {
+            return;
+        }
+        try {
+            window.localStorage.setItem(App.Config.player.stateKey, JSON.stringify({
+                playlist: this._playlist ? this._playlist.id : null,
+                url     : this._curTrack && engine.getUrl() ? this._curTrack.get('url') : null,
+                time    : engine.getTime(),
+                volume  : engine.getVolume(),
+                muted   : engine.isMuted(),
+                repeat  : this.repeat,
+                shuffle : this.shuffle
+            }));
+        } catch (e) {
+            this.trigger('debug', 'State of controller "' + this.className + '" can\'t be stored: ' + e.message);
+        }
+    },
+
+    /**
+     * Restores modes and volume from the localStorage. Invalid values are skipped. Playlist, track
+     * and position are kept in _savedState field for the first run.
+     * @private
+     */
+    _restoreState: function () {
+        var state = null;
+
+        if (!App.Config.player.persist) {
+            return;
+        }
+        try {
+            state = JSON.parse(window.localStorage.getItem(App.Config.player.stateKey));
+        } catch (e) {
+            this.trigger('debug', 'State of controller "' + this.className + '" can\'t be restored: ' + e.message);
+        }
+        if (!N13.isObject(state)) {
+            return;
+        }
+        if (_.contains(_.values(App.controller.player.Player.REPEAT), state.repeat)) {
+            this.repeat = state.repeat;
+        }
+        if (_.isBoolean(state.shuffle)) {
+            this.shuffle = state.shuffle;
+        }
+        this._engine.setVolume(state.volume);
+        this._engine.setMuted(state.muted === true);
+        this._savedState = state;
+    },
+
+    /**
+     * Loads stored track and moves it to stored position. Track isn't played, because browsers
+     * deny playing without user action. Track is searched in the playlist by URL. Nothing is
+     * restored if the track was removed from the playlist.
+     * @param {Object} state Stored state: {url: String, time: Number}
+     * @private
+     */
+    _restoreTrack: function (state) {
+        var track  = N13.isString(state.url) ? this._tracks.findWhere({url: state.url}) : null;
+        var engine = this._engine;
+
+        if (!track) {
+            this.trigger('debug', 'Stored track "' + state.url + '" wasn\'t found in the playlist of controller "' + this.className + '"');
+            return;
+        }
+
+        this._curTrack = this._listTrack = track;
+        this._shuffle.setCurrent(track);
+        this._playlistGrid.select(this._tracks.indexOf(track), true);
+        this._historyItem = this._history.record(track);
+        //
+        // Some backends fire loaded event synchronously, so handler should be bound before loading
+        //
+        if (state.time > 0) {
+            engine.once('loaded', function () {
+                if (engine.getUrl() === state.url) {
+                    engine.seek(state.time);
+                }
+            });
+        }
+        engine.load(state.url);
     }
 });
\ No newline at end of file
@@ -1,37 +1,691 @@
 /**
- * Controls playlist and add track button components. It's possible to use this controller outside,
- * of audio player. For example: for video player. So we should have separate controller for these
- * views.
+ * Controls playlist, playlists sidebar, add track button and import/export panel components. It's possible to
+ * use this controller outside, of audio player. For example: for video player. So we should have separate
+ * controller for these views. Controller works with tracks of active playlist. Parent controller sets them by
+ * setTracks() method on every switching of playlists. Playlists are created, renamed, duplicated and deleted
+ * here, but active playlist is chosen by parent controller (see 'select' event of App.view.player.PlaylistSidebar).
+ * Names of playlists and confirmation of deleting are asked by playlist dialog (see App.view.player.PlaylistForm).
+ * Imported tracks are added to active playlist. Playlist files are parsed and created by App.format.Converter.
+ * Local audio files (dropped or chosen by "Files" button) are added as tracks with object URLs. Files, which
+ * can't be played by the browser (see canPlayType() of audio element), are skipped and reported by import/export
+ * panel. Such tracks aren't stored, because object URLs are valid only until page reload. Tracks by URLs are
+ * added by the form in "add tracks" dialog (see App.view.player.AddTracks). Tags of new and not yet tagged tracks
+ * (title, artist, album, number, year and cover art) are loaded in background by App.meta.Loader. Tags fill only
+ * empty attributes of the track, so titles set by user or by playlist file are kept. Durations of tracks are probed
+ * in background by App.meta.Duration. Total and remaining time of active playlist are shown in playlist footer.
+ *
+ * Events:
+ *     invalid  Fires if track with invalid attributes was added or changed. Track isn't added or changed
+ *         {Array} Array of errors {attribute, rule, value, message}. See App.model.base.Model for details
+ *         {App.collection.player.Track|App.model.player.Track} Collection or model, which fired the error
  *
  * @author DeadbraiN
  */
 N13.define('App.controller.player.Playlist', {
-    extend : 'App.controller.base.Controller',
-    mixins : {view: 'App.mixin.controller.View'},
-    configs: {
+    extend  : 'App.controller.base.Controller',
+    mixins  : {view: 'App.mixin.controller.View'},
+    requires: [
+        'App.format.Converter',
+        'App.meta.Loader',
+        'App.meta.Duration'
+    ],
+    configs : {
+        /**
+         * {App.collection.player.Track|null} Collection of tracks for playlist. Use setTracks() method to change it
+         */
+        tracks   : null,
+        /**
+         * {App.collection.player.Playlist|null} Collection of all playlists
+         */
+        playlists: null,
         /**
-         * {App.collection.player.Track|null} Collection of tracks for playlist
+         * {Object} View event handlers. See App.mixin.controller.View for details
          */
-        tracks: null
+        control  : {
+            'Button[title=Add]'          : {click: '_onAddTrackClick'},
+            'Button[title=Files]'        : {click: '_onFilesClick'},
+            'player.PlaylistContainer'   : {files: '_onFiles'},
+            'player.AddTracks'           : {
+                add   : '_onAddTracks',
+                cancel: '_onAddTracksCancel'
+            },
+            'player.PlaylistForm'        : {
+                submit: '_onPlaylistFormSubmit',
+                cancel: '_onPlaylistFormCancel'
+            },
+            'Dialog[cls=playlist-dialog]': {close: '_onPlaylistDialogClose'},
+            'player.PlaylistSidebar'     : {
+                create   : '_onCreatePlaylist',
+                rename   : '_onRenamePlaylist',
+                duplicate: '_onDuplicatePlaylist',
+                remove   : '_onRemovePlaylist'
+            },
+            'player.ImportExport'        : {
+                'import': '_onImport',
+                'export': '_onExport'
+            }
+        }
     },
 
 
     /**
-     * Adds event handlers for playlist and add button components.
+     * Here we should create all private fields of this class.
+     * Undefined fields should be set to null (not undefined).
+     */
+    initPrivates: function () {
+        this.callParent();
+
+        /**
+         * {App.format.Converter} Parser and serializer of playlist files
+         * @private
+         */
+        this._converter = new App.format.Converter();
+        /**
+         * {HTMLAudioElement|null} Detached audio element for checking of supported MIME types
+         * @private
+         */
+        this._probe     = document.createElement('audio');
+        /**
+         * {App.meta.Loader} Loader of tags of audio files
+         * @private
+         */
+        this._loader    = new App.meta.Loader();
+        /**
+         * {Object} Local files by their object URLs. Tags of local files are read from File objects. Files
+         * are released, when their tracks are removed from the collection
+         * @private
+         */
+        this._files     = {};
+        /**
+         * {Object} URLs of tracks, which tags were requested in this session. Map of URL: true
+         * @private
+         */
+        this._probed    = {};
+        /**
+         * {App.meta.Duration} Loader of durations of audio files
+         * @private
+         */
+        this._duration  = new App.meta.Duration();
+        /**
+         * {Object} URLs of tracks, which durations were requested in this session. Map of URL: true
+         * @private
+         */
+        this._measured  = {};
+        /**
+         * {Function|null} Handler of the answer of playlist dialog. It's called with the name in scope of this controller
+         * @private
+         */
+        this._answer    = null;
+        /**
+         * {App.model.player.Track|null} Current track of the player (see 'player:track:selected' bus channel)
+         * @private
+         */
+        this._curTrack  = null;
+        /**
+         * {Number} Position of current track in seconds
+         * @private
+         */
+        this._time      = 0;
+    },
+
+    /**
+     * Adds event handlers for tracks collection and player bus channels. View event handlers are
+     * bound by control config.
      */
     onAfterRun: function () {
-        this.listen(this.findView('Button'), 'click', this._onAddTrackClick, this);
+        this.subscribe('player:track:selected', this._onTrackSelected, this);
+        this.subscribe('player:track:time', this._onTrackTime, this);
+        if (this.tracks) {
+            this._bindTracks(this.tracks);
+        }
+    },
+
+    /**
+     * Removes event handlers of tracks collection
+     */
+    onStop: function () {
+        this.callParent();
+        if (this.tracks) {
+            this._unbindTracks(this.tracks);
+        }
+    },
+
+    /**
+     * Destroys playlist files converter, tags and durations loaders
+     */
+    onDestroy: function () {
+        this.callParent();
+        this._converter.destroy();
+        this._loader.destroy();
+        this._duration.destroy();
+    },
+
+    /**
+     * Sets tracks of active playlist. Event handlers are moved to new collection. Waiting loads of
+     * tags and durations of previous playlist are cancelled.
+     * @param {App.collection.player.Track} tracks Tracks collection
+     */
+    setTracks: function (tracks) {
+        if (this.isRunning()) {
+            if (this.tracks) {
+                this._unbindTracks(this.tracks);
+            }
+            this._bindTracks(tracks);
+        }
+        this.tracks = tracks;
     },
 
+
     /**
-     * Add track button click handler. Shows input window, gets user url and
-     * adds new track to the collection. So, the playlist will be updated automatically..
+     * Add track button click handler. Opens "add tracks" dialog with empty form
      * @private
      */
     _onAddTrackClick: function () {
-        var url = prompt('Please input a track URL:');
-        if (N13.isString(url) && url !== '' && this.tracks) {
-            this.tracks.add({url: url});
+        var dialog = this.findView('Dialog[cls=add-tracks-dialog]');
+        var form   = this.findView('Dialog[cls=add-tracks-dialog] player.AddTracks');
+
+        if (dialog && form) {
+            form.reset();
+            dialog.open();
+        }
+    },
+
+    /**
+     * 'add' event handler of "add tracks" form. Creates valid tracks in the collection. So, the playlist
+     * will be updated automatically and the tracks will be stored. Dialog is closed if all URLs were
+     * valid. Otherwise, it stays opened with rejected URLs and their errors.
+     * @param {Array} tracks Attributes of valid tracks
+     * @param {Number} rejected Amount of rejected URLs
+     * @private
+     */
+    _onAddTracks: function (tracks, rejected) {
+        var dialog = this.findView('Dialog[cls=add-tracks-dialog]');
+
+        if (!this.tracks) {
+            return;
+        }
+        _.each(tracks, function (attrs) {this.tracks.create(attrs);}, this);
+        this.trigger('debug', 'Added ' + tracks.length + ' track(s), rejected ' + rejected + ' URL(s) in controller "' + this.className + '"');
+        if (!rejected && dialog) {
+            dialog.close();
+        }
+    },
+
+    /**
+     * 'cancel' event handler of "add tracks" form. Closes the dialog
+     * @private
+     */
+    _onAddTracksCancel: function () {
+        var dialog = this.findView('Dialog[cls=add-tracks-dialog]');
+
+        if (dialog) {
+            dialog.close();
+        }
+    },
+
+    /**
+     * "Files" button click handler. Opens file picker of playlist container
+     * @private
+     */
+    _onFilesClick: function () {
+        var container = this.findView('player.PlaylistContainer');
+
+        if (container) {
+            container.pickFiles();
+        }
+    },
+
+    /**
+     * 'files' event handler of playlist container. Adds supported local files into active playlist as
+     * tracks with object URLs. Original file name is used as a title until tags are loaded. Skipped files
+     * are reported by import/export panel.
+     * @param {Array} files Array of File objects
+     * @private
+     */
+    _onFiles: function (files) {
+        var view   = this.findView('player.ImportExport');
+        var me     = this;
+        var tracks = [];
+        var errors = [];
+
+        if (!this.tracks || !window.URL || !N13.isFunction(URL.createObjectURL)) {
+            this.trigger('error', 'Local files aren\'t supported in controller "' + this.className + '"');
+            return;
+        }
+        _.each(files, function (file) {
+            var url;
+
+            if (me._canPlay(file.type)) {
+                url = URL.createObjectURL(file);
+                me._files[url] = file;
+                tracks.push({url: url, title: file.name});
+            } else {
+                errors.push({line: 0, text: file.name, message: 'Unsupported file type "' + (file.type || 'unknown') + '"'});
+            }
+        });
+        this.tracks.add(tracks);
+        if (view) {
+            view.setReport(tracks.length, errors);
+        }
+    },
+
+    /**
+     * 'import' event handler of import/export panel. Parses playlist text and adds valid tracks into
+     * active playlist. Skipped lines are reported by the panel.
+     * @param {String} text Playlist text
+     * @param {String|null} fileName File name or null for pasted text
+     * @private
+     */
+    _onImport: function (text, fileName) {
+        var result = this._converter.parse(text, fileName);
+        var view   = this.findView('player.ImportExport');
+        var tracks = this.tracks;
+
+        if (tracks) {
+            _.each(result.tracks, function (attrs) {tracks.create(attrs);});
+        }
+        if (view) {
+            view.setReport(tracks ? result.tracks.length : 0, result.errors);
+        }
+    },
+
+    /**
+     * 'export' event handler of import/export panel. Creates playlist file of active playlist and
+     * saves it on user's computer. Name of the playlist is used as a file name. Local files are
+     * skipped, because their object URLs are invalid outside of current session.
+     * @param {String} alias Format alias
+     * @private
+     */
+    _onExport: function (alias) {
+        var playlist = this.playlists && this.tracks ? this.playlists.get(this.tracks.playlist) : null;
+        var tracks   = this.tracks ? _.invoke(this.tracks.reject(function (track) {return track.isLocal();}), 'toJSON') : null;
+        var file     = tracks ? this._converter.serialize(tracks, alias, playlist ? playlist.get('name') : null) : null;
+        var view     = this.findView('player.ImportExport');
+
+        if (file && view) {
+            view.download(file);
+        }
+    },
+
+    /**
+     * 'create' event handler of playlists sidebar. Asks a name and creates new playlist. Created
+     * playlist becomes active.
+     * @private
+     */
+    _onCreatePlaylist: function () {
+        if (!this.playlists) {
+            return;
+        }
+        this._ask('New playlist', 'Please input a playlist name:', '', function (name) {
+            var me = this;
+
+            this._createPlaylist(name).done(function (playlist) {
+                me._selectPlaylist(playlist);
+            });
+        });
+    },
+
+    /**
+     * 'rename' event handler of playlists sidebar
+     * @param {App.model.player.Playlist} playlist Active playlist
+     * @private
+     */
+    _onRenamePlaylist: function (playlist) {
+        this._ask('Rename playlist', 'Please input new playlist name:', playlist.get('name'), function (name) {
+            playlist.save({name: name});
+        });
+    },
+
+    /**
+     * 'duplicate' event handler of playlists sidebar. Creates new playlist with copies of all
+     * tracks of active one. Copy becomes active. Local files are skipped, because their object
+     * URLs aren't stored and are revoked together with the tracks of active playlist.
+     * @param {App.model.player.Playlist} playlist Active playlist
+     * @private
+     */
+    _onDuplicatePlaylist: function (playlist) {
+        if (!this.playlists) {
+            return;
+        }
+        this._ask('Duplicate playlist', 'Please input a name of the copy:', playlist.get('name') + ' copy', function (name) {
+            var me = this;
+
+            $.when(playlist.fetchTracks(), this._createPlaylist(name)).done(function (tracks, copy) {
+                var copies = copy.getTracks();
+
+                tracks.each(function (track) {
+                    if (!track.isLocal()) {
+                        copies.create(_.omit(track.toJSON(), 'id', 'playlist'));
+                    }
+                });
+                me._selectPlaylist(copy);
+            });
+        });
+    },
+
+    /**
+     * 'remove' event handler of playlists sidebar. Deletes active playlist with all it's tracks
+     * after confirmation. The last playlist can't be deleted.
+     * @param {App.model.player.Playlist} playlist Active playlist
+     * @private
+     */
+    _onRemovePlaylist: function (playlist) {
+        if (!this.playlists || this.playlists.length < 2) {
+            this.trigger('debug', 'The last playlist can\'t be deleted in controller "' + this.className + '"');
+            return;
         }
+        this._ask('Delete playlist', 'Delete playlist "' + playlist.get('name') + '" with all it\'s tracks?', null, function () {
+            playlist.fetchTracks().done(function (tracks) {
+                _.invoke(tracks.toArray(), 'destroy');
+            });
+            playlist.destroy();
+        });
+    },
+
+    /**
+     * Opens playlist dialog with a question. Answer handler is called only if user has submitted the form
+     * @param {String} title Title of the dialog
+     * @param {String} message Question for user
+     * @param {String|null} name Initial playlist name or null for confirmation
+     * @param {Function} fn Answer handler. Is called with the name in scope of this controller
+     * @private
+     */
+    _ask: function (title, message, name, fn) {
+        var dialog = this.findView('Dialog[cls=playlist-dialog]');
+        var form   = this.findView('Dialog[cls=playlist-dialog] player.PlaylistForm');
+
+        if (!dialog || !form) {
+            this.trigger('error', 'Playlist dialog not found in controller "' + this.className + '"');
+            return;
+        }
+        this._answer = fn;
+        dialog.setTitle(title);
+        form.ask(message, name);
+        dialog.open();
+    },
+
+    /**
+     * 'submit' event handler of playlist form. Closes the dialog and calls answer handler
+     * @param {String|null} name Playlist name or null for confirmation
+     * @private
+     */
+    _onPlaylistFormSubmit: function (name) {
+        var fn = this._answer;
+
+        this._onPlaylistFormCancel();
+        if (fn) {
+            fn.call(this, name);
+        }
+    },
+
+    /**
+     * 'cancel' event handler of playlist form. Closes the dialog without answer
+     * @private
+     */
+    _onPlaylistFormCancel: function () {
+        var dialog = this.findView('Dialog[cls=playlist-dialog]');
+
+        this._answer = null;
+        if (dialog) {
+            dialog.close();
+        }
+    },
+
+    /**
+     * 'close' event handler of playlist dialog. Question is dropped, if user has closed the dialog
+     * @private
+     */
+    _onPlaylistDialogClose: function () {
+        this._answer = null;
+    },
+
+    /**
+     * Creates and stores new playlist. Playlist is added into the collection after storing,
+     * because it's tracks need an id of the playlist.
+     * @param {String} name Name of the playlist
+     * @returns {jQuery.Promise} Promise of created playlist
+     * @private
+     */
+    _createPlaylist: function (name) {
+        var deferred = $.Deferred();
+
+        this.playlists.create({name: name}, {
+            wait   : true,
+            success: function (playlist) {
+                deferred.resolve(playlist);
+            },
+            error  : function () {
+                deferred.reject();
+            }
+        });
+
+        return deferred.promise();
+    },
+
+    /**
+     * Selects the playlist in the sidebar. Sidebar fires select event, which makes it active
+     * @param {App.model.player.Playlist} playlist Playlist to select
+     * @private
+     */
+    _selectPlaylist: function (playlist) {
+        var sidebar = this.findView('player.PlaylistSidebar');
+
+        if (sidebar) {
+            sidebar.select(playlist);
+        }
+    },
+
+    /**
+     * Checks if the browser can play audio of specified MIME type
+     * @param {String} type MIME type. e.g.: 'audio/mpeg'
+     * @returns {Boolean}
+     * @private
+     */
+    _canPlay: function (type) {
+        var probe = this._probe;
+
+        return N13.isString(type) && type !== '' && !!probe && N13.isFunction(probe.canPlayType) && probe.canPlayType(type) !== '';
+    },
+
+    /**
+     * Binds event handlers to the tracks collection and starts loading of tags and durations of it's tracks
+     * @param {App.collection.player.Track} tracks Tracks collection
+     * @private
+     */
+    _bindTracks: function (tracks) {
+        this.listenTo(tracks, 'invalid', this._onInvalidTrack);
+        this.listenTo(tracks, 'add', this._onAddTrack);
+        this.listenTo(tracks, 'remove', this._onRemoveTrack);
+        this.listenTo(tracks, 'reset', this._onResetTracks);
+        this.listenTo(tracks, 'add remove reset change:duration', this._updateFooter);
+        this._onResetTracks(tracks);
+        this._updateFooter();
+    },
+
+    /**
+     * Removes event handlers of the tracks collection and cancels loading of tags and durations
+     * @param {App.collection.player.Track} tracks Tracks collection
+     * @private
+     */
+    _unbindTracks: function (tracks) {
+        this.stopListening(tracks, 'invalid add remove reset change:duration');
+        this._loader.clear();
+        this._duration.clear();
+        this._probed   = {};
+        this._measured = {};
+    },
+
+    /**
+     * Tracks collection 'add' event handler. Loads tags and duration of the track
+     * @param {App.model.player.Track} track Added track
+     * @private
+     */
+    _onAddTrack: function (track) {
+        this._loadTags(track);
+        this._loadDuration(track);
+    },
+
+    /**
+     * Tracks collection 'remove' event handler. Releases local file of the track. It's object URL
+     * is revoked by the collection
+     * @param {App.model.player.Track} track Removed track
+     * @private
+     */
+    _onRemoveTrack: function (track) {
+        delete this._files[track.get('url')];
+    },
+
+    /**
+     * Tracks collection 'reset' event handler. Releases local files of previous tracks and loads
+     * tags and durations of all tracks
+     * @param {App.collection.player.Track} tracks Tracks collection
+     * @param {Object=} options Options of reset() method. previousModels contains removed tracks
+     * @private
+     */
+    _onResetTracks: function (tracks, options) {
+        _.each(options && options.previousModels, this._onRemoveTrack, this);
+        tracks.each(this._onAddTrack, this);
+    },
+
+    /**
+     * Loads tags of the track in background and sets them to the track. Tags are loaded only once,
+     * so tagged tracks and tracks, which were already requested in this session, are skipped.
+     * @param {App.model.player.Track} track Track
+     * @private
+     */
+    _loadTags: function (track) {
+        var url  = track.get('url');
+        var file = this._files[url];
+        var me   = this;
+
+        if (track.get('tagged') || this._probed[url]) {
+            return;
+        }
+        this._probed[url] = true;
+        this._loader.load(file || url).done(function (tags) {
+            var attrs = {tagged: true};
+
+            _.each(tags, function (value, key) {
+                if (value !== null && (!track.get(key) || key === 'title' && file && track.get(key) === file.name)) {
+                    attrs[key] = value;
+                }
+            });
+            me._update(track, attrs);
+        }).fail(function (reason) {
+            me.trigger('debug', 'Tags of track "' + url + '" weren\'t loaded in controller "' + me.className + '": ' + reason);
+        });
+    },
+
+    /**
+     * Probes duration of the track in background and sets it to the track. Tracks with known duration
+     * and tracks, which were already probed in this session, are skipped.
+     * @param {App.model.player.Track} track Track
+     * @private
+     */
+    _loadDuration: function (track) {
+        var url = track.get('url');
+        var me  = this;
+
+        if (track.get('duration') !== null || this._measured[url]) {
+            return;
+        }
+        this._measured[url] = true;
+        this._duration.load(url).done(function (duration) {
+            me._update(track, {duration: duration});
+        }).fail(function (reason) {
+            me.trigger('debug', 'Duration of track "' + url + '" wasn\'t loaded in controller "' + me.className + '": ' + reason);
+        });
+    },
+
+    /**
+     * Sets loaded attributes to the track. Attributes of stored tracks are stored too. Removed
+     * tracks aren't updated.
+     * @param {App.model.player.Track} track Track
+     * @param {Object} attrs Loaded attributes
+     * @private
+     */
+    _update: function (track, attrs) {
+        if (!track.collection) {
+            return;
+        }
+        if (track.isNew()) {
+            track.set(attrs, {validate: true});
+        } else {
+            track.save(attrs);
+        }
+    },
+
+    /**
+     * Bus 'player:track:selected' handler. Remembers current track for remaining time of the playlist.
+     * Queued copy of the track is replaced by it's playlist track
+     * @param {App.model.player.Track} track Selected track
+     * @private
+     */
+    _onTrackSelected: function (track) {
+        this._curTrack = track.getOriginal();
+        this._time     = 0;
+        this._updateFooter();
+    },
+
+    /**
+     * Bus 'player:track:time' handler. Updates remaining time of the playlist. Duration, reported by
+     * the player, is set to current track, if it wasn't loaded before.
+     * @param {Object} time {time: Number, duration: Number} in seconds
+     * @private
+     */
+    _onTrackTime: function (time) {
+        var track = this._curTrack;
+
+        this._time = time.time;
+        if (track && track.get('duration') === null && isFinite(time.duration) && time.duration > 0) {
+            this._update(track, {duration: time.duration});
+        }
+        this._updateFooter();
+    },
+
+    /**
+     * Shows total and remaining time of active playlist in the playlist footer. Remaining time is
+     * calculated in playlist order from current track. It's equal to total time if current track
+     * isn't in active playlist. Tracks with unknown duration are skipped.
+     * @private
+     */
+    _updateFooter: function () {
+        var footer    = this.findView('player.PlaylistFooter');
+        var index     = this.tracks && this._curTrack ? this.tracks.indexOf(this._curTrack) : -1;
+        var time      = this._time;
+        var total     = 0;
+        var remaining = 0;
+        var unknown   = 0;
+
+        if (!footer || !this.tracks) {
+            return;
+        }
+        this.tracks.each(function (track, i) {
+            var duration = track.get('duration');
+
+            if (duration === null) {
+                unknown++;
+                return;
+            }
+            total     += duration;
+            remaining += i > index ? duration : (i === index ? Math.max(duration - time, 0) : 0);
+        });
+        footer.setTime(total, remaining, unknown);
+    },
+
+    /**
+     * Tracks collection 'invalid' event handler. Is called if user has added or changed track with invalid
+     * attributes. Track will not be added or changed in this case. The event may be fired by collection
+     * itself or by one of it's models, but in both cases options contain an array of errors. Errors are
+     * passed to listeners of this controller by 'invalid' event.
+     * @param {App.collection.player.Track|App.model.player.Track} target Collection or model
+     * @param {Object|Array} attrs Attributes of invalid track or array of errors
+     * @param {Object} options Options of add() or set() method. validationError property contains array of errors
+     * @private
+     */
+    _onInvalidTrack: function (target, attrs, options) {
+        var errors = options && options.validationError || [];
+
+        this.trigger('invalid', errors, target);
     }
 });
\ No newline at end of file
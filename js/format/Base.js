@@ -0,0 +1,155 @@
+/**
+ * Base class for playlist formats of App.format.Converter. Format parses playlist file text into track attributes
+ * (url, title, artist and duration in seconds) and serializes tracks back into the text. Parsing doesn't stop on
+ * errors. Entries, which can't be parsed, are skipped and reported. Every report item is:
+ *
+ *     line    {Number} Line number of text formats (starting from 1) or track number of XML and JSON formats
+ *     text    {String} Source text of the line or entry
+ *     message {String} Error description
+ *
+ * All formats should be derived from this one and should implement all methods marked with @interface.
+ *
+ * Usage:
+ *     var format = new App.format.M3u();
+ *     var result = format.parse('#EXTM3U\n#EXTINF:60,Artist - Title\ntrack.mp3');
+ *
+ *     result.entries[0].attrs;  // {url: 'track.mp3', title: 'Title', artist: 'Artist', duration: 60}
+ *     format.serialize([{url: 'track.mp3'}], 'Favorites');
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.Base', {
+    mixins : {iface: 'App.mixin.Interface'},
+    configs: {
+        /**
+         * {String} Human readable name of the format
+         */
+        title     : '',
+        /**
+         * {Array} File extensions without dot. First one is used for exported files
+         */
+        extensions: [],
+        /**
+         * {String} MIME type of exported files
+         */
+        mimeType  : 'text/plain'
+    },
+
+
+    /**
+     * @interface
+     * Returns true if the text looks like a playlist of this format. It's used if format can't be
+     * detected by file extension.
+     * @param {String} text Playlist text
+     * @returns {Boolean}
+     */
+    detect   : function () {
+        return false;
+    },
+    /**
+     * @interface
+     * Parses playlist text
+     * @param {String} text Playlist text
+     * @returns {Object} Result: {entries: Array of {line: Number, text: String, attrs: Object}, errors: Array}.
+     * See class description for details about errors
+     */
+    parse    : function () {
+        return {entries: [], errors: [{line: 0, text: '', message: 'Method parse() isn\'t implemented'}]};
+    },
+    /**
+     * @interface
+     * Creates playlist text
+     * @param {Array} tracks Array of track attributes
+     * @param {String=} title Title of the playlist
+     * @returns {String}
+     */
+    serialize: function () {
+        return '';
+    },
+
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+    },
+
+    /**
+     * Returns true if the file name has one of the extensions of this format
+     * @param {String} fileName File name or URL
+     * @returns {Boolean}
+     */
+    hasExtension: function (fileName) {
+        var match = N13.isString(fileName) ? fileName.match(/\.([a-z0-9]+)$/i) : null;
+
+        return !!match && _.contains(this.extensions, match[1].toLowerCase());
+    },
+
+
+    /**
+     * Splits 'Artist - Title' string into attributes. Whole string is a title if there is no separator
+     * @param {String} name Track name
+     * @returns {Object} {artist: String|null, title: String|null}
+     * @private
+     */
+    _splitName: function (name) {
+        var index;
+
+        name  = N13.isString(name) ? $.trim(name) : '';
+        index = name.indexOf(' - ');
+        if (index === -1) {
+            return {artist: null, title: name || null};
+        }
+
+        return {artist: $.trim(name.substr(0, index)) || null, title: $.trim(name.substr(index + 3)) || null};
+    },
+
+    /**
+     * Creates 'Artist - Title' string from track attributes
+     * @param {Object} track Track attributes
+     * @returns {String} Track name or empty string if track has no title
+     * @private
+     */
+    _joinName: function (track) {
+        if (track.artist && track.title) {
+            return track.artist + ' - ' + track.title;
+        }
+
+        return track.title || '';
+    },
+
+    /**
+     * Converts duration of the playlist into seconds. Negative or invalid values mean unknown duration
+     * @param {*} value Duration
+     * @param {Number=} scale Amount of source units in one second. 1 by default
+     * @returns {Number|null} Duration in seconds or null if it's unknown
+     * @private
+     */
+    _toSeconds: function (value, scale) {
+        var number = $.isNumeric(value) ? +value : -1;
+
+        return number >= 0 ? number / (scale || 1) : null;
+    },
+
+    /**
+     * Splits the text into lines. Byte order mark and all kinds of line ends are supported
+     * @param {String} text Playlist text
+     * @returns {Array} Lines without line ends
+     * @private
+     */
+    _lines: function (text) {
+        return this._clean(text).split(/\r\n|\r|\n/);
+    },
+
+    /**
+     * Converts the value into a string and removes byte order mark
+     * @param {String} text Playlist text
+     * @returns {String}
+     * @private
+     */
+    _clean: function (text) {
+        return String(text).replace(/^\uFEFF/, '');
+    }
+});
\ No newline at end of file
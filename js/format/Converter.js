@@ -0,0 +1,199 @@
+/**
+ * Imports and exports playlists in different formats (see App.format.Base). Available formats:
+ *
+ *     Jspf JSON Shareable Playlist Format (App.format.Jspf)
+ *     Xspf XML Shareable Playlist Format (App.format.Xspf)
+ *     Pls  PLS playlist (App.format.Pls)
+ *     M3u  M3U and M3U8 playlists with #EXTINF lines (App.format.M3u)
+ *
+ * Format of imported text is detected by file extension. If there is no file name (e.g. pasted text) or
+ * extension is unknown, then format is detected by the text itself. Formats are checked in order of formats
+ * config. M3u should be the last one, because any list of URLs is a valid M3U playlist. Parsed tracks are
+ * validated by the model (see model config), so the result contains only tracks, which may be added into
+ * the collection. All skipped entries are reported with line numbers.
+ *
+ * Usage:
+ *     var converter = new App.format.Converter();
+ *     var result    = converter.parse(text, 'favorites.m3u');
+ *
+ *     tracks.add(result.tracks);
+ *     _.each(result.errors, function (e) {console.log(e.line + ': ' + e.message);});
+ *     converter.serialize(tracks.toJSON(), 'Pls', 'Favorites');  // {text, fileName, mimeType}
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.Converter', {
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    requires: [
+        'App.format.Jspf',
+        'App.format.M3u',
+        'App.format.Pls',
+        'App.format.Xspf',
+        'App.model.player.Track'
+    ],
+    configs : {
+        /**
+         * {Array} Format aliases in order of detection
+         */
+        formats  : ['Jspf', 'Xspf', 'Pls', 'M3u'],
+        /**
+         * {String} Prefix namespace for all formats. This prefix + alias will produce full format class name
+         */
+        formatNs : 'App.format',
+        /**
+         * {String|Function|null} Alias of the model class without modelNs prefix or model class itself.
+         * Parsed tracks are validated by it's schema. null means that tracks aren't validated
+         */
+        model    : 'player.Track',
+        /**
+         * {String} Prefix namespace of the models
+         */
+        modelNs  : 'App.model',
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners: {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Object} Format instances. Key is an alias
+         * @private
+         */
+        this._formats = {};
+    },
+
+    /**
+     * @constructor
+     * Creates all formats
+     */
+    init: function () {
+        var me = this;
+
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        _.each(this.formats, function (alias) {
+            var Format = N13.isString(alias) ? N13.ns(me.formatNs + '.' + alias, false) : null;
+
+            if (N13.isFunction(Format)) {
+                me._formats[alias] = new Format();
+            } else {
+                me.trigger('error', 'Invalid format "' + alias + '" in class "' + me.className + '"');
+            }
+        });
+    },
+
+    /**
+     * Returns format by alias
+     * @param {String} alias Format alias. e.g.: 'M3u'
+     * @returns {App.format.Base|null} Format or null if it's unknown
+     */
+    getFormat: function (alias) {
+        return this._formats.hasOwnProperty(alias) ? this._formats[alias] : null;
+    },
+
+    /**
+     * @returns {Array} Aliases of available formats in order of detection
+     */
+    getFormats: function () {
+        return _.keys(this._formats);
+    },
+
+    /**
+     * Detects format by file extension or by the text
+     * @param {String} text Playlist text
+     * @param {String=} fileName File name
+     * @returns {String|null} Format alias or null if format wasn't detected
+     */
+    detect: function (text, fileName) {
+        var formats = this._formats;
+
+        return _.find(this.getFormats(), function (alias) {return formats[alias].hasExtension(fileName);}) ||
+               _.find(this.getFormats(), function (alias) {return formats[alias].detect(text);}) || null;
+    },
+
+    /**
+     * Parses playlist text and validates parsed tracks. Invalid tracks are reported as errors. If format wasn't
+     * detected, then the text is parsed as M3U (list of URLs).
+     * @param {String} text Playlist text
+     * @param {String=} fileName File name. It's used for format detection
+     * @returns {Object} {format: String|null, tracks: Array of attributes, errors: Array of {line, text, message}}
+     */
+    parse: function (text, fileName) {
+        var alias  = this.detect(text, fileName) || (this.getFormat('M3u') ? 'M3u' : null);
+        var Model  = this._resolveModel();
+        var tracks = [];
+        var result;
+        var errors;
+
+        if (!alias) {
+            return {format: null, tracks: [], errors: [{line: 0, text: '', message: 'Unknown playlist format'}]};
+        }
+
+        result = this._formats[alias].parse(N13.isString(text) ? text : '');
+        errors = result.errors;
+        _.each(result.entries, function (entry) {
+            var attrs   = _.pick(entry.attrs, _.filter(_.keys(entry.attrs), function (key) {return entry.attrs[key] !== null;}));
+            var model   = Model ? new Model(attrs, {validate: false}) : null;
+            var invalid = model ? model.validate(model.attributes) : null;
+
+            if (invalid) {
+                errors.push({line: entry.line, text: entry.text, message: _.pluck(invalid, 'message').join('. ')});
+            } else {
+                tracks.push(attrs);
+            }
+        });
+        this.trigger('debug', 'Playlist was parsed as "' + alias + '": ' + tracks.length + ' tracks, ' + errors.length + ' errors');
+
+        return {format: alias, tracks: tracks, errors: _.sortBy(errors, 'line')};
+    },
+
+    /**
+     * Creates playlist file of specified format
+     * @param {Array} tracks Array of track attributes
+     * @param {String} alias Format alias
+     * @param {String=} title Title of the playlist. It's used as a file name also
+     * @returns {Object|null} {text: String, fileName: String, mimeType: String} or null if format is unknown
+     */
+    serialize: function (tracks, alias, title) {
+        var format = this.getFormat(alias);
+
+        if (!format) {
+            this.trigger('error', 'Unknown format "' + alias + '" in class "' + this.className + '"');
+            return null;
+        }
+
+        return {
+            text    : format.serialize(tracks, title),
+            fileName: (title || 'playlist').replace(/[\\\/:*?"<>|]+/g, '_') + '.' + format.extensions[0],
+            mimeType: format.mimeType
+        };
+    },
+
+    /**
+     * Destroys the converter. Removes all event handlers.
+     */
+    destroy: function () {
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Returns model class by model config
+     * @returns {Function|null} Model class or null if tracks shouldn't be validated
+     * @private
+     */
+    _resolveModel: function () {
+        var Model = N13.isString(this.model) ? N13.ns(this.modelNs + '.' + this.model, false) : this.model;
+
+        return N13.isFunction(Model) ? Model : null;
+    }
+});
\ No newline at end of file
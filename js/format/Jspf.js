@@ -0,0 +1,109 @@
+/**
+ * JSPF (JSON Shareable Playlist Format) playlist. It's a JSON version of XSPF: {playlist: {title, track: []}}.
+ * location of the track may be a string or an array of strings. Only first location is used. title, creator
+ * (artist) and duration (in milliseconds) are optional. Errors are reported with track numbers instead of
+ * line numbers.
+ *
+ * Example:
+ *     {"playlist": {"title": "Favorites", "track": [{"location": ["http://example.com/track.mp3"], "duration": 215000}]}}
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.Jspf', {
+    extend : 'App.format.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the format
+         */
+        title     : 'JSPF',
+        /**
+         * {Array} File extensions without dot. First one is used for exported files
+         */
+        extensions: ['jspf', 'json'],
+        /**
+         * {String} MIME type of exported files
+         */
+        mimeType  : 'application/json'
+    },
+
+
+    /**
+     * @override
+     * Checks JSON object with playlist property
+     * @param {String} text Playlist text
+     * @returns {Boolean}
+     */
+    detect: function (text) {
+        return /^\s*\{\s*"playlist"/.test(this._clean(text));
+    },
+
+    /**
+     * @override
+     * Parses JSON document. Invalid JSON is reported as one error
+     * @param {String} text Playlist text
+     * @returns {Object} {entries: Array, errors: Array}
+     */
+    parse: function (text) {
+        var entries = [];
+        var errors  = [];
+        var me      = this;
+        var data;
+
+        try {
+            data = JSON.parse(this._clean(text));
+        } catch (e) {
+            return {entries: [], errors: [{line: 0, text: '', message: 'Invalid JSON document: ' + e.message}]};
+        }
+        if (!N13.isObject(data) || !N13.isObject(data.playlist) || !N13.isArray(data.playlist.track)) {
+            return {entries: [], errors: [{line: 0, text: '', message: 'Document has no playlist.track array'}]};
+        }
+
+        _.each(data.playlist.track, function (track, i) {
+            var url = N13.isObject(track) ? (N13.isArray(track.location) ? track.location[0] : track.location) : null;
+
+            if (!N13.isString(url) || $.trim(url) === '') {
+                errors.push({line: i + 1, text: JSON.stringify(track), message: 'Track ' + (i + 1) + ' has no location'});
+                return;
+            }
+            entries.push({line: i + 1, text: url, attrs: {
+                url     : $.trim(url),
+                title   : N13.isString(track.title) ? track.title : null,
+                artist  : N13.isString(track.creator) ? track.creator : null,
+                duration: me._toSeconds(track.duration, 1000)
+            }});
+        });
+
+        return {entries: entries, errors: errors};
+    },
+
+    /**
+     * @override
+     * Creates JSPF document
+     * @param {Array} tracks Array of track attributes
+     * @param {String=} title Title of the playlist
+     * @returns {String}
+     */
+    serialize: function (tracks, title) {
+        var playlist = {track: _.map(tracks, function (track) {
+            var item = {location: [track.url]};
+
+            if (track.title) {
+                item.title = track.title;
+            }
+            if (track.artist) {
+                item.creator = track.artist;
+            }
+            if (_.isNumber(track.duration)) {
+                item.duration = Math.round(track.duration * 1000);
+            }
+
+            return item;
+        })};
+
+        if (title) {
+            playlist = _.extend({title: title}, playlist);
+        }
+
+        return JSON.stringify({playlist: playlist}, null, 4) + '\n';
+    }
+});
\ No newline at end of file
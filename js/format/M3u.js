@@ -0,0 +1,96 @@
+/**
+ * M3U and M3U8 playlist format. Every not empty line, which doesn't start with '#', is a track URL. Extended
+ * M3U information line (#EXTINF:duration,Artist - Title) describes the next URL. Duration is set in seconds.
+ * -1 means unknown duration. All other lines, which start with '#', are directives or comments and they are
+ * skipped. M3U8 differs only by UTF-8 encoding, so it's supported by the same class.
+ *
+ * Example:
+ *     #EXTM3U
+ *     #EXTINF:215,Artist - Title
+ *     http://example.com/track.mp3
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.M3u', {
+    extend : 'App.format.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the format
+         */
+        title     : 'M3U',
+        /**
+         * {Array} File extensions without dot. First one is used for exported files
+         */
+        extensions: ['m3u8', 'm3u'],
+        /**
+         * {String} MIME type of exported files
+         */
+        mimeType  : 'audio/x-mpegurl'
+    },
+
+
+    /**
+     * @override
+     * Any text without tags may be a list of URLs, so only #EXTM3U header is checked
+     * @param {String} text Playlist text
+     * @returns {Boolean}
+     */
+    detect: function (text) {
+        return /^\s*#EXTM3U/i.test(this._lines(text)[0]);
+    },
+
+    /**
+     * @override
+     * Parses URL lines and #EXTINF lines before them
+     * @param {String} text Playlist text
+     * @returns {Object} {entries: Array, errors: Array}
+     */
+    parse: function (text) {
+        var lines   = this._lines(text);
+        var entries = [];
+        var errors  = [];
+        var info    = null;
+        var match;
+        var line;
+        var i;
+        var len;
+
+        for (i = 0, len = lines.length; i < len; i++) {
+            line = $.trim(lines[i]);
+            if (line === '') {
+                continue;
+            }
+            if (/^#EXTINF:/i.test(line)) {
+                match = line.match(/^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i);
+                if (match) {
+                    info = _.extend(this._splitName(match[2]), {duration: this._toSeconds(match[1])});
+                } else {
+                    errors.push({line: i + 1, text: lines[i], message: 'Invalid #EXTINF line. "#EXTINF:duration,Artist - Title" is expected'});
+                }
+            } else if (line.charAt(0) !== '#') {
+                entries.push({line: i + 1, text: lines[i], attrs: _.extend({url: line}, info)});
+                info = null;
+            }
+        }
+
+        return {entries: entries, errors: errors};
+    },
+
+    /**
+     * @override
+     * Creates extended M3U with #EXTINF line for every track
+     * @param {Array} tracks Array of track attributes
+     * @returns {String}
+     */
+    serialize: function (tracks) {
+        var me    = this;
+        var lines = ['#EXTM3U'];
+
+        _.each(tracks, function (track) {
+            lines.push('#EXTINF:' + (_.isNumber(track.duration) ? Math.round(track.duration) : -1) + ',' + me._joinName(track));
+            lines.push(track.url);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * PLS playlist format. It's an INI file with one [playlist] section. Every track has a number N and it's
+ * described by FileN (URL), TitleN (optional name) and LengthN (optional duration in seconds, -1 means unknown)
+ * keys. Lines starting with ';' are comments.
+ *
+ * Example:
+ *     [playlist]
+ *     File1=http://example.com/track.mp3
+ *     Title1=Artist - Title
+ *     Length1=215
+ *     NumberOfEntries=1
+ *     Version=2
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.Pls', {
+    extend : 'App.format.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the format
+         */
+        title     : 'PLS',
+        /**
+         * {Array} File extensions without dot. First one is used for exported files
+         */
+        extensions: ['pls'],
+        /**
+         * {String} MIME type of exported files
+         */
+        mimeType  : 'audio/x-scpls'
+    },
+
+
+    /**
+     * @override
+     * Checks [playlist] section header
+     * @param {String} text Playlist text
+     * @returns {Boolean}
+     */
+    detect: function (text) {
+        return /^\s*\[playlist\]/i.test(this._lines(text)[0]);
+    },
+
+    /**
+     * @override
+     * Collects FileN, TitleN and LengthN keys of every track. Tracks are returned in order of their numbers
+     * @param {String} text Playlist text
+     * @returns {Object} {entries: Array, errors: Array}
+     */
+    parse: function (text) {
+        var lines   = this._lines(text);
+        var tracks  = {};
+        var errors  = [];
+        var me      = this;
+        var match;
+        var track;
+        var line;
+        var i;
+        var len;
+
+        for (i = 0, len = lines.length; i < len; i++) {
+            line = $.trim(lines[i]);
+            if (line === '' || line.charAt(0) === ';' || /^\[playlist\]$/i.test(line) || /^(NumberOfEntries|Version)=/i.test(line)) {
+                continue;
+            }
+            match = line.match(/^(File|Title|Length)(\d+)=(.*)$/i);
+            if (!match) {
+                errors.push({line: i + 1, text: lines[i], message: 'Unknown line. "FileN=", "TitleN=" or "LengthN=" is expected'});
+                continue;
+            }
+            track = tracks[match[2]] || (tracks[match[2]] = {number: +match[2], line: i + 1, text: lines[i]});
+            track[match[1].toLowerCase()] = $.trim(match[3]);
+            if (match[1].toLowerCase() === 'file') {
+                track.line = i + 1;
+                track.text = lines[i];
+            }
+        }
+
+        return {
+            entries: _.map(_.filter(_.sortBy(tracks, 'number'), function (t) {
+                if (!t.file) {
+                    errors.push({line: t.line, text: t.text, message: 'Track ' + t.number + ' has no File' + t.number + ' line'});
+                }
+                return !!t.file;
+            }), function (t) {
+                return {line: t.line, text: t.text, attrs: _.extend({url: t.file, duration: me._toSeconds(t.length)}, me._splitName(t.title))};
+            }),
+            errors : _.sortBy(errors, 'line')
+        };
+    },
+
+    /**
+     * @override
+     * Creates PLS version 2 file
+     * @param {Array} tracks Array of track attributes
+     * @returns {String}
+     */
+    serialize: function (tracks) {
+        var me    = this;
+        var lines = ['[playlist]'];
+
+        _.each(tracks, function (track, i) {
+            var name = me._joinName(track);
+
+            lines.push('File' + (i + 1) + '=' + track.url);
+            if (name) {
+                lines.push('Title' + (i + 1) + '=' + name);
+            }
+            lines.push('Length' + (i + 1) + '=' + (_.isNumber(track.duration) ? Math.round(track.duration) : -1));
+        });
+        lines.push('NumberOfEntries=' + _.size(tracks), 'Version=2');
+
+        return lines.join('\n') + '\n';
+    }
+});
\ No newline at end of file
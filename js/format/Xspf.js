@@ -0,0 +1,113 @@
+/**
+ * XSPF (XML Shareable Playlist Format) playlist. Every <track> element of <trackList> is a track. Only first
+ * <location> of the track is used. <title>, <creator> (artist) and <duration> (in milliseconds) are optional.
+ * Errors are reported with track numbers instead of line numbers.
+ *
+ * Example:
+ *     <?xml version="1.0" encoding="UTF-8"?>
+ *     <playlist version="1" xmlns="http://xspf.org/ns/0/">
+ *         <trackList>
+ *             <track><location>http://example.com/track.mp3</location><title>Title</title></track>
+ *         </trackList>
+ *     </playlist>
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.format.Xspf', {
+    extend : 'App.format.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the format
+         */
+        title     : 'XSPF',
+        /**
+         * {Array} File extensions without dot. First one is used for exported files
+         */
+        extensions: ['xspf'],
+        /**
+         * {String} MIME type of exported files
+         */
+        mimeType  : 'application/xspf+xml'
+    },
+
+
+    /**
+     * @override
+     * Checks XML declaration or <playlist> root element
+     * @param {String} text Playlist text
+     * @returns {Boolean}
+     */
+    detect: function (text) {
+        return /^\s*(<\?xml|<playlist)/i.test(this._clean(text));
+    },
+
+    /**
+     * @override
+     * Parses XML document. Invalid XML is reported as one error
+     * @param {String} text Playlist text
+     * @returns {Object} {entries: Array, errors: Array}
+     */
+    parse: function (text) {
+        var entries = [];
+        var errors  = [];
+        var me      = this;
+        var xml;
+
+        try {
+            xml = $.parseXML($.trim(this._clean(text)));
+        } catch (e) {
+            return {entries: [], errors: [{line: 0, text: '', message: 'Invalid XML document'}]};
+        }
+
+        $(xml).find('trackList > track').each(function (i, track) {
+            var url = $.trim($(track).children('location').first().text());
+            var ms  = $.trim($(track).children('duration').first().text());
+
+            if (url === '') {
+                errors.push({line: i + 1, text: $.trim($(track).text()), message: 'Track ' + (i + 1) + ' has no <location> element'});
+                return;
+            }
+            entries.push({line: i + 1, text: url, attrs: {
+                url     : url,
+                title   : $.trim($(track).children('title').first().text()) || null,
+                artist  : $.trim($(track).children('creator').first().text()) || null,
+                duration: ms === '' ? null : me._toSeconds(ms, 1000)
+            }});
+        });
+
+        return {entries: entries, errors: errors};
+    },
+
+    /**
+     * @override
+     * Creates XSPF version 1 document
+     * @param {Array} tracks Array of track attributes
+     * @param {String=} title Title of the playlist
+     * @returns {String}
+     */
+    serialize: function (tracks, title) {
+        var lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<playlist version="1" xmlns="http://xspf.org/ns/0/">'];
+
+        if (title) {
+            lines.push('    <title>' + _.escape(title) + '</title>');
+        }
+        lines.push('    <trackList>');
+        _.each(tracks, function (track) {
+            lines.push('        <track>');
+            lines.push('            <location>' + _.escape(track.url) + '</location>');
+            if (track.title) {
+                lines.push('            <title>' + _.escape(track.title) + '</title>');
+            }
+            if (track.artist) {
+                lines.push('            <creator>' + _.escape(track.artist) + '</creator>');
+            }
+            if (_.isNumber(track.duration)) {
+                lines.push('            <duration>' + Math.round(track.duration * 1000) + '</duration>');
+            }
+            lines.push('        </track>');
+        });
+        lines.push('    </trackList>', '</playlist>');
+
+        return lines.join('\n') + '\n';
+    }
+});
\ No newline at end of file
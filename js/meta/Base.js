@@ -0,0 +1,336 @@
+/**
+ * Base class for tag parsers of App.meta.Loader. Parser reads tags of audio file from it's bytes. Bytes are
+ * passed as Uint8Array with offset of the first byte in the file, because tags may be located in the middle of
+ * the file (e.g. MP4 atoms after media data). If passed bytes don't contain all tags, then parser returns a range
+ * of the file, which should be read (see getRange() method). Parsers should be tolerant to truncated data. Tags
+ * are returned in common form:
+ *
+ *     title  {String|null} Title of the track
+ *     artist {String|null} Artist or band name
+ *     album  {String|null} Album name
+ *     number {Number|null} Number of the track in the album
+ *     year   {Number|null} Year of the recording
+ *     cover  {String|null} Embedded cover art as data URI (e.g. 'data:image/jpeg;base64,...')
+ *
+ * All parsers should be derived from this one and should implement all methods marked with @interface.
+ *
+ * Usage:
+ *     var parser = new App.meta.Id3v2();
+ *     var range  = parser.detect(bytes) ? parser.getRange(bytes, 0, null) : null;
+ *
+ *     if (!range) {
+ *         parser.parse(bytes, 0);  // {title: 'Title', artist: 'Artist', album: null, number: 1, year: 2013, cover: null}
+ *     }
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Base', {
+    mixins : {iface: 'App.mixin.Interface'},
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title   : '',
+        /**
+         * {Boolean} true means that tags are located at the end of the file. Such parsers obtain
+         * last bytes of the file (see App.meta.Loader)
+         */
+        tail    : false,
+        /**
+         * {Number} Maximum size of embedded cover art in bytes. Bigger pictures are skipped,
+         * because cover is stored with the track. 0 means that cover art isn't extracted
+         */
+        maxCover: 262144
+    },
+    statics: {
+        /**
+         * {String} Characters of base64 encoding
+         */
+        BASE64: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+    },
+
+
+    /**
+     * @interface
+     * Returns true if the bytes contain tags of this format. Bytes are first bytes of the file
+     * or last bytes for tail parsers.
+     * @param {Uint8Array} bytes Bytes of the file
+     * @returns {Boolean}
+     */
+    detect  : function () {
+        return false;
+    },
+    /**
+     * @interface
+     * Returns a range of the file, which should be read for parsing, if passed bytes don't contain all tags
+     * @param {Uint8Array} bytes Bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @param {Number|null} size Size of the file or null if it's unknown
+     * @returns {Object|null} {start: Number, end: Number} (end is exclusive) or null if bytes are enough
+     */
+    getRange: function () {
+        return null;
+    },
+    /**
+     * @interface
+     * Parses the tags
+     * @param {Uint8Array} bytes Bytes of the file
+     * @param {Number} offset Offset of the first byte in the file. Negative offset of tail parsers means
+     * position from the end of the file
+     * @returns {Object} Tags. See class description for details
+     */
+    parse   : function () {
+        return this._tags({});
+    },
+
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+    },
+
+
+    /**
+     * Creates tags object in common form. Track number and year are taken from strings like '3/12' or '2013-05-01'
+     * @param {Object} tags Raw tags: {title, artist, album, number, year, cover}
+     * @returns {Object} Tags. See class description for details
+     * @private
+     */
+    _tags: function (tags) {
+        var str = function (v) {return N13.isString(v) && $.trim(v) !== '' ? $.trim(v) : null;};
+        var num = function (v) {
+            var match = String(v === undefined || v === null ? '' : v).match(/\d+/);
+            return match && +match[0] > 0 ? +match[0] : null;
+        };
+
+        return {
+            title : str(tags.title),
+            artist: str(tags.artist),
+            album : str(tags.album),
+            number: num(tags.number),
+            year  : num(tags.year),
+            cover : N13.isString(tags.cover) ? tags.cover : null
+        };
+    },
+
+    /**
+     * Checks if the bytes contain ASCII signature at specified position
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the signature
+     * @param {String} signature Signature. e.g.: 'ID3'
+     * @returns {Boolean}
+     * @private
+     */
+    _is: function (bytes, pos, signature) {
+        var i;
+
+        if (pos < 0 || pos + signature.length > bytes.length) {
+            return false;
+        }
+        for (i = 0; i < signature.length; i++) {
+            if (bytes[pos + i] !== signature.charCodeAt(i)) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Reads big endian unsigned integer
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the first byte
+     * @param {Number} len Amount of bytes (1 - 4)
+     * @returns {Number}
+     * @private
+     */
+    _uint: function (bytes, pos, len) {
+        var value = 0;
+        var i;
+
+        for (i = 0; i < len; i++) {
+            value = value * 256 + (bytes[pos + i] || 0);
+        }
+
+        return value;
+    },
+
+    /**
+     * Reads little endian 32 bit unsigned integer
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the first byte
+     * @returns {Number}
+     * @private
+     */
+    _uint32le: function (bytes, pos) {
+        return (bytes[pos + 3] || 0) * 16777216 + (bytes[pos + 2] || 0) * 65536 + (bytes[pos + 1] || 0) * 256 + (bytes[pos] || 0);
+    },
+
+    /**
+     * Checks one bit of the byte
+     * @param {Number} value Byte value
+     * @param {Number} bit Number of the bit (0 - 7), where 0 is the lowest one
+     * @returns {Boolean}
+     * @private
+     */
+    _bit: function (value, bit) {
+        return Math.floor(value / Math.pow(2, bit)) % 2 === 1;
+    },
+
+    /**
+     * Decodes ISO-8859-1 string. Decoding stops on zero byte
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte
+     * @param {Number} end Position after the last byte
+     * @returns {String}
+     * @private
+     */
+    _latin1: function (bytes, start, end) {
+        var chars = [];
+        var i;
+
+        for (i = start, end = Math.min(end, bytes.length); i < end && bytes[i] !== 0; i++) {
+            chars.push(String.fromCharCode(bytes[i]));
+        }
+
+        return chars.join('');
+    },
+
+    /**
+     * Decodes UTF-8 string. Decoding stops on zero byte. Invalid sequences are decoded as ISO-8859-1
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte
+     * @param {Number} end Position after the last byte
+     * @returns {String}
+     * @private
+     */
+    _utf8: function (bytes, start, end) {
+        var text    = this._latin1(bytes, start, end);
+        var Decoder = window.TextDecoder;
+        var decoded;
+
+        if (N13.isFunction(Decoder)) {
+            try {
+                return new Decoder('utf-8', {fatal: true}).decode(bytes.subarray(start, start + text.length));
+            } catch (e) {
+                return text;
+            }
+        }
+        decoded = this._decodeUtf8(bytes, start, start + text.length);
+
+        return decoded === null ? text : decoded;
+    },
+
+    /**
+     * Decodes UTF-8 bytes without TextDecoder. It's used in browsers, which don't support it
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte
+     * @param {Number} end Position after the last byte
+     * @returns {String|null} Decoded string or null if bytes contain invalid sequence
+     * @private
+     */
+    _decodeUtf8: function (bytes, start, end) {
+        var chars = [];
+        var i     = start;
+        var code;
+        var extra;
+
+        while (i < end) {
+            code = bytes[i++];
+            if (code < 0x80) {
+                extra = 0;
+            } else if (code >= 0xC2 && code < 0xE0) {
+                extra = 1;
+                code -= 0xC0;
+            } else if (code >= 0xE0 && code < 0xF0) {
+                extra = 2;
+                code -= 0xE0;
+            } else if (code >= 0xF0 && code < 0xF5) {
+                extra = 3;
+                code -= 0xF0;
+            } else {
+                return null;
+            }
+            while (extra-- > 0) {
+                if (i >= end || bytes[i] < 0x80 || bytes[i] > 0xBF) {
+                    return null;
+                }
+                code = code * 64 + bytes[i++] - 0x80;
+            }
+            if (code > 0xFFFF) {
+                code -= 0x10000;
+                chars.push(String.fromCharCode(0xD800 + Math.floor(code / 1024), 0xDC00 + code % 1024));
+            } else {
+                chars.push(String.fromCharCode(code));
+            }
+        }
+
+        return chars.join('');
+    },
+
+    /**
+     * Decodes UTF-16 string. Byte order mark, if exists, overrides bigEndian argument. Decoding stops on zero character
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte
+     * @param {Number} end Position after the last byte
+     * @param {Boolean=} bigEndian true for big endian byte order without byte order mark. false by default
+     * @returns {String}
+     * @private
+     */
+    _utf16: function (bytes, start, end, bigEndian) {
+        var chars = [];
+        var code;
+        var i;
+
+        end = Math.min(end, bytes.length);
+        if (bytes[start] === 0xFE && bytes[start + 1] === 0xFF) {
+            bigEndian = true;
+            start    += 2;
+        } else if (bytes[start] === 0xFF && bytes[start + 1] === 0xFE) {
+            bigEndian = false;
+            start    += 2;
+        }
+        for (i = start; i + 1 < end; i += 2) {
+            code = bigEndian ? bytes[i] * 256 + bytes[i + 1] : bytes[i + 1] * 256 + bytes[i];
+            if (code === 0) {
+                break;
+            }
+            chars.push(String.fromCharCode(code));
+        }
+
+        return chars.join('');
+    },
+
+    /**
+     * Creates data URI of embedded picture. Pictures bigger than maxCover config are skipped
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte of the picture
+     * @param {Number} end Position after the last byte of the picture
+     * @param {String} mime MIME type of the picture. e.g.: 'image/jpeg'. Short form ('PNG', 'JPG') is also supported
+     * @returns {String|null} Data URI or null if picture is too big, truncated or isn't an image
+     * @private
+     */
+    _picture: function (bytes, start, end, mime) {
+        var abc = App.meta.Base.BASE64;
+        var out = [];
+        var n;
+        var i;
+
+        mime = String(mime || '').toLowerCase();
+        if (mime.indexOf('/') === -1) {
+            mime = 'image/' + (mime === 'png' ? 'png' : 'jpeg');
+        }
+        if (end <= start || end > bytes.length || end - start > this.maxCover || !/^image\/[a-z0-9.+\-]+$/.test(mime)) {
+            return null;
+        }
+        for (i = start; i < end; i += 3) {
+            n = bytes[i] * 65536 + (i + 1 < end ? bytes[i + 1] : 0) * 256 + (i + 2 < end ? bytes[i + 2] : 0);
+            out.push(abc.charAt(Math.floor(n / 262144)) + abc.charAt(Math.floor(n / 4096) % 64) + (i + 1 < end ? abc.charAt(Math.floor(n / 64) % 64) : '=') + (i + 2 < end ? abc.charAt(n % 64) : '='));
+        }
+
+        return 'data:' + mime + ';base64,' + out.join('');
+    }
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Loads durations of audio files in background. Every file is probed by detached audio element with
+ * preload="metadata", so browser reads only headers of the file (not the whole file). Element is released
+ * after metadata loading, error or timeout. Probes are run by App.util.TaskQueue with limited concurrency.
+ * Streams and files without known duration are rejected.
+ *
+ * Usage:
+ *     var duration = new App.meta.Duration({concurrency: 2, timeout: 15000});
+ *
+ *     duration.load('http://example.com/track.mp3').done(function (seconds) {track.set('duration', seconds);});
+ *     duration.clear();   // cancels all waiting probes
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Duration', {
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    requires: ['App.util.TaskQueue'],
+    configs : {
+        /**
+         * {Number} Maximum amount of simultaneously probed files
+         */
+        concurrency: 2,
+        /**
+         * {Number} Timeout of probing of one file in milliseconds. 0 means no timeout
+         */
+        timeout    : 15000,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners  : {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {App.util.TaskQueue|null} Queue of probes
+         * @private
+         */
+        this._queue = null;
+    },
+
+    /**
+     * @constructor
+     * Creates the queue
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        this._queue = new App.util.TaskQueue({concurrency: this.concurrency, timeout: this.timeout});
+    },
+
+    /**
+     * Loads duration of the file. Probe is started in background, when there is a free place in the queue
+     * @param {String} url URL of the file. Object URLs of local files are also supported
+     * @returns {jQuery.Promise} Promise of duration in seconds
+     */
+    load: function (url) {
+        var me = this;
+
+        return this._queue.add(function () {return me._probe(url);});
+    },
+
+    /**
+     * Cancels all waiting and running probes. Their promises are rejected with 'cancelled' reason
+     */
+    clear: function () {
+        this._queue.clear();
+    },
+
+    /**
+     * Destroys the loader. All probes are cancelled
+     */
+    destroy: function () {
+        this._queue.destroy();
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Probes duration of one file by detached audio element
+     * @param {String} url URL of the file
+     * @returns {jQuery.Promise} Promise of duration with abort() method
+     * @private
+     */
+    _probe: function (url) {
+        var deferred = $.Deferred();
+        var promise  = deferred.promise();
+        var audio    = this._createElement();
+        var release  = function () {
+            audio.onloadedmetadata = audio.onerror = null;
+            audio.removeAttribute('src');
+            if (N13.isFunction(audio.load)) {
+                audio.load();
+            }
+        };
+
+        if (!audio) {
+            return deferred.reject('Audio element isn\'t supported').promise();
+        }
+        audio.onloadedmetadata = function () {
+            var duration = audio.duration;
+
+            release();
+            if (isFinite(duration) && duration >= 0) {
+                deferred.resolve(duration);
+            } else {
+                deferred.reject('Duration of "' + url + '" is unknown');
+            }
+        };
+        audio.onerror = function () {
+            release();
+            deferred.reject('Metadata of "' + url + '" can\'t be loaded');
+        };
+        audio.preload = 'metadata';
+        audio.src     = url;
+        promise.abort = function () {
+            release();
+            deferred.reject('aborted');
+        };
+
+        return promise;
+    },
+
+    /**
+     * Creates detached audio element for probing
+     * @returns {HTMLAudioElement|null} Element or null if audio isn't supported
+     * @private
+     */
+    _createElement: function () {
+        var audio = document.createElement('audio');
+
+        return N13.isFunction(audio.canPlayType) ? audio : null;
+    }
+});
\ No newline at end of file
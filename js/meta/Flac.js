@@ -0,0 +1,103 @@
+/**
+ * Tags of FLAC files. File starts with 'fLaC' signature and metadata blocks. Every block has 4 bytes header:
+ * last block flag with block type and 24 bit size of the block. Tags are taken from VORBIS_COMMENT block (type 4)
+ * and cover art from PICTURE blocks (type 6). See App.meta.Vorbis for details about comments.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Flac', {
+    extend : 'App.meta.Vorbis',
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title: 'FLAC'
+    },
+    statics: {
+        /**
+         * {Number} Type of VORBIS_COMMENT block
+         */
+        COMMENT: 4,
+        /**
+         * {Number} Type of PICTURE block
+         */
+        PICTURE: 6
+    },
+
+
+    /**
+     * @override
+     * Checks 'fLaC' signature
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Boolean}
+     */
+    detect: function (bytes) {
+        return this._is(bytes, 0, 'fLaC');
+    },
+
+    /**
+     * @override
+     * All metadata blocks should be read. If the header of the next block isn't read yet, then
+     * only this header is requested
+     * @param {Uint8Array} bytes First bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @returns {Object|null}
+     */
+    getRange: function (bytes, offset) {
+        var end = offset === 0 ? this._walk(bytes, N13.emptyFn) : 0;
+
+        return end > bytes.length ? {start: 0, end: end} : null;
+    },
+
+    /**
+     * @override
+     * Parses comment and picture blocks
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Object} Tags
+     */
+    parse: function (bytes) {
+        var Flac  = App.meta.Flac;
+        var tags  = {};
+        var me    = this;
+        var cover = null;
+
+        if (!this.detect(bytes)) {
+            return this._tags({});
+        }
+        this._walk(bytes, function (type, start, end) {
+            var picture;
+
+            if (type === Flac.COMMENT && end <= bytes.length) {
+                tags = me._comments(bytes, start, end);
+            } else if (type === Flac.PICTURE && (picture = me._flacPicture(bytes, start, end)) && (!cover || picture.front)) {
+                cover = picture.uri;
+            }
+        });
+
+        return this._tags(cover ? _.extend(tags, {cover: cover}) : tags);
+    },
+
+
+    /**
+     * Walks through metadata blocks, which are fully or partially read
+     * @param {Uint8Array} bytes First bytes of the file
+     * @param {Function} fn Callback for every block. Obtains block type, position of block data and position after the block
+     * @returns {Number} Position after the last metadata block or after the first header, which isn't read yet
+     * @private
+     */
+    _walk: function (bytes, fn) {
+        var pos = 4;
+        var end;
+
+        while (pos + 4 <= bytes.length) {
+            end = pos + 4 + this._uint(bytes, pos + 1, 3);
+            fn(bytes[pos] % 128, pos + 4, end);
+            if (this._bit(bytes[pos], 7)) {
+                return end;
+            }
+            pos = end;
+        }
+
+        return pos + 4;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * ID3v1 and ID3v1.1 tags. Tag is located in the last 128 bytes of the file and starts with 'TAG' signature.
+ * All fields have fixed size and ISO-8859-1 encoding. ID3v1.1 keeps track number in the last byte of the
+ * comment field, if the byte before it is zero. Cover art isn't supported by this format.
+ *
+ *     0   3  title   33  artist  63  album   93  year  97  comment  125  0  126  track  127  genre
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Id3v1', {
+    extend : 'App.meta.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title: 'ID3v1',
+        /**
+         * {Boolean} ID3v1 tag is located at the end of the file
+         */
+        tail : true
+    },
+    statics: {
+        /**
+         * {Number} Size of the tag in bytes
+         */
+        SIZE: 128
+    },
+
+
+    /**
+     * @override
+     * Checks 'TAG' signature in last 128 bytes
+     * @param {Uint8Array} bytes Last bytes of the file
+     * @returns {Boolean}
+     */
+    detect: function (bytes) {
+        return this._is(bytes, bytes.length - App.meta.Id3v1.SIZE, 'TAG');
+    },
+
+    /**
+     * @override
+     * Parses fixed fields of the tag
+     * @param {Uint8Array} bytes Last bytes of the file
+     * @returns {Object} Tags
+     */
+    parse: function (bytes) {
+        var pos = bytes.length - App.meta.Id3v1.SIZE;
+
+        if (!this.detect(bytes)) {
+            return this._tags({});
+        }
+
+        return this._tags({
+            title : this._latin1(bytes, pos + 3, pos + 33),
+            artist: this._latin1(bytes, pos + 33, pos + 63),
+            album : this._latin1(bytes, pos + 63, pos + 93),
+            year  : this._latin1(bytes, pos + 93, pos + 97),
+            number: bytes[pos + 125] === 0 ? bytes[pos + 126] : null
+        });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * ID3v2.3 and ID3v2.4 tags. Tag is located at the beginning of the file and starts with 10 bytes header:
+ * 'ID3', major version, revision, flags and syncsafe size of the tag. Header is followed by optional extended
+ * header and frames. Supported frames:
+ *
+ *     TIT2  title
+ *     TPE1  artist
+ *     TALB  album
+ *     TRCK  track number ('3' or '3/12')
+ *     TYER  year (ID3v2.3)
+ *     TDRC  recording time (ID3v2.4)
+ *     APIC  attached picture. Front cover is preferred
+ *
+ * Text may be encoded in ISO-8859-1, UTF-16 with byte order mark, UTF-16BE or UTF-8. Unsynchronisation of
+ * the whole tag (ID3v2.3) and of separate frames (ID3v2.4) is supported. Compressed and encrypted frames are
+ * skipped. Whole tag is read before parsing, so big tags with cover art may need one more read (see getRange()).
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Id3v2', {
+    extend : 'App.meta.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title: 'ID3v2'
+    },
+    statics: {
+        /**
+         * {Object} Map of text frames and tags
+         */
+        FRAMES: {
+            TIT2: 'title',
+            TPE1: 'artist',
+            TALB: 'album',
+            TRCK: 'number',
+            TYER: 'year',
+            TDRC: 'year'
+        }
+    },
+
+
+    /**
+     * @override
+     * Checks 'ID3' signature and supported major version
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Boolean}
+     */
+    detect: function (bytes) {
+        return this._is(bytes, 0, 'ID3') && (bytes[3] === 3 || bytes[3] === 4);
+    },
+
+    /**
+     * @override
+     * Whole tag (header, frames and footer) should be read
+     * @param {Uint8Array} bytes First bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @returns {Object|null}
+     */
+    getRange: function (bytes, offset) {
+        var end = this._getEnd(bytes);
+
+        return offset === 0 && end > bytes.length ? {start: 0, end: end} : null;
+    },
+
+    /**
+     * @override
+     * Parses all supported frames of the tag
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Object} Tags
+     */
+    parse: function (bytes) {
+        var version = bytes[3];
+        var frames  = App.meta.Id3v2.FRAMES;
+        var tags    = {};
+        var body;
+        var pos;
+        var id;
+        var size;
+        var flags;
+        var data;
+        var cover;
+
+        if (!this.detect(bytes)) {
+            return this._tags({});
+        }
+        body = bytes.subarray(10, Math.min(10 + this._syncSafe(bytes, 6), bytes.length));
+        if (version === 3 && this._bit(bytes[5], 7)) {
+            body = this._unsync(body);
+        }
+        pos = this._bit(bytes[5], 6) ? (version === 3 ? 4 + this._uint(body, 0, 4) : this._syncSafe(body, 0)) : 0;
+        while (pos + 10 <= body.length && body[pos] !== 0) {
+            id    = this._latin1(body, pos, pos + 4);
+            size  = version === 4 ? this._syncSafe(body, pos + 4) : this._uint(body, pos + 4, 4);
+            flags = body[pos + 9];
+            data  = this._frameData(body.subarray(pos + 10, Math.min(pos + 10 + size, body.length)), version, flags);
+            pos  += 10 + size;
+            if (!data) {
+                continue;
+            }
+            if (frames.hasOwnProperty(id)) {
+                tags[frames[id]] = tags[frames[id]] || this._text(data, 1, data.length, data[0]);
+            } else if (id === 'APIC' && (cover = this._apic(data)) && (!tags.cover || cover.front)) {
+                tags.cover = cover.uri;
+            }
+        }
+
+        return this._tags(tags);
+    },
+
+
+    /**
+     * Returns position after the end of the tag including footer
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Number}
+     * @private
+     */
+    _getEnd: function (bytes) {
+        return this.detect(bytes) ? 10 + this._syncSafe(bytes, 6) + (this._bit(bytes[5], 4) ? 10 : 0) : 0;
+    },
+
+    /**
+     * Reads syncsafe integer: 4 bytes with 7 significant bits in each one
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the first byte
+     * @returns {Number}
+     * @private
+     */
+    _syncSafe: function (bytes, pos) {
+        return bytes[pos] % 128 * 2097152 + bytes[pos + 1] % 128 * 16384 + bytes[pos + 2] % 128 * 128 + bytes[pos + 3] % 128;
+    },
+
+    /**
+     * Removes unsynchronisation: every 0xFF 0x00 sequence is replaced by 0xFF
+     * @param {Uint8Array} bytes Unsynchronised bytes
+     * @returns {Uint8Array}
+     * @private
+     */
+    _unsync: function (bytes) {
+        var out = [];
+        var i;
+        var len;
+
+        for (i = 0, len = bytes.length; i < len; i++) {
+            out.push(bytes[i]);
+            if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) {
+                i++;
+            }
+        }
+
+        return new Uint8Array(out);
+    },
+
+    /**
+     * Returns data of the frame according to format flags
+     * @param {Uint8Array} data Frame data
+     * @param {Number} version Major version of the tag
+     * @param {Number} flags Format flags (second byte of frame flags)
+     * @returns {Uint8Array|null} Data or null if frame is compressed or encrypted
+     * @private
+     */
+    _frameData: function (data, version, flags) {
+        if (version === 3) {
+            if (this._bit(flags, 7) || this._bit(flags, 6)) {
+                return null;
+            }
+            return this._bit(flags, 5) ? data.subarray(1) : data;
+        }
+        if (this._bit(flags, 3) || this._bit(flags, 2)) {
+            return null;
+        }
+        data = this._bit(flags, 0) ? data.subarray(4) : data;
+
+        return this._bit(flags, 1) ? this._unsync(data) : data;
+    },
+
+    /**
+     * Decodes text by ID3v2 encoding byte
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first byte
+     * @param {Number} end Position after the last byte
+     * @param {Number} encoding 0 - ISO-8859-1, 1 - UTF-16 with byte order mark, 2 - UTF-16BE, 3 - UTF-8
+     * @returns {String}
+     * @private
+     */
+    _text: function (bytes, start, end, encoding) {
+        if (encoding === 1 || encoding === 2) {
+            return this._utf16(bytes, start, end, encoding === 2);
+        }
+
+        return encoding === 3 ? this._utf8(bytes, start, end) : this._latin1(bytes, start, end);
+    },
+
+    /**
+     * Returns position after zero terminated string
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the first byte of the string
+     * @param {Number} encoding Text encoding. UTF-16 strings are terminated by two zero bytes
+     * @returns {Number}
+     * @private
+     */
+    _skipText: function (bytes, pos, encoding) {
+        var step = encoding === 1 || encoding === 2 ? 2 : 1;
+
+        while (pos + step <= bytes.length && (bytes[pos] !== 0 || (step === 2 && bytes[pos + 1] !== 0))) {
+            pos += step;
+        }
+
+        return pos + step;
+    },
+
+    /**
+     * Parses attached picture frame: encoding, MIME type, picture type, description and picture data
+     * @param {Uint8Array} data Frame data
+     * @returns {Object|null} {uri: String, front: Boolean} or null if picture can't be used
+     * @private
+     */
+    _apic: function (data) {
+        var mimeEnd = this._skipText(data, 1, 0);
+        var mime    = this._latin1(data, 1, mimeEnd);
+        var start   = this._skipText(data, mimeEnd + 1, data[0]);
+        var uri     = this._picture(data, start, data.length, mime);
+
+        return uri ? {uri: uri, front: data[mimeEnd] === 3} : null;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,315 @@
+/**
+ * Loads tags (title, artist, album, track number, year and cover art) of audio files. First bytes of the file are
+ * read by App.meta.Reader and checked by head parsers (see parsers config). Parser may request more bytes if tags
+ * are bigger or located in the middle of the file. Only missing bytes are read. Tags bigger than maxSize bytes
+ * aren't read, so they are parsed from already read bytes. If tags weren't found at the beginning of the file or
+ * they don't contain title and artist, then last bytes are checked by tail parsers (e.g. ID3v1). Tags of the
+ * beginning have higher priority. Files are loaded in background by App.util.TaskQueue with limited concurrency
+ * and timeout. See App.meta.Base for tags format.
+ *
+ * Usage:
+ *     var loader = new App.meta.Loader({concurrency: 2});
+ *
+ *     loader.load('http://example.com/track.mp3').done(function (tags) {track.set(tags);});
+ *     loader.load(file);   // File chosen by user
+ *     loader.clear();      // cancels all waiting loads
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Loader', {
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    requires: [
+        'App.meta.Reader',
+        'App.meta.Id3v1',
+        'App.meta.Id3v2',
+        'App.meta.Flac',
+        'App.meta.Ogg',
+        'App.meta.Mp4',
+        'App.util.TaskQueue'
+    ],
+    configs : {
+        /**
+         * {Array} Parser aliases in order of detection. Parsers with tail config are tail parsers
+         */
+        parsers    : ['Id3v2', 'Flac', 'Ogg', 'Mp4', 'Id3v1'],
+        /**
+         * {String} Prefix namespace for all parsers. This prefix + alias will produce full parser class name
+         */
+        parserNs   : 'App.meta',
+        /**
+         * {Number} Amount of first bytes, which are read for detection of the format. It's also a minimum
+         * size of every next read
+         */
+        headSize   : 65536,
+        /**
+         * {Number} Amount of last bytes, which are read for tail parsers
+         */
+        tailSize   : 128,
+        /**
+         * {Number} Maximum amount of bytes, which may be read for one file. Tags are parsed from already
+         * read bytes if parser requests more
+         */
+        maxSize    : 4194304,
+        /**
+         * {Number} Maximum amount of simultaneously loaded files
+         */
+        concurrency: 2,
+        /**
+         * {Number} Timeout of loading of one file in milliseconds. 0 means no timeout
+         */
+        timeout    : 30000,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners  : {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Array} Parsers of the beginning of the file
+         * @private
+         */
+        this._head   = [];
+        /**
+         * {Array} Parsers of the end of the file
+         * @private
+         */
+        this._tail   = [];
+        /**
+         * {App.meta.Reader|null} Reader of bytes
+         * @private
+         */
+        this._reader = null;
+        /**
+         * {App.util.TaskQueue|null} Queue of loads
+         * @private
+         */
+        this._queue  = null;
+    },
+
+    /**
+     * @constructor
+     * Creates parsers, reader and queue
+     */
+    init: function () {
+        var me = this;
+
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        _.each(this.parsers, function (alias) {
+            var Parser = N13.isString(alias) ? N13.ns(me.parserNs + '.' + alias, false) : null;
+            var parser = N13.isFunction(Parser) ? new Parser() : null;
+
+            if (parser) {
+                (parser.tail ? me._tail : me._head).push(parser);
+            } else {
+                me.trigger('error', 'Invalid parser "' + alias + '" in class "' + me.className + '"');
+            }
+        });
+        this._reader = new App.meta.Reader();
+        this._queue  = new App.util.TaskQueue({concurrency: this.concurrency, timeout: this.timeout});
+    },
+
+    /**
+     * Loads tags of the file. Load is started in background, when there is a free place in the queue
+     * @param {String|Blob|Uint8Array} source URL, File or bytes of the file. See App.meta.Reader for details
+     * @returns {jQuery.Promise} Promise of tags. Tags are empty (all values are null) if they weren't found
+     */
+    load: function (source) {
+        var me = this;
+
+        return this._queue.add(function () {return me._load(source);});
+    },
+
+    /**
+     * Cancels all waiting and running loads. Their promises are rejected with 'cancelled' reason
+     */
+    clear: function () {
+        this._queue.clear();
+    },
+
+    /**
+     * Destroys the loader. All loads are cancelled
+     */
+    destroy: function () {
+        this._queue.destroy();
+        this._reader.destroy();
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Loads tags of one file: from the beginning and from the end if needed. abort() method of returned
+     * promise aborts current read and prevents next ones
+     * @param {String|Blob|Uint8Array} source Source of bytes
+     * @returns {jQuery.Promise} Promise of tags with abort() method
+     * @private
+     */
+    _load: function (source) {
+        var me      = this;
+        var load    = {request: null, aborted: false};
+        var promise = this._read(load, source, 0, this.headSize).then(function (bytes, size) {
+            var parser = _.find(me._head, function (p) {return p.detect(bytes);});
+            var head   = parser ? me._parse(parser, source, bytes, 0, size, load) : $.Deferred().resolve(null).promise();
+
+            return head.then(function (tags) {
+                if (tags && (tags.title || tags.artist) || !me._tail.length) {
+                    return tags || me._empty();
+                }
+                return me._loadTail(source, load).then(function (tail) {
+                    return me._merge(tags, tail);
+                });
+            });
+        });
+
+        promise.abort = function () {
+            load.aborted = true;
+            if (load.request && N13.isFunction(load.request.abort)) {
+                load.request.abort();
+            }
+        };
+
+        return promise;
+    },
+
+    /**
+     * Reads range of bytes and remembers the request as current one of the load. So, it may be aborted
+     * @param {Object} load State of the load: {request: jQuery.Promise|null, aborted: Boolean}
+     * @param {String|Blob|Uint8Array} source Source of bytes
+     * @param {Number} start Position of the first byte. Negative value means amount of last bytes
+     * @param {Number=} end Position after the last byte
+     * @returns {jQuery.Promise} Promise of bytes. It's rejected with 'aborted' reason if the load was aborted
+     * @private
+     */
+    _read: function (load, source, start, end) {
+        if (load.aborted) {
+            return $.Deferred().reject('aborted').promise();
+        }
+
+        return (load.request = this._reader.read(source, start, end));
+    },
+
+    /**
+     * Parses tags by the parser. Reads more bytes while parser requests them
+     * @param {App.meta.Base} parser Parser of the format
+     * @param {String|Blob|Uint8Array} source Source of bytes
+     * @param {Uint8Array} bytes Already read bytes
+     * @param {Number} offset Offset of the first read byte in the file
+     * @param {Number|null} size Size of the file or null if it's unknown
+     * @param {Object} load State of the load. See _read() method
+     * @returns {jQuery.Promise} Promise of tags
+     * @private
+     */
+    _parse: function (parser, source, bytes, offset, size, load) {
+        var me    = this;
+        var range = parser.getRange(bytes, offset, size);
+        var join  = range && range.start >= offset && range.start <= offset + bytes.length;
+        var start = join ? offset + bytes.length : (range && range.start);
+        var end   = range ? Math.max(range.end, start + this.headSize) : 0;
+
+        if (range && size !== null && size !== undefined) {
+            end = Math.min(end, size);
+        }
+        if (!range || end <= start || end - (join ? offset : start) > this.maxSize) {
+            return $.Deferred().resolve(this._safeParse(parser, bytes, offset)).promise();
+        }
+
+        return this._read(load, source, start, end).then(function (more, total) {
+            if (!more.length) {
+                return me._safeParse(parser, bytes, offset);
+            }
+            return me._parse(parser, source, join ? me._concat(bytes, more) : more, join ? offset : start, total || size, load);
+        });
+    },
+
+    /**
+     * Loads tags from the end of the file. Errors are ignored
+     * @param {String|Blob|Uint8Array} source Source of bytes
+     * @param {Object} load State of the load. See _read() method
+     * @returns {jQuery.Promise} Promise of tags or null if they weren't found
+     * @private
+     */
+    _loadTail: function (source, load) {
+        var me       = this;
+        var deferred = $.Deferred();
+
+        this._read(load, source, -this.tailSize).done(function (bytes) {
+            var parser = _.find(me._tail, function (p) {return p.detect(bytes);});
+
+            deferred.resolve(parser ? me._safeParse(parser, bytes, -bytes.length) : null);
+        }).fail(function (reason) {
+            me.trigger('debug', 'Last bytes can\'t be read in class "' + me.className + '": ' + reason);
+            deferred.resolve(null);
+        });
+
+        return deferred.promise();
+    },
+
+    /**
+     * Calls parse() method of the parser. Parser's errors (e.g. for corrupted files) produce empty tags
+     * @param {App.meta.Base} parser Parser
+     * @param {Uint8Array} bytes Bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @returns {Object} Tags
+     * @private
+     */
+    _safeParse: function (parser, bytes, offset) {
+        try {
+            return parser.parse(bytes, offset);
+        } catch (e) {
+            this.trigger('debug', 'Tags of format "' + parser.title + '" can\'t be parsed: ' + e.message);
+            return this._empty();
+        }
+    },
+
+    /**
+     * Merges tags of the beginning and of the end of the file. Not null values of the beginning have higher priority
+     * @param {Object|null} head Tags of the beginning
+     * @param {Object|null} tail Tags of the end
+     * @returns {Object} Tags
+     * @private
+     */
+    _merge: function (head, tail) {
+        var tags = _.extend(this._empty(), tail);
+
+        _.each(head, function (value, key) {
+            if (value !== null) {
+                tags[key] = value;
+            }
+        });
+
+        return tags;
+    },
+
+    /**
+     * @returns {Object} Tags with null values
+     * @private
+     */
+    _empty: function () {
+        return {title: null, artist: null, album: null, number: null, year: null, cover: null};
+    },
+
+    /**
+     * Joins two byte arrays
+     * @param {Uint8Array} first First bytes
+     * @param {Uint8Array} second Next bytes
+     * @returns {Uint8Array}
+     * @private
+     */
+    _concat: function (first, second) {
+        var bytes = new Uint8Array(first.length + second.length);
+
+        bytes.set(first, 0);
+        bytes.set(second, first.length);
+
+        return bytes;
+    }
+});
\ No newline at end of file
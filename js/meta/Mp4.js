@@ -0,0 +1,186 @@
+/**
+ * Tags of MP4 files (M4A, M4B, AAC in MP4 container). File is a tree of atoms. Every atom starts with 32 bit
+ * big endian size and four characters type. Size 1 means that 64 bit size follows the type. Size 0 means that
+ * atom continues to the end of the file. File starts with 'ftyp' atom. Tags are located in moov.udta.meta.ilst
+ * atom. 'meta' atom has 4 bytes of version and flags before child atoms. Every tag atom contains 'data' atom
+ * with value type, locale and value. Types of text tags start with copyright sign (\u00A9). Supported tags:
+ *
+ *     \u00A9nam  title
+ *     \u00A9ART  artist
+ *     \u00A9alb  album
+ *     trkn       track number (2 reserved bytes, 16 bit number and 16 bit total)
+ *     \u00A9day  year
+ *     covr       cover art (type 13 - JPEG, 14 - PNG)
+ *
+ * 'moov' atom may be located after media data ('mdat' atom). In this case getRange() method skips media data
+ * and requests only 'moov' atom.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Mp4', {
+    extend : 'App.meta.Base',
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title: 'MP4'
+    },
+    statics: {
+        /**
+         * {Object} Map of tag atoms and tags
+         */
+        ATOMS: {
+            '\u00A9nam': 'title',
+            '\u00A9ART': 'artist',
+            '\u00A9alb': 'album',
+            '\u00A9day': 'year',
+            trkn       : 'number',
+            covr       : 'cover'
+        },
+        /**
+         * {Object} MIME types of cover art by value type of 'data' atom
+         */
+        IMAGES: {
+            13: 'image/jpeg',
+            14: 'image/png'
+        }
+    },
+
+
+    /**
+     * @override
+     * Checks 'ftyp' atom at the beginning of the file
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Boolean}
+     */
+    detect: function (bytes) {
+        return this._is(bytes, 4, 'ftyp');
+    },
+
+    /**
+     * @override
+     * Skips top level atoms up to 'moov' atom. Bytes should start at the beginning of some top level atom
+     * @param {Uint8Array} bytes Bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @param {Number|null} size Size of the file or null if it's unknown
+     * @returns {Object|null}
+     */
+    getRange: function (bytes, offset, size) {
+        var pos = 0;
+        var atom;
+
+        while (size === null || offset + pos < size) {
+            if (pos + 16 > bytes.length) {
+                return {start: offset + pos, end: offset + pos + 16};
+            }
+            atom = this._atom(bytes, pos);
+            if (atom.type === 'moov') {
+                return atom.end > bytes.length ? {start: offset + pos, end: offset + atom.end} : null;
+            }
+            if (atom.end === Infinity) {
+                return null;
+            }
+            pos = atom.end;
+        }
+
+        return null;
+    },
+
+    /**
+     * @override
+     * Finds tag atoms in 'moov' atom and parses them
+     * @param {Uint8Array} bytes Bytes of the file, which start at the beginning of some top level atom
+     * @returns {Object} Tags
+     */
+    parse: function (bytes) {
+        var names = App.meta.Mp4.ATOMS;
+        var ilst  = this._find(bytes, 0, bytes.length, ['moov', 'udta', 'meta', 'ilst']) || this._find(bytes, 0, bytes.length, ['moov', 'meta', 'ilst']);
+        var tags  = {};
+        var pos   = ilst ? ilst.start : 0;
+        var atom;
+        var data;
+
+        while (ilst && pos + 8 <= ilst.end) {
+            atom = this._atom(bytes, pos);
+            data = names.hasOwnProperty(atom.type) ? this._find(bytes, atom.start, Math.min(atom.end, ilst.end), ['data']) : null;
+            pos  = atom.end;
+            if (data && data.end - data.start > 8) {
+                tags[names[atom.type]] = tags[names[atom.type]] || this._value(bytes, data.start, data.end, names[atom.type]);
+            }
+        }
+
+        return this._tags(tags);
+    },
+
+
+    /**
+     * Reads header of the atom
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the atom
+     * @returns {Object} {type: String, start: Number, end: Number}. start is a position of atom data, end
+     * is a position after the atom. end is Infinity for the atom, which continues to the end of the file
+     * @private
+     */
+    _atom: function (bytes, pos) {
+        var size   = this._uint(bytes, pos, 4);
+        var type   = this._latin1(bytes, pos + 4, pos + 8);
+        var header = 8;
+
+        if (size === 1) {
+            size   = this._uint(bytes, pos + 8, 4) * 4294967296 + this._uint(bytes, pos + 12, 4);
+            header = 16;
+        }
+
+        return {type: type, start: pos + header, end: size === 0 ? Infinity : pos + Math.max(size, header)};
+    },
+
+    /**
+     * Finds nested atom by path of types. 'meta' atom is a full atom, so 4 bytes of version and
+     * flags are skipped. Found atom should be fully read
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of the first atom
+     * @param {Number} end Position after the last atom
+     * @param {Array} path Types of atoms. e.g.: ['moov', 'udta']
+     * @returns {Object|null} {start: Number, end: Number} of atom data or null if atom wasn't found
+     * @private
+     */
+    _find: function (bytes, start, end, path) {
+        var pos = start;
+        var atom;
+
+        while (pos + 8 <= end) {
+            atom = this._atom(bytes, pos);
+            if (atom.type === path[0]) {
+                if (atom.end > bytes.length) {
+                    return null;
+                }
+                atom.start += atom.type === 'meta' ? 4 : 0;
+                return path.length > 1 ? this._find(bytes, atom.start, atom.end, path.slice(1)) : atom;
+            }
+            pos = atom.end;
+        }
+
+        return null;
+    },
+
+    /**
+     * Reads value of 'data' atom: 4 bytes of version and value type, 4 bytes of locale and the value
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} start Position of 'data' atom data
+     * @param {Number} end Position after 'data' atom
+     * @param {String} tag Name of the tag
+     * @returns {String|Number|null}
+     * @private
+     */
+    _value: function (bytes, start, end, tag) {
+        var type = this._uint(bytes, start + 1, 3);
+
+        if (tag === 'number') {
+            return this._uint(bytes, start + 10, 2);
+        } else if (tag === 'cover') {
+            return App.meta.Mp4.IMAGES[type] ? this._picture(bytes, start + 8, end, App.meta.Mp4.IMAGES[type]) : null;
+        }
+
+        return this._utf8(bytes, start + 8, end);
+    }
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Tags of Ogg Vorbis and Ogg Opus files. Ogg file is a sequence of pages. Every page starts with 'OggS' signature
+ * and 27 bytes header with amount of segments, which is followed by segment table and segments. Packets are
+ * divided into segments and may continue on next pages. Segment of 255 bytes means that packet continues. Second
+ * packet of the first logical stream is a comment header: '\x03vorbis' or 'OpusTags' followed by Vorbis comments.
+ * See App.meta.Vorbis for details about comments.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Ogg', {
+    extend : 'App.meta.Vorbis',
+    configs: {
+        /**
+         * {String} Human readable name of the tags format
+         */
+        title: 'Ogg'
+    },
+    statics: {
+        /**
+         * {Number} Size of the page header without segment table
+         */
+        HEADER: 27
+    },
+
+
+    /**
+     * @override
+     * Checks 'OggS' signature
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Boolean}
+     */
+    detect: function (bytes) {
+        return this._is(bytes, 0, 'OggS');
+    },
+
+    /**
+     * @override
+     * All pages up to the end of comment header should be read
+     * @param {Uint8Array} bytes First bytes of the file
+     * @param {Number} offset Offset of the first byte in the file
+     * @returns {Object|null}
+     */
+    getRange: function (bytes, offset) {
+        var result = offset === 0 ? this._packets(bytes, 2) : null;
+
+        return result && result.end ? {start: 0, end: result.end} : null;
+    },
+
+    /**
+     * @override
+     * Parses comment header of Vorbis or Opus stream
+     * @param {Uint8Array} bytes First bytes of the file
+     * @returns {Object} Tags
+     */
+    parse: function (bytes) {
+        var packet = this.detect(bytes) ? this._packets(bytes, 2).packets[1] : null;
+
+        if (packet && packet[0] === 3 && this._is(packet, 1, 'vorbis')) {
+            return this._tags(this._comments(packet, 7, packet.length));
+        } else if (packet && this._is(packet, 0, 'OpusTags')) {
+            return this._tags(this._comments(packet, 8, packet.length));
+        }
+
+        return this._tags({});
+    },
+
+
+    /**
+     * Collects first packets of the logical stream of the first page
+     * @param {Uint8Array} bytes First bytes of the file
+     * @param {Number} count Amount of packets to collect
+     * @returns {Object} {packets: Array of Uint8Array, end: Number|null}. end is a position, which
+     * should be read to complete the packets, or null if all packets are complete
+     * @private
+     */
+    _packets: function (bytes, count) {
+        var header  = App.meta.Ogg.HEADER;
+        var serial  = this._uint32le(bytes, 14);
+        var packets = [];
+        var parts   = [];
+        var pos     = 0;
+        var segments;
+        var next;
+        var data;
+        var len;
+        var i;
+
+        while (packets.length < count) {
+            if (pos + header > bytes.length) {
+                return {packets: packets, end: pos + header};
+            }
+            if (!this._is(bytes, pos, 'OggS')) {
+                return {packets: packets, end: null};
+            }
+            segments = bytes[pos + 26];
+            next     = pos + header + segments;
+            if (next > bytes.length) {
+                return {packets: packets, end: next};
+            }
+            for (i = 0; i < segments; i++) {
+                next += bytes[pos + header + i];
+            }
+            if (next > bytes.length) {
+                return {packets: packets, end: next};
+            }
+            if (this._uint32le(bytes, pos + 14) === serial) {
+                data = pos + header + segments;
+                for (i = 0; i < segments && packets.length < count; i++) {
+                    len   = bytes[pos + header + i];
+                    parts.push(bytes.subarray(data, data + len));
+                    data += len;
+                    if (len < 255) {
+                        packets.push(this._concat(parts));
+                        parts = [];
+                    }
+                }
+            }
+            pos = next;
+        }
+
+        return {packets: packets, end: null};
+    },
+
+    /**
+     * Joins byte arrays
+     * @param {Array} parts Array of Uint8Array
+     * @returns {Uint8Array}
+     * @private
+     */
+    _concat: function (parts) {
+        var out = new Uint8Array(_.reduce(parts, function (s, p) {return s + p.length;}, 0));
+        var pos = 0;
+
+        _.each(parts, function (part) {
+            out.set(part, pos);
+            pos += part.length;
+        });
+
+        return out;
+    }
+});
\ No newline at end of file
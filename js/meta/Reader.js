@@ -0,0 +1,210 @@
+/**
+ * Reads ranges of bytes of audio files for tag parsers (see App.meta.Loader). Supported sources:
+ *
+ *     String      URL of the file. Range is requested by fetch() with Range header. If server ignores the
+ *                 header, then only needed bytes of the response are read and the rest is cancelled
+ *     Blob        File or Blob, e.g. local file chosen by user. It's read by FileReader
+ *     Uint8Array  Bytes of the file in memory (ArrayBuffer is also supported). Such source is read synchronously
+ *
+ * Negative start means last bytes of the file (e.g. -128 - last 128 bytes). Promise of the read is resolved with
+ * bytes (Uint8Array) and size of the file (Number or null if it's unknown). Promise of fetch() request has
+ * abort() method.
+ *
+ * Usage:
+ *     var reader = new App.meta.Reader();
+ *
+ *     reader.read('track.mp3', 0, 65536).done(function (bytes, size) {...});
+ *     reader.read(file, -128);
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Reader', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners: {}
+    },
+
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+    },
+
+    /**
+     * Reads range of bytes from the source
+     * @param {String|Blob|Uint8Array|ArrayBuffer} source Source of bytes. See class description for details
+     * @param {Number} start Position of the first byte. Negative value means amount of last bytes
+     * @param {Number=} end Position after the last byte. It's ignored for negative start
+     * @returns {jQuery.Promise} Promise, which is resolved with bytes and size of the file
+     */
+    read: function (source, start, end) {
+        if (N13.isString(source)) {
+            return this._fetch(source, start, end);
+        } else if (window.Blob && source instanceof Blob) {
+            return this._readBlob(source, start, end);
+        } else if (source instanceof ArrayBuffer || source instanceof Uint8Array) {
+            source = source instanceof ArrayBuffer ? new Uint8Array(source) : source;
+            return $.Deferred().resolve(this._slice(source, start, end), source.length).promise();
+        }
+
+        return $.Deferred().reject('Unsupported source of bytes in class "' + this.className + '"').promise();
+    },
+
+    /**
+     * Destroys the reader. Removes all event handlers.
+     */
+    destroy: function () {
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Returns range of bytes
+     * @param {Uint8Array} bytes All bytes of the file
+     * @param {Number} start Position of the first byte. Negative value means amount of last bytes
+     * @param {Number=} end Position after the last byte
+     * @returns {Uint8Array}
+     * @private
+     */
+    _slice: function (bytes, start, end) {
+        return start < 0 ? bytes.subarray(Math.max(bytes.length + start, 0)) : bytes.subarray(start, end);
+    },
+
+    /**
+     * Reads range of the Blob by FileReader
+     * @param {Blob} blob File or Blob
+     * @param {Number} start Position of the first byte. Negative value means amount of last bytes
+     * @param {Number=} end Position after the last byte
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _readBlob: function (blob, start, end) {
+        var deferred = $.Deferred();
+        var reader   = new FileReader();
+
+        reader.onload  = function () {
+            deferred.resolve(new Uint8Array(reader.result), blob.size);
+        };
+        reader.onerror = function () {
+            deferred.reject('File can\'t be read');
+        };
+        reader.readAsArrayBuffer(start < 0 ? blob.slice(Math.max(blob.size + start, 0)) : blob.slice(start, end));
+
+        return deferred.promise();
+    },
+
+    /**
+     * Requests range of the file by fetch() with Range header
+     * @param {String} url URL of the file
+     * @param {Number} start Position of the first byte. Negative value means amount of last bytes
+     * @param {Number=} end Position after the last byte
+     * @returns {jQuery.Promise} Promise with abort() method
+     * @private
+     */
+    _fetch: function (url, start, end) {
+        var deferred   = $.Deferred();
+        var Abort      = window.AbortController;
+        var controller = N13.isFunction(Abort) ? new Abort() : null;
+        var promise    = deferred.promise();
+        var me         = this;
+        var fail       = function (e) {
+            deferred.reject('Request "' + url + '" failed: ' + (e && e.message || e));
+        };
+
+        if (!N13.isFunction(window.fetch)) {
+            return deferred.reject('Fetch API isn\'t supported').promise();
+        }
+        window.fetch(url, {
+            headers: {Range: 'bytes=' + (start < 0 ? start : start + '-' + (end - 1))},
+            signal : controller ? controller.signal : undefined
+        }).then(function (response) {
+            if (!response.ok) {
+                fail(response.status + ' ' + response.statusText);
+            } else if (response.status === 206) {
+                response.arrayBuffer().then(function (buffer) {
+                    deferred.resolve(new Uint8Array(buffer), me._getSize(response.headers.get('Content-Range')));
+                }, fail);
+            } else if (start < 0) {
+                me._cancel(response);
+                fail('Range requests aren\'t supported by the server');
+            } else {
+                me._readBody(response, end).then(function (bytes) {
+                    deferred.resolve(bytes.subarray(start, end), +response.headers.get('Content-Length') || null);
+                }, fail);
+            }
+        }, fail);
+        promise.abort = function () {
+            if (controller) {
+                controller.abort();
+            }
+            fail('aborted');
+        };
+
+        return promise;
+    },
+
+    /**
+     * Reads first bytes of the response body and cancels the rest. Whole body is read, if streams aren't supported
+     * @param {Response} response Response of fetch() request
+     * @param {Number} end Amount of needed bytes
+     * @returns {Promise} Promise of Uint8Array
+     * @private
+     */
+    _readBody: function (response, end) {
+        var reader = response.body && N13.isFunction(response.body.getReader) ? response.body.getReader() : null;
+        var bytes  = new Uint8Array(end);
+        var length = 0;
+        var pump   = function () {
+            return reader.read().then(function (chunk) {
+                if (!chunk.done) {
+                    bytes.set(chunk.value.subarray(0, end - length), length);
+                    length += Math.min(chunk.value.length, end - length);
+                }
+                if (chunk.done || length >= end) {
+                    reader.cancel();
+                    return bytes.subarray(0, length);
+                }
+                return pump();
+            });
+        };
+
+        if (!reader) {
+            return response.arrayBuffer().then(function (buffer) {return new Uint8Array(buffer);});
+        }
+
+        return pump();
+    },
+
+    /**
+     * Cancels reading of the response body
+     * @param {Response} response Response of fetch() request
+     * @private
+     */
+    _cancel: function (response) {
+        if (response.body && N13.isFunction(response.body.cancel)) {
+            response.body.cancel();
+        }
+    },
+
+    /**
+     * Returns size of the file from Content-Range header. e.g.: 'bytes 0-1023/146515'
+     * @param {String|null} range Value of the header
+     * @returns {Number|null} Size or null if it's unknown
+     * @private
+     */
+    _getSize: function (range) {
+        var match = N13.isString(range) ? range.match(/\/(\d+)\s*$/) : null;
+
+        return match ? +match[1] : null;
+    }
+});
\ No newline at end of file
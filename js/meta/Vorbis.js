@@ -0,0 +1,124 @@
+/**
+ * Base class for formats with Vorbis comments (see App.meta.Flac and App.meta.Ogg). Vorbis comment is a list of
+ * 'NAME=value' UTF-8 strings with little endian lengths. Names are case insensitive. Supported comments:
+ *
+ *     TITLE                   title
+ *     ARTIST                  artist
+ *     ALBUM                   album
+ *     TRACKNUMBER             track number
+ *     DATE or YEAR            year
+ *     METADATA_BLOCK_PICTURE  base64 encoded FLAC picture block
+ *
+ * Pictures are also stored in FLAC PICTURE metadata blocks. They are parsed here too.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.meta.Vorbis', {
+    extend : 'App.meta.Base',
+    statics: {
+        /**
+         * {Object} Map of comment names and tags
+         */
+        COMMENTS: {
+            TITLE      : 'title',
+            ARTIST     : 'artist',
+            ALBUM      : 'album',
+            TRACKNUMBER: 'number',
+            DATE       : 'year',
+            YEAR       : 'year'
+        }
+    },
+
+
+    /**
+     * Parses Vorbis comments: vendor string, amount of comments and comments
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of vendor string length
+     * @param {Number} end Position after the last byte of comments
+     * @returns {Object} Raw tags: {title, artist, album, number, year, cover}
+     * @private
+     */
+    _comments: function (bytes, pos, end) {
+        var names = App.meta.Vorbis.COMMENTS;
+        var tags  = {};
+        var count;
+        var len;
+        var comment;
+        var index;
+        var name;
+        var picture;
+        var cover;
+
+        end   = Math.min(end, bytes.length);
+        pos  += 4 + this._uint32le(bytes, pos);
+        count = this._uint32le(bytes, pos);
+        for (pos += 4; count > 0 && pos + 4 <= end; count--) {
+            len     = this._uint32le(bytes, pos);
+            comment = pos + 4 + len <= end ? this._utf8(bytes, pos + 4, pos + 4 + len) : '';
+            index   = comment.indexOf('=');
+            name    = comment.substr(0, index).toUpperCase();
+            pos    += 4 + len;
+            if (index === -1) {
+                continue;
+            }
+            if (names.hasOwnProperty(name)) {
+                tags[names[name]] = tags[names[name]] || comment.substr(index + 1);
+            } else if (name === 'METADATA_BLOCK_PICTURE' && (picture = this._base64(comment.substr(index + 1))) &&
+                       (cover = this._flacPicture(picture, 0, picture.length)) && (!tags.cover || cover.front)) {
+                tags.cover = cover.uri;
+            }
+        }
+
+        return tags;
+    },
+
+    /**
+     * Parses FLAC picture block: picture type, MIME type, description, sizes and picture data. All
+     * numbers are big endian
+     * @param {Uint8Array} bytes Bytes
+     * @param {Number} pos Position of the first byte of the block data
+     * @param {Number} end Position after the last byte of the block
+     * @returns {Object|null} {uri: String, front: Boolean} or null if picture can't be used
+     * @private
+     */
+    _flacPicture: function (bytes, pos, end) {
+        var type    = this._uint(bytes, pos, 4);
+        var mimeLen = this._uint(bytes, pos + 4, 4);
+        var mime    = this._latin1(bytes, pos + 8, pos + 8 + mimeLen);
+        var descLen;
+        var start;
+        var uri;
+
+        pos    += 8 + mimeLen;
+        descLen = this._uint(bytes, pos, 4);
+        pos    += 4 + descLen + 16;
+        start   = pos + 4;
+        uri     = start + this._uint(bytes, pos, 4) <= end ? this._picture(bytes, start, start + this._uint(bytes, pos, 4), mime) : null;
+
+        return uri ? {uri: uri, front: type === 3} : null;
+    },
+
+    /**
+     * Decodes base64 string
+     * @param {String} text Base64 encoded data
+     * @returns {Uint8Array|null} Decoded bytes or null if text is invalid
+     * @private
+     */
+    _base64: function (text) {
+        var data;
+        var bytes;
+        var i;
+
+        try {
+            data = window.atob(text.replace(/\s+/g, ''));
+        } catch (e) {
+            return null;
+        }
+        bytes = new Uint8Array(data.length);
+        for (i = 0; i < data.length; i++) {
+            bytes[i] = data.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Adds asynchronous lifecycle hooks support. It's used by App.base.App, App.controller.base.Controller and
+ * App.view.base.View classes for run(), render() and destroy() methods. onBeforeXXX() hook of these methods may
+ * return a promise (jQuery Deferred or any other object with then() method). In this case the rest of the method
+ * will be called after the promise is resolved and the method itself returns a promise. If the promise is resolved
+ * with false, then it works like false returned from synchronous hook. If the promise is rejected, then 'xxxfailed'
+ * event will be fired (e.g. runfailed) and returned promise will be rejected with the same reason. Synchronous hooks
+ * work as before and methods return the same values. So, you may use $.when() to wait for any result:
+ *
+ *     $.when(view.render()).done(function (res) {...});
+ *
+ * All calls of these methods are queued while an asynchronous hook is pending. Queued call will be made after
+ * the pending one is finished. Pending call and all queued calls may be cancelled by cancel() method. Their
+ * promises will be rejected with 'cancelled' reason.
+ *
+ * Events:
+ *     runfailed     Fires if onBeforeRun() hook is rejected
+ *         {*} Rejection reason
+ *     renderfailed  Fires if onBeforeRender() hook is rejected
+ *         {*} Rejection reason
+ *     destroyfailed Fires if onBeforeDestroy() hook is rejected
+ *         {*} Rejection reason
+ *     cancel        Fires if pending call was cancelled by cancel() method
+ *         {String} Name of the cancelled method
+ *
+ * Usage:
+ *     N13.define('App.view.my.View', {
+ *         extend: 'App.view.base.View',
+ *
+ *         onBeforeRender: function () {
+ *             var me = this;
+ *
+ *             return this.tracks.fetch().done(function () {me.setConfig({data: {tracks: me.tracks.toJSON()}});});
+ *         }
+ *     });
+ *
+ *     view.on('renderfailed', function (reason) {...});
+ *     view.render('.container').done(function () {...});
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.mixin.Async', {
+    /**
+     * Mixin constructor. Creates private fields
+     */
+    init: function () {
+        /**
+         * {Object|null} Pending asynchronous call: {method: String, deferred: jQuery.Deferred}
+         * @private
+         */
+        this._pending = null;
+        /**
+         * {Array} Calls, which were queued while other call is pending: {method, args, deferred}
+         * @private
+         */
+        this._queue   = [];
+    },
+
+    /**
+     * Returns true if one of asynchronous hooks is pending
+     * @returns {Boolean}
+     */
+    isPending: function () {
+        return this._pending !== null;
+    },
+
+    /**
+     * Cancels pending call and all queued calls. The rest of pending method will not be called.
+     * @returns {Boolean} true if pending call was cancelled, false if there is nothing to cancel
+     */
+    cancel: function () {
+        var pending = this._pending;
+        var queue   = this._queue;
+        var i;
+        var len;
+
+        if (!pending) {
+            this.trigger('debug', 'Method cancel() was called, but "' + this.className + '" has no pending calls');
+            return false;
+        }
+
+        this._pending = null;
+        this._queue   = [];
+        pending.deferred.reject('cancelled');
+        for (i = 0, len = queue.length; i < len; i++) {
+            queue[i].deferred.reject('cancelled');
+        }
+        this.trigger('cancel', pending.method);
+
+        return true;
+    },
+
+
+    /**
+     * Queues the call of specified method, if other call is pending. Should be called at
+     * the beginning of the method.
+     * @param {String} method Name of the method. e.g.: 'run'
+     * @param {Arguments|Array} args Arguments of the call
+     * @returns {jQuery.Promise|null} Promise of queued call or null if the method may be called now
+     * @private
+     */
+    _enqueue: function (method, args) {
+        var deferred;
+
+        if (!this._pending) {
+            return null;
+        }
+
+        deferred = $.Deferred();
+        this._queue.push({method: method, args: _.toArray(args), deferred: deferred});
+        this.trigger('debug', 'Method ' + method + '() of "' + this.className + '" was queued, because ' + this._pending.method + '() is pending');
+
+        return deferred.promise();
+    },
+
+    /**
+     * Continues the method after onBeforeXXX() hook. If the hook has returned a promise, then
+     * continuation will be called after it's resolving.
+     * @param {String} method Name of the method. e.g.: 'run'
+     * @param {*} res Value, returned by the hook
+     * @param {Function} next Rest of the method. Is called in scope of this. Returns the result of the method
+     * @param {String} vetoMsg Debug message for the case if the hook returns false
+     * @returns {*|jQuery.Promise} Result of the method or promise of it
+     * @private
+     */
+    _continue: function (method, res, next, vetoMsg) {
+        var me = this;
+        var pending;
+
+        if (!res || !N13.isFunction(res.then)) {
+            if (res === false) {
+                this.trigger('debug', vetoMsg);
+                return false;
+            }
+            return next.call(this);
+        }
+
+        pending = this._pending = {method: method, deferred: $.Deferred()};
+        res.then(function (val) {
+            if (me._pending !== pending) {
+                return;
+            }
+            me._pending = null;
+            pending.deferred.resolve(me._continue(method, val === false ? false : undefined, next, vetoMsg));
+            me._dequeue();
+        }, function (reason) {
+            if (me._pending !== pending) {
+                return;
+            }
+            me._pending = null;
+            me.trigger(method + 'failed', reason);
+            pending.deferred.reject(reason);
+            me._dequeue();
+        });
+
+        return pending.deferred.promise();
+    },
+
+    /**
+     * Makes queued calls until one of them becomes pending
+     * @private
+     */
+    _dequeue: function () {
+        var call;
+
+        while (!this._pending && (call = this._queue.shift())) {
+            $.when(this[call.method].apply(this, call.args)).then(call.deferred.resolve, call.deferred.reject);
+        }
+    }
+});
\ No newline at end of file
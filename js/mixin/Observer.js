@@ -3,10 +3,15 @@
  * default 'listeners' config. See example for details. It should be used in case, then you need to catch an events
  * during class instantiating. Using simple view.on() method you can't track events, which triggers during
  * instantiating. It also provides a listen() method, which can add event handlers for any Backbone.Events based
- * object. It's used for auto detach from all events. For this, you should call destroy() method.
+ * object. It's used for auto detach from all events. For this, you should call destroy() method. The same is for
+ * application wide event bus (see App.base.Bus). Use subscribe() and publish() methods to work with it. All
+ * subscriptions will be removed in destroy() method. Classes, which may be stopped and run again (e.g. controllers),
+ * should call stop() method of this mixin. It removes handlers added by listen() and all subscriptions, but keeps
+ * handlers from listeners config. So, these handlers and subscriptions should be added again on next run.
  *
  * Dependencies:
  *     Backbone.Events
+ *     App.base.App.bus
  *
  * Events:
  *     error  Fires in case of error
@@ -28,7 +33,10 @@
  *         }
  *     });
  *     ...
- *     cl.destroy();                                     // Unbinds from all event handlers
+ *     cl.subscribe('player:track:*', function (track, channel) {...}, cl);
+ *     cl.publish('player:track:selected', track);
+ *     cl.stop();                                        // Unbinds listen() handlers and bus channels
+ *     cl.destroy();                                     // Unbinds from all event handlers and bus channels
  *
  * @author DeadbraiN
  */
@@ -43,10 +51,16 @@ N13.define('App.mixin.Observer', {
         var i;
 
         /**
-         * {Array} List of the objects, which has an event handlers
+         * {Array} List of the event handlers, which were added by listen() method: {obj, event, fn, config}.
+         * config is true for handlers from listeners config.
          * @private
          */
-        this._listeners = [];
+        this._listeners     = [];
+        /**
+         * {Array} List of bus subscriptions: {channel, fn, scope}. See subscribe() method.
+         * @private
+         */
+        this._subscriptions = [];
 
         //
         // This mixin works only with Backbone.Events object, so we
@@ -66,6 +80,7 @@ N13.define('App.mixin.Observer', {
                     continue;
                 }
                 this.listen(this, i, listener, listener.scope);
+                _.last(this._listeners).config = true;
             }
         }
     },
@@ -84,31 +99,127 @@ N13.define('App.mixin.Observer', {
             return;
         }
 
-        if (this._listeners.indexOf(obj) === -1) {
-            this._listeners.push(obj);
+        fn = _.bind(fn, scope);
+        this._listeners.push({obj: obj, event: event, fn: fn, config: false});
+        obj.on(event, fn);
+    },
+
+    /**
+     * Subscribes to the channel of application wide event bus. All subscriptions
+     * will be automatically removed on instance destroy. See App.base.Bus for details.
+     * @param {String} channel Channel name or pattern. e.g.: 'player:track:selected' or 'player:**'
+     * @param {Function} fn Callback function. Obtains published data and channel name
+     * @param {Object|null=} scope Scope of the callback. Current instance by default
+     * @returns {Boolean} true if subscribed, false - otherwise
+     */
+    subscribe: function (channel, fn, scope) {
+        var bus = this._getBus();
+
+        if (!bus) {
+            this.trigger('error', 'Event bus is not created. Subscription to the channel "' + channel + '" in class "' + this.className + '" was skipped');
+            return false;
+        }
+        scope = scope || this;
+        if (bus.subscribe(channel, fn, scope)) {
+            this._subscriptions.push({channel: channel, fn: fn, scope: scope});
+            return true;
         }
-        obj.on(event, _.bind(fn, scope));
+
+        return false;
     },
 
     /**
-     * Clears all listeners, which were added by listen() method. This method may
-     * be called in destructor or in some object reset logic.
+     * Publishes data into the channel of application wide event bus. See App.base.Bus for details.
+     * @param {String} channel Full channel name without wildcards. e.g.: 'player:track:selected'
+     * @param {*=} data Data for subscribers
+     * @returns {Number} Amount of called subscribers
      */
-    destroy: function () {
-        var i;
-        var len;
-        var listeners = this._listeners;
+    publish: function (channel, data) {
+        var bus = this._getBus();
 
-        for (i = 0, len = listeners; i < len; i++) {
-            listeners[i].stopListening();
-            listeners[i].off();
+        if (!bus) {
+            this.trigger('error', 'Event bus is not created. Publishing to the channel "' + channel + '" in class "' + this.className + '" was skipped');
+            return 0;
         }
 
+        return bus.publish(channel, data);
+    },
+
+    /**
+     * Clears all listeners, which were added by listen() method (excepting listeners config) and
+     * all bus subscriptions, which were added by subscribe() method. Should be called in stop()
+     * method of the class. Instance may be used after that.
+     */
+    stop: function () {
+        this._unlisten(false);
+        this._unsubscribe();
+    },
+
+    /**
+     * Clears all listeners, which were added by listen() method and all bus subscriptions, which
+     * were added by subscribe() method. This method may be called in destructor or in some object
+     * reset logic.
+     */
+    destroy: function () {
+        this._unlisten(true);
         //
         // If this class has used listenTo() calls, then stopListening() will remove
         // all handlers. off() will remove all handlers binded by on() method.
         //
         this.stopListening();
         this.off();
+        this._unsubscribe();
+    },
+
+
+    /**
+     * Removes event handlers, which were added by listen() method
+     * @param {Boolean} all true - removes all handlers, false - keeps handlers from listeners config
+     * @private
+     */
+    _unlisten: function (all) {
+        var listeners = this._listeners;
+        var kept      = [];
+        var i;
+        var len;
+
+        for (i = 0, len = listeners.length; i < len; i++) {
+            if (!all && listeners[i].config) {
+                kept.push(listeners[i]);
+                continue;
+            }
+            listeners[i].obj.off(listeners[i].event, listeners[i].fn);
+        }
+        this._listeners = kept;
+    },
+
+    /**
+     * Removes all bus subscriptions, which were added by subscribe() method
+     * @private
+     */
+    _unsubscribe: function () {
+        var subscriptions = this._subscriptions;
+        var bus           = this._getBus();
+        var i;
+        var len;
+
+        if (bus) {
+            for (i = 0, len = subscriptions.length; i < len; i++) {
+                bus.unsubscribe(subscriptions[i].channel, subscriptions[i].fn, subscriptions[i].scope);
+            }
+        }
+        this._subscriptions = [];
+    },
+
+    /**
+     * Returns application wide event bus. Application class may be not loaded (e.g. in unit
+     * tests), so we shouldn't use direct reference to App.base.App class here.
+     * @returns {App.base.Bus|null}
+     * @private
+     */
+    _getBus: function () {
+        var app = N13.ns('App.base.App', false);
+
+        return app && app.bus || null;
     }
 });
\ No newline at end of file
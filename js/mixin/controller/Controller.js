@@ -2,6 +2,9 @@
  * This mixin is created only for App.controller.base.Controller class. It adds
  * sub controllers related logic into the controller. So, after that, you may control
  * nested controllers. To setup nested controllers you should use controllers config.
+ * Nested controllers should be run manually by runControllers() method (e.g. in onRun()),
+ * but they are stopped automatically in stop() method of the controller. You may also
+ * stop them manually by stopControllers() method.
  *
  * Events:
  *     error Fires in case of some error
@@ -86,7 +89,6 @@ N13.define('App.mixin.controller.Controller', {
 
     /**
      * Runs all sub controllers if exist.
-     * @private
      */
     runControllers: function () {
         var i;
@@ -98,6 +100,29 @@ N13.define('App.mixin.controller.Controller', {
         }
     },
 
+    /**
+     * Stops all running sub controllers if exist. Stopped controllers may be run
+     * again by runControllers() method.
+     */
+    stopControllers: function () {
+        var i;
+        var len;
+        var controllers = this.controllers;
+
+        for (i = 0, len = controllers.length; i < len; i++) {
+            if (controllers[i].isRunning()) {
+                controllers[i].stop();
+            }
+        }
+    },
+
+    /**
+     * Is called in controller's stop() method. Stops all sub controllers.
+     */
+    stop: function () {
+        this.stopControllers();
+    },
+
     /**
      * Destroys sub controllers related logic in controller. Can be used as a destructor.
      */
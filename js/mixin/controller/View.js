@@ -7,6 +7,28 @@
  * noView config is needed for all nested controllers. Main controller has
  * noView config set to false.
  *
+ * View events may be bound declaratively by control config. It's a map, where
+ * key is a findView() query and value is a map of view event names and handlers.
+ * Handler is a name of controller's method or a function. These handlers are
+ * bound in run() and unbound in stop() and destroy() methods of the controller.
+ * They are rebound automatically if controlled view is rendered again or fires
+ * treechange event (nested views were created or destroyed) and are unbound from
+ * the view, which is destroyed. You may also call rebindControls() manually.
+ *
+ * Controlled view is handled in controller's stop() method according to viewOnStop
+ * config. It may be kept as is, hidden, cleared or destroyed. On next run, the view
+ * will be restored: hidden view will be shown, cleared or destroyed view will be
+ * rendered again if it was rendered before stop. Destroyed view is replaced by new
+ * instance, created by view config. These actions are made only for controllers,
+ * which own the view (noView config is false).
+ *
+ * findView() method caches found views by query. The cache is bound to the
+ * current views tree: it's flushed if controlled view is changed or if it
+ * fires treechange event (nested views were created or destroyed). Cached
+ * view is also checked before returning: it shouldn't be destroyed and should
+ * be still inside the controlled view. Use getViewCache() and flushViewCache()
+ * methods to inspect and clear the cache manually.
+ *
  * Usage:
  *
  *     N13.define('App.controller.MyController', {
@@ -14,9 +36,14 @@
  *         mixins  : {view: 'App.mixin.controller.View'},
  *         requires: ['App.view.my.MainView'],
  *         configs : {
- *             view  : 'my.MainView',
- *             viewNs: 'App.view'
- *         }
+ *             view   : 'my.MainView',
+ *             viewNs : 'App.view',
+ *             control: {
+ *                 'my.MainView > my.SubView': {click: '_onSubViewClick'}
+ *             }
+ *         },
+ *
+ *         _onSubViewClick: function () {...}
  *     });
  *
  *     var ctrl    = new App.controller.MyController(...);
@@ -31,19 +58,31 @@ N13.define('App.mixin.controller.View', {
          * example: 'App.view'. Should be set without dot at the end. Should be
          * 'App.view' by default.
          */
-        viewNs: 'App.view',
+        viewNs : 'App.view',
         /**
          * {String|Object|Backbone.View} The name of the view or configuration
          * object, which will be controlled by this controller. e.g.:
          * 'libraryNavigator.View' or {cl: 'libraryNavigator.View', title: 'Yahoo!'}.
          * Should be null by default
          */
-        view  : null,
+        view   : null,
         /**
          * {Boolean} true means that this controller shouldn't create and destroy views, which
          * were set in view config. /it may only listen them events and call different methods.
          */
-        noView: true
+        noView : true,
+        /**
+         * {Object} Map of view event handlers. Key is a findView() query, value is a map of
+         * event names and handlers (method names or functions). e.g.:
+         * {'player.PlaylistGrid': {selected: '_onTrackSelect'}}
+         */
+        control: {},
+        /**
+         * {String} What should be done with controlled view in controller's stop() method:
+         * 'keep' - nothing, 'hide' - hide (show() on next run), 'clear' - remove the DOM,
+         * 'destroy' - destroy view and create new instance by view config.
+         */
+        viewOnStop: 'keep'
     },
 
 
@@ -52,23 +91,38 @@ N13.define('App.mixin.controller.View', {
      * Creates view instance and all nested views also
      */
     init: function () {
-        var cfg  = {};
-        var view;
-        var View;
-
 
         /**
-         * {RegEx} String left+right trimming regular expression.
+         * {Object} Map of regular expressions for views query tokens. See findView() for query format
          */
-        this._trimRe         = /^\s+|\s+$/g;
+        this._queryTokens     = {
+            combinator: /^\s*(>)\s*|^\s+/,
+            alias     : /^(\*|[a-zA-Z0-9_.]+)/,
+            id        : /^#([a-zA-Z0-9_\-]+)/,
+            index     : /^\[\s*([0-9]+)\s*\]/,
+            attr      : /^\[\s*([a-zA-Z0-9_]+)\s*(?:(!?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/,
+            pseudo    : /^:(first|last)\b/
+        };
         /**
-         * {RegEx} One views query node format. For example: 'view1 > view2[2] > view3#id-12'
+         * {Object} Map of the view instances for current controller. Is used in findView() method.
          */
-        this._queryNodeRe    = /^([a-zA-Z0-9.]+)((\[([0-9]+)\])|(#([a-zA-Z0-9\-]+)))?$/;
+        this._viewCache       = {};
         /**
-         * {Object} Map of the view instances for current controller. Is used in findView() method.
+         * {App.view.base.View|null} Root view of the views tree, which is cached in _viewCache
+         */
+        this._viewCacheRoot   = null;
+        /**
+         * {Array} Array of bound control handlers: {view, event, fn}. See control config.
          */
-        this._viewCache      = {};
+        this._controlBindings = [];
+        /**
+         * {String|Object|null} Initial view config. Is used for view re-creation after stop
+         */
+        this._viewCfg         = this.view;
+        /**
+         * {Boolean|null} Rendered state of the view before stop or null if the view wasn't stopped
+         */
+        this._viewRendered    = null;
 
         //
         // view parameter must be set from outside by setConfig({view: App.view.ase.View})
@@ -76,20 +130,26 @@ N13.define('App.mixin.controller.View', {
         if (this.noView) {
             return;
         }
-        /**
-         * @type {{cl: String}|String} The string class name or it's configuration
-         */
-        view = this.view;
-        if (N13.isString(view)) {
-            View = N13.ns(this.viewNs + '.' + view, false);
-        } else if (N13.isObject(view) && N13.isString(view.cl)) {
-            View = N13.ns(this.viewNs + '.' + view.cl, false);
-            cfg  = view;
-        }
+        this.view = this._createView(this._viewCfg) || this.view;
+    },
 
-        if (View) {
-            this.view = new View(cfg);
-        }
+    /**
+     * Is called in controller's run() method. Restores the view after stop and binds event
+     * handlers from control config.
+     */
+    run: function () {
+        this._restoreView();
+        this.bindControls();
+    },
+
+    /**
+     * Is called in controller's stop() method. Unbinds event handlers from control config
+     * and handles the view according to viewOnStop config.
+     */
+    stop: function () {
+        this.unbindControls();
+        this._resetViewCache();
+        this._stopView();
     },
 
     /**
@@ -97,7 +157,9 @@ N13.define('App.mixin.controller.View', {
      * In case of noView configuration parameter is set to true, then destroy will be skipped.
      */
     destroy: function () {
-        if (!this.view instanceof Backbone.View || this.noView) {
+        this.unbindControls();
+        this._resetViewCache();
+        if (!(this.view instanceof Backbone.View) || this.noView) {
             return;
         }
 
@@ -106,57 +168,53 @@ N13.define('App.mixin.controller.View', {
     },
 
     /**
-     * Finds view by query. Query is a string in format: 'view1 [> view2 [> view3 ...]]'
-     * > symbol means embedded or nested view. For example query: 'view1 > view2' means
-     * view2 inside view1. Symbol > means not only one view inside other, it also means
-     * that one view inside other, inside other and so on. For example, if we have views:
-     * 'view1 > view2 > view3'. We may create a query in different ways: 'view1 > view3'
-     * or 'view1 > view2 > view3' or 'view1 > view2'. First and second queries are similar
-     * in case if there is only one view3 inside the view2.
-     * @param {String} query
-     * @param {Boolean} skipCache true will skip cache and try to find view in views hierarchy,
+     * Finds first view by query. Query is a CSS like selector over the views tree of the
+     * controlled view. It consists of compound selectors separated by combinators:
+     *
+     *     'a b'           b is a descendant of a (nested on any level)
+     *     'a > b'         b is a direct child of a (one of a.items)
+     *
+     * Compound selector contains optional view alias (class name without viewNs prefix) or
+     * '*' wildcard and any amount of these predicates:
+     *
+     *     '#id'           view.id should be equal to 'id'
+     *     '[2]'           view should be the third item of it's parent (root view has index 0)
+     *     '[title]'       view.title should be set (not undefined or null)
+     *     '[title=Add]'   view.title should be equal to 'Add'. Quotes are optional: [title="Add"]
+     *     '[title!=Add]'  view.title should not be equal to 'Add'
+     *     ':first'        only first view, found by the query on the left side
+     *     ':last'         only last view, found by the query on the left side
+     *
+     * For example: 'player.Container > player.PlaylistContainer Button[title=Add]:first'. First
+     * compound selector may be matched with the controlled view itself or with any nested view.
+     * In case of malformed query 'error' event will be fired.
+     * @param {String} query Views query
+     * @param {Boolean=} skipCache true will skip cache and try to find view in views hierarchy,
      * false or undefined will check if only this related controller's cache has this instance
      * by current query
-     * @return {Array} Array of App.view.base.View instances or empty array
+     * @return {App.view.base.View|null} Found view or null
      */
     findView: function (query, skipCache) {
-        var queryArr;
-        var me = this;
         var view;
 
         //
         // view and query must be set correctly
         //
-        if (!me.view || !N13.isString(query) || query === '') {
+        if (!this.view || !N13.isString(query) || query === '') {
             return null;
         }
         //
         // Tries to find view by query in this controller cache
         //
-        if (!skipCache && this._viewCache[query]) {
-            return this._viewCache[query];
+        this._bindViewCache();
+        view = this._viewCache[query];
+        if (view && !this._isLiveView(view)) {
+            this.flushViewCache(query);
+        } else if (view && !skipCache) {
+            return view;
         }
 
-        queryArr = _.map(query.split('>'), function (q) {
-            var parts = me._queryNodeRe.exec(q.replace(me._trimRe, ''));
-
-            if (!parts) {
-                return {index: 0};
-            }
-            //
-            // For example query: 'view1[1] > view2#myId' has these parts:
-            // 'view1', 'view2' - alias
-            // 1                - index
-            // 'myId'           - id
-            //
-            return {
-                alias: parts[1],
-                index: +parts[4],
-                id   : parts[6]
-            };
-        });
-
-        view = me._findView(queryArr, [me.view]);
+        view = this.findViews(query)[0] || null;
         //
         // Saves found view instance to the controller cache
         //
@@ -167,54 +225,470 @@ N13.define('App.mixin.controller.View', {
         return view;
     },
 
+    /**
+     * Finds all views by query. See findView() method for query format details. Views
+     * are returned in the order of views tree walking (parent first, items from left to right).
+     * This method doesn't use the cache.
+     * @param {String} query Views query
+     * @return {Array} Array of App.view.base.View instances or empty array
+     */
+    findViews: function (query) {
+        var steps;
+
+        if (!this.view || !N13.isString(query) || query === '' || !(steps = this._parseQuery(query))) {
+            return [];
+        }
+
+        return _.pluck(this._matchQuery(steps, this._getViewNodes()), 'view');
+    },
 
     /**
-     * Recursive view finder. It walks thought views hierarchy and try to find
-     * view by query array. It can find only one view. So, it returns first
-     * found view and stops after that. See public findView() for details.
-     * @param {Array} query Array of nested views from left to right.
-     * @param {Array} views Array of nested views on current view
-     * @returns {App.view.base.View|null}
-     * @private
+     * Returns a copy of the views cache. It's a map, where key is a query and value is a view
+     * instance. Can be used for debugging.
+     * @returns {Object}
      */
-    _findView: function (query, views) {
-        //
-        // As you remember, we have App.util.trim() method for trimming, but here we shouldn't use
-        // it, because of additional dependency. All base classes should have as minimum dependencies
-        // as possible. It's important if we are speaking about loose coupling.
-        //
-        var viewAlias  = query[0] || null;
-        var classNsLen = this.viewNs.length + 1;
+    getViewCache: function () {
+        return _.clone(this._viewCache);
+    },
+
+    /**
+     * Removes one query or all queries from the views cache
+     * @param {String=} query Query to remove. All queries will be removed if it's not set
+     */
+    flushViewCache: function (query) {
+        if (N13.isString(query)) {
+            delete this._viewCache[query];
+        } else {
+            this._viewCache = {};
+        }
+    },
+
+    /**
+     * Binds all event handlers from control config to the views. Views are found by findView()
+     * method without cache, so the handlers will be bound to the current views tree. Handlers
+     * are rebound on render and treechange events of the controlled view.
+     */
+    bindControls: function () {
+        var control = this.control;
+        var query;
+        var events;
+        var event;
         var view;
-        var index;
+        var fn;
+
+        if (!N13.isObject(control) || !this.view) {
+            return;
+        }
+        for (query in control) {
+            if (control.hasOwnProperty(query)) {
+                if (!(view = this.findView(query, true))) {
+                    this.trigger('debug', 'View "' + query + '" from control config not found in controller "' + this.className + '"');
+                    continue;
+                }
+                events = control[query];
+                for (event in events) {
+                    if (events.hasOwnProperty(event)) {
+                        fn = N13.isString(events[event]) ? this[events[event]] : events[event];
+                        if (!N13.isFunction(fn)) {
+                            this.trigger('error', 'Invalid handler of event "' + event + '" for view "' + query + '" in controller "' + this.className + '"');
+                            continue;
+                        }
+                        this._bindControl(view, event, fn);
+                    }
+                }
+                this._bindControl(view, 'beforedestroy', this._unbindView);
+            }
+        }
+        this._bindControl(this.view, 'render', this.rebindControls);
+        this._bindControl(this.view, 'treechange', this.rebindControls);
+    },
+
+    /**
+     * Unbinds all event handlers, which were bound by bindControls() method
+     */
+    unbindControls: function () {
+        var bindings = this._controlBindings;
         var i;
         var len;
-        var id;
-
-        if (viewAlias.alias && views) {
-            for (i = 0, len = views.length; i < len; i++) {
-                view  = views[i];
-                id    = viewAlias.id    || view.id;
-                index = viewAlias.index || i;
-                //
-                // 'App.view.my.Widget' -> 'my.Widget'
-                //
-                if (view.className.substr(classNsLen) === viewAlias.alias && view.id === id && i === index) {
-                    query.shift();
-                    if (!query.length) {
-                        return view;
-                    }
+
+        for (i = 0, len = bindings.length; i < len; i++) {
+            this.stopListening(bindings[i].view, bindings[i].event, bindings[i].fn);
+        }
+        this._controlBindings = [];
+    },
+
+    /**
+     * Rebinds all event handlers from control config. Is called automatically if nested views
+     * were re-created.
+     */
+    rebindControls: function () {
+        this.unbindControls();
+        this.bindControls();
+    },
+
+
+    /**
+     * Creates view instance by it's class name or configuration
+     * @param {String|Object} view The string class name or it's configuration: {cl: String, ...}
+     * @returns {App.view.base.View|null} View instance or null if view class wasn't found
+     * @private
+     */
+    _createView: function (view) {
+        var View;
+
+        if (N13.isString(view)) {
+            View = N13.ns(this.viewNs + '.' + view, false);
+        } else if (N13.isObject(view) && N13.isString(view.cl)) {
+            View = N13.ns(this.viewNs + '.' + view.cl, false);
+        }
+
+        return N13.isFunction(View) ? new View(N13.isObject(view) ? view : {}) : null;
+    },
+
+    /**
+     * Handles controlled view on controller stop according to viewOnStop config
+     * @private
+     */
+    _stopView: function () {
+        var view = this.view;
+        var mode = this.viewOnStop;
+
+        if (this.noView || !(view instanceof Backbone.View)) {
+            return;
+        }
+        this._viewRendered = !!view.rendered;
+        if (mode === 'hide' && view.rendered) {
+            this._toggleView(false);
+        } else if (mode === 'clear' && view.rendered) {
+            view.clear();
+        } else if (mode === 'destroy') {
+            view.destroy();
+            this.view = this._createView(this._viewCfg);
+        } else if (['keep', 'hide', 'clear'].indexOf(mode) === -1) {
+            this.trigger('error', 'Invalid viewOnStop config "' + mode + '" in controller "' + this.className + '". View was kept.');
+        }
+    },
+
+    /**
+     * Restores controlled view on controller run, if it was stopped before. Is called after
+     * onBeforeRun() method, so the view may be already rendered by the controller.
+     * @private
+     */
+    _restoreView: function () {
+        var view = this.view;
+
+        if (this._viewRendered === null || !(view instanceof Backbone.View)) {
+            return;
+        }
+        if (this.viewOnStop === 'hide' && view.rendered) {
+            this._toggleView(true);
+        } else if (this._viewRendered && !view.rendered) {
+            view.render();
+        }
+        this._viewRendered = null;
+    },
+
+    /**
+     * Shows or hides controlled view. Uses App.mixin.view.Show mixin methods if the view has them.
+     * @param {Boolean} show true - show the view, false - hide
+     * @private
+     */
+    _toggleView: function (show) {
+        var view = this.view;
+
+        if (N13.isFunction(view.show) && N13.isFunction(view.hide)) {
+            if (show) {
+                view.show();
+            } else {
+                view.hide();
+            }
+        } else {
+            view.el.toggle(show);
+        }
+    },
+
+    /**
+     * Binds one control handler to the view and stores this binding
+     * @param {App.view.base.View} view View to listen
+     * @param {String} event Event name
+     * @param {Function} fn Handler. Will be called in controller's scope
+     * @private
+     */
+    _bindControl: function (view, event, fn) {
+        this.listenTo(view, event, fn);
+        this._controlBindings.push({view: view, event: event, fn: fn});
+    },
+
+    /**
+     * Unbinds all control handlers of specified view. Is called before the view will be destroyed.
+     * @param {App.view.base.View} view Destroying view
+     * @private
+     */
+    _unbindView: function (view) {
+        var bindings = _.where(this._controlBindings, {view: view});
+        var i;
+        var len;
+
+        for (i = 0, len = bindings.length; i < len; i++) {
+            this.stopListening(view, bindings[i].event, bindings[i].fn);
+        }
+        this._controlBindings = _.difference(this._controlBindings, bindings);
+    },
+
+    /**
+     * Binds views cache to current controlled view. If controlled view was changed since
+     * last call, then the cache will be flushed and bound to new view's treechange event.
+     * @private
+     */
+    _bindViewCache: function () {
+        if (this._viewCacheRoot === this.view) {
+            return;
+        }
+
+        this._resetViewCache();
+        if (this.view instanceof Backbone.View) {
+            this._viewCacheRoot = this.view;
+            this.listenTo(this.view, 'treechange', this._onTreeChange);
+        }
+    },
+
+    /**
+     * Flushes views cache and unbinds it from the controlled view
+     * @private
+     */
+    _resetViewCache: function () {
+        if (this._viewCacheRoot) {
+            this.stopListening(this._viewCacheRoot, 'treechange', this._onTreeChange);
+        }
+        this._viewCacheRoot = null;
+        this.flushViewCache();
+    },
+
+    /**
+     * treechange event handler of the controlled view. Flushes views cache.
+     * @private
+     */
+    _onTreeChange: function () {
+        this.flushViewCache();
+    },
+
+    /**
+     * Checks if the view is alive: isn't destroyed and is still inside the controlled view
+     * @param {App.view.base.View} view View to check
+     * @returns {Boolean}
+     * @private
+     */
+    _isLiveView: function (view) {
+        while (view) {
+            if (N13.isFunction(view.isDestroyed) && view.isDestroyed()) {
+                return false;
+            }
+            if (view === this.view) {
+                return true;
+            }
+            if (view.parent && !_.contains(view.parent.items, view)) {
+                return false;
+            }
+            view = view.parent;
+        }
+
+        return false;
+    },
+
+    /**
+     * Parses views query into the array of steps. Every step is a compound selector
+     * with combinator, which points to the relation with previous step.
+     * @param {String} query Views query. See findView() for details
+     * @returns {Array|null} Array of steps or null if query is malformed
+     * @private
+     */
+    _parseQuery: function (query) {
+        var tokens = this._queryTokens;
+        var str    = query.replace(/^\s+|\s+$/g, '');
+        var steps  = [];
+        var step   = null;
+        var comb   = ' ';
+        var parts;
+
+        while (str !== '') {
+            if ((parts = tokens.combinator.exec(str))) {
+                if (!step) {
+                    break;
+                }
+                comb = parts[1] ? '>' : ' ';
+                step = null;
+            } else if (!step && (parts = tokens.alias.exec(str))) {
+                step = {combinator: comb, alias: parts[1], attrs: [], pseudos: []};
+                steps.push(step);
+            } else {
+                if (!step) {
+                    step = {combinator: comb, alias: '*', attrs: [], pseudos: []};
+                    steps.push(step);
                 }
-                //
-                // HACK: query.concat() without arguments, creates array copy. We need a copy every
-                // HACK: time we appear inside this method
-                //
-                if ((view = this._findView(query.concat(), view.items))) {
-                    return view;
+                if ((parts = tokens.id.exec(str))) {
+                    step.id = parts[1];
+                } else if ((parts = tokens.index.exec(str))) {
+                    step.index = +parts[1];
+                } else if ((parts = tokens.attr.exec(str))) {
+                    step.attrs.push({
+                        name : parts[1],
+                        op   : parts[2] || null,
+                        value: parts[3] !== undefined ? parts[3] : parts[4] !== undefined ? parts[4] : parts[5]
+                    });
+                } else if ((parts = tokens.pseudo.exec(str))) {
+                    step.pseudos.push(parts[1]);
+                } else {
+                    break;
                 }
             }
+            str = str.substr(parts[0].length);
         }
 
-        return null;
+        if (str !== '' || !step) {
+            this.trigger('error', 'Malformed view query "' + query + '" at position ' + (query.length - str.length) + ' in controller "' + this.className + '"');
+            return null;
+        }
+
+        return steps;
+    },
+
+    /**
+     * Applies query steps to the views tree nodes from left to right
+     * @param {Array} steps Parsed query. See _parseQuery()
+     * @param {Array} nodes All nodes of the views tree. See _getViewNodes()
+     * @returns {Array} Array of matched nodes
+     * @private
+     */
+    _matchQuery: function (steps, nodes) {
+        var matched = null;
+        var i;
+        var len;
+        var step;
+
+        for (i = 0, len = steps.length; i < len; i++) {
+            step    = steps[i];
+            matched = this._matchStep(nodes, step, matched);
+            if (_.contains(step.pseudos, 'first')) {
+                matched = matched.slice(0, 1);
+            }
+            if (_.contains(step.pseudos, 'last')) {
+                matched = matched.slice(-1);
+            }
+            if (!matched.length) {
+                break;
+            }
+        }
+
+        return matched;
+    },
+
+    /**
+     * Returns nodes, which match one query step and are related to the nodes of previous step
+     * @param {Array} nodes All nodes of the views tree
+     * @param {Object} step Compound selector with combinator
+     * @param {Array|null} prev Nodes, matched on previous step or null for the first step
+     * @returns {Array} Array of matched nodes
+     * @private
+     */
+    _matchStep: function (nodes, step, prev) {
+        var me = this;
+
+        return _.filter(nodes, function (node) {
+            return me._matchNode(node, step) && (!prev || me._hasRelation(node, prev, step.combinator));
+        });
+    },
+
+    /**
+     * Checks if one node matches compound selector (alias, id, index and attributes)
+     * @param {Object} node Views tree node: {view, parent, index}
+     * @param {Object} step Compound selector
+     * @returns {Boolean}
+     * @private
+     */
+    _matchNode: function (node, step) {
+        var view = node.view;
+        var i;
+        var len;
+        var attr;
+        var val;
+
+        //
+        // 'App.view.my.Widget' -> 'my.Widget'
+        //
+        if (step.alias !== '*' && view.className.substr(this.viewNs.length + 1) !== step.alias) {
+            return false;
+        }
+        if (step.id !== undefined && view.id !== step.id) {
+            return false;
+        }
+        if (step.index !== undefined && node.index !== step.index) {
+            return false;
+        }
+        for (i = 0, len = step.attrs.length; i < len; i++) {
+            attr = step.attrs[i];
+            val  = view[attr.name];
+            if (val === undefined || val === null) {
+                if (attr.op !== '!=') {
+                    return false;
+                }
+            } else if (attr.op === '=' && String(val) !== attr.value || attr.op === '!=' && String(val) === attr.value) {
+                return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Checks relation between node and one of the nodes, matched on previous step
+     * @param {Object} node Views tree node
+     * @param {Array} prev Nodes, matched on previous step
+     * @param {String} combinator '>' - direct child, ' ' - descendant
+     * @returns {Boolean}
+     * @private
+     */
+    _hasRelation: function (node, prev, combinator) {
+        var parent = node.parent;
+
+        if (combinator === '>') {
+            return _.contains(prev, parent);
+        }
+        while (parent) {
+            if (_.contains(prev, parent)) {
+                return true;
+            }
+            parent = parent.parent;
+        }
+
+        return false;
+    },
+
+    /**
+     * Walks through the views tree of controlled view and returns flat array of
+     * tree nodes in walking order: parent first, items from left to right.
+     * @returns {Array} Array of nodes: {view, parent, index}
+     * @private
+     */
+    _getViewNodes: function () {
+        var nodes = [];
+        var walk  = function (view, parent, index) {
+            var node  = {view: view, parent: parent, index: index};
+            var items = view.items;
+            var i;
+            var len;
+
+            nodes.push(node);
+            if (N13.isArray(items)) {
+                for (i = 0, len = items.length; i < len; i++) {
+                    if (items[i] instanceof Backbone.View && !(N13.isFunction(items[i].isDestroyed) && items[i].isDestroyed())) {
+                        walk(items[i], node, i);
+                    }
+                }
+            }
+        };
+
+        walk(this.view, null, 0);
+
+        return nodes;
     }
 });
\ No newline at end of file
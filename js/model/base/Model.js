@@ -0,0 +1,176 @@
+/**
+ * Base model class. All models should be derived from this one. It adds typed attributes schema to the standard
+ * Backbone.Model. Every attribute in schema may have these rules:
+ *
+ *     type      {String}   Type of the value: 'string', 'number', 'boolean', 'object', 'array', 'date', 'function'
+ *     required  {Boolean}  true means that value can't be undefined, null or empty string
+ *     default   {*}        Default value of the attribute. It's used for creation of the Backbone defaults
+ *     pattern   {RegExp}   Allowed pattern for string values
+ *     validator {Function} Custom validator. Obtains a value and all attributes. Returns error message
+ *                          string in case of error or undefined otherwise. Is called in scope of the model.
+ *
+ * Unlike Backbone.Model, validation is turned on for every set() call and adding the model into the collection.
+ * You may turn it off by {validate: false} option. If the attributes are invalid, then standard 'invalid' event
+ * will be fired with an array of errors. Every error is an object: {attribute, rule, value, message}. Collection
+ * also fires 'invalid' event in case of adding of invalid model. This array is in options.validationError.
+ *
+ * Events:
+ *     invalid  - fires if attributes are invalid
+ *         {App.model.base.Model} Current model
+ *         {Array} Array of errors {attribute: String, rule: String, value: *, message: String}
+ *         {Object} Options of set() method
+ *
+ * Usage:
+ *     N13.define('App.model.my.Model', {
+ *         extend: 'App.model.base.Model',
+ *         schema: {
+ *             title: {type: 'string', required: true, pattern: /^[a-z]+$/i},
+ *             count: {type: 'number', 'default': 0, validator: function (v) {if (v < 0) {return 'Negative count';}}}
+ *         }
+ *     });
+ *
+ *     var model = new App.model.my.Model({title: 'hello'});
+ *     model.on('invalid', function (m, errors) {console.log(errors[0].message);});
+ *     model.set({count: -1});  // false, 'Negative count' in console
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.model.base.Model', {
+    extend : 'Backbone.Model',
+    statics: {
+        /**
+         * {Object} Map of type checkers. Key is a type name from the schema, value is a checker function
+         */
+        TYPES: {
+            'string'  : function (v) {return N13.isString(v);},
+            'number'  : function (v) {return _.isNumber(v) && !_.isNaN(v);},
+            'boolean' : function (v) {return _.isBoolean(v);},
+            'object'  : function (v) {return N13.isObject(v);},
+            'array'   : function (v) {return N13.isArray(v);},
+            'date'    : function (v) {return _.isDate(v);},
+            'function': function (v) {return N13.isFunction(v);}
+        }
+    },
+
+    /**
+     * {Object} Attributes schema. Key is an attribute name, value is an object of rules. See
+     * class description for details. Should be overridden in child classes.
+     */
+    schema: {},
+    /**
+     * {String|null} Name of the store for App.storage.Sync. It has higher priority than store config
+     * of the collection. null means that store of the collection is used.
+     */
+    store : null,
+
+
+    /**
+     * Creates default values of the attributes from the schema. Is used by Backbone.Model constructor.
+     * @returns {Object} Default values
+     */
+    defaults: function () {
+        var schema   = this.schema;
+        var defaults = {};
+        var attr;
+
+        for (attr in schema) {
+            if (schema.hasOwnProperty(attr) && schema[attr].hasOwnProperty('default')) {
+                defaults[attr] = _.clone(schema[attr]['default']);
+            }
+        }
+
+        return defaults;
+    },
+
+    /**
+     * Validates all attributes from the schema. Is called by Backbone.Model in set() and save() methods.
+     * @param {Object} attrs All attributes of the model (current and new)
+     * @returns {Array|undefined} Array of errors or undefined if all attributes are valid
+     */
+    validate: function (attrs) {
+        var schema = this.schema;
+        var errors = [];
+        var error;
+        var attr;
+
+        for (attr in schema) {
+            if (schema.hasOwnProperty(attr) && (error = this._validateAttr(attr, attrs[attr], schema[attr], attrs))) {
+                errors.push(error);
+            }
+        }
+
+        return errors.length ? errors : undefined;
+    },
+
+
+    /**
+     * @override
+     * Turns validation on for all set() calls and for adding into the collection, if
+     * it wasn't turned off explicitly by {validate: false} option. Passed options aren't
+     * changed, except validationError property, which is used by the collection.
+     * @param {Object} attrs Attributes to validate
+     * @param {Object} options Options of set() method
+     * @returns {Boolean}
+     * @private
+     */
+    _validate: function (attrs, options) {
+        var opts  = _.extend({}, options, {validate: !options || options.validate !== false});
+        var valid = this.callParent([attrs, opts]);
+
+        if (!valid && options) {
+            options.validationError = opts.validationError;
+        }
+
+        return valid;
+    },
+
+    /**
+     * Validates one attribute by rules from the schema
+     * @param {String} attr Name of the attribute
+     * @param {*} value Value of the attribute
+     * @param {Object} rules Rules of the attribute from the schema
+     * @param {Object} attrs All attributes of the model
+     * @returns {Object|null} Error object or null if value is valid
+     * @private
+     */
+    _validateAttr: function (attr, value, rules, attrs) {
+        var checker = App.model.base.Model.TYPES[rules.type];
+        var message;
+
+        if (value === undefined || value === null || value === '') {
+            return rules.required ? this._error(attr, 'required', value, 'Attribute "' + attr + '" is required') : null;
+        }
+        if (rules.type && !N13.isFunction(checker)) {
+            return this._error(attr, 'type', value, 'Unknown type "' + rules.type + '" of attribute "' + attr + '" in schema of model "' + this.className + '"');
+        }
+        if (checker && !checker(value)) {
+            return this._error(attr, 'type', value, 'Attribute "' + attr + '" should be of type "' + rules.type + '"');
+        }
+        if (_.isRegExp(rules.pattern) && N13.isString(value) && !rules.pattern.test(value)) {
+            return this._error(attr, 'pattern', value, 'Attribute "' + attr + '" has invalid format');
+        }
+        if (N13.isFunction(rules.validator) && N13.isString(message = rules.validator.call(this, value, attrs))) {
+            return this._error(attr, 'validator', value, message);
+        }
+
+        return null;
+    },
+
+    /**
+     * Creates structured error object
+     * @param {String} attr Name of the attribute
+     * @param {String} rule Name of the failed rule
+     * @param {*} value Invalid value
+     * @param {String} message Error description
+     * @returns {{attribute: String, rule: String, value: *, message: String}}
+     * @private
+     */
+    _error: function (attr, rule, value, message) {
+        return {
+            attribute: attr,
+            rule     : rule,
+            value    : value,
+            message  : message
+        };
+    }
+});
\ No newline at end of file
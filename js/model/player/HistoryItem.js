@@ -0,0 +1,28 @@
+/**
+ * One record of playback history. Keeps played track, the time when playing was started and
+ * how long the track was played. Track is kept by reference, so it may be played again, even
+ * if it was removed from the playlist.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.model.player.HistoryItem', {
+    extend: 'App.model.base.Model',
+    schema: {
+        /**
+         * {App.model.player.Track} Played track
+         */
+        track    : {type: 'object', required: true},
+        /**
+         * {Date} Time when playing was started
+         */
+        startedAt: {type: 'date', required: true},
+        /**
+         * {Number} How long the track was played in seconds. Pauses are not counted
+         */
+        played   : {type: 'number', 'default': 0, validator: function (v) {
+            if (v < 0 || !isFinite(v)) {
+                return 'Attribute "played" should be non negative finite number of seconds';
+            }
+        }}
+    }
+});
\ No newline at end of file
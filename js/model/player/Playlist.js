@@ -0,0 +1,85 @@
+/**
+ * Named playlist. It's stored in 'playlists' store (see App.storage.Sync), so it may be saved on the
+ * server by Rest adapter or locally by other adapters. Model may be saved without a collection, because
+ * store is set in the model itself. Every playlist owns it's own tracks collection. Tracks are bound to
+ * the playlist by playlist attribute, so the collection should be created after the playlist is saved
+ * and has an id.
+ *
+ * Usage:
+ *     var playlist = new App.model.player.Playlist({name: 'Favorites'});
+ *
+ *     playlist.save().done(function () {
+ *         playlist.getTracks().create({url: 'track.mp3'});
+ *     });
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.model.player.Playlist', {
+    extend  : 'App.model.base.Model',
+    requires: ['App.collection.player.Track'],
+    store   : 'playlists',
+    schema  : {
+        /**
+         * {String} Name of the playlist
+         */
+        name: {type: 'string', required: true}
+    },
+
+
+    /**
+     * Creates private fields. Is called by Backbone.Model constructor
+     */
+    initialize: function () {
+        /**
+         * {App.collection.player.Track|null} Tracks of the playlist. It's created on first getTracks() call
+         * @private
+         */
+        this._tracks   = null;
+        /**
+         * {jQuery.Promise|null} Promise of tracks fetching
+         * @private
+         */
+        this._fetching = null;
+    },
+
+    /**
+     * Returns tracks collection of the playlist. Tracks aren't fetched by this method (see fetchTracks())
+     * @returns {App.collection.player.Track}
+     */
+    getTracks: function () {
+        if (!this._tracks) {
+            this._tracks = new App.collection.player.Track([], {playlist: this.isNew() ? null : this.id});
+        }
+
+        return this._tracks;
+    },
+
+    /**
+     * Fetches tracks of the playlist from the storage. Tracks are fetched only once. Failed
+     * fetching may be repeated by next call.
+     * @returns {jQuery.Promise} Promise of the tracks collection
+     */
+    fetchTracks: function () {
+        var tracks = this.getTracks();
+        var me     = this;
+        var fetching;
+
+        if (this._fetching) {
+            return this._fetching;
+        }
+
+        fetching = this._fetching = $.when(tracks.fetch({reset: true})).then(function () {
+            return tracks;
+        });
+        //
+        // Storage may reject synchronously, so the promise is forgotten after it's assigned
+        //
+        fetching.fail(function () {
+            if (me._fetching === fetching) {
+                me._fetching = null;
+            }
+        });
+
+        return fetching;
+    }
+});
\ No newline at end of file
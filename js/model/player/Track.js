@@ -1,11 +1,125 @@
 /**
- * One audio track data container. Keeps track URL only.
+ * One audio track data container. Keeps track URL and it's description. Only URL is required. It may be
+ * absolute http(s) or blob URL or relative path without scheme. All other schemes (e.g. javascript:) are
+ * denied. Title, artist, album, track number, year and cover art may be loaded from tags of the audio file
+ * (see App.meta.Loader). tagged attribute means that tags were already loaded, so the file isn't read again.
  *
  * @author DeadbraiN
  */
 N13.define('App.model.player.Track', {
-    extend  : 'Backbone.Model',
-    defaults: {
-        url: null
+    extend: 'App.model.base.Model',
+    schema: {
+        /**
+         * {String} URL of the audio file
+         */
+        url     : {type: 'string', required: true, pattern: /^((https?:\/\/|blob:)\S+|[^:\s]+)$/i},
+        /**
+         * {String|null} Title of the track
+         */
+        title   : {type: 'string', 'default': null},
+        /**
+         * {String|null} Artist or band name
+         */
+        artist  : {type: 'string', 'default': null},
+        /**
+         * {String|null} Album name
+         */
+        album   : {type: 'string', 'default': null},
+        /**
+         * {Number|null} Number of the track in the album
+         */
+        number  : {type: 'number', 'default': null},
+        /**
+         * {Number|null} Year of the recording
+         */
+        year    : {type: 'number', 'default': null},
+        /**
+         * {String|null} Embedded cover art as data URI of the image
+         */
+        cover   : {type: 'string', 'default': null, pattern: /^data:image\/[a-z0-9.+\-]+;base64,/i},
+        /**
+         * {Boolean} true if tags of the audio file were already loaded
+         */
+        tagged  : {type: 'boolean', 'default': false},
+        /**
+         * {Number|null} Duration of the track in seconds
+         */
+        duration: {type: 'number', 'default': null, validator: function (v) {
+            if (v < 0 || !isFinite(v)) {
+                return 'Attribute "duration" should be non negative finite number of seconds';
+            }
+        }},
+        /**
+         * {Number|null} Id of the playlist, which contains the track (see App.model.player.Playlist)
+         */
+        playlist: {type: 'number', 'default': null}
+    },
+
+
+    /**
+     * Checks if the track is a local file. Such tracks have object URLs, which are valid only in
+     * current session. So, they aren't stored and exported.
+     * @returns {Boolean}
+     */
+    isLocal: function () {
+        var url = this.get('url');
+
+        return N13.isString(url) && url.indexOf('blob:') === 0;
+    },
+
+    /**
+     * Creates a copy of the track without id. So, the copy may be added into the collection, which already
+     * contains this track or other copy of it. Copy keeps reference to the original track (see getOriginal())
+     * @returns {App.model.player.Track}
+     */
+    copy: function () {
+        var copy = this.clone();
+
+        copy.unset(this.idAttribute, {silent: true});
+        copy._original = this.getOriginal();
+
+        return copy;
+    },
+
+    /**
+     * Returns the track, which was copied by copy() method
+     * @returns {App.model.player.Track} Original track or this track if it isn't a copy
+     */
+    getOriginal: function () {
+        return this._original || this;
+    },
+
+    /**
+     * Adds a reference to the object URL of local track. Playlist, play queue and history call it for
+     * every added track. Copies share references of the original track, because they have the same URL.
+     */
+    retain: function () {
+        var original = this.getOriginal();
+
+        original._refs = (original._refs || 0) + 1;
+    },
+
+    /**
+     * Removes a reference to the object URL of local track. The URL is revoked if nobody refers to it
+     * after current call stack. So, the track may be moved from the queue into the history without revoking.
+     */
+    release: function () {
+        var original = this.getOriginal();
+
+        original._refs = Math.max((original._refs || 0) - 1, 0);
+        if (original._refs === 0 && original.isLocal()) {
+            _.defer(_.bind(original._revoke, original));
+        }
+    },
+
+
+    /**
+     * Revokes object URL of local track, if it's still not referred
+     * @private
+     */
+    _revoke: function () {
+        if (!this._refs && window.URL && N13.isFunction(URL.revokeObjectURL)) {
+            URL.revokeObjectURL(this.get('url'));
+        }
     }
 });
\ No newline at end of file
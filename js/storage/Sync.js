@@ -0,0 +1,293 @@
+/**
+ * Storage service, which replaces Backbone.sync. It maps Backbone sync methods (create, read, update, patch,
+ * delete) to the methods of pluggable storage adapter (see App.storage.adapter.Base). Available adapters:
+ *
+ *     IndexedDb IndexedDB database (App.storage.adapter.IndexedDb)
+ *     Local     One localStorage key (App.storage.adapter.Local)
+ *     Memory    In-memory storage for unit tests. Data is lost after reload (App.storage.adapter.Memory)
+ *     Rest      REST server with retries and ETags (App.storage.adapter.Rest)
+ *
+ * adapter config may contain an array of aliases. In this case first supported adapter will be used. Store of the
+ * model is set by store config of it's collection (see App.collection.base.Collection) or by store property of the
+ * model itself (see App.model.base.Model). Models and collections without store can't be synchronized. Adapter is
+ * opened (and migrations are applied) on first sync call. So, collections may be fetched at any moment after
+ * install() method call.
+ *
+ * Changes are optimistic: Backbone applies them to models and collections before they are stored. If storing
+ * fails, then changes are rolled back (see rollback config): created model is removed from it's collection,
+ * changed model gets last stored attributes, destroyed model is added back to the same position. If adapter
+ * detects a conflict (e.g. the record was changed by other client), then stored record wins: it's set to the
+ * model and conflict event is fired.
+ *
+ * Events:
+ *     error     Fires in case of error
+ *         {String} Error message
+ *     conflict  Fires if stored record was changed by somebody else. Model already has stored attributes
+ *         {Backbone.Model} Model in conflict
+ *         {Object} Stored record
+ *
+ * Usage:
+ *     var sync = new App.storage.Sync({
+ *         adapter   : ['IndexedDb', 'Local'],
+ *         name      : 'player',
+ *         migrations: [{stores: ['tracks']}]
+ *     });
+ *
+ *     sync.install();  // Backbone.sync is replaced
+ *     tracks.fetch();  // Tracks are read from 'tracks' store
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.Sync', {
+    mixins  : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    requires: [
+        'App.storage.adapter.IndexedDb',
+        'App.storage.adapter.Local',
+        'App.storage.adapter.Memory',
+        'App.storage.adapter.Rest'
+    ],
+    configs : {
+        /**
+         * {String|Array} Adapter alias or array of aliases. First supported adapter will be used
+         */
+        adapter      : 'Memory',
+        /**
+         * {String} Prefix namespace for all adapters. This prefix + alias will produce full adapter class name
+         */
+        adapterNs    : 'App.storage.adapter',
+        /**
+         * {String} Name of the database. See App.storage.adapter.Base for details
+         */
+        name         : 'app',
+        /**
+         * {Array} Schema migrations. See App.storage.adapter.Base for details
+         */
+        migrations   : [],
+        /**
+         * {Object} Additional configuration of the adapter. e.g.: {url: 'api'} for Rest adapter
+         */
+        adapterConfig: {},
+        /**
+         * {Boolean} true - failed changes are rolled back. See class description for details
+         */
+        rollback     : true,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners    : {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {App.storage.adapter.Base|null} Adapter instance
+         * @private
+         */
+        this._adapter  = null;
+        /**
+         * {Function|null} Backbone.sync, which was replaced by install() method
+         * @private
+         */
+        this._original = null;
+        /**
+         * {Object} Last stored attributes of the models. Key is a cid of the model. They are
+         * used for rolling back of failed changes
+         * @private
+         */
+        this._stored   = {};
+    },
+
+    /**
+     * @constructor
+     * Creates the adapter
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        this._adapter = this._createAdapter();
+    },
+
+    /**
+     * Replaces Backbone.sync by sync() method of this instance. Previous function
+     * is restored in destroy() method.
+     */
+    install: function () {
+        if (this._original) {
+            this.trigger('debug', 'Method install() was called twice in class "' + this.className + '"');
+            return;
+        }
+        this._original = Backbone.sync;
+        Backbone.sync  = _.bind(this.sync, this);
+    },
+
+    /**
+     * Backbone.sync implementation. Calls options.success() with stored attributes or options.error()
+     * with error message. Fires standard 'request' event on the model or collection.
+     * @param {String} method Sync method: 'create', 'read', 'update', 'patch' or 'delete'
+     * @param {Backbone.Model|Backbone.Collection} model Model or collection to sync
+     * @param {Object=} options Backbone options
+     * @returns {jQuery.Promise} Promise of the stored attributes
+     */
+    sync: function (method, model, options) {
+        var me         = this;
+        var store      = model.store || (model.collection && model.collection.store);
+        var collection = model.collection || null;
+        var index      = collection ? collection.indexOf(model) : -1;
+        var promise;
+
+        options = options || {};
+        if (!this._adapter) {
+            promise = $.Deferred().reject('Class "' + this.className + '" has no storage adapter').promise();
+        } else if (!N13.isString(store)) {
+            promise = $.Deferred().reject('Store of "' + (model.className || 'model') + '" isn\'t set. Use store config of the collection.').promise();
+        } else {
+            promise = this._adapter.open().then(function () {
+                return me._request(method, store, model, options);
+            });
+        }
+
+        model.trigger('request', model, promise, options);
+        promise.then(function (resp) {
+            if (options.success) {
+                options.success(resp);
+            }
+            me._remember(method, model);
+        }, function (message, record) {
+            if (me.rollback) {
+                me._rollback(method, model, collection, index);
+            }
+            if (record) {
+                model.set(record);
+                me._remember(method, model);
+                me.trigger('conflict', model, record);
+            }
+            me.trigger('error', 'Method "' + method + '" failed in class "' + me.className + '": ' + message);
+            if (options.error) {
+                options.error(message);
+            }
+        });
+
+        return promise;
+    },
+
+    /**
+     * @returns {App.storage.adapter.Base|null} Adapter instance or null if no adapter is supported
+     */
+    getAdapter: function () {
+        return this._adapter;
+    },
+
+    /**
+     * Restores previous Backbone.sync and destroys the adapter
+     */
+    destroy: function () {
+        if (this._original) {
+            Backbone.sync  = this._original;
+            this._original = null;
+        }
+        if (this._adapter) {
+            this._adapter.destroy();
+        }
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Calls adapter method, which is related to sync method
+     * @param {String} method Sync method
+     * @param {String} store Name of the store
+     * @param {Backbone.Model|Backbone.Collection} model Model or collection to sync
+     * @param {Object} options Backbone options. attrs property contains changed attributes for patch method,
+     * data property contains attributes filter for collection read method (e.g. fetch({data: {playlist: 1}}))
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _request: function (method, store, model, options) {
+        var adapter = this._adapter;
+
+        if (method === 'read') {
+            return model instanceof Backbone.Collection ? adapter.findAll(store, options.data) : adapter.find(store, model.id);
+        } else if (method === 'create' || method === 'update' || method === 'patch') {
+            return adapter.save(store, _.extend(model.toJSON(options), options.attrs));
+        } else if (method === 'delete') {
+            return adapter.remove(store, model.id);
+        }
+
+        return $.Deferred().reject('Unknown sync method "' + method + '"').promise();
+    },
+
+    /**
+     * Remembers stored attributes of the model or all models of the collection after successful sync
+     * @param {String} method Sync method
+     * @param {Backbone.Model|Backbone.Collection} model Synchronized model or collection
+     * @private
+     */
+    _remember: function (method, model) {
+        var stored = this._stored;
+
+        if (method === 'delete') {
+            delete stored[model.cid];
+        } else if (model instanceof Backbone.Collection) {
+            model.each(function (m) {stored[m.cid] = _.clone(m.attributes);});
+        } else {
+            stored[model.cid] = _.clone(model.attributes);
+        }
+    },
+
+    /**
+     * Rolls back optimistic change of failed sync
+     * @param {String} method Sync method
+     * @param {Backbone.Model|Backbone.Collection} model Model or collection
+     * @param {Backbone.Collection|null} collection Collection of the model at the moment of sync call
+     * @param {Number} index Index of the model in the collection at the moment of sync call
+     * @private
+     */
+    _rollback: function (method, model, collection, index) {
+        if (method === 'create' && collection) {
+            collection.remove(model);
+        } else if ((method === 'update' || method === 'patch') && this._stored[model.cid]) {
+            model.set(this._stored[model.cid]);
+        } else if (method === 'delete' && collection && !collection.get(model)) {
+            collection.add(model, {at: index});
+        }
+    },
+
+    /**
+     * Creates first supported adapter by adapter config
+     * @returns {App.storage.adapter.Base|null}
+     * @private
+     */
+    _createAdapter: function () {
+        var aliases = _.isArray(this.adapter) ? this.adapter : [this.adapter];
+        var adapter;
+        var Adapter;
+        var i;
+        var len;
+
+        for (i = 0, len = aliases.length; i < len; i++) {
+            Adapter = N13.isString(aliases[i]) ? N13.ns(this.adapterNs + '.' + aliases[i], false) : null;
+            if (!N13.isFunction(Adapter)) {
+                this.trigger('error', 'Invalid adapter "' + aliases[i] + '" in class "' + this.className + '"');
+                continue;
+            }
+            adapter = new Adapter(_.extend({}, this.adapterConfig, {name: this.name, migrations: this.migrations}));
+            if (adapter.isSupported()) {
+                this.listen(adapter, 'error', function (message) {this.trigger('error', message);}, this);
+                this.listen(adapter, 'debug', function (message) {this.trigger('debug', message);}, this);
+                return adapter;
+            }
+            adapter.destroy();
+            this.trigger('debug', 'Adapter "' + aliases[i] + '" isn\'t supported in current environment');
+        }
+
+        this.trigger('error', 'No supported adapter was found in class "' + this.className + '"');
+        return null;
+    }
+});
\ No newline at end of file
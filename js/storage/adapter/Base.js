@@ -0,0 +1,133 @@
+/**
+ * Base class for storage adapters of App.storage.Sync. Adapter stores JSON compatible records (attributes of the
+ * models) in named stores. Every record has unique id attribute, which is created by the adapter, if it's not set.
+ * All data methods are asynchronous and return a promise (jQuery Deferred), which is resolved with the result or
+ * rejected with error message. Adapters, which detect conflicts of concurrent changes, pass current stored record
+ * as a second argument of rejection. Some adapters may resolve promises synchronously. All adapters should be
+ * derived from this one and should implement all methods marked with @interface.
+ *
+ * Data schema is versioned. Every item of migrations config is one schema version (first item is version 1). Adapter
+ * stores current version of the data and applies all new migrations in order on opening. Every migration may contain:
+ *
+ *     stores {Array}  Names of the stores, which should be created
+ *     update {Object} Map of record updaters. Key is a store name, value is a function, which obtains a record and
+ *                     returns updated record or null if the record should be removed. id of the record can't be changed
+ *     seed   {Object} Map of initial records. Key is a store name, value is an array of records, which should be added
+ *
+ * Usage:
+ *     var adapter = new App.storage.adapter.Memory({
+ *         name      : 'player',
+ *         migrations: [
+ *             {stores: ['tracks'], seed: {tracks: [{url: 'track.mp3'}]}},
+ *             {update: {tracks: function (track) {track.title = null; return track;}}}
+ *         ]
+ *     });
+ *
+ *     adapter.findAll('tracks').done(function (tracks) {...});
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.adapter.Base', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {String} Name of the database. Adapter decides how to use it (e.g. as localStorage key)
+         */
+        name      : 'app',
+        /**
+         * {Array} Schema migrations. Index + 1 is a version of the schema. See class description for details
+         */
+        migrations: [],
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners : {}
+    },
+
+
+    /**
+     * @interface
+     * Returns true if current environment supports this adapter
+     * @returns {Boolean}
+     */
+    isSupported: function () {
+        return true;
+    },
+    /**
+     * @interface
+     * Opens the database and applies new migrations. Should be called before all other methods.
+     * Second and next calls should return the same promise.
+     * @returns {jQuery.Promise}
+     */
+    open       : function () {
+        return $.Deferred().reject('Method open() isn\'t implemented').promise();
+    },
+    /**
+     * @interface
+     * Reads one record by it's id
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise} Promise of the record. It's rejected if the record wasn't found
+     */
+    find       : function () {
+        return $.Deferred().reject('Method find() isn\'t implemented').promise();
+    },
+    /**
+     * @interface
+     * Reads all records of the store in order of adding
+     * @param {String} store Name of the store
+     * @param {Object=} query Attributes filter. Only records with equal attributes are returned. e.g.: {playlist: 1}
+     * @returns {jQuery.Promise} Promise of the records array
+     */
+    findAll    : function () {
+        return $.Deferred().reject('Method findAll() isn\'t implemented').promise();
+    },
+    /**
+     * @interface
+     * Adds new record or replaces existing one with the same id. id is created for new records.
+     * @param {String} store Name of the store
+     * @param {Object} record Record to save
+     * @returns {jQuery.Promise} Promise of saved record with id
+     */
+    save       : function () {
+        return $.Deferred().reject('Method save() isn\'t implemented').promise();
+    },
+    /**
+     * @interface
+     * Removes the record by id. Removing of absent record isn't an error.
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    remove     : function () {
+        return $.Deferred().reject('Method remove() isn\'t implemented').promise();
+    },
+
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+    },
+
+    /**
+     * Returns current schema version. It's equal to amount of migrations
+     * @returns {Number}
+     */
+    getVersion: function () {
+        return N13.isArray(this.migrations) ? this.migrations.length : 0;
+    },
+
+    /**
+     * Destroys the adapter. Removes all event handlers.
+     */
+    destroy: function () {
+        this.callMixin('observe');
+    }
+});
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * IndexedDB storage adapter. Every store is an object store with auto incremented id key, so records are returned
+ * in order of adding. Schema version is IndexedDB database version. Migrations are applied in 'upgradeneeded'
+ * handler one by one in one versionchange transaction. So, if one of them fails, database stays in previous
+ * version.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.adapter.IndexedDb', {
+    extend: 'App.storage.adapter.Base',
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {IDBDatabase|null} Opened database
+         * @private
+         */
+        this._db     = null;
+        /**
+         * {jQuery.Promise|null} Promise of opening
+         * @private
+         */
+        this._opened = null;
+    },
+
+    /**
+     * @override
+     * Checks IndexedDB API
+     * @returns {Boolean}
+     */
+    isSupported: function () {
+        return !!window.indexedDB;
+    },
+
+    /**
+     * @override
+     * Opens the database. New migrations are applied in upgradeneeded event handler
+     * @returns {jQuery.Promise}
+     */
+    open: function () {
+        var me       = this;
+        var deferred;
+        var request;
+
+        if (this._opened) {
+            return this._opened;
+        }
+
+        deferred     = $.Deferred();
+        this._opened = deferred.promise();
+        try {
+            //
+            // Version 0 isn't allowed by IndexedDB, so empty schema has version 1
+            //
+            request = window.indexedDB.open(this.name, Math.max(this.getVersion(), 1));
+        } catch (e) {
+            return deferred.reject(e.message).promise();
+        }
+        request.onupgradeneeded = function (e) {
+            me._migrate(request.result, request.transaction, e.oldVersion + 1);
+        };
+        request.onsuccess       = function () {
+            me._db = request.result;
+            deferred.resolve();
+        };
+        request.onerror         = function () {
+            deferred.reject(me._errorMessage(request));
+        };
+        request.onblocked       = function () {
+            me.trigger('debug', 'Database "' + me.name + '" is blocked by other tab. Upgrade is postponed.');
+        };
+
+        return this._opened;
+    },
+
+    /**
+     * @override
+     * Reads one record by it's id
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    find: function (store, id) {
+        return this._request(store, 'readonly', function (os) {return os.get(id);}).then(function (record) {
+            return record ? record : $.Deferred().reject('Record "' + id + '" wasn\'t found in store "' + store + '"');
+        });
+    },
+
+    /**
+     * @override
+     * Reads all records of the store by cursor. Records are filtered during iteration
+     * @param {String} store Name of the store
+     * @param {Object=} query Attributes filter
+     * @returns {jQuery.Promise}
+     */
+    findAll: function (store, query) {
+        var records = [];
+
+        return this._request(store, 'readonly', function (os) {
+            var request = os.openCursor();
+
+            request.onsuccess = function () {
+                var cursor = request.result;
+
+                if (cursor) {
+                    if (!query || _.where([cursor.value], query).length) {
+                        records.push(cursor.value);
+                    }
+                    cursor.continue();
+                }
+            };
+        }).then(function () {
+            return records;
+        });
+    },
+
+    /**
+     * @override
+     * Adds new record or replaces existing one with the same id
+     * @param {String} store Name of the store
+     * @param {Object} record Record to save
+     * @returns {jQuery.Promise}
+     */
+    save: function (store, record) {
+        record = _.clone(record);
+        //
+        // Key generator is used only if key path property is absent
+        //
+        if (record.id === undefined || record.id === null) {
+            delete record.id;
+        }
+
+        return this._request(store, 'readwrite', function (os) {return os.put(record);}).then(function (id) {
+            return _.extend(record, {id: id});
+        });
+    },
+
+    /**
+     * @override
+     * Removes the record by id
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    remove: function (store, id) {
+        return this._request(store, 'readwrite', function (os) {return os.delete(id);});
+    },
+
+    /**
+     * @override
+     * Closes the database and removes all event handlers
+     */
+    destroy: function () {
+        if (this._db) {
+            this._db.close();
+            this._db = null;
+        }
+        this.callParent();
+    },
+
+
+    /**
+     * Makes a request to the object store in separate transaction. Promise is resolved after
+     * transaction is completed with the result of returned request.
+     * @param {String} store Name of the store
+     * @param {String} mode Transaction mode: 'readonly' or 'readwrite'
+     * @param {Function} fn Makes the request. Obtains IDBObjectStore and returns IDBRequest or nothing
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _request: function (store, mode, fn) {
+        var deferred = $.Deferred();
+        var me       = this;
+        var transaction;
+        var request;
+
+        if (!this._db) {
+            return deferred.reject('Database "' + this.name + '" of adapter "' + this.className + '" isn\'t opened').promise();
+        }
+        try {
+            transaction = this._db.transaction([store], mode);
+            request     = fn(transaction.objectStore(store));
+        } catch (e) {
+            return deferred.reject(e.message).promise();
+        }
+        transaction.oncomplete = function () {
+            deferred.resolve(request ? request.result : undefined);
+        };
+        transaction.onerror    = function () {
+            deferred.reject(me._errorMessage(transaction));
+        };
+        transaction.onabort    = transaction.onerror;
+
+        return deferred.promise();
+    },
+
+    /**
+     * Applies one migration and starts next one after all it's requests are done. Requests of one
+     * migration are made in this order: stores creation, records updating, seeding.
+     * @param {IDBDatabase} db Database in upgrade state
+     * @param {IDBTransaction} transaction versionchange transaction
+     * @param {Number} version Version to migrate to
+     * @private
+     */
+    _migrate: function (db, transaction, version) {
+        var migration = this.migrations[version - 1];
+        var pending   = 1;
+        var me        = this;
+        var next      = function () {
+            if (--pending > 0) {
+                return;
+            }
+            _.each(migration.seed, function (records, name) {
+                _.each(records, function (r) {transaction.objectStore(name).add(_.clone(r));});
+            });
+            if (version < me.getVersion()) {
+                me._migrate(db, transaction, version + 1);
+            }
+        };
+
+        if (!migration) {
+            return;
+        }
+        _.each(migration.stores, function (name) {
+            db.createObjectStore(name, {keyPath: 'id', autoIncrement: true});
+        });
+        _.each(migration.update, function (fn, name) {
+            var request = transaction.objectStore(name).openCursor();
+
+            pending++;
+            request.onsuccess = function () {
+                var cursor = request.result;
+                var record;
+
+                if (!cursor) {
+                    next();
+                    return;
+                }
+                record = fn(_.clone(cursor.value));
+                if (record) {
+                    cursor.update(record);
+                } else {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+        next();
+    },
+
+    /**
+     * Returns error message of failed request or transaction
+     * @param {IDBRequest|IDBTransaction} target Failed request or transaction
+     * @returns {String}
+     * @private
+     */
+    _errorMessage: function (target) {
+        var error = target.error;
+
+        return 'IndexedDB error in database "' + this.name + '": ' + (error ? error.name + ' ' + error.message : 'unknown');
+    }
+});
\ No newline at end of file
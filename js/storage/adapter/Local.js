@@ -0,0 +1,58 @@
+/**
+ * localStorage adapter. All data is stored as one JSON string under the key, which is equal to name config.
+ * It's synchronous and limited by localStorage quota (usually about 5MB), so it's used as a fallback for
+ * browsers without IndexedDB. See App.storage.adapter.Memory for data format.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.adapter.Local', {
+    extend: 'App.storage.adapter.Memory',
+
+
+    /**
+     * @override
+     * localStorage may be absent or may throw an exception on access (e.g. in private mode of some browsers)
+     * @returns {Boolean}
+     */
+    isSupported: function () {
+        var key = this.name + '.test';
+
+        try {
+            window.localStorage.setItem(key, key);
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            return false;
+        }
+
+        return true;
+    },
+
+
+    /**
+     * @override
+     * Reads the data from localStorage
+     * @returns {Object|null}
+     * @private
+     */
+    _read: function () {
+        return JSON.parse(window.localStorage.getItem(this.name));
+    },
+
+    /**
+     * @override
+     * Stores all data into the localStorage. Quota and serialization errors are reported by error event
+     * @param {Object} data Data object
+     * @returns {Boolean} true if data was stored
+     * @private
+     */
+    _write: function (data) {
+        try {
+            window.localStorage.setItem(this.name, JSON.stringify(data));
+        } catch (e) {
+            this.trigger('error', 'Data of adapter "' + this.className + '" can\'t be stored: ' + e.message);
+            return false;
+        }
+
+        return true;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * In-memory storage adapter. Data is lost after page reload, so it's used for unit tests and as a last fallback
+ * if persistent storages are unavailable. All promises are resolved synchronously. Records ids are numbers, which
+ * grow in every store separately. Data is kept in one object:
+ *
+ *     {version: Number, stores: {name: {nextId: Number, records: Array}}}
+ *
+ * Child classes may store this object somewhere by overriding _read() and _write() methods (see
+ * App.storage.adapter.Local).
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.adapter.Memory', {
+    extend: 'App.storage.adapter.Base',
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Object|null} All stored data. It's created in open() method
+         * @private
+         */
+        this._data   = null;
+        /**
+         * {jQuery.Promise|null} Promise of opening
+         * @private
+         */
+        this._opened = null;
+    },
+
+    /**
+     * @override
+     * Reads stored data and applies new migrations to it
+     * @returns {jQuery.Promise}
+     */
+    open: function () {
+        var deferred;
+        var data;
+
+        if (this._opened) {
+            return this._opened;
+        }
+
+        deferred     = $.Deferred();
+        this._opened = deferred.promise();
+        try {
+            data = this._read() || {version: 0, stores: {}};
+            if (data.version > this.getVersion()) {
+                deferred.reject('Stored data version ' + data.version + ' is newer than schema version ' + this.getVersion() + ' of adapter "' + this.className + '"');
+                return this._opened;
+            }
+            this._data = data;
+            this._migrate();
+            this._write(data);
+            deferred.resolve();
+        } catch (e) {
+            deferred.reject(e.message);
+        }
+
+        return this._opened;
+    },
+
+    /**
+     * @override
+     * Reads one record by it's id
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    find: function (store, id) {
+        var s      = this._getStore(store);
+        var record = s && _.find(s.records, function (r) {return r.id === id;});
+
+        if (!s) {
+            return this._reject(store);
+        }
+        if (!record) {
+            return $.Deferred().reject('Record "' + id + '" wasn\'t found in store "' + store + '"').promise();
+        }
+
+        return $.Deferred().resolve(_.clone(record)).promise();
+    },
+
+    /**
+     * @override
+     * Reads all records of the store in order of adding
+     * @param {String} store Name of the store
+     * @param {Object=} query Attributes filter
+     * @returns {jQuery.Promise}
+     */
+    findAll: function (store, query) {
+        var s = this._getStore(store);
+
+        if (!s) {
+            return this._reject(store);
+        }
+
+        return $.Deferred().resolve(_.map(query ? _.where(s.records, query) : s.records, _.clone)).promise();
+    },
+
+    /**
+     * @override
+     * Adds new record or replaces existing one with the same id
+     * @param {String} store Name of the store
+     * @param {Object} record Record to save
+     * @returns {jQuery.Promise}
+     */
+    save: function (store, record) {
+        var s = this._getStore(store);
+        var records;
+        var nextId;
+
+        if (!s) {
+            return this._reject(store);
+        }
+
+        records = s.records.slice();
+        nextId  = s.nextId;
+        record  = this._put(store, record);
+        if (!this._write(this._data)) {
+            s.records = records;
+            s.nextId  = nextId;
+            return this._rejectWrite();
+        }
+
+        return $.Deferred().resolve(_.clone(record)).promise();
+    },
+
+    /**
+     * @override
+     * Removes the record by id
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    remove: function (store, id) {
+        var s = this._getStore(store);
+        var records;
+
+        if (!s) {
+            return this._reject(store);
+        }
+
+        records   = s.records;
+        s.records = _.reject(records, function (r) {return r.id === id;});
+        if (!this._write(this._data)) {
+            s.records = records;
+            return this._rejectWrite();
+        }
+
+        return $.Deferred().resolve().promise();
+    },
+
+
+    /**
+     * Reads stored data. Memory adapter has nothing to read.
+     * @returns {Object|null} Data object or null if there is no stored data
+     * @private
+     */
+    _read: function () {
+        return null;
+    },
+
+    /**
+     * Stores all data. Memory adapter keeps data only in _data field. If data can't be stored,
+     * then save() and remove() methods restore previous state and reject their promises.
+     * @param {Object} data Data object
+     * @returns {Boolean} true if data was stored
+     * @private
+     */
+    _write: function () {
+        return true;
+    },
+
+    /**
+     * Applies all migrations, which are newer than stored data version
+     * @private
+     */
+    _migrate: function () {
+        var data = this._data;
+
+        while (data.version < this.getVersion()) {
+            this._applyMigration(this.migrations[data.version]);
+            data.version++;
+        }
+    },
+
+    /**
+     * Applies one migration: creates new stores, updates existing records and adds seed records
+     * @param {Object} migration Migration from migrations config
+     * @private
+     */
+    _applyMigration: function (migration) {
+        var stores = this._data.stores;
+        var me     = this;
+
+        _.each(migration.stores, function (name) {
+            stores[name] = stores[name] || {nextId: 1, records: []};
+        });
+        _.each(migration.update, function (fn, name) {
+            var s = me._getStore(name);
+
+            if (s) {
+                s.records = _.compact(_.map(s.records, function (r) {return fn(_.clone(r));}));
+            }
+        });
+        _.each(migration.seed, function (records, name) {
+            _.each(me._getStore(name) ? records : [], function (r) {me._put(name, r);});
+        });
+    },
+
+    /**
+     * Adds or replaces the record in the store. Creates an id for new record
+     * @param {String} store Name of existing store
+     * @param {Object} record Record to put
+     * @returns {Object} Stored record
+     * @private
+     */
+    _put: function (store, record) {
+        var s     = this._getStore(store);
+        var index;
+
+        record = _.clone(record);
+        if (record.id === undefined || record.id === null) {
+            record.id = s.nextId++;
+        } else if (_.isNumber(record.id) && record.id >= s.nextId) {
+            s.nextId = record.id + 1;
+        }
+
+        index = _.indexOf(_.pluck(s.records, 'id'), record.id);
+        if (index === -1) {
+            s.records.push(record);
+        } else {
+            s.records[index] = record;
+        }
+
+        return record;
+    },
+
+    /**
+     * Returns the store by name
+     * @param {String} store Name of the store
+     * @returns {Object|null} Store object {nextId, records} or null if it doesn't exist or adapter isn't opened
+     * @private
+     */
+    _getStore: function (store) {
+        return this._data && this._data.stores.hasOwnProperty(store) ? this._data.stores[store] : null;
+    },
+
+    /**
+     * Creates rejected promise for unknown store
+     * @param {String} store Name of the store
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _reject: function (store) {
+        return $.Deferred().reject('Unknown store "' + store + '" in adapter "' + this.className + '". Is it opened and created by migrations?').promise();
+    },
+
+    /**
+     * Creates rejected promise for the case, when data can't be stored
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _rejectWrite: function () {
+        return $.Deferred().reject('Data of adapter "' + this.className + '" can\'t be stored').promise();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * REST storage adapter. Stores records on the server by JSON requests. Store name is a path of the resource
+ * relatively to url config. For example, for url 'api' and store 'tracks':
+ *
+ *     findAll  GET    api/tracks    (query is sent as URL parameters: api/tracks?playlist=1)
+ *     find     GET    api/tracks/1
+ *     save     POST   api/tracks    (new record without id)
+ *     save     PUT    api/tracks/1
+ *     remove   DELETE api/tracks/1
+ *
+ * Failed requests with network errors (status 0) or server errors (5xx) are repeated retries times with
+ * exponential backoff: retryDelay, retryDelay * 2, retryDelay * 4 and so on. Client errors (4xx) aren't repeated.
+ *
+ * Conflicts are detected by ETags. Adapter remembers ETag of every record from ETag header of the response (or
+ * from etagAttr property of the records in the list) and sends it in If-Match header of PUT and DELETE requests.
+ * If the record was changed by somebody else, then server responds with 412 status and current record in the body.
+ * In this case promise is rejected with error message and current record as a second argument (see
+ * App.storage.Sync for conflict handling).
+ *
+ * Schema of the data is maintained by the server, so migrations config isn't used. For offline development
+ * see App.storage.mock.Server.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.adapter.Rest', {
+    extend : 'App.storage.adapter.Base',
+    configs: {
+        /**
+         * {String} Base URL of all stores without slash at the end
+         */
+        url       : 'api',
+        /**
+         * {Number} Amount of repeats of failed request
+         */
+        retries   : 3,
+        /**
+         * {Number} Delay before first repeat in milliseconds. Every next delay is doubled. 0 means immediate repeat
+         */
+        retryDelay: 500,
+        /**
+         * {Number} Request timeout in milliseconds
+         */
+        timeout   : 10000,
+        /**
+         * {String} Name of ETag property of the records in the list response
+         */
+        etagAttr  : '_etag'
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Object} Known ETags of the records. Key is 'store/id', value is ETag
+         * @private
+         */
+        this._etags = {};
+    },
+
+    /**
+     * @override
+     * Server has no opening phase
+     * @returns {jQuery.Promise}
+     */
+    open: function () {
+        return $.Deferred().resolve().promise();
+    },
+
+    /**
+     * @override
+     * Reads one record by GET request
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    find: function (store, id) {
+        var me   = this;
+        var path = store + '/' + id;
+
+        return this._ajax('GET', path).then(function (record, xhr) {
+            me._etags[path] = xhr.getResponseHeader('ETag');
+            return record;
+        }, function (xhr) {
+            return me._fail(xhr, 'GET', path);
+        });
+    },
+
+    /**
+     * @override
+     * Reads all records by GET request. ETags of the records are taken from etagAttr property
+     * @param {String} store Name of the store
+     * @param {Object=} query Attributes filter. It's sent as URL parameters
+     * @returns {jQuery.Promise}
+     */
+    findAll: function (store, query) {
+        var me   = this;
+        var attr = this.etagAttr;
+        var path = query ? store + '?' + $.param(query) : store;
+
+        return this._ajax('GET', path).then(function (records) {
+            return _.map(records, function (record) {
+                me._etags[store + '/' + record.id] = record[attr] || null;
+                return _.omit(record, attr);
+            });
+        }, function (xhr) {
+            return me._fail(xhr, 'GET', path);
+        });
+    },
+
+    /**
+     * @override
+     * Creates new record by POST request or replaces existing one by PUT request with If-Match header
+     * @param {String} store Name of the store
+     * @param {Object} record Record to save
+     * @returns {jQuery.Promise}
+     */
+    save: function (store, record) {
+        var me    = this;
+        var isNew = record.id === undefined || record.id === null;
+        var type  = isNew ? 'POST' : 'PUT';
+        var path  = isNew ? store : store + '/' + record.id;
+
+        return this._ajax(type, path, record).then(function (saved, xhr) {
+            me._etags[store + '/' + saved.id] = xhr.getResponseHeader('ETag');
+            return saved;
+        }, function (xhr) {
+            return me._fail(xhr, type, path);
+        });
+    },
+
+    /**
+     * @override
+     * Removes the record by DELETE request with If-Match header
+     * @param {String} store Name of the store
+     * @param {Number|String} id Record id
+     * @returns {jQuery.Promise}
+     */
+    remove: function (store, id) {
+        var me   = this;
+        var path = store + '/' + id;
+
+        return this._ajax('DELETE', path).then(function () {
+            delete me._etags[path];
+        }, function (xhr) {
+            return me._fail(xhr, 'DELETE', path);
+        });
+    },
+
+
+    /**
+     * Makes JSON request and repeats it in case of network or server error. Known ETag of
+     * the record is sent in If-Match header.
+     * @param {String} type HTTP method
+     * @param {String} path Path of the resource relatively to url config
+     * @param {Object=} record Request body
+     * @returns {jQuery.Promise} Promise, which is resolved with response data and jqXHR or
+     * rejected with jqXHR of last attempt
+     * @private
+     */
+    _ajax: function (type, path, record) {
+        var deferred = $.Deferred();
+        var etag     = this._etags[path];
+        var attempt  = 0;
+        var me       = this;
+        var send     = function () {
+            $.ajax({
+                type       : type,
+                url        : me.url + '/' + path,
+                data       : record ? JSON.stringify(record) : undefined,
+                contentType: 'application/json',
+                dataType   : 'json',
+                timeout    : me.timeout,
+                headers    : etag && type !== 'POST' ? {'If-Match': etag} : {}
+            }).done(function (data, status, xhr) {
+                deferred.resolve(data, xhr);
+            }).fail(function (xhr) {
+                var delay = me.retryDelay * Math.pow(2, attempt);
+
+                if ((xhr.status !== 0 && xhr.status < 500) || attempt >= me.retries) {
+                    deferred.reject(xhr);
+                    return;
+                }
+                attempt++;
+                me.trigger('debug', 'Request "' + type + ' ' + path + '" failed with status ' + xhr.status + '. Attempt ' + attempt + ' of ' + me.retries + ' in ' + delay + 'ms');
+                if (delay > 0) {
+                    setTimeout(send, delay);
+                } else {
+                    send();
+                }
+            });
+        };
+
+        send();
+
+        return deferred.promise();
+    },
+
+    /**
+     * Creates rejected promise for failed request. In case of conflict, current record
+     * from the server is passed as a second argument and it's ETag is remembered.
+     * @param {jqXHR} xhr Failed request
+     * @param {String} type HTTP method
+     * @param {String} path Path of the resource
+     * @returns {jQuery.Promise}
+     * @private
+     */
+    _fail: function (xhr, type, path) {
+        var message = 'Request "' + type + ' ' + path + '" of adapter "' + this.className + '" failed: ' + xhr.status + ' ' + xhr.statusText;
+        var record  = null;
+
+        if (xhr.status === 412) {
+            try {
+                record = JSON.parse(xhr.responseText);
+            } catch (e) {
+                this.trigger('debug', 'Invalid conflict response of request "' + type + ' ' + path + '"');
+            }
+            this._etags[path] = xhr.getResponseHeader('ETag');
+            message = 'Record "' + path + '" was changed by somebody else';
+        }
+
+        return $.Deferred().reject(message, record).promise();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,373 @@
+/**
+ * In-process mock REST server for offline development and unit tests of App.storage.adapter.Rest. It's installed
+ * as jQuery ajax transport, so it responds to all jQuery requests, which URLs start with url config. Other
+ * requests go to the network as usual. Records are kept in memory. Resources and status codes:
+ *
+ *     GET    url/store      200 Array of records. Every record has ETag in '_etag' property. URL parameters
+ *                            are used as attributes filter (e.g. url/store?playlist=1)
+ *     GET    url/store/id   200 Record with ETag header or 404
+ *     POST   url/store      201 Created record with new id and ETag header
+ *     PUT    url/store/id   200 Replaced record with ETag header, 404 or 412
+ *     DELETE url/store/id   204 or 412
+ *
+ * Store is any path without numeric last segment (e.g. 'tracks' or 'playlists/1/tracks'). Stores are created
+ * on first access. PUT and DELETE requests with If-Match header, which differs from current ETag of the record,
+ * get 412 status with current record in the body and it's ETag in header. Server errors and network errors may
+ * be simulated by fail() method. Records may be changed "by somebody else" by change() method.
+ *
+ * Responses are sent after delay config milliseconds. If autoRespond config is false, then requests are queued
+ * until respond() method call. So, unit tests may be synchronous.
+ *
+ * Usage:
+ *     var server = new App.storage.mock.Server({url: 'api', data: {tracks: [{url: 'track.mp3'}]}});
+ *
+ *     server.install();
+ *     server.fail(2, 503);       // next two requests will fail
+ *     $.getJSON('api/tracks');   // third attempt will get [{url: 'track.mp3', id: 1, _etag: '"1-1"'}]
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.storage.mock.Server', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {String} Base URL of all stores without slash at the end
+         */
+        url        : 'api',
+        /**
+         * {Number} Delay of responses in milliseconds
+         */
+        delay      : 50,
+        /**
+         * {Boolean} false means that requests are queued until respond() method call
+         */
+        autoRespond: true,
+        /**
+         * {Object} Initial records. Key is a store, value is an array of records
+         */
+        data       : {},
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners  : {}
+    },
+    statics: {
+        /**
+         * {App.storage.mock.Server|null} Installed server. Only one server may be installed
+         */
+        active     : null,
+        /**
+         * {Boolean} true if ajax transport was registered in jQuery. It can't be unregistered,
+         * so it's registered only once and works only if there is installed server
+         */
+        transport  : false,
+        /**
+         * {Object} Status texts of used status codes
+         */
+        STATUS_TEXT: {
+            0  : 'error',
+            200: 'OK',
+            201: 'Created',
+            204: 'No Content',
+            404: 'Not Found',
+            412: 'Precondition Failed',
+            500: 'Internal Server Error',
+            503: 'Service Unavailable'
+        }
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Object} Stores. Key is a store path, value is {nextId: Number, records: Array}. Every
+         * record is {data: Object, rev: Number}
+         * @private
+         */
+        this._stores   = {};
+        /**
+         * {Array} Requests, which wait for response: {request: Object, complete: Function}
+         * @private
+         */
+        this._queue    = [];
+        /**
+         * {Array} Statuses of simulated failures for next requests
+         * @private
+         */
+        this._failures = [];
+    },
+
+    /**
+     * @constructor
+     * Fills stores by initial data
+     */
+    init: function () {
+        var me = this;
+
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        _.each(this.data, function (records, store) {
+            _.each(records, function (record) {me._create(store, record);});
+        });
+    },
+
+    /**
+     * Starts responding to the requests. Previously installed server stops responding.
+     */
+    install: function () {
+        var Server = App.storage.mock.Server;
+
+        if (!Server.transport) {
+            Server.transport = true;
+            $.ajaxTransport('+*', function (options) {
+                var server = App.storage.mock.Server.active;
+
+                if (server && options.url.indexOf(server.url + '/') === 0) {
+                    return server._createTransport(options);
+                }
+            });
+        }
+        Server.active = this;
+    },
+
+    /**
+     * Simulates failures of next requests
+     * @param {Number} count Amount of failed requests
+     * @param {Number=} status Status of failed responses. 503 by default. 0 means network error
+     */
+    fail: function (count, status) {
+        var i;
+
+        for (i = 0; i < count; i++) {
+            this._failures.push(status === undefined ? 503 : status);
+        }
+    },
+
+    /**
+     * Changes the record on the server side, like other client does. ETag of the record is changed.
+     * @param {String} store Store path
+     * @param {Object} record Record with existing id
+     * @returns {Boolean} true if record was changed, false if it wasn't found
+     */
+    change: function (store, record) {
+        var stored = this._find(store, record.id);
+
+        if (!stored) {
+            return false;
+        }
+        stored.data = _.clone(record);
+        stored.rev++;
+
+        return true;
+    },
+
+    /**
+     * Returns copies of all records of the store
+     * @param {String} store Store path
+     * @returns {Array}
+     */
+    getRecords: function (store) {
+        return this._stores[store] ? _.map(_.pluck(this._stores[store].records, 'data'), _.clone) : [];
+    },
+
+    /**
+     * Responds to all queued requests, including requests, which are queued during responding
+     * @returns {Number} Amount of responded requests
+     */
+    respond: function () {
+        var amount = 0;
+        var item;
+
+        while ((item = this._queue.shift())) {
+            this._respond(item);
+            amount++;
+        }
+
+        return amount;
+    },
+
+    /**
+     * Stops responding. Queued requests will never be responded.
+     */
+    destroy: function () {
+        if (App.storage.mock.Server.active === this) {
+            App.storage.mock.Server.active = null;
+        }
+        this._queue = [];
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Creates jQuery transport for one request
+     * @param {Object} options jQuery ajax options
+     * @returns {Object} Transport: {send: Function, abort: Function}
+     * @private
+     */
+    _createTransport: function (options) {
+        var me   = this;
+        var item = null;
+
+        return {
+            send : function (headers, complete) {
+                item = {
+                    request : {
+                        type   : options.type.toUpperCase(),
+                        path   : options.url.slice(me.url.length + 1).split('?')[0],
+                        query  : options.url.split('?')[1] || '',
+                        headers: headers,
+                        body   : options.hasContent && options.data ? options.data : null
+                    },
+                    complete: complete
+                };
+                if (!me.autoRespond) {
+                    me._queue.push(item);
+                } else if (me.delay > 0) {
+                    setTimeout(function () {me._respond(item);}, me.delay);
+                } else {
+                    me._respond(item);
+                }
+            },
+            abort: function () {
+                if (item) {
+                    me._queue     = _.without(me._queue, item);
+                    item.complete = null;
+                }
+            }
+        };
+    },
+
+    /**
+     * Makes a response to the request by jQuery complete callback. Aborted requests are skipped.
+     * @param {Object} item Queued request: {request, complete}
+     * @private
+     */
+    _respond: function (item) {
+        var response;
+        var headers;
+        var body;
+
+        if (!item.complete) {
+            return;
+        }
+        response = this._failures.length ? {status: this._failures.shift(), body: null} : this._handle(item.request);
+        headers  = response.etag ? 'ETag: ' + response.etag + '\r\n' : '';
+        body     = response.body === null ? '' : JSON.stringify(response.body);
+        this.trigger('debug', item.request.type + ' ' + item.request.path + ' ' + response.status);
+        item.complete(response.status, App.storage.mock.Server.STATUS_TEXT[response.status] || '', {text: body}, headers);
+        item.complete = null;
+    },
+
+    /**
+     * Handles the request by REST rules
+     * @param {Object} request Request: {type, path, query, headers, body}
+     * @returns {Object} Response: {status: Number, body: *, etag: String|undefined}
+     * @private
+     */
+    _handle: function (request) {
+        var segments = request.path.split('/');
+        var id       = $.isNumeric(_.last(segments)) ? +segments.pop() : null;
+        var store    = segments.join('/');
+        var stored   = id === null ? null : this._find(store, id);
+        var ifMatch  = request.headers['If-Match'];
+        var body     = request.body ? JSON.parse(request.body) : null;
+        var me       = this;
+
+        if (id === null && request.type === 'GET') {
+            return {status: 200, body: _.map(_.filter(this._getStore(store).records, function (r) {
+                return me._matches(r.data, request.query);
+            }), function (r) {
+                return _.extend(_.clone(r.data), {_etag: me._etag(r)});
+            })};
+        } else if (id === null && request.type === 'POST') {
+            stored = this._create(store, body);
+            return {status: 201, body: stored.data, etag: this._etag(stored)};
+        } else if (request.type === 'DELETE' && !stored) {
+            return {status: 204, body: null};
+        } else if (!stored) {
+            return {status: 404, body: {error: 'Record "' + request.path + '" not found'}};
+        } else if (ifMatch && ifMatch !== this._etag(stored) && (request.type === 'PUT' || request.type === 'DELETE')) {
+            return {status: 412, body: stored.data, etag: this._etag(stored)};
+        } else if (request.type === 'GET') {
+            return {status: 200, body: stored.data, etag: this._etag(stored)};
+        } else if (request.type === 'PUT') {
+            stored.data = _.extend({}, body, {id: id});
+            stored.rev++;
+            return {status: 200, body: stored.data, etag: this._etag(stored)};
+        } else if (request.type === 'DELETE') {
+            this._getStore(store).records = _.without(this._getStore(store).records, stored);
+            return {status: 204, body: null};
+        }
+
+        return {status: 404, body: {error: 'Unknown request "' + request.type + ' ' + request.path + '"'}};
+    },
+
+    /**
+     * Returns the store by path. Creates new store if it doesn't exist
+     * @param {String} store Store path
+     * @returns {Object} Store: {nextId, records}
+     * @private
+     */
+    _getStore: function (store) {
+        return this._stores[store] || (this._stores[store] = {nextId: 1, records: []});
+    },
+
+    /**
+     * Finds stored record by id
+     * @param {String} store Store path
+     * @param {Number} id Record id
+     * @returns {Object|undefined} Stored record: {data, rev}
+     * @private
+     */
+    _find: function (store, id) {
+        return _.find(this._getStore(store).records, function (r) {return r.data.id === id;});
+    },
+
+    /**
+     * Creates new record with new id
+     * @param {String} store Store path
+     * @param {Object} data Record data
+     * @returns {Object} Stored record: {data, rev}
+     * @private
+     */
+    _create: function (store, data) {
+        var s      = this._getStore(store);
+        var stored = {data: _.extend(_.clone(data), {id: s.nextId++}), rev: 1};
+
+        s.records.push(stored);
+
+        return stored;
+    },
+
+    /**
+     * Checks if the record matches URL parameters. Parameters are strings, so
+     * values are compared as strings
+     * @param {Object} data Record data
+     * @param {String} query URL parameters. e.g.: 'playlist=1&title=a'
+     * @returns {Boolean}
+     * @private
+     */
+    _matches: function (data, query) {
+        return _.every(query ? query.split('&') : [], function (param) {
+            var pair = _.map(param.split('='), function (p) {return decodeURIComponent(p.replace(/\+/g, ' '));});
+
+            return String(data[pair[0]]) === pair[1];
+        });
+    },
+
+    /**
+     * Returns ETag of stored record
+     * @param {Object} stored Stored record: {data, rev}
+     * @returns {String}
+     * @private
+     */
+    _etag: function (stored) {
+        return '"' + stored.data.id + '-' + stored.rev + '"';
+    }
+});
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Template for dialog window. It contains modal overlay, header with title and close button
+ * and a body region for nested views.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.Dialog', {
+    statics: {
+        data: '' +
+            '<div class="dialog-overlay">' +
+                '<div class="dialog <%= cls %>" role="dialog">' +
+                    '<div class="header">' +
+                        '<span class="title"><%- title %></span>' +
+                        '<button type="button" class="close" title="Close">X</button>' +
+                    '</div>' +
+                    '<div class="body" data-region="body"></div>' +
+                '</div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * Template of the form for adding of tracks by URLs. It contains a text area for URLs (one per line),
+ * list of validation errors and form buttons.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.AddTracks', {
+    statics: {
+        data: '' +
+            '<div class="add-tracks">' +
+                '<textarea rows="5" placeholder="Track URLs, one per line"></textarea>' +
+                '<ul class="errors"></ul>' +
+                '<div class="controls">' +
+                    '<button type="button" action="cancel">Cancel</button>' +
+                    '<button type="button" action="add">Add</button>' +
+                '</div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
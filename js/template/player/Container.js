@@ -1,6 +1,6 @@
 /**
- * Template for main audio player container. Contains two placeholders for
- * inner views. Upper is used for control panel, downer is used for playlist.
+ * Template for main audio player container. Contains regions for inner views:
+ * control panel, playlist, play queue and playback history from top to bottom.
  *
  * @author DeadbraiN
  */
@@ -8,8 +8,10 @@ N13.define('App.template.player.Container', {
     statics: {
         data: '' +
             '<div class="player-container">' +
-                '<div class="innerContainer"></div>' +
-                '<div class="innerContainer"></div>' +
+                '<div data-region="controls"></div>' +
+                '<div data-region="playlist"></div>' +
+                '<div data-region="queue"></div>' +
+                '<div data-region="history"></div>' +
             '</div>'
     }
 });
\ No newline at end of file
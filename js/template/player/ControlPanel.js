@@ -1,5 +1,18 @@
+/**
+ * Template of the audio player control panel. Contains regions for buttons,
+ * seek bar, time, volume and playback modes nested views.
+ *
+ * @author DeadbraiN
+ */
 N13.define('App.template.player.ControlPanel', {
     statics: {
-        data: '<audio controls autoplay class="control-panel"></audio>'
+        data: '' +
+            '<div class="control-panel">' +
+                '<div class="control-buttons" data-region="buttons"></div>' +
+                '<div class="control-seek" data-region="seek"></div>' +
+                '<div class="control-time" data-region="time"></div>' +
+                '<div class="control-volume" data-region="volume"></div>' +
+                '<div class="control-modes" data-region="modes"></div>' +
+            '</div>'
     }
 });
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Template of the playback history grid. The newest records are shown first. Every row
+ * contains track name, start time and played time.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.HistoryGrid', {
+    statics: {
+        data: '' +
+            '<table class="history-grid">' +
+                '<% var i; %>' +
+                '<% if (!items.length) { %>' +
+                    '<tr class="empty"><td>History is empty</td></tr>' +
+                '<% } %>' +
+                '<% for(i = items.length - 1; i >= 0; i--) { %>' +
+                    '<tr row="<%= i %>"><td><%= items[i].name %></td><td align="center"><%= items[i].started %></td><td align="right"><%= items[i].played %></td></tr>' +
+                '<% } %>' +
+            '</table>'
+    }
+});
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Template of the playlist import and export panel. It contains a text area for pasted playlist,
+ * file picker, format selector for export and a report of the last import.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.ImportExport', {
+    statics: {
+        data: '' +
+            '<div class="import-export">' +
+                '<textarea rows="3" placeholder="Paste M3U, PLS, XSPF or JSPF playlist here"></textarea>' +
+                '<div class="controls">' +
+                    '<button type="button" action="import">Import text</button>' +
+                    '<input type="file" accept="<%= accept %>">' +
+                    '<span class="export">' +
+                        '<select>' +
+                            '<% var i, len; %>' +
+                            '<% for(i = 0, len = formats.length; i < len; i++) { %>' +
+                                '<option value="<%= formats[i] %>"><%= formats[i].toUpperCase() %></option>' +
+                            '<% } %>' +
+                        '</select>' +
+                        '<button type="button" action="export">Export</button>' +
+                    '</span>' +
+                '</div>' +
+                '<div class="report"></div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
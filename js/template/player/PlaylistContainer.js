@@ -1,5 +1,7 @@
 /**
- * Template of the container for playlist and "add track" button
+ * Template of the container for playlists sidebar, playlist, "add track" and "add files" buttons,
+ * import/export panel, playlist footer, "add tracks" and playlist dialogs. Hidden file picker is used for choosing
+ * of local audio files
  *
  * @author DeadbraiN
  */
@@ -7,8 +9,13 @@ N13.define('App.template.player.PlaylistContainer', {
     statics: {
         data: '' +
             '<div class="playlist-container">' +
-                '<div class="innerContainer scrollable"></div>' +
-                '<div class="innerContainer add-button"></div>' +
+                '<div class="sidebar" data-region="sidebar"></div>' +
+                '<div class="scrollable" data-region="grid"></div>' +
+                '<div class="add-button" data-region="buttons"></div>' +
+                '<div class="io" data-region="io"></div>' +
+                '<div class="footer" data-region="footer"></div>' +
+                '<input type="file" class="file-picker" multiple accept="audio/*">' +
+                '<div data-region="dialog"></div>' +
             '</div>'
     }
 });
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Template of the playlist footer with total and remaining time of the playlist
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.PlaylistFooter', {
+    statics: {
+        data: '' +
+            '<div class="playlist-footer">' +
+                'Total: <span class="total">0:00</span> Remaining: <span class="remaining">0:00</span><span class="unknown"></span>' +
+            '</div>'
+    }
+});
\ No newline at end of file
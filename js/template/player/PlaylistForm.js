@@ -0,0 +1,20 @@
+/**
+ * Template of the form for playlist actions. It contains a message, playlist name field,
+ * validation error and form buttons. Name field is hidden for confirmations.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.PlaylistForm', {
+    statics: {
+        data: '' +
+            '<div class="playlist-form">' +
+                '<div class="message"></div>' +
+                '<input type="text" class="name">' +
+                '<div class="error"></div>' +
+                '<div class="controls">' +
+                    '<button type="button" action="cancel">Cancel</button>' +
+                    '<button type="button" action="ok">OK</button>' +
+                '</div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
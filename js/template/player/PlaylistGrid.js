@@ -1,5 +1,7 @@
 /**
- * Template of the playlist grid.
+ * Template of the playlist grid. Artist and title of the track are shown if they are set. File name from the URL
+ * is shown otherwise. Embedded cover art is shown as a background of the first cell. Album, year and number of
+ * the track are shown in a tooltip. Duration is shown, if it's known. format() function formats it.
  *
  * @author DeadbraiN
  */
@@ -7,11 +9,14 @@ N13.define('App.template.player.PlaylistGrid', {
     statics: {
         data: '' +
             '<table class="playlist-grid">' +
-                '<% var i, len, url, index; %>' +
+                '<% var i, len, t, url, index, name, info; %>' +
                 '<% for(i = 0, len = tracks.length; i < len; i++) { %>' +
-                    '<% url   = tracks[i].url; %>' +
+                    '<% t     = tracks[i]; %>' +
+                    '<% url   = t.url; %>' +
                     '<% index = url.lastIndexOf("/"); %>' +
-                    '<tr row="<%= i %>"><td col="0"><%= index !== -1 && index !== url.length - 1 ? url.substr(url.lastIndexOf("/") + 1) : url %></td><td col="1" align="center">X</td></tr>' +
+                    '<% name  = t.title ? (t.artist ? t.artist + " - " : "") + t.title : (index !== -1 && index !== url.length - 1 ? url.substr(index + 1) : url); %>' +
+                    '<% info  = _.compact([t.album, t.year, t.number ? "#" + t.number : null]).join(", "); %>' +
+                    '<tr row="<%= i %>"><td col="0"<% if (t.cover) { %> class="cover" style="background-image: url(<%- t.cover %>)"<% } %><% if (info) { %> title="<%- info %>"<% } %>><%- name %></td><td col="0" class="duration"><%- t.duration === null || t.duration === undefined ? "" : format(t.duration) %></td><td col="2" align="center">Next</td><td col="3" align="center">Queue</td><td col="1" align="center">X</td></tr>' +
                 '<% } %>' +
             '</table>'
     }
@@ -0,0 +1,25 @@
+/**
+ * Template of the playlists sidebar. Every row contains a name of the playlist. Active playlist
+ * is highlighted. Actions for active playlist are shown below the list.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.PlaylistSidebar', {
+    statics: {
+        data: '' +
+            '<div class="playlist-sidebar">' +
+                '<table>' +
+                    '<% var i, len; %>' +
+                    '<% for(i = 0, len = playlists.length; i < len; i++) { %>' +
+                        '<tr row="<%= i %>"<%= i === active ? \' class="selected"\' : \'\' %>><td><%- playlists[i].name %></td></tr>' +
+                    '<% } %>' +
+                '</table>' +
+                '<div class="actions">' +
+                    '<span action="create">New</span>' +
+                    '<span action="rename">Rename</span>' +
+                    '<span action="duplicate">Copy</span>' +
+                    '<span action="remove">Delete</span>' +
+                '</div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
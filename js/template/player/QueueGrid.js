@@ -0,0 +1,21 @@
+/**
+ * Template of the play queue grid. Every row contains track name, move up and remove cells.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.QueueGrid', {
+    statics: {
+        data: '' +
+            '<table class="queue-grid">' +
+                '<% var i, len, url, index; %>' +
+                '<% if (!tracks.length) { %>' +
+                    '<tr class="empty"><td>Queue is empty</td></tr>' +
+                '<% } %>' +
+                '<% for(i = 0, len = tracks.length; i < len; i++) { %>' +
+                    '<% url   = tracks[i].url; %>' +
+                    '<% index = url.lastIndexOf("/"); %>' +
+                    '<tr row="<%= i %>"><td col="0"><%= tracks[i].title || (index !== -1 && index !== url.length - 1 ? url.substr(index + 1) : url) %></td><td col="1" align="center">Up</td><td col="2" align="center">X</td></tr>' +
+                '<% } %>' +
+            '</table>'
+    }
+});
\ No newline at end of file
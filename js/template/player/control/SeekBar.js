@@ -0,0 +1,14 @@
+/**
+ * Template of the seek bar. Contains a container for buffered ranges and played part of the track
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.control.SeekBar', {
+    statics: {
+        data: '' +
+            '<div class="seek-bar">' +
+                '<div class="seek-buffered"></div>' +
+                '<div class="seek-played"></div>' +
+            '</div>'
+    }
+});
\ No newline at end of file
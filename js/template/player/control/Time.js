@@ -0,0 +1,13 @@
+/**
+ * Template of elapsed and remaining time of the track
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.control.Time', {
+    statics: {
+        data: '' +
+            '<div class="time">' +
+                '<span class="time-elapsed">0:00</span> / <span class="time-remaining">-0:00</span>' +
+            '</div>'
+    }
+});
\ No newline at end of file
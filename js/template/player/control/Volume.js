@@ -0,0 +1,14 @@
+/**
+ * Template of the volume control. Contains mute button and volume slider
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.template.player.control.Volume', {
+    statics: {
+        data: '' +
+            '<div class="volume">' +
+                '<button type="button" class="volume-mute">Mute</button>' +
+                '<input type="range" class="volume-slider" min="0" max="1" step="0.05" value="<%= volume %>">' +
+            '</div>'
+    }
+});
\ No newline at end of file
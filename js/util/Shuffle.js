@@ -0,0 +1,172 @@
+/**
+ * Non repeating shuffle order of the collection models. Every model is returned by next() method only once
+ * during one cycle. Order is divided into two parts: played models (from the beginning of the order to current
+ * position) and not played ones. Models, which are added into the collection, are placed into random position
+ * of not played part. So, they will be played in current cycle. Removed models are removed from the order
+ * without changing of other positions. Reset of the collection creates new order.
+ *
+ * Usage:
+ *     var shuffle = new App.util.Shuffle({collection: tracks});
+ *
+ *     shuffle.setCurrent(track);        // track is playing now
+ *     shuffle.next();                   // returns random track, which wasn't played in current cycle
+ *     shuffle.next(true);               // starts new cycle at the end of the order
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.util.Shuffle', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {Backbone.Collection} Collection of models for shuffling
+         */
+        collection: null,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners : {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Array} Shuffled models
+         * @private
+         */
+        this._order = [];
+        /**
+         * {Number} Position of current model in the order. -1 means that nothing was played in current cycle
+         * @private
+         */
+        this._pos   = -1;
+    },
+
+    /**
+     * @constructor
+     * Creates first order and binds collection event handlers
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+
+        if (!(this.collection instanceof Backbone.Collection)) {
+            this.trigger('error', 'Invalid collection in class "' + this.className + '". Instance of Backbone.Collection is expected.');
+            return;
+        }
+        this.listen(this.collection, 'add',    this._onAdd, this);
+        this.listen(this.collection, 'remove', this._onRemove, this);
+        this.listen(this.collection, 'reset',  function () {this.reshuffle();}, this);
+        this.reshuffle();
+    },
+
+    /**
+     * Creates new order and starts new cycle
+     * @param {Backbone.Model=} first Model, which should be placed at the beginning of the order as current one
+     */
+    reshuffle: function (first) {
+        this._order = this.collection ? _.shuffle(this.collection.models) : [];
+        this._pos   = -1;
+        if (first) {
+            this.setCurrent(first);
+        }
+    },
+
+    /**
+     * Marks the model as current one. Not played model is moved to the end of played part of the
+     * order. So, models, which were skipped by this selection, will be played later in current cycle.
+     * @param {Backbone.Model} model Current model
+     * @returns {Boolean} true if model was found in the order
+     */
+    setCurrent: function (model) {
+        var index = _.indexOf(this._order, model);
+
+        if (index === -1) {
+            return false;
+        }
+        if (index > this._pos) {
+            this._pos++;
+        }
+        this._order.splice(index, 1);
+        this._order.splice(this._pos, 0, model);
+
+        return true;
+    },
+
+    /**
+     * Returns next model in the order. Current position isn't changed. Call setCurrent() for this.
+     * @param {Boolean=} wrap true - starts new cycle if all models were played
+     * @returns {Backbone.Model|null} Next model or null if all models were played
+     */
+    next: function (wrap) {
+        var cur = this._order[this._pos];
+        var index;
+
+        if (this._pos + 1 < this._order.length) {
+            return this._order[this._pos + 1];
+        }
+        if (!wrap || this._order.length === 0) {
+            return null;
+        }
+
+        this.reshuffle();
+        //
+        // Current model shouldn't be played twice in a row on the border of the cycles
+        //
+        if (this._order[0] === cur && this._order.length > 1) {
+            index = _.random(1, this._order.length - 1);
+            this._order[0]     = this._order[index];
+            this._order[index] = cur;
+        }
+
+        return this._order[0];
+    },
+
+    /**
+     * Returns previous played model in current cycle
+     * @returns {Backbone.Model|null}
+     */
+    prev: function () {
+        return this._pos > 0 ? this._order[this._pos - 1] : null;
+    },
+
+    /**
+     * Removes collection event handlers. Order isn't changed after that
+     */
+    destroy: function () {
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Collection 'add' event handler. Places the model into random position of not played part
+     * @param {Backbone.Model} model Added model
+     * @private
+     */
+    _onAdd: function (model) {
+        this._order.splice(_.random(this._pos + 1, this._order.length), 0, model);
+    },
+
+    /**
+     * Collection 'remove' event handler. Removes the model from the order. If current model was removed,
+     * then previous one becomes current. So, next model is kept.
+     * @param {Backbone.Model} model Removed model
+     * @private
+     */
+    _onRemove: function (model) {
+        var index = _.indexOf(this._order, model);
+
+        if (index === -1) {
+            return;
+        }
+        this._order.splice(index, 1);
+        if (index <= this._pos) {
+            this._pos--;
+        }
+    }
+});
\ No newline at end of file
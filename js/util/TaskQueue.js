@@ -0,0 +1,194 @@
+/**
+ * Queue of asynchronous tasks with limited concurrency. Task is a function, which returns a promise (or any
+ * other value for synchronous task). Not more than concurrency tasks are running at the same time. Other tasks
+ * wait in the queue in order of adding. Every task may be limited by timeout. Promise of the task is rejected
+ * with 'timeout' reason in this case and the place in the queue is released. If promise of the task has abort()
+ * method (e.g. jqXHR or custom one), then it's called on timeout and on clear() method call.
+ *
+ * Usage:
+ *     var queue = new App.util.TaskQueue({concurrency: 2, timeout: 5000});
+ *
+ *     queue.add(function () {return $.getJSON('api/tracks/1');}).done(function (track) {...});
+ *     queue.add(function () {return $.getJSON('api/tracks/2');});
+ *     queue.add(function () {return $.getJSON('api/tracks/3');});  // waits for one of first two
+ *     queue.clear();                                              // rejects all with 'cancelled' reason
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.util.TaskQueue', {
+    mixins : {
+        iface  : 'App.mixin.Interface',
+        observe: 'App.mixin.Observer'
+    },
+    configs: {
+        /**
+         * {Number} Maximum amount of simultaneously running tasks
+         */
+        concurrency: 2,
+        /**
+         * {Number} Timeout of every task in milliseconds. 0 means no timeout
+         */
+        timeout    : 0,
+        /**
+         * {Object} Listener object. See Observer mixin for details.
+         */
+        listeners  : {}
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        /**
+         * {Array} Waiting tasks: {fn: Function, deferred: jQuery.Deferred}
+         * @private
+         */
+        this._waiting = [];
+        /**
+         * {Array} Running tasks: {fn, deferred, promise: Object|null, timer: Number|null}
+         * @private
+         */
+        this._running = [];
+    },
+
+    /**
+     * @constructor
+     * Initializes mixins
+     */
+    init: function () {
+        this.callMixin('iface');
+        this.callMixin('observe');
+    },
+
+    /**
+     * Adds the task into the queue. It's started immediately if there is a free place
+     * @param {Function} fn Task function. Should return a promise for asynchronous task
+     * @returns {jQuery.Promise} Promise of the task result
+     */
+    add: function (fn) {
+        var deferred = $.Deferred();
+
+        this._waiting.push({fn: fn, deferred: deferred});
+        this._next();
+
+        return deferred.promise();
+    },
+
+    /**
+     * Returns amount of waiting and running tasks
+     * @returns {Number}
+     */
+    getLength: function () {
+        return this._waiting.length + this._running.length;
+    },
+
+    /**
+     * Removes all waiting tasks and aborts running ones. Their promises are rejected with 'cancelled' reason
+     */
+    clear: function () {
+        var tasks = this._waiting.concat(this._running);
+        var i;
+        var len;
+
+        this._waiting = [];
+        this._running = [];
+        for (i = 0, len = tasks.length; i < len; i++) {
+            this._finish(tasks[i], true);
+            tasks[i].deferred.reject('cancelled');
+        }
+    },
+
+    /**
+     * Destroys the queue. All tasks are cancelled
+     */
+    destroy: function () {
+        this.clear();
+        this.callMixin('observe');
+    },
+
+
+    /**
+     * Starts waiting tasks while there are free places
+     * @private
+     */
+    _next: function () {
+        var task;
+
+        while (this._waiting.length && this._running.length < Math.max(this.concurrency, 1)) {
+            task = this._waiting.shift();
+            this._running.push(task);
+            this._run(task);
+        }
+    },
+
+    /**
+     * Runs one task and binds it's promise and timeout
+     * @param {Object} task Task: {fn, deferred}
+     * @private
+     */
+    _run: function (task) {
+        var me = this;
+        var result;
+
+        if (this.timeout > 0) {
+            task.timer = setTimeout(function () {me._complete(task, false, ['timeout'], true);}, this.timeout);
+        }
+        try {
+            result = task.fn();
+        } catch (e) {
+            this.trigger('debug', 'Task of queue "' + this.className + '" has thrown an error: ' + e.message);
+            this._complete(task, false, [e.message]);
+            return;
+        }
+        if (result && N13.isFunction(result.then)) {
+            task.promise = result;
+            result.then(function () {
+                me._complete(task, true, arguments);
+            }, function () {
+                me._complete(task, false, arguments);
+            });
+        } else {
+            this._complete(task, true, [result]);
+        }
+    },
+
+    /**
+     * Completes the task, releases it's place and starts next waiting task. Completion of the
+     * task, which was already completed (by timeout or clear() call), is ignored
+     * @param {Object} task Task: {fn, deferred, promise, timer}
+     * @param {Boolean} resolved true if task was resolved
+     * @param {Array|Arguments} args Result or rejection reason arguments
+     * @param {Boolean=} abort true means that the promise of the task should be aborted
+     * @private
+     */
+    _complete: function (task, resolved, args, abort) {
+        if (_.indexOf(this._running, task) === -1) {
+            return;
+        }
+        this._running = _.without(this._running, task);
+        this._finish(task, abort === true);
+        if (resolved) {
+            task.deferred.resolve.apply(task.deferred, args);
+        } else {
+            task.deferred.reject.apply(task.deferred, args);
+        }
+        this._next();
+    },
+
+    /**
+     * Stops timer of the task and aborts it's promise if needed
+     * @param {Object} task Task: {fn, deferred, promise, timer}
+     * @param {Boolean} abort true means that the promise of the task should be aborted
+     * @private
+     */
+    _finish: function (task, abort) {
+        if (task.timer) {
+            clearTimeout(task.timer);
+            task.timer = null;
+        }
+        if (abort && task.promise && N13.isFunction(task.promise.abort)) {
+            task.promise.abort();
+        }
+    }
+});
\ No newline at end of file
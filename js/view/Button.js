@@ -20,15 +20,20 @@ N13.define('App.view.Button', {
          * @config
          * {String} Title of button
          */
-        title   : ''
+        title   : '',
+        /**
+         * @config
+         * {String} CSS class of button
+         */
+        cls     : ''
     },
 
     /**
-     * Calls before render() call. Sets title of the button
+     * Calls before render() call. Sets title and CSS class of the button
      */
     onBeforeRender: function () {
         this.callParent();
-        this.setConfig({data: {title: this.title}});
+        this.setConfig({data: {title: this.title, cls: this.cls}});
     },
 
     /**
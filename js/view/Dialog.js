@@ -0,0 +1,161 @@
+/**
+ * Modal dialog window. Nested views (items config) are placed into the body of the dialog. Dialog is hidden
+ * after rendering (see hidden config). Use open() and close() methods to show and hide it. It's closed by close
+ * button in the header, by Escape key and by click on the overlay. Dialog doesn't know anything about it's content,
+ * so the content should be prepared by controller before open() call.
+ *
+ * Available events:
+ *
+ *     open    Fires then dialog is opened by open() method
+ *     close   Fires then dialog is closed by user or by close() method
+ *
+ * Usage:
+ *
+ *     items: [{
+ *         cl    : 'Dialog',
+ *         title : 'Add tracks',
+ *         region: 'dialog',
+ *         items : [{cl: 'player.AddTracks', region: 'body'}]
+ *     }]
+ *
+ *     dialog.open();
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.Dialog', {
+    extend  : 'App.view.base.View',
+    mixins  : {show: 'App.mixin.view.Show'},
+    requires: ['App.template.Dialog'],
+    configs : {
+        /**
+         * @config
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template: 'Dialog',
+        /**
+         * @config
+         * {String} Title of the dialog
+         */
+        title   : '',
+        /**
+         * @config
+         * {String} CSS class of the dialog window
+         */
+        cls     : '',
+        /**
+         * @config
+         * {Boolean} true means that dialog will be hidden after rendering
+         */
+        hidden  : true
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        this.callParent();
+
+        /**
+         * {Boolean} true if dialog is opened
+         * @private
+         */
+        this._opened = false;
+    },
+
+    /**
+     * Calls before render() call. Sets title and CSS class of the dialog
+     */
+    onBeforeRender: function () {
+        this.callParent();
+        this.setConfig({data: {title: this.title, cls: this.cls}});
+    },
+
+    /**
+     * Calls after render() method. Binds close handlers and hides the dialog if it wasn't opened
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('.dialog .close'), 'click', function () {me.close();});
+        this.listen(this.el.find('.dialog-overlay'), 'click', function (e) {
+            if (e.target === e.currentTarget) {
+                me.close();
+            }
+        });
+        this.listen(this.el, 'keydown', function (e) {
+            if (e.which === 27) {
+                me.close();
+            }
+        });
+        if (this.hidden && !this._opened) {
+            this.el.css('display', 'none');
+        }
+
+        this.callParent();
+    },
+
+    /**
+     * @override
+     * Shows only the dialog element. Nested views are shown together with it's DOM nodes, so
+     * they don't need show() method.
+     */
+    onShow: function () {
+        this.el.css('display', 'block');
+    },
+
+    /**
+     * @override
+     * Hides only the dialog element. Nested views are hidden together with it's DOM nodes
+     */
+    onHide: function () {
+        this.el.css('display', 'none');
+    },
+
+    /**
+     * Shows the dialog and sets focus to the first input field of it's content
+     * @returns {Boolean} true if dialog was opened
+     */
+    open: function () {
+        if (!this.show()) {
+            return false;
+        }
+        this._opened = true;
+        this.el.find('.body').find('textarea, input, select, button').filter(':visible').first().focus();
+        this.trigger('open');
+
+        return true;
+    },
+
+    /**
+     * Hides the dialog
+     * @returns {Boolean} true if dialog was closed
+     */
+    close: function () {
+        if (!this._opened || !this.hide()) {
+            return false;
+        }
+        this._opened = false;
+        this.trigger('close');
+
+        return true;
+    },
+
+    /**
+     * @returns {Boolean} true if dialog is opened
+     */
+    isOpened: function () {
+        return this._opened;
+    },
+
+    /**
+     * Changes title of the dialog
+     * @param {String} title New title
+     */
+    setTitle: function (title) {
+        this.title = title;
+        if (this.rendered) {
+            this.el.find('.dialog .title').text(title);
+        }
+    }
+});
\ No newline at end of file
@@ -17,6 +17,26 @@
  * methods will be skipped. onXXX() method is used for central (main) logic. In case of rendering it may be core
  * render process (applying template, DOM creation and so on...).
  *
+ * Nested views are placed into the template of parent view in two ways. By default, N-th nested view is rendered into
+ * the N-th tag with containerCls class (positional slot). It's better to use named regions instead. Template declares
+ * regions by data-region attribute and nested view targets the region by region config:
+ *
+ *     '<div class="player-container">' +
+ *         '<div data-region="controls"></div>' +
+ *     '</div>'
+ *
+ *     items: [{cl: 'player.ControlPanel', region: 'controls'}]
+ *
+ * Region may contain many nested views. They are placed in the same order as in items array. Missing or duplicated
+ * region is an error. In this case the view will be skipped or the first region will be used.
+ *
+ * Nested views may be added, removed and moved after construction by add(), insert(), remove() and move() methods.
+ * If current view is rendered, then containers for new views will be created in the DOM and new views will be
+ * rendered automatically. Dynamic containers are created near the containers of neighbour views.
+ *
+ * onBeforeRender() and onBeforeDestroy() hooks may return a promise (e.g. jQuery Deferred). In this case render()
+ * and destroy() methods become asynchronous and return a promise also. See App.mixin.Async for details.
+ *
  * Also, you may need for some additional functionality. For example: show/hide or enable/disable view. For this, we
  * have special mixins in App.mixin.view.* namespace. See them for details.
  *
@@ -28,8 +48,9 @@
  *           items   : [                  // Sub views
  *               'subView1',
  *               {
- *                   cl   : 'subView2',
- *                   title: 'Sub View'
+ *                   cl    : 'subView2',
+ *                   title : 'Sub View',
+ *                   region: 'header'     // Region of the template with data-region="header" attribute
  *               }
  *           ],
  *           elPath  : '.myContainer'     // elPath must be set for main views, for sub views it should be 'auto'
@@ -57,6 +78,25 @@
  *     hide          - fires after view is hide.
  *     beforedisable - fires before view is disable.
  *     disable       - fires after view is disable.
+ *     add           - fires after nested view is added by add() or insert() methods.
+ *         {App.view.base.View} Added view
+ *         {Number} Index of added view in items
+ *     remove        - fires after nested view is removed by remove() method.
+ *         {App.view.base.View} Removed view
+ *         {Number} Index of removed view in items
+ *     move          - fires after nested view is moved by move() method.
+ *         {App.view.base.View} Moved view
+ *         {Number} New index
+ *         {Number} Old index
+ *     renderfailed  - fires if promise, returned by onBeforeRender(), is rejected.
+ *         {*} Rejection reason
+ *     destroyfailed - fires if promise, returned by onBeforeDestroy(), is rejected.
+ *         {*} Rejection reason
+ *     cancel        - fires if pending render() or destroy() call was cancelled by cancel() method.
+ *         {String} Name of the cancelled method
+ *     treechange    - fires if nested views tree of this view was changed (views were created or destroyed). This
+ *                     event is fired for the view itself and for all it's parents.
+ *         {App.view.base.View} View, which tree was changed
  *     error         - fires id error is occurs.
  *
  *
@@ -66,17 +106,18 @@ N13.define('App.view.base.View', {
     extend  : 'Backbone.View',
     mixins  : {
         iface  : 'App.mixin.Interface',
-        observe: 'App.mixin.Observer'
+        observe: 'App.mixin.Observer',
+        async  : 'App.mixin.Async'
     },
     configs : {
         /**
          * @required
          * {String} CSS path for root DOM element, where this widget will be rendered. 'auto' means that id for child
          * views will be generated by this view and will pass to render() method. In case of 'auto' value template of
-         * current view should contain the same amount of nested container tags for child views as items configuration.
-         * Also, these tags must contain class='innerContainer'. So, the real value (not 'auto') should be set only in
-         * viewport views. All other views should contain 'auto' value, because they can be reused. This argument is
-         * related to autoIncrementId.
+         * current view should contain named regions for child views (see region config) or the same amount of nested
+         * container tags with class='innerContainer' as items configuration. So, the real value (not 'auto') should
+         * be set only in viewport views. All other views should contain 'auto' value, because they can be reused.
+         * This argument is related to autoIncrementId.
          */
         elPath          : 'auto',
         /**
@@ -89,6 +130,15 @@ N13.define('App.view.base.View', {
          * some tag contains this class, it means that this is a placeholder for view with elPath === 'auto'.
          */
         containerCls    : 'innerContainer',
+        /**
+         * {String|null} Name of the region in parent view template, where this view should be placed. null means
+         * that positional container (see containerCls config) will be used.
+         */
+        region          : null,
+        /**
+         * {String} Name of the attribute, which declares named regions in the template. e.g.: data-region="controls"
+         */
+        regionAttr      : 'data-region',
         /**
          * {String|null} Name of the template class for current view or false if current class doesn't use template
          */
@@ -145,7 +195,8 @@ N13.define('App.view.base.View', {
      * Calls before render process will begin. Can be used for preparing of user data.
      * It instantiates all nested views.
      * @param {Element} el Root DOM element of the current view
-     * @returns {undefined|Boolean} false means, that rendering will be stopped, all other values will approve rendering.
+     * @returns {undefined|Boolean|jQuery.Promise} false means, that rendering will be stopped, promise means, that
+     * rendering will be continued after it's resolving, all other values will approve rendering.
      */
     onBeforeRender: N13.emptyFn,
     /**
@@ -158,7 +209,8 @@ N13.define('App.view.base.View', {
     /**
      * @interface
      * Calls before destroy process will begin. Can be used for destroying of nested objects or nested non standard views.
-     * @returns {undefined|Boolean} false means, that destroying will be stopped, all other values will approve destroy.
+     * @returns {undefined|Boolean|jQuery.Promise} false means, that destroying will be stopped, promise means, that
+     * destroying will be continued after it's resolving, all other values will approve destroy.
      */
     onBeforeDestroy: N13.emptyFn,
     /**
@@ -213,6 +265,18 @@ N13.define('App.view.base.View', {
          * @private
          */
         this._templateCl = null;
+        /**
+         * {Object} Map of named regions of current template. Key is a region name, value is jQuery element.
+         * It's filled during rendering.
+         * @private
+         */
+        this._regions    = {};
+        /**
+         * {Array} Nested views, which were added by add() method. They are rendered into dynamic containers,
+         * because template contains containers only for views from items config.
+         * @private
+         */
+        this._added      = [];
     },
 
     /**
@@ -234,6 +298,10 @@ N13.define('App.view.base.View', {
          * {jQuery.Element} Equivalent of the this.$el, but more abstract
          */
         this.el       = null;
+        /**
+         * {App.view.base.View|null} Parent view. It's set by parent view for all nested views. null for root view.
+         */
+        this.parent   = null;
     },
 
     /**
@@ -258,6 +326,7 @@ N13.define('App.view.base.View', {
         this.callParent(arguments);
         this.callMixin('iface');
         this.callMixin('observe');
+        this.callMixin('async');
 
         this.trigger('beforeinit', this);
         this.onBeforeInit();
@@ -283,13 +352,18 @@ N13.define('App.view.base.View', {
     /**
      * @override
      * Renders current view and all nested views. You can prevent rendering in child class, if onBeforeRender()
-     * method will return false.
+     * method will return false. If onBeforeRender() returns a promise, then rendering will be continued after
+     * it's resolving. Calls, which are made during this time, will be queued.
      * @param {String=} containerQuery CSS Query of the DOM tag, which contains current view.
-     * @returns {Boolean|Object} true if view was rendered, this - otherwise
+     * @returns {Boolean|Object|jQuery.Promise} false if view wasn't rendered, this - otherwise or promise of it
      */
     render: function (containerQuery) {
         var dataProp = this.templateDataProp;
+        var queued   = this._enqueue('render', arguments);
 
+        if (queued) {
+            return queued;
+        }
         if (!N13.isString(dataProp) || dataProp === '') {
             this.trigger('error', 'Data property is invalid. Not empty string is required. See templateDataProp config for details. Class: "' + this.className + '"');
             return false;
@@ -318,18 +392,13 @@ N13.define('App.view.base.View', {
         }
 
         this.trigger('beforerender', this);
-        if (this.onBeforeRender(this.el) === false) {
-            this.trigger('debug', 'Rendering of view "' + this.className + '" was stopped, because onBeforeRender() method has returned false');
-            return false;
-        }
+        //
+        // Backbone.View.render() is a stub. We call it here, because callParent() doesn't
+        // work in asynchronous continuation of this method
+        //
         this.callParent(arguments);
-        if (!this.onRender()) {
-            return false;
-        }
-        this.onAfterRender(this.el);
-        this.trigger('render', this);
 
-        return this;
+        return this._continue('render', this.onBeforeRender(this.el), this._render, 'Rendering of view "' + this.className + '" was stopped, because onBeforeRender() method has returned false');
     },
 
     /**
@@ -425,15 +494,22 @@ N13.define('App.view.base.View', {
         children = this.el.children();
         children.off();
         children.remove();
+        this._regions = {};
         this.rendered = false;
     },
 
     /**
      * Calls before view will be destroyed. Destroys all nested views
-     * first and after that destroys itself.
-     * @return {App.view.base.View|Boolean} this or false
+     * first and after that destroys itself. If onBeforeDestroy() returns a promise,
+     * then destroying will be continued after it's resolving.
+     * @return {App.view.base.View|Boolean|jQuery.Promise} this, false or promise of them
      */
     destroy: function () {
+        var queued = this._enqueue('destroy', arguments);
+
+        if (queued) {
+            return queued;
+        }
         if (this._destroyed) {
             this.trigger('debug', 'destroy() method is called twice or more in class "' + this.className + '"');
             return false;
@@ -444,17 +520,139 @@ N13.define('App.view.base.View', {
         }
 
         this.trigger('beforedestroy', this);
-        if (this.onBeforeDestroy() === false) {
-            this.trigger('debug', 'Destroying of view "' + this.className + '" was stopped, because onBeforeDestroy() method has returned false');
+
+        return this._continue('destroy', this.onBeforeDestroy(), this._destroy, 'Destroying of view "' + this.className + '" was stopped, because onBeforeDestroy() method has returned false');
+    },
+
+    /**
+     * Adds nested view. If current view is rendered, then new container will be created
+     * in the DOM and new view will be rendered into it.
+     * @param {String|Object|App.view.base.View} item View alias, configuration ({cl: 'alias', ...}) or view instance.
+     * View instance shouldn't have parent view. Use remove(view, true) before adding it into other view.
+     * @param {Number=} index Index in items array. New view will be added at the end by default
+     * @returns {App.view.base.View|null} Added view or null in case of error
+     */
+    add: function (item, index) {
+        var items = N13.isArray(this.items) ? this.items : (this.items = []);
+        var view  = this._createItem(item);
+        var container;
+
+        if (!view) {
+            return null;
+        }
+        if (view.parent) {
+            this.trigger('error', 'View "' + view.className + '" already has parent view. Remove it first. Parent view: "' + this.className + '"');
+            return null;
+        }
+        index = _.isNumber(index) && index >= 0 && index <= items.length ? index : items.length;
+
+        items.splice(index, 0, view);
+        view.parent = this;
+        if (this.rendered) {
+            if (!(container = this._allocContainer(index))) {
+                items.splice(index, 1);
+                view.parent = null;
+                return null;
+            }
+            this._renderItem(view, container);
+        }
+        this._added.push(view);
+        this.trigger('add', view, index);
+        this._fireTreeChange(this);
+
+        return view;
+    },
+
+    /**
+     * Inserts nested view at specified position. The same as add(item, index).
+     * @param {Number} index Index in items array
+     * @param {String|Object|App.view.base.View} item View alias, configuration or instance
+     * @returns {App.view.base.View|null} Inserted view or null in case of error
+     */
+    insert: function (index, item) {
+        return this.add(item, index);
+    },
+
+    /**
+     * Removes nested view. It's container will be removed from the DOM also.
+     * @param {App.view.base.View} view Nested view to remove
+     * @param {Boolean=} keep true means that view instance will be only cleared, but not destroyed.
+     * It may be added into other view after that. false by default.
+     * @returns {App.view.base.View|Boolean} Removed view or false if view isn't nested in current one
+     */
+    remove: function (view, keep) {
+        var me    = this;
+        var index = N13.isArray(this.items) ? _.indexOf(this.items, view) : -1;
+
+        if (index === -1) {
+            this.trigger('debug', 'Method remove() was called, but view "' + (view && view.className) + '" is not nested in view "' + this.className + '"');
             return false;
         }
-        this.callMixin('observe');
-        this.onDestroy();
-        this.onAfterDestroy();
-        this.trigger('destroy');
-        this._destroyed = true;
 
-        return this;
+        this.items.splice(index, 1);
+        this._added = _.without(this._added, view);
+        view.parent = null;
+        if (keep === true) {
+            if (view.rendered) {
+                view.clear();
+            }
+            this._removeContainer(view);
+        } else {
+            //
+            // destroy() may be asynchronous. DOM of the view is needed until it's destroyed
+            //
+            $.when(view.destroy()).done(function () {me._removeContainer(view);});
+        }
+        this.trigger('remove', view, index);
+        this._fireTreeChange(this);
+
+        return view;
+    },
+
+    /**
+     * Moves nested view to other position in items. It's container will be moved in the DOM also.
+     * @param {App.view.base.View} view Nested view to move
+     * @param {Number} index New index in items array
+     * @returns {Boolean} true if view was moved, false - otherwise
+     */
+    move: function (view, index) {
+        var items    = this.items;
+        var oldIndex = N13.isArray(items) ? _.indexOf(items, view) : -1;
+
+        if (oldIndex === -1 || !_.isNumber(index) || index < 0 || index >= items.length) {
+            this.trigger('debug', 'Method move() was called with invalid view or index "' + index + '" in view "' + this.className + '"');
+            return false;
+        }
+        if (oldIndex === index) {
+            return true;
+        }
+
+        items.splice(oldIndex, 1);
+        items.splice(index, 0, view);
+        if (this.rendered && view.elPath === this.autoIncrementId && view.el) {
+            this._placeContainer(view.el.detach(), index);
+        }
+        this.trigger('move', view, index, oldIndex);
+        this._fireTreeChange(this);
+
+        return true;
+    },
+
+    /**
+     * Returns named region of rendered template
+     * @param {String} name Name of the region. Value of the data-region attribute
+     * @returns {jQuery|null} Region element or null if not found
+     */
+    getRegion: function (name) {
+        return this._regions[name] || null;
+    },
+
+    /**
+     * Returns destroy state of the view. Destroyed view can't be used anymore.
+     * @returns {Boolean} true if view was destroyed
+     */
+    isDestroyed: function () {
+        return this._destroyed;
     },
 
     /**
@@ -476,6 +674,7 @@ N13.define('App.view.base.View', {
                 delete items[i];
             }
         }
+        this._added = [];
         //
         // We should un delegate view events, which were set in events property:
         // events: {
@@ -487,17 +686,53 @@ N13.define('App.view.base.View', {
     },
 
 
+    /**
+     * Main part of render() method, which is called after onBeforeRender() hook
+     * @returns {Boolean|App.view.base.View} false if view wasn't rendered, this - otherwise
+     * @private
+     */
+    _render: function () {
+        if (!this.onRender()) {
+            return false;
+        }
+        this.onAfterRender(this.el);
+        this.trigger('render', this);
+
+        return this;
+    },
+
+    /**
+     * Main part of destroy() method, which is called after onBeforeDestroy() hook
+     * @returns {App.view.base.View} this
+     * @private
+     */
+    _destroy: function () {
+        //
+        // this.callMixin() method doesn't work in asynchronous continuation, so we call mixin's method directly
+        //
+        this.mixins.observe.destroy.call(this);
+        this.onDestroy();
+        this.onAfterDestroy();
+        this.trigger('destroy');
+        this._destroyed = true;
+        if (this.parent) {
+            this.parent._fireTreeChange(this.parent);
+        }
+
+        return this;
+    },
+
     /**
      * Renders all nested items if them weren't rendered before and contain autoRender === true.
      * @private
      */
     _renderItems: function () {
-        var autoIdName = this.autoIncrementId;
-        var id         = this._id;
-        var items      = this.items;
+        var me    = this;
+        var items = this.items;
+        var slot  = 0;
         var containers;
-        var innerId;
-        var item;
+        var container;
+        var positional;
         var i;
         var len;
 
@@ -505,23 +740,185 @@ N13.define('App.view.base.View', {
             this.trigger('error', 'Impossible to render nested views of view "' + this.className + '". base.View::items config does not contain them.');
             return;
         }
-        containers = this.el.find('.' + this.containerCls);
-        if (containers.length < items.length) {
-            this.trigger('error', 'Template of view "' + this.className + '" doesn\'t contain enough containers for nested views. Expected ' + items.length + '.');
+        //
+        // Regions and positional containers should be found before nested views
+        // will be rendered, because nested templates may contain them too
+        //
+        this._regions = this._findRegions();
+        containers    = this.el.find('.' + this.containerCls);
+        positional    = _.filter(items, function (item) {return me._isPositional(item);});
+        if (containers.length < positional.length) {
+            this.trigger('error', 'Template of view "' + this.className + '" doesn\'t contain enough containers for nested views. Expected ' + positional.length + '.');
             return;
         }
         for (i = 0, len = items.length; i < len; i++) {
-            item = items[i];
             //
-            // If nested view has auto generated value for id, we need to take current tag with class='innerContainer'
-            // and set auto generated id to it. After that, we need to pass this new id to nested view.
+            // Views, which were added by add() method don't have containers in the template.
+            // We should create them dynamically. Views with region always have dynamic containers.
             //
-            innerId = (item.elPath === autoIdName ? id() : undefined);
-            $(containers[i]).attr('id', innerId);
-            item.render(innerId ? '#' + innerId : undefined);
+            if (this._isPositional(items[i])) {
+                container = $(containers[slot++]);
+            } else {
+                container = this._allocContainer(i);
+            }
+            if (container) {
+                this._renderItem(items[i], container);
+            }
         }
     },
 
+    /**
+     * Checks if nested view should be rendered into the template container (see containerCls config).
+     * These are views from items config without region.
+     * @param {App.view.base.View} item Nested view
+     * @returns {Boolean}
+     * @private
+     */
+    _isPositional: function (item) {
+        return !item.region && !_.contains(this._added, item);
+    },
+
+    /**
+     * Finds all named regions in current template
+     * @returns {Object} Map of regions. Key is a region name, value is jQuery element
+     * @private
+     */
+    _findRegions: function () {
+        var me      = this;
+        var attr    = this.regionAttr;
+        var regions = {};
+
+        this.el.find('[' + attr + ']').each(function () {
+            var region = $(this);
+            var name   = region.attr(attr);
+
+            if (regions[name]) {
+                me.trigger('error', 'Duplicate region "' + name + '" in template of view "' + me.className + '". The first one will be used.');
+                return;
+            }
+            regions[name] = region;
+        });
+
+        return regions;
+    },
+
+    /**
+     * Renders one nested view into the container
+     * @param {App.view.base.View} item Nested view
+     * @param {jQuery} container Container DOM element
+     * @private
+     */
+    _renderItem: function (item, container) {
+        var innerId;
+
+        //
+        // If nested view has auto generated value for id, we need to take current tag with class='innerContainer'
+        // and set auto generated id to it. After that, we need to pass this new id to nested view.
+        //
+        innerId = (item.elPath === this.autoIncrementId ? this._id() : undefined);
+        container.attr('id', innerId);
+        item.render(innerId ? '#' + innerId : undefined);
+    },
+
+    /**
+     * Creates new container in the DOM for nested view with specified index. Nested view
+     * should be already in items array.
+     * @param {Number} index Index of nested view
+     * @returns {jQuery|null} Created container or null if region of nested view wasn't found
+     * @private
+     */
+    _allocContainer: function (index) {
+        var region = this.items[index].region;
+
+        if (region && !this._regions[region]) {
+            this.trigger('error', 'Region "' + region + '" not found in template of view "' + this.className + '". Nested view "' + this.items[index].className + '" will be skipped.');
+            return null;
+        }
+
+        return this._placeContainer($('<div class="' + this.containerCls + '"></div>'), index);
+    },
+
+    /**
+     * Places container of nested view with specified index into the DOM. It's placed after the container
+     * of previous nested view or before the container of next nested view from the same region. If there
+     * are no rendered neighbours, then it's placed at the end of the region. For views without region it's
+     * placed after the last own container or at the end of the template.
+     * @param {jQuery} container Container DOM element
+     * @param {Number} index Index of nested view in items
+     * @returns {jQuery} Container
+     * @private
+     */
+    _placeContainer: function (container, index) {
+        var region = this.items[index].region;
+        var sibling;
+        var own;
+
+        if ((sibling = this._findSibling(index, -1))) {
+            container.insertAfter(sibling.el);
+        } else if ((sibling = this._findSibling(index, 1))) {
+            container.insertBefore(sibling.el);
+        } else if (region) {
+            this._regions[region].append(container);
+        } else if ((own = this._findOwnContainers()).length) {
+            container.insertAfter(own.last());
+        } else {
+            (this.el.children().first().length ? this.el.children().first() : this.el).append(container);
+        }
+
+        return container;
+    },
+
+    /**
+     * Finds containers of current view, which are not in regions. Containers from templates
+     * of nested views are skipped.
+     * @returns {jQuery} Containers in DOM order
+     * @private
+     */
+    _findOwnContainers: function () {
+        var skip = _.map(_.values(this._regions).concat(_.pluck(this.items, 'el')), function (el) {return el && el[0];});
+
+        return this.el.find('.' + this.containerCls).filter(function () {
+            var container = this;
+
+            return !_.some(skip, function (el) {return el && el !== container && $.contains(el, container);});
+        });
+    },
+
+    /**
+     * Removes dynamic container of nested view from the DOM
+     * @param {App.view.base.View} view Nested view
+     * @private
+     */
+    _removeContainer: function (view) {
+        if (view.elPath === this.autoIncrementId && view.el) {
+            view.el.remove();
+            view.$el = view.el = null;
+        }
+    },
+
+    /**
+     * Finds the nearest rendered nested view from the same region as nested view with specified index
+     * @param {Number} index Index of nested view in items
+     * @param {Number} step Search direction: -1 - previous views, 1 - next views
+     * @returns {App.view.base.View|null}
+     * @private
+     */
+    _findSibling: function (index, step) {
+        var items  = this.items;
+        var region = items[index].region || null;
+        var item;
+        var i;
+
+        for (i = index + step; i >= 0 && i < items.length; i += step) {
+            item = items[i];
+            if ((item.region || null) === region && item.el && item.el.length && $.contains(this.el[0], item.el[0])) {
+                return item;
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Updates this.el and this.$el properties. It uses this.elPath property for that. It also, call delegateEvents()
      * from Backbone.View class to bind the events.
@@ -569,18 +966,11 @@ N13.define('App.view.base.View', {
      * @private
      */
     _createItems: function () {
-        var items      = N13.isString(this.items) ? [this.items] : this.items;
-        var ns         = N13.ns;
-        var isString   = N13.isString;
-        var isObject   = N13.isObject;
-        var isFunction = N13.isFunction;
-        var instances  = [];
-        var viewNs     = this.viewNs;
-        var View;
+        var items     = N13.isString(this.items) ? [this.items] : this.items;
+        var instances = [];
+        var view;
         var i;
         var len;
-        var item;
-        var view;
 
         //
         // Create an array of inner views instances without rendering
@@ -590,27 +980,52 @@ N13.define('App.view.base.View', {
             return;
         }
         for (i = 0, len = items.length; i < len; i++) {
-            item = items[i];
-
-            if (isString(item)) {
-                View = ns(viewNs + '.' + item, false);
-                if (!isFunction(View)) {
-                    this.trigger('error', 'Invalid nested view "' + item + '" of view "' + this.className + '". This view will be skipped.');
-                    continue;
-                }
-                instances.push(view = new View());
-            } else if (isObject(item)) {
-                View = ns(viewNs + '.' + item.cl, false);
-                if (!isFunction(View)) {
-                    this.trigger('error', 'Invalid nested view "' + item + '" of view "' + this.className + '". This view will be skipped.');
-                    continue;
-                }
-                instances.push(view = new View(item));
-            } else {
-                this.trigger('error', 'Invalid nested view "' + item + '" of view "' + this.className + '". This view will be skipped.');
+            if ((view = this._createItem(items[i]))) {
+                view.parent = this;
+                instances.push(view);
             }
         }
         this.items = instances;
+        this._fireTreeChange(this);
+    },
+
+    /**
+     * Creates one nested view instance by alias or configuration. View instance is returned as is.
+     * @param {String|Object|App.view.base.View} item View alias, configuration or instance
+     * @returns {App.view.base.View|null} View instance or null in case of error
+     * @private
+     */
+    _createItem: function (item) {
+        var View;
+
+        if (item instanceof Backbone.View) {
+            return item;
+        }
+        if (N13.isString(item)) {
+            View = N13.ns(this.viewNs + '.' + item, false);
+        } else if (N13.isObject(item)) {
+            View = N13.ns(this.viewNs + '.' + item.cl, false);
+        }
+        if (!N13.isFunction(View)) {
+            this.trigger('error', 'Invalid nested view "' + item + '" of view "' + this.className + '". This view will be skipped.');
+            return null;
+        }
+
+        return N13.isObject(item) ? new View(item) : new View();
+    },
+
+    /**
+     * Fires treechange event for this view and all it's parents
+     * @param {App.view.base.View} view View, which nested views tree was changed
+     * @private
+     */
+    _fireTreeChange: function (view) {
+        var parent = this;
+
+        while (parent) {
+            parent.trigger('treechange', view);
+            parent = parent.parent;
+        }
     },
 
     /**
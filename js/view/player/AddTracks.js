@@ -0,0 +1,125 @@
+/**
+ * Form for adding of tracks by URLs. User inputs one URL per line. Every URL is validated by the schema of
+ * the model (see model config). Invalid URLs are left in the text area and their errors are shown under it,
+ * so user may fix them and try again. Valid tracks are passed to controller by add event. The form doesn't
+ * add tracks into the collection by itself. It's designed for App.view.Dialog, but may be used anywhere.
+ *
+ * Available events:
+ *     add     Fires then user has submitted the form with at least one URL
+ *         {Array} Attributes of valid tracks: [{url: String}, ...]
+ *         {Number} Amount of rejected URLs
+ *     cancel  Fires then user has pressed cancel button
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.AddTracks', {
+    extend  : 'App.view.base.View',
+    requires: [
+        'App.template.player.AddTracks',
+        'App.model.player.Track'
+    ],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template : 'player.AddTracks',
+        /**
+         * {String|Function} Alias of the model class without modelNs prefix or model class itself. URLs are validated by it's schema
+         */
+        model    : 'player.Track',
+        /**
+         * {String} Prefix namespace of the models
+         */
+        modelNs  : 'App.model',
+        /**
+         * {Number} Maximum amount of shown errors. Other errors are counted only
+         */
+        maxErrors: 10
+    },
+
+
+    /**
+     * Calls after render() method for post render actions. It binds event handlers of buttons.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('button[action="add"]'), 'click', function () {me._onAddClick();});
+        this.listen(this.el.find('button[action="cancel"]'), 'click', function () {me.trigger('cancel');});
+
+        this.callParent();
+    },
+
+    /**
+     * Clears the form: URLs and errors
+     */
+    reset: function () {
+        if (this.rendered) {
+            this.el.find('textarea').val('');
+            this.el.find('.errors').empty();
+        }
+    },
+
+
+    /**
+     * Add button click handler. Validates all URLs, shows errors of invalid ones and fires add event
+     * with valid tracks. Invalid URLs are left in the text area.
+     * @private
+     */
+    _onAddClick: function () {
+        var area     = this.el.find('textarea');
+        var urls     = _.uniq(_.compact(_.map(area.val().split(/\r\n|\r|\n/), $.trim)));
+        var tracks   = [];
+        var errors   = [];
+        var rejected = [];
+        var me       = this;
+
+        if (!urls.length) {
+            this._showErrors([{url: '', message: 'Please input at least one track URL'}]);
+            return;
+        }
+        _.each(urls, function (url) {
+            var message = me._validate(url);
+
+            if (message) {
+                rejected.push(url);
+                errors.push({url: url, message: message});
+            } else {
+                tracks.push({url: url});
+            }
+        });
+        area.val(rejected.join('\n'));
+        this._showErrors(errors);
+        this.trigger('add', tracks, rejected.length);
+    },
+
+    /**
+     * Validates the URL by the schema of the model
+     * @param {String} url Track URL
+     * @returns {String|null} Error message or null if URL is valid
+     * @private
+     */
+    _validate: function (url) {
+        var Model  = N13.isString(this.model) ? N13.ns(this.modelNs + '.' + this.model, false) : this.model;
+        var model  = N13.isFunction(Model) ? new Model({url: url}, {validate: false}) : null;
+        var errors = model ? model.validate(model.attributes) : null;
+
+        return errors ? _.pluck(errors, 'message').join('. ') : null;
+    },
+
+    /**
+     * Shows validation errors under the text area. Previous errors are removed
+     * @param {Array} errors Errors: {url: String, message: String}
+     * @private
+     */
+    _showErrors: function (errors) {
+        var list = this.el.find('.errors').empty();
+
+        _.each(_.first(errors, this.maxErrors), function (error) {
+            list.append($('<li>').text((error.url ? error.url + ': ' : '') + error.message));
+        });
+        if (errors.length > this.maxErrors) {
+            list.append($('<li>').text('...and ' + (errors.length - this.maxErrors) + ' more'));
+        }
+    }
+});
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * Main audio player container. Simply container for control
- * panel and playlist container. Has no logic...
+ * panel, playlist container, play queue and history. Has no logic...
  *
  * @author DeadbraiN
  */
@@ -9,13 +9,17 @@ N13.define('App.view.player.Container', {
     requires: [
         'App.template.player.Container',
         'App.view.player.ControlPanel',
-        'App.view.player.PlaylistContainer'
+        'App.view.player.PlaylistContainer',
+        'App.view.player.QueueGrid',
+        'App.view.player.HistoryGrid'
     ],
     configs : {
         template  : 'player.Container',
         items     : [
-            'player.ControlPanel',
-            'player.PlaylistContainer'
+            {cl: 'player.ControlPanel',      region: 'controls'},
+            {cl: 'player.PlaylistContainer', region: 'playlist'},
+            {cl: 'player.QueueGrid',         region: 'queue'},
+            {cl: 'player.HistoryGrid',       region: 'history'}
         ]
     }
 });
\ No newline at end of file
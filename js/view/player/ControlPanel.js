@@ -1,20 +1,54 @@
 /**
- * Audio player control panel view. It represents a clickable player area, that can set an audio track and play it.
- * It contains play/pause button, rewind area and voice control. It's based on HTML5 <audio> tag. Autoplay option
- * is always turned on.
+ * Audio player control panel view. It only displays playback state and fires user intents. Playing itself is
+ * done by App.audio.Engine, which is owned by the player controller. Controller updates the panel by setPlaying(),
+ * setTime(), setBuffered(), setVolume() and setModes() methods. Controls are nested views, which are placed into the template
+ * regions:
  *
+ *     buttons  Previous, play/pause and next buttons (App.view.Button)
+ *     seek     Seek bar with played part and buffered ranges (App.view.player.control.SeekBar)
+ *     time     Elapsed and remaining time (App.view.player.control.Time)
+ *     volume   Volume slider and mute button (App.view.player.control.Volume)
+ *     modes    Shuffle and repeat mode buttons (App.view.Button)
  *
  * Available events:
  *
- *     played - fires if current track finishes playing.
+ *     prev         - fires if user clicks previous button.
+ *     next         - fires if user clicks next button.
+ *     toggle       - fires if user clicks play/pause button.
+ *     seek         - fires if user changes the position of current track.
+ *         {Number} New position in seconds
+ *     volumechange - fires if user changes volume or muted state.
+ *         {Number} Volume from 0 to 1
+ *         {Boolean} true if sound should be muted
+ *     shuffle      - fires if user clicks shuffle button.
+ *     repeat       - fires if user clicks repeat button.
  *
  * @author DeadbraiN
  */
 N13.define('App.view.player.ControlPanel', {
     extend  : 'App.view.base.View',
-    requires: ['App.template.player.ControlPanel'],
+    requires: [
+        'App.template.player.ControlPanel',
+        'App.view.Button',
+        'App.view.player.control.SeekBar',
+        'App.view.player.control.Time',
+        'App.view.player.control.Volume'
+    ],
     configs : {
-        template: 'player.ControlPanel'
+        template: 'player.ControlPanel',
+        /**
+         * {Array} Nested controls. Order of the items is used in onAfterInit() method
+         */
+        items   : [
+            {cl: 'Button', title: 'Prev', cls: 'control-prev', region: 'buttons'},
+            {cl: 'Button', title: 'Play', cls: 'control-play', region: 'buttons'},
+            {cl: 'Button', title: 'Next', cls: 'control-next', region: 'buttons'},
+            {cl: 'player.control.SeekBar', region: 'seek'},
+            {cl: 'player.control.Time',    region: 'time'},
+            {cl: 'player.control.Volume',  region: 'volume'},
+            {cl: 'Button', title: 'Shuffle',    cls: 'control-shuffle', region: 'modes'},
+            {cl: 'Button', title: 'Repeat: off', cls: 'control-repeat',  region: 'modes'}
+        ]
     },
 
 
@@ -25,52 +59,147 @@ N13.define('App.view.player.ControlPanel', {
         this.callParent();
 
         /**
-         * {Element|null} Reference to the <audio> tag in DOM
+         * {App.view.Button|null} Play/pause button
+         * @private
+         */
+        this._playBtn    = null;
+        /**
+         * {App.view.player.control.SeekBar|null} Seek bar
+         * @private
+         */
+        this._seekBar    = null;
+        /**
+         * {App.view.player.control.Time|null} Elapsed and remaining time
+         * @private
+         */
+        this._time       = null;
+        /**
+         * {App.view.player.control.Volume|null} Volume control
+         * @private
+         */
+        this._volume     = null;
+        /**
+         * {App.view.Button|null} Shuffle mode button
+         * @private
+         */
+        this._shuffleBtn = null;
+        /**
+         * {App.view.Button|null} Repeat mode button
+         * @private
+         */
+        this._repeatBtn  = null;
+        /**
+         * {Number} Duration of current track. It's used for converting seek bar position into seconds
          * @private
          */
-        this._audioEl  = null;
+        this._duration   = NaN;
+        /**
+         * {Boolean} Shown muted state
+         * @private
+         */
+        this._muted      = false;
     },
 
     /**
-     * Calls after render() method for post render actions
+     * Calls after nested views are created. Binds handlers of nested controls. They are
+     * bound only once, because nested views instances are not re-created during rendering.
      */
-    onAfterRender: function () {
-        var me = this;
+    onAfterInit: function () {
+        var items = this.items;
 
-        //
-        // We should update audio element every time after rendering
-        //
-        this._audioEl = this.el.find('audio');
-        //
-        // We should update event handler every time after rendering. Unbinding will be called in destroy() method.
-        //
-        this.listen(this._audioEl, 'ended', function () {me._onPlayEnd();});
+        this.callParent();
+        this._playBtn    = items[1];
+        this._seekBar    = items[3];
+        this._time       = items[4];
+        this._volume     = items[5];
+        this._shuffleBtn = items[6];
+        this._repeatBtn  = items[7];
+
+        this.listen(items[0],         'click',  function () {this.trigger('prev');}, this);
+        this.listen(this._playBtn,    'click',  function () {this.trigger('toggle');}, this);
+        this.listen(items[2],         'click',  function () {this.trigger('next');}, this);
+        this.listen(this._seekBar,    'seek',   this._onSeek, this);
+        this.listen(this._volume,     'volume', function (volume) {this.trigger('volumechange', volume, false);}, this);
+        this.listen(this._volume,     'mute',   function () {this.trigger('volumechange', this._volume.volume, !this._muted);}, this);
+        this.listen(this._shuffleBtn, 'click',  function () {this.trigger('shuffle');}, this);
+        this.listen(this._repeatBtn,  'click',  function () {this.trigger('repeat');}, this);
     },
 
     /**
-     * Plays current track
-     * @param {String} trackUrl URL of the track
+     * Shows playing or paused state of the track by play/pause button title
+     * @param {Boolean} playing true if track is playing
      */
-    play: function (trackUrl) {
-        if (!N13.isString(trackUrl) || trackUrl === '') {
-            console.error('Invalid track URL: ' + trackUrl + '. Audio file URL is expected.');
+    setPlaying: function (playing) {
+        this._setButton(this._playBtn, playing ? 'Pause' : 'Play', 'control-play');
+    },
+
+    /**
+     * Shows current position of the track in seek bar and time views
+     * @param {Number} time Current position in seconds
+     * @param {Number} duration Duration of the track in seconds
+     */
+    setTime: function (time, duration) {
+        this._duration = duration;
+        this._seekBar.setProgress(time, duration);
+        this._time.setTime(time, duration);
+    },
+
+    /**
+     * Shows buffered ranges of the track in seek bar
+     * @param {Array} ranges Array of ranges: {start: Number, end: Number} in seconds
+     * @param {Number} duration Duration of the track in seconds
+     */
+    setBuffered: function (ranges, duration) {
+        this._seekBar.setBuffered(ranges, duration);
+    },
+
+    /**
+     * Shows the volume and muted state
+     * @param {Number} volume Volume from 0 to 1
+     * @param {Boolean} muted true if sound is muted
+     */
+    setVolume: function (volume, muted) {
+        this._muted = !!muted;
+        this._volume.setVolume(volume, muted);
+    },
+
+    /**
+     * Shows shuffle and repeat modes
+     * @param {String} repeat Repeat mode: 'off', 'all' or 'one'
+     * @param {Boolean} shuffle true if shuffle mode is on
+     */
+    setModes: function (repeat, shuffle) {
+        this._setButton(this._shuffleBtn, 'Shuffle', 'control-shuffle' + (shuffle ? ' active' : ''));
+        this._setButton(this._repeatBtn, 'Repeat: ' + repeat, 'control-repeat' + (repeat !== 'off' ? ' active' : ''));
+    },
+
+
+    /**
+     * Changes title and CSS class of the button. Rendered button is rendered again.
+     * @param {App.view.Button} btn Button to change
+     * @param {String} title New title
+     * @param {String} cls New CSS class
+     * @private
+     */
+    _setButton: function (btn, title, cls) {
+        if (btn.title === title && btn.cls === cls) {
             return;
         }
-        if (!this._audioEl) {
-            console.error('You should call setTrack() before call play()');
-        }
-
-        if (this._audioEl.attr('src') !== trackUrl) {
-            this._audioEl.attr('src', trackUrl);
+        btn.setConfig({title: title, cls: cls});
+        if (btn.rendered) {
+            btn.render();
         }
     },
 
-
     /**
-     * <audio> tag 'ended' event handler. Fires an played event.
+     * Seek bar 'seek' event handler. Converts position into seconds. Seeking is
+     * impossible until duration of the track is known.
+     * @param {Number} pos Position from 0 to 1
      * @private
      */
-    _onPlayEnd: function () {
-        this.trigger('played');
+    _onSeek: function (pos) {
+        if (isFinite(this._duration)) {
+            this.trigger('seek', pos * this._duration);
+        }
     }
 });
\ No newline at end of file
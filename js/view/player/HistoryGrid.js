@@ -0,0 +1,70 @@
+/**
+ * Playback history grid. Shows played tracks from the newest to the oldest one. Click on the row
+ * plays the track again.
+ *
+ * Available events:
+ *     selected   Fires then user clicks on history record
+ *         {App.model.player.HistoryItem} Clicked record
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.HistoryGrid', {
+    extend  : 'App.view.base.View',
+    requires: [
+        'App.template.player.HistoryGrid',
+        'App.view.player.control.Time'
+    ],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template: 'player.HistoryGrid',
+        /**
+         * {App.collection.player.History|null} History collection
+         */
+        history : null
+    },
+
+
+    /**
+     * Calls before render() method for pre render actions. It prepares history records for the template.
+     */
+    onBeforeRender: function () {
+        var format = App.view.player.control.Time.format;
+
+        this.callParent();
+
+        if (!this.history) {
+            this.trigger('debug', 'History collection wasn\'t set for view "' + this.className + '"');
+            return;
+        }
+
+        this.setConfig({data: {items: this.history.map(function (item) {
+            var track = item.get('track');
+            var url   = track.get('url');
+
+            return {
+                name   : track.get('title') || url.substr(url.lastIndexOf('/') + 1) || url,
+                started: item.get('startedAt').toTimeString().substr(0, 5),
+                played : format(item.get('played'))
+            };
+        })}});
+    },
+
+    /**
+     * Calls after render() method for post render actions. It binds click event handlers
+     * to the table rows and re-renders the grid on every history change. History handler is
+     * bound once, because the history may be changed by setConfig() between renderings.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('tr[row]'), 'click', function (e) {me.trigger('selected', me.history.at(+$(e.currentTarget).attr('row')));});
+        if (this.history) {
+            this.stopListening(this.history);
+            this.listenTo(this.history, 'add remove reset change:played', function () {this.render();});
+        }
+
+        this.callParent();
+    }
+});
\ No newline at end of file
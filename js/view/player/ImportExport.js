@@ -0,0 +1,147 @@
+/**
+ * Playlist import and export panel. Playlist may be imported from a file or from pasted text. Current
+ * playlist may be exported into selected format. The view only reads files and fires user intents. Parsing
+ * and serializing are made by controller (see App.format.Converter). Result of the import is shown by
+ * setReport() method.
+ *
+ * Available events:
+ *     import  Fires then user has chosen a file or wants to import pasted text
+ *         {String} Playlist text
+ *         {String|null} File name or null for pasted text
+ *     export  Fires then user wants to export current playlist
+ *         {String} Format alias. e.g.: 'M3u'
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.ImportExport', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.ImportExport'],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template  : 'player.ImportExport',
+        /**
+         * {Array} Aliases of export formats. See App.format.Converter for details
+         */
+        formats   : ['M3u', 'Pls', 'Xspf', 'Jspf'],
+        /**
+         * {Array} Extensions of files, which may be chosen for import
+         */
+        extensions: ['m3u', 'm3u8', 'pls', 'xspf', 'jspf', 'json', 'txt'],
+        /**
+         * {Number} Maximum amount of reported errors. Other errors are counted only
+         */
+        maxErrors : 10
+    },
+
+
+    /**
+     * Calls before render() method for pre render actions. It sets formats and file extensions to the template.
+     */
+    onBeforeRender: function () {
+        this.callParent();
+        this.setConfig({data: {
+            formats: this.formats,
+            accept : _.map(this.extensions, function (ext) {return '.' + ext;}).join(',')
+        }});
+    },
+
+    /**
+     * Calls after render() method for post render actions. It binds event handlers of buttons and file picker.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('button[action="import"]'), 'click', function () {me._onImportClick();});
+        this.listen(this.el.find('button[action="export"]'), 'click', function () {me._onExportClick();});
+        this.listen(this.el.find('input[type="file"]'), 'change', function (e) {me._onFileChange(e);});
+
+        this.callParent();
+    },
+
+    /**
+     * Shows the result of the import
+     * @param {Number} added Amount of imported tracks
+     * @param {Array} errors Skipped lines: {line: Number, text: String, message: String}
+     */
+    setReport: function (added, errors) {
+        var report = this.rendered ? this.el.find('.report').empty() : null;
+        var list;
+
+        if (!report) {
+            return;
+        }
+        report.append($('<div>').text('Imported ' + added + ' track(s). Skipped ' + errors.length + ' item(s).'));
+        if (!errors.length) {
+            return;
+        }
+        list = $('<ul>').appendTo(report);
+        _.each(_.first(errors, this.maxErrors), function (error) {
+            list.append($('<li>').text((error.line ? 'Line ' + error.line + ': ' : '') + error.message + (error.text ? ' (' + error.text + ')' : '')));
+        });
+        if (errors.length > this.maxErrors) {
+            list.append($('<li>').text('...and ' + (errors.length - this.maxErrors) + ' more'));
+        }
+    },
+
+    /**
+     * Saves a file on user's computer by temporary link with download attribute
+     * @param {Object} file File: {text: String, fileName: String, mimeType: String}
+     */
+    download: function (file) {
+        var url  = window.URL.createObjectURL(new Blob([file.text], {type: file.mimeType}));
+        var link = $('<a>').attr({href: url, download: file.fileName}).hide().appendTo(this.el);
+
+        link[0].click();
+        link.remove();
+        setTimeout(function () {window.URL.revokeObjectURL(url);}, 0);
+    },
+
+
+    /**
+     * Import button click handler. Fires import event with pasted text. Text area is cleared
+     * @private
+     */
+    _onImportClick: function () {
+        var area = this.el.find('textarea');
+        var text = $.trim(area.val());
+
+        if (text !== '') {
+            area.val('');
+            this.trigger('import', text, null);
+        }
+    },
+
+    /**
+     * Export button click handler
+     * @private
+     */
+    _onExportClick: function () {
+        this.trigger('export', this.el.find('select').val());
+    },
+
+    /**
+     * File picker change handler. Reads chosen file as a text and fires import event. File picker
+     * is cleared, so the same file may be chosen again.
+     * @param {Event} e Event object
+     * @private
+     */
+    _onFileChange: function (e) {
+        var file   = e.target.files && e.target.files[0];
+        var reader = file ? new FileReader() : null;
+        var me     = this;
+
+        if (!reader) {
+            return;
+        }
+        reader.onload  = function () {
+            me.trigger('import', reader.result, file.name);
+        };
+        reader.onerror = function () {
+            me.setReport(0, [{line: 0, text: file.name, message: 'File can\'t be read'}]);
+        };
+        reader.readAsText(file);
+        $(e.target).val('');
+    }
+});
\ No newline at end of file
@@ -1,5 +1,13 @@
 /**
- * Container for playlist and "add track" button.
+ * Container for playlists sidebar, playlist, "add track" and "add files" buttons, import/export panel, playlist
+ * footer with total and remaining time (see App.view.player.PlaylistFooter), "add tracks" dialog (see
+ * App.view.player.AddTracks) and playlist dialog for names and confirmations (see App.view.player.PlaylistForm).
+ * Local audio files may be dropped into the container or chosen by hidden multiple file picker (see
+ * pickFiles() method). The container only collects files. Tracks are created by controller.
+ *
+ * Available events:
+ *     files  Fires then user has dropped or chosen local files
+ *         {Array} Array of File objects
  *
  * @author DeadbraiN
  */
@@ -7,16 +15,90 @@ N13.define('App.view.player.PlaylistContainer', {
     extend  : 'App.view.base.View',
     requires: [
         'App.template.player.PlaylistContainer',
+        'App.view.player.PlaylistSidebar',
         'App.view.player.PlaylistGrid',
-        'App.view.Button'
+        'App.view.player.PlaylistFooter',
+        'App.view.player.ImportExport',
+        'App.view.player.AddTracks',
+        'App.view.player.PlaylistForm',
+        'App.view.Button',
+        'App.view.Dialog'
     ],
     configs : {
         template: 'player.PlaylistContainer',
         items   : [
-            'player.PlaylistGrid', {
-                cl   : 'Button',
-                title: 'Add'
+            {cl: 'player.PlaylistSidebar', region: 'sidebar'},
+            {cl: 'player.PlaylistGrid',    region: 'grid'},
+            {
+                cl    : 'Button',
+                title : 'Files',
+                region: 'buttons'
+            },
+            {
+                cl    : 'Button',
+                title : 'Add',
+                region: 'buttons'
+            },
+            {cl: 'player.ImportExport',   region: 'io'},
+            {cl: 'player.PlaylistFooter', region: 'footer'},
+            {
+                cl    : 'Dialog',
+                title : 'Add tracks',
+                cls   : 'add-tracks-dialog',
+                region: 'dialog',
+                items : [{cl: 'player.AddTracks', region: 'body'}]
+            },
+            {
+                cl    : 'Dialog',
+                title : 'Playlist',
+                cls   : 'playlist-dialog',
+                region: 'dialog',
+                items : [{cl: 'player.PlaylistForm', region: 'body'}]
             }
         ]
+    },
+
+
+    /**
+     * Calls after render() method for post render actions. It binds drag and drop
+     * handlers and file picker change handler.
+     */
+    onAfterRender: function () {
+        var me        = this;
+        var container = this.el.find('.playlist-container');
+
+        this.listen(container, 'dragenter dragover', function (e) {
+            e.preventDefault();
+            container.addClass('drop-target');
+        });
+        this.listen(container, 'dragleave', function () {
+            container.removeClass('drop-target');
+        });
+        this.listen(container, 'drop', function (e) {
+            var transfer = e.originalEvent && e.originalEvent.dataTransfer;
+
+            e.preventDefault();
+            container.removeClass('drop-target');
+            if (transfer && transfer.files && transfer.files.length) {
+                me.trigger('files', _.toArray(transfer.files));
+            }
+        });
+        this.listen(this.el.find('input.file-picker'), 'change', function (e) {
+            if (e.target.files && e.target.files.length) {
+                me.trigger('files', _.toArray(e.target.files));
+            }
+            $(e.target).val('');
+        });
+
+        this.callParent();
+    },
+
+    /**
+     * Opens file picker dialog. Chosen files are passed by files event
+     */
+    pickFiles: function () {
+        if (this.rendered) {
+            this.el.find('input.file-picker').click();
+        }
     }
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Footer of the playlist. Shows total time of all tracks and remaining time of the playlist. Durations of
+ * tracks are loaded in background (see App.meta.Duration), so amount of tracks with unknown duration is
+ * shown also.
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.PlaylistFooter', {
+    extend  : 'App.view.base.View',
+    requires: [
+        'App.template.player.PlaylistFooter',
+        'App.view.player.control.Time'
+    ],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template: 'player.PlaylistFooter'
+    },
+
+
+    /**
+     * Shows total and remaining time of the playlist
+     * @param {Number} total Total time in seconds
+     * @param {Number} remaining Remaining time in seconds
+     * @param {Number} unknown Amount of tracks with unknown duration
+     */
+    setTime: function (total, remaining, unknown) {
+        var format = App.view.player.control.Time.format;
+
+        if (!this.rendered) {
+            return;
+        }
+        this.el.find('.total').text(format(total));
+        this.el.find('.remaining').text(format(remaining));
+        this.el.find('.unknown').text(unknown ? ' (' + unknown + ' unknown)' : '');
+    }
+});
\ No newline at end of file
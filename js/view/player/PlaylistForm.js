@@ -0,0 +1,88 @@
+/**
+ * Form for playlist actions, which need user's answer: a name of new, renamed or duplicated playlist or a
+ * confirmation of deleting. It replaces blocking prompt() and confirm() functions. The form is prepared by
+ * ask() method before every opening. Empty name isn't accepted. The form doesn't change playlists by itself.
+ * It's designed for App.view.Dialog, but may be used anywhere.
+ *
+ * Available events:
+ *     submit  Fires then user has pressed OK button or Enter key
+ *         {String|null} Trimmed playlist name or null for confirmation
+ *     cancel  Fires then user has pressed cancel button
+ *
+ * Usage:
+ *     form.ask('Please input a playlist name:', 'Favorites');
+ *     form.ask('Delete playlist "Favorites"?');
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.PlaylistForm', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.PlaylistForm'],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template: 'player.PlaylistForm'
+    },
+
+
+    /**
+     * Calls at the beginning of init() method call. Here we must create and initialize all private fields.
+     */
+    initPrivates: function () {
+        this.callParent();
+
+        /**
+         * {Boolean} true if the form asks a name, false - if it asks a confirmation
+         * @private
+         */
+        this._named = false;
+    },
+
+    /**
+     * Calls after render() method for post render actions. It binds event handlers of buttons and name field.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('button[action="ok"]'), 'click', function () {me._onOkClick();});
+        this.listen(this.el.find('button[action="cancel"]'), 'click', function () {me.trigger('cancel');});
+        this.listen(this.el.find('input.name'), 'keydown', function (e) {
+            if (e.which === 13) {
+                me._onOkClick();
+            }
+        });
+
+        this.callParent();
+    },
+
+    /**
+     * Prepares the form for new question. Previous error is removed
+     * @param {String} message Question for user
+     * @param {String|null=} name Initial playlist name. Name field is hidden if it's not a string
+     */
+    ask: function (message, name) {
+        this._named = N13.isString(name);
+        if (!this.rendered) {
+            return;
+        }
+        this.el.find('.message').text(message);
+        this.el.find('input.name').val(this._named ? name : '').toggle(this._named);
+        this.el.find('.error').empty();
+    },
+
+
+    /**
+     * OK button click handler. Checks the name and fires submit event
+     * @private
+     */
+    _onOkClick: function () {
+        var name = this._named ? $.trim(this.el.find('input.name').val()) : null;
+
+        if (name === '') {
+            this.el.find('.error').text('Please input a playlist name');
+            return;
+        }
+        this.trigger('submit', name);
+    }
+});
\ No newline at end of file
@@ -1,14 +1,21 @@
 /**
- * Playlist grid. contains a list of URLs of tracks to play
+ * Playlist grid. contains a list of tracks to play with their tags (see App.meta.Loader)
  *
  * Available events:
  *     selected   Fires then one row in grid is selected
+ *     playnext   Fires then user wants to play the track after current one. Selection isn't changed
+ *         {App.model.player.Track} Track to play next
+ *     enqueue    Fires then user adds the track to the end of play queue. Selection isn't changed
+ *         {App.model.player.Track} Track to queue
  *
  * @author DeadbraiN
  */
 N13.define('App.view.player.PlaylistGrid', {
     extend  : 'App.view.base.View',
-    requires: ['App.template.player.PlaylistGrid'],
+    requires: [
+        'App.template.player.PlaylistGrid',
+        'App.view.player.control.Time'
+    ],
     configs : {
         /**
          * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
@@ -37,11 +44,16 @@ N13.define('App.view.player.PlaylistGrid', {
          * @private
          */
         this._curRow   = null;
+        /**
+         * {App.collection.player.Track|null} Tracks collection, which is listened for changes
+         * @private
+         */
+        this._listened = null;
     },
 
     /**
      * Calls before render() method for pre render actions. It sets
-     * a tracks collection to the template.
+     * a tracks collection and durations formatter to the template.
      */
     onBeforeRender: function () {
         this.callParent();
@@ -51,21 +63,26 @@ N13.define('App.view.player.PlaylistGrid', {
             return;
         }
 
-        this.setConfig({data: {tracks: this.tracks.toJSON()}});
+        this.setConfig({data: {tracks: this.tracks.toJSON(), format: App.view.player.control.Time.format}});
     },
 
     /**
      * Calls after render() method for post render actions. It binds click event
-     * handlers to the table rows.
+     * handlers to the table rows. Tracks handler is bound once, because tracks
+     * collection is changed by setConfig() on switching of playlists. Grid is
+     * also updated on changes of tracks (e.g. after loading of their tags).
      */
     onAfterRender: function () {
         var me = this;
 
         this.listen(this.el.find('tr'), 'click', function () {me._onRowClick.apply(me, arguments);});
+        if (this._listened) {
+            this.stopListening(this._listened);
+        }
         if (this.tracks) {
-            this.listen(this.tracks, 'add',    function () {me.render();});
-            this.listen(this.tracks, 'remove', function () {me.render();});
+            this.listenTo(this.tracks, 'add remove reset change', function () {this.render();});
         }
+        this._listened = this.tracks;
         if ($.isNumeric(this._curRow)) {
             this.select(this._curRow);
         }
@@ -75,10 +92,40 @@ N13.define('App.view.player.PlaylistGrid', {
 
     /**
      * Selects specified track by it's row index
-     * @param {Number|Boolean} row Row index
+     * @param {Number|Boolean} row Row index. true means next row
+     * @param {Boolean=} silent true - only highlights the row without selected event
      */
-    select: function (row) {
-        $('.playlist-grid tr[row="' + ($.isNumeric(row) ? row : this._curRow + 1) + '"] td[col="0"]').click();
+    select: function (row, silent) {
+        row = $.isNumeric(row) ? +row : this._curRow + 1;
+        if (!silent) {
+            $('.playlist-grid tr[row="' + row + '"] td[col="0"]').first().click();
+            return;
+        }
+
+        if (this._curRowEl) {
+            this._curRowEl.removeClass('selected');
+        }
+        this._curRow   = row;
+        this._curRowEl = this.rendered ? this.el.find('tr[row="' + row + '"]').addClass('selected') : null;
+    },
+
+    /**
+     * Removes selection without selected event. It's used if other tracks collection is set
+     */
+    deselect: function () {
+        if (this._curRowEl) {
+            this._curRowEl.removeClass('selected');
+        }
+        this._curRow   = null;
+        this._curRowEl = null;
+    },
+
+    /**
+     * Returns index of selected row
+     * @returns {Number|null} Row index or null if nothing was selected
+     */
+    getSelected: function () {
+        return this._curRow;
     },
 
 
@@ -88,14 +135,17 @@ N13.define('App.view.player.PlaylistGrid', {
      * @private
      */
     _onRowClick: function (e) {
-        var col;
+        var col = +$(e.target).attr('col');
 
+        if (col === 2 || col === 3) {
+            this._onQueueClick(+$(e.currentTarget).attr('row'), col);
+            return;
+        }
         if (this._curRowEl) {
             this._curRowEl.removeClass('selected');
         }
         this._curRowEl = $(e.currentTarget);
         if (e.target.nodeName.toUpperCase() === 'TD') {
-            col = +$(e.target).attr('col');
             this._curRow = +this._curRowEl.attr('row');
 
             if (col === 0) {
@@ -103,8 +153,22 @@ N13.define('App.view.player.PlaylistGrid', {
                 this.trigger('selected', this.tracks.at(this._curRow));
             } else if (col === 1) {
                 this._curRowEl = null;
-                this.tracks.remove(this.tracks.at(this._curRow));
+                this.tracks.at(this._curRow).destroy();
             }
         }
+    },
+
+    /**
+     * Click handler of play next and queue cells. Doesn't change selected row
+     * @param {Number} row Row index
+     * @param {Number} col Column index: 2 - play next, 3 - add to queue
+     * @private
+     */
+    _onQueueClick: function (row, col) {
+        if (col === 2) {
+            this.trigger('playnext', this.tracks.at(row));
+        } else {
+            this.trigger('enqueue', this.tracks.at(row));
+        }
     }
 });
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Sidebar with the list of playlists. Highlights active playlist and allows to switch, create,
+ * rename, duplicate and delete playlists. The view only fires user intents. Playlists are changed
+ * by controllers and the list is re-rendered on every change of the collection.
+ *
+ * Available events:
+ *     select     Fires then user clicks on the playlist
+ *         {App.model.player.Playlist} Selected playlist
+ *     create     Fires then user wants to create new playlist
+ *     rename     Fires then user wants to rename active playlist
+ *         {App.model.player.Playlist} Active playlist
+ *     duplicate  Fires then user wants to copy active playlist with it's tracks
+ *         {App.model.player.Playlist} Active playlist
+ *     remove     Fires then user wants to delete active playlist
+ *         {App.model.player.Playlist} Active playlist
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.PlaylistSidebar', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.PlaylistSidebar'],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template : 'player.PlaylistSidebar',
+        /**
+         * {App.collection.player.Playlist|null} Playlists collection
+         */
+        playlists: null,
+        /**
+         * {App.model.player.Playlist|null} Active playlist
+         */
+        active   : null
+    },
+
+
+    /**
+     * Calls before render() method for pre render actions. It sets playlists and index of
+     * active one to the template.
+     */
+    onBeforeRender: function () {
+        this.callParent();
+
+        if (!this.playlists) {
+            this.trigger('debug', 'Playlists collection wasn\'t set for view "' + this.className + '"');
+            return;
+        }
+
+        this.setConfig({data: {playlists: this.playlists.toJSON(), active: this.playlists.indexOf(this.active)}});
+    },
+
+    /**
+     * Calls after render() method for post render actions. It binds click event handlers and
+     * re-renders the list on every change of playlists. Collection handler is bound once, because
+     * the collection may be changed by setConfig() between renderings.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('tr[row]'), 'click', function () {me._onRowClick.apply(me, arguments);});
+        this.listen(this.el.find('span[action]'), 'click', function () {me._onActionClick.apply(me, arguments);});
+        if (this.playlists) {
+            this.stopListening(this.playlists);
+            this.listenTo(this.playlists, 'add remove reset change:name', function () {this.render();});
+        }
+
+        this.callParent();
+    },
+
+    /**
+     * Makes the playlist active
+     * @param {App.model.player.Playlist} playlist Playlist to select
+     * @param {Boolean=} silent true - only highlights the playlist without select event
+     */
+    select: function (playlist, silent) {
+        if (!this.playlists || !this.playlists.contains(playlist)) {
+            this.trigger('debug', 'Unknown playlist was selected in view "' + this.className + '"');
+            return;
+        }
+        if (!silent) {
+            this.trigger('select', playlist);
+            return;
+        }
+
+        this.active = playlist;
+        if (this.rendered) {
+            this.el.find('tr.selected').removeClass('selected');
+            this.el.find('tr[row="' + this.playlists.indexOf(playlist) + '"]').addClass('selected');
+        }
+    },
+
+    /**
+     * @returns {App.model.player.Playlist|null} Active playlist
+     */
+    getActive: function () {
+        return this.active;
+    },
+
+
+    /**
+     * Table row click event handler. Fires select event for clicked playlist
+     * @param {Event} e Event object
+     * @private
+     */
+    _onRowClick: function (e) {
+        this.select(this.playlists.at(+$(e.currentTarget).attr('row')));
+    },
+
+    /**
+     * Action click event handler. Fires action event for active playlist
+     * @param {Event} e Event object
+     * @private
+     */
+    _onActionClick: function (e) {
+        var action = $(e.currentTarget).attr('action');
+
+        if (action === 'create') {
+            this.trigger('create');
+        } else if (this.active) {
+            this.trigger(action, this.active);
+        }
+    }
+});
\ No newline at end of file
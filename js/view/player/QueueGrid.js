@@ -0,0 +1,80 @@
+/**
+ * Play queue grid. Shows queued tracks and allows to play, move up and remove them.
+ *
+ * Available events:
+ *     selected   Fires then user clicks on queued track. Player should play it now
+ *         {App.model.player.Track} Queued track
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.QueueGrid', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.QueueGrid'],
+    configs : {
+        /**
+         * {String|Boolean} Name of the template class for current view or false if current class doesn't use template
+         */
+        template: 'player.QueueGrid',
+        /**
+         * {App.collection.player.Queue|null} Queue collection
+         */
+        queue   : null
+    },
+
+
+    /**
+     * Calls before render() method for pre render actions. It sets queued tracks to the template.
+     */
+    onBeforeRender: function () {
+        this.callParent();
+
+        if (!this.queue) {
+            this.trigger('debug', 'Queue collection wasn\'t set for view "' + this.className + '"');
+            return;
+        }
+
+        this.setConfig({data: {tracks: this.queue.toJSON()}});
+    },
+
+    /**
+     * Calls after render() method for post render actions. It binds click event handlers
+     * to the table rows and re-renders the grid on every queue change. Queue handler is
+     * bound once, because the queue may be changed by setConfig() between renderings.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.listen(this.el.find('tr[row]'), 'click', function () {me._onRowClick.apply(me, arguments);});
+        if (this.queue) {
+            this.stopListening(this.queue);
+            this.listenTo(this.queue, 'add remove reset sort', function () {this.render();});
+        }
+
+        this.callParent();
+    },
+
+
+    /**
+     * Table row click event handler. Plays, moves up or removes queued track
+     * @param {Event} e Event object
+     * @private
+     */
+    _onRowClick: function (e) {
+        var track;
+        var col;
+
+        if (e.target.nodeName.toUpperCase() !== 'TD') {
+            return;
+        }
+        track = this.queue.at(+$(e.currentTarget).attr('row'));
+        col   = +$(e.target).attr('col');
+
+        if (col === 0) {
+            this.trigger('selected', track);
+        } else if (col === 1) {
+            this.queue.move(track, this.queue.indexOf(track) - 1);
+        } else if (col === 2) {
+            this.queue.remove(track);
+        }
+    }
+});
\ No newline at end of file
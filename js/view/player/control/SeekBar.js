@@ -0,0 +1,85 @@
+/**
+ * Seek bar of the audio player control panel. Shows played part of the track and buffered ranges.
+ * Click on the bar fires seek event with the position.
+ *
+ * Available events:
+ *     seek  Fires then user clicks on the bar
+ *         {Number} Position from 0 to 1
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.control.SeekBar', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.control.SeekBar'],
+    configs : {
+        template: 'player.control.SeekBar'
+    },
+
+
+    /**
+     * Calls after render() method. Binds click handler to the bar.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.el.find('.seek-bar').on('click', function (e) {me._onClick(e);});
+        this.callParent();
+    },
+
+    /**
+     * Shows played part of the track
+     * @param {Number} time Current time in seconds
+     * @param {Number} duration Duration of the track in seconds
+     */
+    setProgress: function (time, duration) {
+        if (!this.rendered) {
+            return;
+        }
+        this.el.find('.seek-played').css('width', this._percent(time, duration));
+    },
+
+    /**
+     * Shows buffered ranges of the track
+     * @param {Array} ranges Array of buffered ranges: {start: Number, end: Number} in seconds
+     * @param {Number} duration Duration of the track in seconds
+     */
+    setBuffered: function (ranges, duration) {
+        var html = '';
+        var i;
+        var len;
+
+        if (!this.rendered) {
+            return;
+        }
+        for (i = 0, len = ranges.length; i < len; i++) {
+            html += '<div class="seek-range" style="left:' + this._percent(ranges[i].start, duration) + ';width:' + this._percent(ranges[i].end - ranges[i].start, duration) + '"></div>';
+        }
+        this.el.find('.seek-buffered').html(html);
+    },
+
+
+    /**
+     * Returns part of the duration in percents for CSS width or left properties
+     * @param {Number} time Time in seconds
+     * @param {Number} duration Duration in seconds
+     * @returns {String} e.g.: '25%'
+     * @private
+     */
+    _percent: function (time, duration) {
+        return (duration > 0 && isFinite(duration) ? Math.min(Math.max(time / duration, 0), 1) * 100 : 0) + '%';
+    },
+
+    /**
+     * Bar click handler. Calculates position and fires seek event
+     * @param {Event} e Event object
+     * @private
+     */
+    _onClick: function (e) {
+        var bar   = $(e.currentTarget);
+        var width = bar.width();
+
+        if (width > 0) {
+            this.trigger('seek', Math.min(Math.max((e.pageX - bar.offset().left) / width, 0), 1));
+        }
+    }
+});
\ No newline at end of file
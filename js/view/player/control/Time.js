@@ -0,0 +1,43 @@
+/**
+ * Shows elapsed and remaining time of the track in the audio player control panel
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.control.Time', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.control.Time'],
+    configs : {
+        template: 'player.control.Time'
+    },
+    statics : {
+        /**
+         * Formats time in seconds as 'm:ss' or 'h:mm:ss' string
+         * @param {Number} time Time in seconds
+         * @returns {String}
+         */
+        format: function (time) {
+            var sec = isFinite(time) && time > 0 ? Math.floor(time) : 0;
+            var h   = Math.floor(sec / 3600);
+            var m   = Math.floor(sec % 3600 / 60);
+            var s   = sec % 60;
+
+            return (h ? h + ':' + (m < 10 ? '0' : '') : '') + m + ':' + (s < 10 ? '0' : '') + s;
+        }
+    },
+
+
+    /**
+     * Shows elapsed and remaining time
+     * @param {Number} time Current time in seconds
+     * @param {Number} duration Duration of the track in seconds
+     */
+    setTime: function (time, duration) {
+        var format = App.view.player.control.Time.format;
+
+        if (!this.rendered) {
+            return;
+        }
+        this.el.find('.time-elapsed').text(format(time));
+        this.el.find('.time-remaining').text('-' + format(isFinite(duration) ? duration - time : 0));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Volume control of the audio player control panel. Contains mute button and volume slider.
+ *
+ * Available events:
+ *     volume  Fires then user moves the slider
+ *         {Number} Volume from 0 to 1
+ *     mute    Fires then user clicks on mute button
+ *
+ * @author DeadbraiN
+ */
+N13.define('App.view.player.control.Volume', {
+    extend  : 'App.view.base.View',
+    requires: ['App.template.player.control.Volume'],
+    configs : {
+        template: 'player.control.Volume',
+        /**
+         * {Number} Initial volume from 0 to 1
+         */
+        volume  : 1
+    },
+
+
+    /**
+     * Calls before render() call. Sets volume to the template
+     */
+    onBeforeRender: function () {
+        this.callParent();
+        this.setConfig({data: {volume: this.volume}});
+    },
+
+    /**
+     * Calls after render() method. Binds slider and mute button handlers.
+     */
+    onAfterRender: function () {
+        var me = this;
+
+        this.el.find('.volume-slider').on('input change', function () {me.trigger('volume', +$(this).val());});
+        this.el.find('.volume-mute').on('click', function () {me.trigger('mute');});
+        this.callParent();
+    },
+
+    /**
+     * Shows volume and muted state
+     * @param {Number} volume Volume from 0 to 1
+     * @param {Boolean} muted true if sound is muted
+     */
+    setVolume: function (volume, muted) {
+        this.volume = volume;
+        if (!this.rendered) {
+            return;
+        }
+        this.el.find('.volume-slider').val(volume);
+        this.el.find('.volume-mute').toggleClass('muted', muted).text(muted ? 'Unmute' : 'Mute');
+    }
+});
\ No newline at end of file
@@ -0,0 +1,144 @@
+/*global App */
+
+TestCase("App.audio.Engine", {
+    /**
+     * This function calls every time before test starts and creates new engine with fake backend
+     */
+    setUp: function () {
+        this.engine  = new App.audio.Engine({backend: 'Fake'});
+        this.backend = this.engine.getBackend();
+    },
+
+    /**
+     * Destroys the engine after every test
+     */
+    tearDown: function () {
+        this.engine.destroy();
+    },
+
+
+    /*
+     * Tests backend config
+     */
+    testBackendConfig: function () {
+        var engine;
+        var errors = 0;
+
+        assertTrue('Fake backend should be created', this.backend instanceof App.audio.backend.Fake);
+
+        engine = new App.audio.Engine({backend: ['Unknown', 'Fake'], listeners: {error: function () {errors++;}}});
+        assertTrue('First supported backend should be used', engine.getBackend() instanceof App.audio.backend.Fake);
+        assertTrue('Invalid backend should produce an error', errors === 1);
+        engine.destroy();
+
+        engine = new App.audio.Engine({backend: 'Unknown'});
+        assertTrue('Engine without backend should be created', engine.getBackend() === null);
+        assertFalse('Track can\'t be loaded without backend', engine.load('track.mp3'));
+        engine.destroy();
+    },
+    /*
+     * Tests load() and play() methods and playback states
+     */
+    testPlayMethod: function () {
+        var states = [];
+
+        this.engine.on('statechange', function (state) {states.push(state);});
+        assertTrue('Engine should be idle by default', this.engine.getState() === 'idle');
+        assertFalse('Nothing to play before loading', this.engine.play());
+        assertFalse('Invalid URL shouldn\'t be loaded', this.engine.load(''));
+
+        assertTrue('Track should be loaded', this.engine.load('track.mp3'));
+        assertTrue('URL should be stored', this.engine.getUrl() === 'track.mp3');
+        assertTrue('Duration should be obtained from backend', this.engine.getDuration() === 180);
+        assertTrue('Track should be played', this.engine.play());
+        assertTrue('Engine should be in playing state', this.engine.isPlaying());
+        assertTrue('States should be changed in order', states.join() === 'loading,paused,playing');
+        assertFalse('Playing track shouldn\'t be played twice', this.engine.play());
+    },
+    /*
+     * Tests pause() and toggle() methods and resume event
+     */
+    testPauseMethod: function () {
+        var resumed = 0;
+
+        this.engine.on('resume', function () {resumed++;});
+        assertFalse('Nothing to pause before playing', this.engine.pause());
+        this.engine.load('track.mp3');
+        this.engine.play();
+        this.backend.tick(10);
+        assertTrue('Track should be paused', this.engine.pause());
+        assertTrue('Engine should be in paused state', this.engine.getState() === 'paused');
+        assertTrue('Track should be resumed', this.engine.toggle());
+        assertTrue('Resume event should be fired once', resumed === 1);
+        assertTrue('Position should be kept', this.engine.getTime() === 10);
+    },
+    /*
+     * Tests seek() method
+     */
+    testSeekMethod: function () {
+        var sought = null;
+
+        this.engine.on('seek', function (time) {sought = time;});
+        assertFalse('Not loaded track can\'t be sought', this.engine.seek(10));
+        this.engine.load('track.mp3');
+        assertTrue('Track should be sought', this.engine.seek(20));
+        assertTrue('Seek event should be fired', sought === 20);
+        assertTrue('Position should be changed', this.engine.getTime() === 20);
+        this.engine.seek(500);
+        assertTrue('Position should be limited by duration', this.engine.getTime() === 180);
+        this.engine.seek(-5);
+        assertTrue('Position should be limited by zero', this.engine.getTime() === 0);
+    },
+    /*
+     * Tests ended event and playing of ended track
+     */
+    testEndedEvent: function () {
+        var ended = 0;
+
+        this.engine.on('ended', function () {ended++;});
+        this.engine.load('track.mp3');
+        this.engine.play();
+        this.backend.tick(200);
+        assertTrue('Ended event should be fired', ended === 1);
+        assertTrue('Engine should be in ended state', this.engine.getState() === 'ended');
+        assertTrue('Ended track should be played again', this.engine.play());
+        assertTrue('Ended track should be played from the beginning', this.engine.getTime() === 0);
+    },
+    /*
+     * Tests volume, muted and rate
+     */
+    testVolumeMethods: function () {
+        var changes = [];
+
+        this.engine.on('volumechange', function (volume, muted) {changes.push([volume, muted]);});
+        assertTrue('Volume should be changed', this.engine.setVolume(0.5));
+        assertTrue('Volume should be stored', this.engine.getVolume() === 0.5);
+        this.engine.setVolume(2);
+        assertTrue('Volume should be limited by 1', this.engine.getVolume() === 1);
+        assertFalse('Invalid volume should be skipped', this.engine.setVolume('loud'));
+        this.engine.setMuted(true);
+        assertTrue('Sound should be muted', this.engine.isMuted());
+        assertTrue('Volumechange events should be fired', changes.join() === '0.5,false,1,false,1,true');
+
+        assertFalse('Invalid rate should be skipped', this.engine.setRate(0));
+        assertTrue('Rate should be changed', this.engine.setRate(2));
+        this.engine.load('track.mp3');
+        this.engine.play();
+        this.backend.tick(10);
+        assertTrue('Rate should be applied to backend', this.engine.getTime() === 20);
+    },
+    /*
+     * Tests backend errors
+     */
+    testErrorEvent: function () {
+        var msg = null;
+
+        this.engine.on('error', function (m) {msg = m;});
+        this.engine.load('track.mp3');
+        this.engine.play();
+        this.backend.fail('Network error');
+        assertTrue('Error should be passed from backend', msg === 'Network error');
+        assertTrue('Engine should be in error state', this.engine.getState() === 'error');
+        assertFalse('Track with error can\'t be played', this.engine.play());
+    }
+});
\ No newline at end of file
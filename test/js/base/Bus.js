@@ -0,0 +1,105 @@
+/*global App */
+
+TestCase("App.base.Bus", {
+    /**
+     * This function calls every time before test starts and creates new bus
+     */
+    setUp: function () {
+        this.bus = new App.base.Bus();
+    },
+
+
+    /*
+     * Tests simple publishing into the channel
+     */
+    testPublishMethod: function () {
+        var res = null;
+
+        this.bus.subscribe('player:track:selected', function (data) {res = data;});
+        assertTrue('One subscriber should be called', this.bus.publish('player:track:selected', 12) === 1);
+        assertTrue('Subscriber should obtain data', res === 12);
+        assertTrue('Other channels shouldn\'t be called', this.bus.publish('player:track:ended', 13) === 0);
+    },
+    /*
+     * Tests one segment wildcard
+     */
+    testOneSegmentWildcard: function () {
+        var channel = null;
+
+        this.bus.subscribe('player:*:selected', function (data, ch) {channel = ch;});
+        this.bus.publish('player:track:selected');
+        assertTrue('Subscriber should obtain channel name', channel === 'player:track:selected');
+        assertTrue('Wildcard should match only one segment', this.bus.publish('player:track:item:selected') === 0);
+    },
+    /*
+     * Tests many segments wildcard
+     */
+    testManySegmentsWildcard: function () {
+        this.bus.subscribe('player:**', N13.emptyFn);
+        assertTrue('Wildcard should match one segment', this.bus.publish('player:track') === 1);
+        assertTrue('Wildcard should match many segments', this.bus.publish('player:track:selected') === 1);
+        assertTrue('Wildcard shouldn\'t match zero segments', this.bus.publish('player') === 0);
+    },
+    /*
+     * Tests scope of subscribers
+     */
+    testScope: function () {
+        var scope = {};
+        var res   = null;
+
+        this.bus.subscribe('ch', function () {res = this;}, scope);
+        this.bus.publish('ch');
+        assertTrue('Subscriber should be called in scope', res === scope);
+    },
+    /*
+     * Tests unsubscribe() method
+     */
+    testUnsubscribeMethod: function () {
+        var fn    = function () {};
+        var scope = {};
+
+        this.bus.subscribe('ch', fn, scope);
+        this.bus.subscribe('ch', N13.emptyFn);
+        this.bus.unsubscribe('ch', fn, scope);
+        assertTrue('Only one subscriber should be removed', this.bus.publish('ch') === 1);
+        this.bus.unsubscribe();
+        assertTrue('All subscribers should be removed', this.bus.publish('ch') === 0);
+    },
+    /*
+     * Tests invalid channels
+     */
+    testInvalidChannels: function () {
+        var bus    = this.bus;
+        var errors = 0;
+        var calls  = 0;
+
+        bus.on('error', function () {errors++;});
+        App.test.util.Common.mapValues(function (val) {
+            calls += 2;
+            assertNoException('Bus shouldn\'t throw an exception', function () {
+                assertFalse('Invalid channel shouldn\'t be subscribed', bus.subscribe(val, N13.emptyFn));
+                assertTrue('Invalid channel shouldn\'t be published', bus.publish(val) === 0);
+            });
+        }, ['string', 'capitalString', 'longString', 'specialString']);
+        assertTrue('Wildcards are not allowed for publishing', bus.publish('player:*') === 0);
+        assertTrue('Error event should be fired for every invalid call', errors === calls + 1);
+    },
+    /*
+     * Tests automatic unsubscribing in Observer mixin
+     */
+    testObserverDestroy: function () {
+        var ctrl;
+
+        App.base.App.bus = this.bus;
+        ctrl = new App.controller.base.Controller();
+        ctrl.run();
+        ctrl.subscribe('ch', N13.emptyFn);
+        assertTrue('Controller should be subscribed', this.bus.publish('ch') === 1);
+        ctrl.stop();
+        assertTrue('Subscriptions should be removed after stop', this.bus.publish('ch') === 0);
+        ctrl.subscribe('ch', N13.emptyFn);
+        ctrl.destroy();
+        assertTrue('Subscriptions should be removed after destroy', this.bus.publish('ch') === 0);
+        App.base.App.bus = null;
+    }
+});
\ No newline at end of file
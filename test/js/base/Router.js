@@ -0,0 +1,107 @@
+/*global App */
+
+TestCase("App.base.Router", {
+    /**
+     * This function calls every time before test starts and creates temporary controllers
+     */
+    setUp: function () {
+        N13.define('App.controller.temp.Controller', {
+            extend: 'App.controller.base.Controller',
+            act   : function (params) {
+                this.actParams = params;
+            }
+        });
+        N13.define('App.controller.temp.Controller1', {
+            extend: 'App.controller.base.Controller'
+        });
+    },
+    /**
+     * This function calls after test will complete and removes all bound routes
+     */
+    tearDown: function () {
+        Backbone.history.handlers = [];
+    },
+
+
+    /*
+     * Tests that controller is created, run and it's action is called with route parameters
+     */
+    testRouteToController: function () {
+        var router = new App.base.Router({routes: {'#/temp/:id': {controller: 'temp.Controller', action: 'act'}}});
+        var ctrl;
+
+        Backbone.history.loadUrl('temp/5');
+        ctrl = router.findController('temp.Controller');
+        assertTrue('Controller should be created and run', ctrl !== null && ctrl.isRunning());
+        assertTrue('Action should obtain route parameters', ctrl.actParams.id === '5');
+        assertTrue('Route parameters should be set into the config', ctrl.routeParams.id === '5');
+        router.destroy();
+    },
+    /*
+     * Tests that controller of previous route is stopped
+     */
+    testRouteChange: function () {
+        var router = new App.base.Router({routes: {
+            'one': 'temp.Controller',
+            'two': 'temp.Controller1'
+        }});
+
+        Backbone.history.loadUrl('one');
+        Backbone.history.loadUrl('two');
+        assertFalse('Previous controller should be stopped', router.findController('temp.Controller').isRunning());
+        assertTrue('Current controller should run', router.findController('temp.Controller1').isRunning());
+        router.destroy();
+    },
+    /*
+     * Tests that the same controller is created only once
+     */
+    testSameController: function () {
+        var router = new App.base.Router({routes: {'#/temp/:id': {controller: 'temp.Controller', action: 'act'}}});
+        var ctrl;
+
+        Backbone.history.loadUrl('temp/1');
+        ctrl = router.findController('temp.Controller');
+        Backbone.history.loadUrl('temp/2');
+        assertTrue('Controller should be reused', ctrl === router.findController('temp.Controller'));
+        assertTrue('Action should obtain new parameters', ctrl.actParams.id === '2');
+        router.destroy();
+    },
+    /*
+     * Tests that action is called after asynchronous running of the controller
+     */
+    testAsyncRun: function () {
+        var deferred = $.Deferred();
+        var router   = new App.base.Router({routes: {
+            '#/temp/:id': {controller: 'temp.Controller', action: 'act'},
+            'other'     : 'temp.Controller1'
+        }});
+        var ctrl;
+
+        App.controller.temp.Controller.prototype.onBeforeRun = function () {return deferred.promise();};
+        Backbone.history.loadUrl('temp/3');
+        ctrl = router.findController('temp.Controller');
+        assertTrue('Action shouldn\'t be called before running', !ctrl.isRunning() && ctrl.actParams === undefined);
+        deferred.resolve();
+        assertTrue('Action should be called after running', ctrl.isRunning() && ctrl.actParams.id === '3');
+
+        deferred = $.Deferred();
+        Backbone.history.loadUrl('other');
+        Backbone.history.loadUrl('temp/4');
+        Backbone.history.loadUrl('other');
+        deferred.resolve();
+        assertTrue('Action shouldn\'t be called if route was changed during running', !ctrl.isRunning() && ctrl.actParams.id === '3');
+        router.destroy();
+    },
+    /*
+     * Tests invalid route descriptors
+     */
+    testInvalidRoutesConfig: function () {
+        App.test.util.Common.mapValues(function (val) {
+            assertNoException('Router shouldn\'t throw an exception', function () {
+                var router = new App.base.Router({routes: {'temp': val}});
+                Backbone.history.loadUrl('temp');
+                router.destroy();
+            });
+        });
+    }
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+/*global App */
+
+TestCase("App.collection.base.Collection", {
+    /**
+     * This function calls every time before test starts and creates temporary model class
+     */
+    setUp: function () {
+        N13.define('App.model.temp.Model', {
+            extend  : 'Backbone.Model',
+            defaults: {title: null}
+        });
+    },
+
+
+    //
+    // This is configuration section. All tests below will test config parameters.
+    //
+
+    /*
+     * Tests that model alias is resolved against modelNs config
+     */
+    testModelConfig: function () {
+        var col = new App.collection.base.Collection([{title: 'one'}], {model: 'temp.Model'});
+
+        assertTrue('Model alias should be resolved into the class', col.model === App.model.temp.Model);
+        assertTrue('Models should be created by resolved class', col.at(0) instanceof App.model.temp.Model);
+        col.destroy();
+    },
+    /*
+     * Tests model alias set in configs section of child class
+     */
+    testModelConfigInChildClass: function () {
+        var col;
+
+        N13.define('App.collection.temp.Collection', {
+            extend : 'App.collection.base.Collection',
+            configs: {model: 'temp.Model'}
+        });
+        col = new App.collection.temp.Collection([{title: 'one'}]);
+        assertTrue('Models should be created by resolved class', col.at(0) instanceof App.model.temp.Model);
+        col.destroy();
+    },
+    /*
+     * Tests modelNs config
+     */
+    testModelNsConfig: function () {
+        var col = new App.collection.base.Collection([], {model: 'Model', modelNs: 'App.model.temp'});
+
+        assertTrue('Model alias should be resolved with custom modelNs', col.model === App.model.temp.Model);
+        col.destroy();
+    },
+    /*
+     * Tests invalid model config values. Backbone.Model should be used instead
+     */
+    testInvalidModelConfig: function () {
+        App.test.util.Common.mapValues(function (val) {
+            assertNoException('Collection shouldn\'t throw an exception', function () {
+                var col = new App.collection.base.Collection([], {model: val});
+                assertTrue('Backbone.Model should be used for invalid model', col.model === Backbone.Model);
+                col.destroy();
+            });
+        }, ['emptyFunction', 'simpleFunction']);
+    },
+    /*
+     * Tests that error of invalid model is obtained by listeners config
+     */
+    testInvalidModelError: function () {
+        var errors = 0;
+        var col    = new App.collection.base.Collection([], {
+            model    : 'temp.Unknown',
+            listeners: {error: function () {errors++;}}
+        });
+
+        assertTrue('Error should be passed to listeners config', errors === 1);
+        assertTrue('Backbone.Model should be used for unknown model', col.model === Backbone.Model);
+        col.destroy();
+    },
+    /*
+     * Tests comparator construction parameter
+     */
+    testComparatorConfig: function () {
+        var col = new App.collection.base.Collection([{title: 'b'}, {title: 'a'}], {model: 'temp.Model', comparator: 'title'});
+
+        assertTrue('Collection should be sorted by comparator', col.at(0).get('title') === 'a');
+        col.destroy();
+    },
+    /*
+     * Tests filters construction parameter and filterBy() method
+     */
+    testFiltersConfig: function () {
+        var col = new App.collection.base.Collection([{title: 'a'}, {title: 'b'}, {title: 'a'}], {
+            model  : 'temp.Model',
+            filters: {
+                a   : {title: 'a'},
+                notA: function (m) {return m.get('title') !== 'a';}
+            }
+        });
+
+        assertTrue('Attributes filter should be applied', col.filterBy('a').length === 2);
+        assertTrue('Function filter should be applied', col.filterBy('notA').length === 1);
+        assertTrue('Unknown filter should return empty array', col.filterBy('unknown').length === 0);
+        col.destroy();
+    },
+    /*
+     * Tests urlBase construction parameter
+     */
+    testUrlBaseConfig: function () {
+        var col = new App.collection.base.Collection([], {urlBase: '/api/tracks'});
+
+        assertTrue('url() should return urlBase', col.url() === '/api/tracks');
+        col.destroy();
+    },
+    /*
+     * Tests listeners construction parameter
+     */
+    testListenersConfig: function () {
+        var res = false;
+        var col = new App.collection.base.Collection([], {listeners: {add: function () {res = true;}}});
+
+        col.add({title: 'one'});
+        assertTrue('Listener should be called', res === true);
+        col.destroy();
+    },
+
+
+    //
+    // This public methods section. All tests below will test public methods.
+    //
+
+    /*
+     * Tests destroy() method. It should unbind all listeners
+     */
+    testDestroyMethod: function () {
+        var res = 0;
+        var col = new App.collection.base.Collection([], {listeners: {add: function () {res++;}}});
+
+        assertTrue('Collection should be destroyed', col.destroy() === col);
+        assertFalse('Collection shouldn\'t be destroyed twice', col.destroy());
+        col.add({title: 'one'});
+        assertTrue('Listeners should be removed after destroy', res === 0);
+    }
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+/*global App */
+
+TestCase("App.collection.player.Queue", {
+    /**
+     * This function calls every time before test starts and creates empty queue and stored track
+     */
+    setUp: function () {
+        this.queue = new App.collection.player.Queue();
+        this.track = new App.model.player.Track({id: 1, url: 'http://a.com/1.mp3'});
+    },
+
+    /**
+     * Destroys the queue after every test
+     */
+    tearDown: function () {
+        this.queue.destroy();
+    },
+
+
+    /*
+     * Tests that the same stored track may be queued twice
+     */
+    testDoubleEnqueue: function () {
+        var first  = this.queue.enqueue(this.track);
+        var second = this.queue.enqueue(this.track);
+
+        assertTrue('Both copies should be queued', this.queue.length === 2 && this.queue.at(0) === first && this.queue.at(1) === second);
+        assertTrue('Copies should be new tracks', first !== this.track && first.isNew() && second.isNew());
+        assertTrue('Copies should refer to the original track', first.getOriginal() === this.track && second.getOriginal() === this.track);
+    },
+    /*
+     * Tests that playNext() adds new copy of already queued track and moves queued copy to the beginning
+     */
+    testPlayNextQueued: function () {
+        var other  = new App.model.player.Track({id: 2, url: 'http://a.com/2.mp3'});
+        var queued = this.queue.enqueue(this.track);
+        var next;
+
+        this.queue.enqueue(other);
+        next = this.queue.playNext(this.track);
+        assertTrue('New copy should be played next', this.queue.length === 3 && this.queue.at(0) === next && next !== queued);
+        assertTrue('Copy of the copy should refer to the original track', this.queue.playNext(queued.copy()).getOriginal() === this.track);
+        this.queue.shift();
+        assertTrue('Queued copy should be moved to the beginning', this.queue.playNext(queued) === queued && this.queue.at(0) === queued && this.queue.length === 3);
+        assertTrue('Dequeued track should be the first one', this.queue.dequeue() === queued && this.queue.length === 2);
+    }
+});
\ No newline at end of file
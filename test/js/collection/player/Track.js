@@ -0,0 +1,73 @@
+/*global App */
+
+TestCase("App.collection.player.Track", {
+    /**
+     * This function calls every time before test starts. It creates tracks collection with one local track,
+     * play queue and history. Deferred functions and revoked URLs are collected instead of real calls
+     */
+    setUp: function () {
+        var me = this;
+
+        this.defer    = _.defer;
+        this.revoke   = URL.revokeObjectURL;
+        this.deferred = [];
+        this.revoked  = [];
+        _.defer = function (fn) {me.deferred.push(fn);};
+        URL.revokeObjectURL = function (url) {me.revoked.push(url);};
+
+        this.tracks  = new App.collection.player.Track();
+        this.queue   = new App.collection.player.Queue();
+        this.history = new App.collection.player.History();
+        this.local   = this.tracks.push({url: 'blob:http://localhost/1', title: 'Local'});
+    },
+
+    /**
+     * Restores deferring and revoking and destroys collections after every test
+     */
+    tearDown: function () {
+        _.defer = this.defer;
+        URL.revokeObjectURL = this.revoke;
+        this.tracks.destroy();
+        this.queue.destroy();
+        this.history.destroy();
+    },
+
+    /**
+     * Calls all deferred functions
+     */
+    _flush: function () {
+        var deferred = this.deferred;
+
+        this.deferred = [];
+        _.each(deferred, function (fn) {fn();});
+    },
+
+
+    /*
+     * Tests that object URL of local track is revoked after removing from the playlist
+     */
+    testRevokeRemoved: function () {
+        var remote = this.tracks.push({url: 'http://a.com/1.mp3'});
+
+        this.tracks.remove([this.local, remote]);
+        assertTrue('URL shouldn\'t be revoked synchronously', this.revoked.length === 0);
+        this._flush();
+        assertTrue('Only object URL should be revoked', this.revoked.length === 1 && this.revoked[0] === 'blob:http://localhost/1');
+    },
+    /*
+     * Tests that object URL is kept while queued copy or history record refers to it
+     */
+    testRevokeReferred: function () {
+        var copy = this.queue.enqueue(this.local);
+
+        this.tracks.reset();
+        this._flush();
+        assertTrue('URL of queued track shouldn\'t be revoked', this.revoked.length === 0);
+        this.history.record(this.queue.dequeue());
+        this._flush();
+        assertTrue('URL shouldn\'t be revoked while track is moved from the queue into the history', this.revoked.length === 0);
+        this.history.reset();
+        this._flush();
+        assertTrue('URL should be revoked after the last reference', this.revoked.length === 1 && copy.get('url') === this.revoked[0]);
+    }
+});
\ No newline at end of file
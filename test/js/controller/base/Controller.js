@@ -56,5 +56,337 @@ AsyncTestCase("App.controller.base.Controller", {
         }});
 
         assertTrue('Controller should create itself without bugs', res === 2 && N13.isObject(ctrl));
+    },
+
+
+    //
+    // Controller mixins section. This sections contains unit tests for App.mixin.controller.* mixins.
+    //
+
+    /*
+     * Tests control config of App.mixin.controller.View mixin. Handlers should be bound in run()
+     * and unbound in stop() methods.
+     */
+    testControlConfig: function () {
+        var res = 0;
+        var ctrl;
+        var btn;
+
+        N13.define('App.view.temp.Button', {
+            extend: 'App.view.base.View'
+        });
+        N13.define('App.view.temp.Container', {
+            extend : 'App.view.base.View',
+            configs: {items: ['temp.Button']}
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {
+                noView : false,
+                view   : 'temp.Container',
+                control: {'temp.Button': {click: '_onClick'}}
+            },
+            _onClick: function () {
+                res++;
+            }
+        });
+
+        ctrl = new App.controller.temp.Controller();
+        btn  = ctrl.findView('temp.Button');
+        btn.trigger('click');
+        assertTrue('Handlers shouldn\'t be bound before run()', res === 0);
+        ctrl.run();
+        btn.trigger('click');
+        assertTrue('Handlers should be bound after run()', res === 1);
+        ctrl.stop();
+        btn.trigger('click');
+        assertTrue('Handlers should be unbound after stop()', res === 1);
+    },
+    /*
+     * Tests that control handlers are bound to nested views, which were created after run()
+     */
+    testControlTreeChange: function () {
+        var res = 0;
+        var ctrl;
+
+        N13.define('App.view.temp.Button', {
+            extend: 'App.view.base.View'
+        });
+        N13.define('App.view.temp.Container', {
+            extend: 'App.view.base.View'
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {
+                noView : false,
+                view   : 'temp.Container',
+                control: {'temp.Button': {click: '_onClick'}}
+            },
+            _onClick: function () {
+                res++;
+            }
+        });
+
+        ctrl = new App.controller.temp.Controller();
+        ctrl.run();
+        ctrl.view.add('temp.Button').trigger('click');
+        assertTrue('Handlers should be bound to added view', res === 1);
+        ctrl.stop();
+        ctrl.destroy();
+    },
+    /*
+     * Tests views query language of findView() and findViews() methods
+     */
+    testFindViewMethod: function () {
+        var ctrl;
+        var err = null;
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {title: ''}
+        });
+        N13.define('App.view.temp.Panel', {
+            extend : 'App.view.base.View',
+            configs: {items: [{cl: 'temp.Button', title: 'Del'}]}
+        });
+        N13.define('App.view.temp.Container', {
+            extend : 'App.view.base.View',
+            configs: {items: [{cl: 'temp.Button', title: 'Add'}, 'temp.Panel']}
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {noView: false, view: 'temp.Container'}
+        });
+        ctrl = new App.controller.temp.Controller();
+        ctrl.on('error', function (e) {err = e;});
+
+        assertTrue('Root view should be found', ctrl.findView('temp.Container') === ctrl.view);
+        assertTrue('Descendant combinator should find all buttons', ctrl.findViews('temp.Container temp.Button').length === 2);
+        assertTrue('Child combinator should find only direct buttons', ctrl.findViews('temp.Container > temp.Button').length === 1);
+        assertTrue('Wildcard should find all views', ctrl.findViews('*').length === 4);
+        assertTrue('Attribute predicate should be applied', ctrl.findView('temp.Button[title=Del]').title === 'Del');
+        assertTrue('Quoted attribute value should be applied', ctrl.findView('temp.Button[title="Add"]').title === 'Add');
+        assertTrue('Negative attribute predicate should be applied', ctrl.findViews('temp.Button[title!=Add]').length === 1);
+        assertTrue('Index predicate should be applied', ctrl.findView('temp.Container > *[1]') === ctrl.findView('temp.Panel'));
+        assertTrue('Zero index should be applied', ctrl.findView('temp.Container > *[0]').title === 'Add');
+        assertTrue(':first should return first view', ctrl.findView('temp.Button:first').title === 'Add');
+        assertTrue(':last should return last view', ctrl.findView('temp.Button:last').title === 'Del');
+        assertTrue('Unknown view shouldn\'t be found', ctrl.findView('temp.Unknown') === null);
+        assertTrue('Malformed query should return empty array', ctrl.findViews('temp.Button >').length === 0);
+        assertTrue('Malformed query should fire an error', N13.isString(err));
+    },
+    /*
+     * Tests views cache of findView() method. Destroyed views shouldn't be returned from the cache
+     */
+    testFindViewCache: function () {
+        var ctrl;
+        var btn;
+
+        N13.define('App.view.temp.Button', {
+            extend: 'App.view.base.View'
+        });
+        N13.define('App.view.temp.Container', {
+            extend : 'App.view.base.View',
+            configs: {items: ['temp.Button']}
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {noView: false, view: 'temp.Container'}
+        });
+        ctrl = new App.controller.temp.Controller();
+
+        btn = ctrl.findView('temp.Button');
+        assertTrue('Found view should be cached', ctrl.getViewCache()['temp.Button'] === btn);
+        ctrl.flushViewCache('temp.Button');
+        assertTrue('Query should be removed from the cache', ctrl.getViewCache()['temp.Button'] === undefined);
+        ctrl.findView('temp.Button');
+        btn.destroy();
+        assertTrue('Cache should be flushed after nested view destroy', _.isEmpty(ctrl.getViewCache()));
+        assertTrue('Destroyed view shouldn\'t be found', ctrl.findView('temp.Button') === null);
+    },
+
+
+    /*
+     * Tests stop() method and running after stop
+     */
+    testStopMethod: function () {
+        var events = [];
+        var clicks = 0;
+        var ctrl;
+        var btn;
+
+        N13.define('App.view.temp.Button', {
+            extend: 'App.view.base.View'
+        });
+        N13.define('App.view.temp.Container', {
+            extend : 'App.view.base.View',
+            configs: {items: ['temp.Button']}
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {noView: false, view: 'temp.Container', control: {'temp.Button': {click: '_onClick'}}},
+
+            onAfterRun: function () {
+                this.listen(this.findView('temp.Button'), 'press', this._onClick, this);
+            },
+            _onClick  : function () {
+                clicks++;
+            }
+        });
+        ctrl = new App.controller.temp.Controller();
+        ctrl.on('stop', function () {events.push('stop');});
+        ctrl.on('restart', function () {events.push('restart');});
+
+        btn = ctrl.findView('temp.Button');
+        ctrl.run();
+        btn.trigger('click');
+        btn.trigger('press');
+        assertTrue('Handlers should be bound after run', clicks === 2);
+        assertTrue('stop() method should stop running controller', ctrl.stop() === true && !ctrl.isRunning());
+        assertTrue('stop() method should fail for stopped controller', ctrl.stop() === false);
+        btn.trigger('click');
+        btn.trigger('press');
+        assertTrue('Handlers should be unbound after stop', clicks === 2);
+        assertTrue('Controller should run again after stop', ctrl.run() === true && ctrl.isRunning());
+        btn.trigger('click');
+        btn.trigger('press');
+        assertTrue('Handlers should be bound only once after restart', clicks === 4);
+        assertTrue('stop and restart events should be fired', events.join() === 'stop,restart');
+        ctrl.stop();
+    },
+    /*
+     * Tests run() method with asynchronous onBeforeRun() hook
+     */
+    testAsyncRunMethod: function () {
+        var deferred = $.Deferred();
+        var failed   = null;
+        var ctrl     = new App.controller.base.Controller();
+        var res;
+
+        ctrl.onBeforeRun = function () {return deferred.promise();};
+        ctrl.on('runfailed', function (reason) {failed = reason;});
+        res = ctrl.run();
+        assertTrue('run() method should return a promise',                N13.isFunction(res.then) && !ctrl.isRunning());
+        assertTrue('Second run() call should be queued',                  N13.isFunction(ctrl.run().then));
+        deferred.resolve();
+        assertTrue('Controller should run after promise is resolved',     ctrl.isRunning() && !ctrl.isPending());
+        res.done(function (val) {assertTrue('Promise should be resolved with true', val === true);});
+        ctrl.stop();
+
+        deferred = $.Deferred();
+        res = ctrl.run();
+        deferred.resolve(false);
+        res.done(function (val) {assertTrue('false from promise should stop running', val === false && !ctrl.isRunning());});
+
+        deferred = $.Deferred();
+        ctrl.run();
+        deferred.reject('error');
+        assertTrue('runfailed event should be fired if promise is rejected', failed === 'error' && !ctrl.isRunning());
+    },
+    /*
+     * Tests that stop() method cancels pending run() call
+     */
+    testStopPendingRun: function () {
+        var deferred = $.Deferred();
+        var runs     = 0;
+        var reason   = null;
+        var ctrl     = new App.controller.base.Controller({listeners: {run: function () {runs++;}}});
+
+        ctrl.onBeforeRun = function () {return deferred.promise();};
+        ctrl.run().fail(function (r) {reason = r;});
+        assertTrue('stop() should cancel pending run',           ctrl.stop() === true && !ctrl.isPending());
+        deferred.resolve();
+        assertTrue('Controller shouldn\'t run after stop()',     runs === 0 && !ctrl.isRunning());
+        assertTrue('Promise of run() should be rejected',        reason === 'cancelled');
+        ctrl.destroy();
+    },
+    /*
+     * Tests viewOnStop config
+     */
+    testViewOnStopConfig: function () {
+        var ctrl;
+        var view;
+
+        N13.define('App.template.temp.Button', {
+            statics: {
+                data: '<button type="button">Test</button>'
+            }
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {view: 'App.mixin.controller.View'},
+            configs: {noView: false, view: {cl: 'base.View', templateNs: 'App.template.temp', template: 'Button', elPath: '#viewContainer'}},
+
+            onBeforeRun: function () {
+                if (!this.view.rendered) {
+                    this.view.render();
+                }
+            }
+        });
+
+        ctrl = new App.controller.temp.Controller({viewOnStop: 'hide'});
+        ctrl.run();
+        ctrl.stop();
+        assertTrue('View should be hidden on stop',         ctrl.view.rendered && ctrl.view.el.css('display') === 'none');
+        ctrl.run();
+        assertTrue('View should be shown on run',           ctrl.view.el.css('display') !== 'none');
+        ctrl.stop();
+
+        ctrl = new App.controller.temp.Controller({viewOnStop: 'clear'});
+        ctrl.run();
+        ctrl.stop();
+        assertTrue('View should be cleared on stop',        !ctrl.view.rendered && this.ct.children().length === 0);
+        ctrl.run();
+        assertTrue('View should be rendered again on run',  ctrl.view.rendered && this.ct.find('button').length === 1);
+        ctrl.stop();
+
+        ctrl = new App.controller.temp.Controller({viewOnStop: 'destroy'});
+        view = ctrl.view;
+        ctrl.run();
+        ctrl.stop();
+        assertTrue('View should be destroyed on stop',      view.isDestroyed() && ctrl.view !== view && !ctrl.view.rendered);
+        ctrl.run();
+        assertTrue('New view should be rendered on run',    ctrl.view.rendered && this.ct.find('button').length === 1);
+        ctrl.stop();
+
+        ctrl = new App.controller.temp.Controller({viewOnStop: 'keep'});
+        ctrl.run();
+        ctrl.stop();
+        assertTrue('View should be kept on stop',           ctrl.view.rendered && this.ct.find('button').length === 1);
+    },
+    /*
+     * Tests stopControllers() method of App.mixin.controller.Controller mixin
+     */
+    testStopControllersMethod: function () {
+        var ctrl;
+
+        N13.define('App.controller.temp.Nested', {
+            extend: 'App.controller.base.Controller'
+        });
+        N13.define('App.controller.temp.Controller', {
+            extend : 'App.controller.base.Controller',
+            mixins : {ctrl: 'App.mixin.controller.Controller'},
+            configs: {controllers: ['temp.Nested', 'temp.Nested']},
+
+            onRun: function () {
+                this.callParent();
+                this.runControllers();
+            }
+        });
+        ctrl = new App.controller.temp.Controller();
+        ctrl.run();
+        assertTrue('Nested controllers should run',                      ctrl.findController(0).isRunning() && ctrl.findController(1).isRunning());
+        ctrl.findController(1).stop();
+        ctrl.stop();
+        assertTrue('Nested controllers should be stopped with parent',   !ctrl.findController(0).isRunning() && !ctrl.findController(1).isRunning());
+        ctrl.run();
+        assertTrue('Nested controllers should run again',                ctrl.findController(0).isRunning() && ctrl.findController(1).isRunning());
+        ctrl.stopControllers();
+        assertTrue('stopControllers() method should stop nested only',   ctrl.isRunning() && !ctrl.findController(0).isRunning());
     }
 });
\ No newline at end of file
@@ -0,0 +1,83 @@
+/*global App */
+
+TestCase("App.format.Converter", {
+    /**
+     * This function calls every time before test starts and creates the converter with all formats
+     */
+    setUp: function () {
+        this.converter = new App.format.Converter();
+        this.tracks    = [
+            {url: 'http://example.com/one.mp3', title: 'One', artist: 'Band', duration: 61},
+            {url: 'two.ogg'}
+        ];
+    },
+
+    /**
+     * Destroys the converter after every test
+     */
+    tearDown: function () {
+        this.converter.destroy();
+    },
+
+
+    /*
+     * Tests format detection by file extension and by the text
+     */
+    testDetect: function () {
+        var c = this.converter;
+
+        assertTrue('Format should be detected by extension', c.detect('', 'list.M3U8') === 'M3u' && c.detect('', 'list.pls') === 'Pls');
+        assertTrue('XSPF should be detected by the text', c.detect('<?xml version="1.0"?><playlist/>') === 'Xspf');
+        assertTrue('JSPF should be detected by the text', c.detect('{"playlist": {}}') === 'Jspf');
+        assertTrue('PLS should be detected by the text', c.detect('[playlist]\nFile1=a.mp3') === 'Pls');
+        assertTrue('Unknown text shouldn\'t be detected', c.detect('a.mp3') === null);
+    },
+    /*
+     * Tests parsing of M3U with #EXTINF lines and report of invalid lines
+     */
+    testM3u: function () {
+        var res = this.converter.parse('#EXTM3U\r\n#EXTINF:61,Band - One\r\nhttp://example.com/one.mp3\r\n\r\n#EXTINF:bad\r\ntwo.ogg\r\njavascript:alert(1)\r\n');
+
+        assertTrue('Format should be M3u', res.format === 'M3u');
+        assertTrue('Valid tracks should be parsed', res.tracks.length === 2 && res.tracks[1].url === 'two.ogg');
+        assertTrue('#EXTINF should be parsed', res.tracks[0].title === 'One' && res.tracks[0].artist === 'Band' && res.tracks[0].duration === 61);
+        assertTrue('Invalid lines should be reported', res.errors.length === 2 && res.errors[0].line === 5 && res.errors[1].line === 7);
+    },
+    /*
+     * Tests parsing of PLS and report of unknown lines and tracks without files
+     */
+    testPls: function () {
+        var res = this.converter.parse('[playlist]\nFile2=two.ogg\nFile1=http://example.com/one.mp3\nTitle1=Band - One\nLength1=61\nTitle3=Lost\nfoo\nNumberOfEntries=2\n', 'list.pls');
+
+        assertTrue('Tracks should be parsed in order of numbers', res.tracks.length === 2 && res.tracks[0].title === 'One' && res.tracks[1].url === 'two.ogg');
+        assertTrue('Length should be parsed', res.tracks[0].duration === 61 && res.tracks[1].duration === undefined);
+        assertTrue('Unknown line and track without file should be reported', res.errors.length === 2 && res.errors[0].line === 6 && res.errors[1].line === 7);
+    },
+    /*
+     * Tests serializing and parsing back of all formats
+     */
+    testRoundTrip: function () {
+        var c      = this.converter;
+        var tracks = this.tracks;
+
+        _.each(c.getFormats(), function (alias) {
+            var file = c.serialize(tracks, alias, 'My list');
+            var res  = c.parse(file.text, file.fileName);
+
+            assertTrue(alias + ' file should have an extension', file.fileName.indexOf('My list.') === 0);
+            assertTrue(alias + ' should be parsed without errors', res.format === alias && res.errors.length === 0 && res.tracks.length === 2);
+            assertTrue(alias + ' should keep attributes', _.isEqual(res.tracks[0], tracks[0]) && _.isEqual(res.tracks[1], tracks[1]));
+        });
+    },
+    /*
+     * Tests report of invalid documents and tracks without location
+     */
+    testInvalidDocuments: function () {
+        var c = this.converter;
+
+        assertTrue('Invalid JSON should be reported', c.parse('{"playlist": ', 'a.jspf').errors.length === 1);
+        assertTrue('Invalid XML should be reported', c.parse('<playlist><trackList>', 'a.xspf').errors.length === 1);
+        assertTrue('Track without location should be reported', c.parse('{"playlist": {"track": [{"title": "a"}, {"location": "b.mp3"}]}}').errors[0].line === 1);
+        assertTrue('Unknown format shouldn\'t be serialized', c.serialize(this.tracks, 'Unknown') === null);
+    }
+});
\ No newline at end of file
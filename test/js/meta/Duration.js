@@ -0,0 +1,78 @@
+/*global App */
+
+TestCase("App.meta.Duration", {
+    /**
+     * This function calls every time before test starts. It creates duration loader, which uses
+     * fake audio elements. Created elements are stored in elements field
+     */
+    setUp: function () {
+        var me = this;
+
+        this.elements = [];
+        this.duration = new App.meta.Duration({concurrency: 1, timeout: 0});
+        this.duration._createElement = function () {
+            var el = {
+                removeAttribute: function (attr) {if (attr === 'src') {el.src = '';}},
+                load           : function () {el.loads++;},
+                loads          : 0,
+                duration       : NaN
+            };
+
+            me.elements.push(el);
+            return el;
+        };
+    },
+
+    /**
+     * Destroys duration loader after every test
+     */
+    tearDown: function () {
+        this.duration.destroy();
+    },
+
+
+    /*
+     * Tests loading of duration and releasing of the element
+     */
+    testLoad: function () {
+        var result = null;
+        var el;
+
+        this.duration.load('track.mp3').done(function (d) {result = d;});
+        el = this.elements[0];
+        assertTrue('Only metadata should be loaded', el.preload === 'metadata' && el.src === 'track.mp3');
+        el.duration = 125.5;
+        el.onloadedmetadata();
+        assertTrue('Duration should be passed', result === 125.5);
+        assertTrue('Element should be released', el.src === '' && el.loads === 1 && el.onloadedmetadata === null);
+    },
+    /*
+     * Tests that unknown durations and errors reject the promise and next file is probed
+     */
+    testFailures: function () {
+        var reasons = [];
+        var fail    = function (r) {reasons.push(r);};
+
+        this.duration.load('stream').fail(fail);
+        this.duration.load('broken.mp3').fail(fail);
+        assertTrue('Second file should wait for the first one', this.elements.length === 1);
+        this.elements[0].duration = Infinity;
+        this.elements[0].onloadedmetadata();
+        assertTrue('Second file should be probed', this.elements.length === 2 && this.elements[1].src === 'broken.mp3');
+        this.elements[1].onerror();
+        assertTrue('Both files should be rejected', reasons.length === 2 && reasons[0].indexOf('unknown') !== -1);
+    },
+    /*
+     * Tests that clear() aborts running probe and cancels waiting ones
+     */
+    testClear: function () {
+        var reasons = [];
+        var fail    = function (r) {reasons.push(r);};
+
+        this.duration.load('first.mp3').fail(fail);
+        this.duration.load('second.mp3').fail(fail);
+        this.duration.clear();
+        assertTrue('Probes should be cancelled', reasons.join() === 'cancelled,cancelled');
+        assertTrue('Running element should be released', this.elements[0].src === '' && this.elements.length === 1);
+    }
+});
\ No newline at end of file
@@ -0,0 +1,309 @@
+/*global App */
+
+TestCase("App.meta.Loader", {
+    /**
+     * Creates byte array from parts. String parts are converted char by char (ISO-8859-1)
+     * @param {Array} parts Strings, arrays of numbers or Uint8Arrays
+     * @returns {Uint8Array}
+     */
+    _bytes: function (parts) {
+        var out = [];
+
+        _.each(parts, function (part) {
+            var i;
+
+            if (N13.isString(part)) {
+                for (i = 0; i < part.length; i++) {
+                    out.push(part.charCodeAt(i) % 256);
+                }
+            } else {
+                out.push.apply(out, _.toArray(part));
+            }
+        });
+
+        return new Uint8Array(out);
+    },
+
+    /**
+     * Returns big endian bytes of the number
+     * @param {Number} n Number
+     * @param {Number} len Amount of bytes
+     * @returns {Array}
+     */
+    _be: function (n, len) {
+        var out = [];
+
+        while (len--) {
+            out.unshift(n % 256);
+            n = Math.floor(n / 256);
+        }
+
+        return out;
+    },
+
+    /**
+     * Returns little endian 32 bit bytes of the number
+     * @param {Number} n Number
+     * @returns {Array}
+     */
+    _le: function (n) {
+        return this._be(n, 4).reverse();
+    },
+
+    /**
+     * Returns syncsafe bytes of the number: 4 bytes with 7 significant bits in each one
+     * @param {Number} n Number
+     * @returns {Array}
+     */
+    _syncSafe: function (n) {
+        var out = [];
+        var i;
+
+        for (i = 0; i < 4; i++) {
+            out.unshift(n % 128);
+            n = Math.floor(n / 128);
+        }
+
+        return out;
+    },
+
+    /**
+     * Converts string into UTF-8 encoded ISO-8859-1 string
+     * @param {String} text Text
+     * @returns {String}
+     */
+    _utf8: function (text) {
+        return encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, function (match, hex) {
+            return String.fromCharCode(parseInt(hex, 16));
+        });
+    },
+
+    /**
+     * Creates Vorbis comments block
+     * @param {Array} comments Comments: ['TITLE=Title', ...]
+     * @returns {Uint8Array}
+     */
+    _comments: function (comments) {
+        var me    = this;
+        var parts = [this._le(6), 'vendor', this._le(comments.length)];
+
+        _.each(comments, function (c) {
+            c = me._utf8(c);
+            parts.push(me._le(c.length), c);
+        });
+
+        return this._bytes(parts);
+    },
+
+    /**
+     * Creates MP4 atom
+     * @param {String} type Type of the atom
+     * @param {Array} parts Content parts. See _bytes() method
+     * @returns {Uint8Array}
+     */
+    _atom: function (type, parts) {
+        var content = this._bytes(parts);
+
+        return this._bytes([this._be(content.length + 8, 4), type, content]);
+    },
+
+    /**
+     * Creates Ogg page with complete packets
+     * @param {Number} seq Sequence number of the page
+     * @param {Array} packets Array of Uint8Arrays
+     * @returns {Uint8Array}
+     */
+    _page: function (seq, packets) {
+        var table = [];
+
+        _.each(packets, function (p) {
+            var len = p.length;
+
+            while (len >= 255) {
+                table.push(255);
+                len -= 255;
+            }
+            table.push(len);
+        });
+
+        return this._bytes(['OggS', [0, seq ? 0 : 2, 0, 0, 0, 0, 0, 0, 0, 0], this._le(1234), this._le(seq), [0, 0, 0, 0, table.length], table].concat(packets));
+    },
+
+    /**
+     * Loads tags synchronously. Sources of bytes in memory are read synchronously
+     * @param {Uint8Array} bytes Bytes of the file
+     * @param {Object=} config Configuration of the loader
+     * @returns {Object|null} Tags or null if loading failed
+     */
+    _load: function (bytes, config) {
+        var loader = new App.meta.Loader(config);
+        var tags   = null;
+
+        loader.load(bytes).done(function (t) {tags = t;});
+        loader.destroy();
+
+        return tags;
+    },
+
+
+    /*
+     * Tests ID3v2.3 tag with different encodings and cover art
+     */
+    testId3v23: function () {
+        var me     = this;
+        var png    = [0x89, 0x50, 0x4E, 0x47, 1, 2, 3, 4, 5, 6];
+        var frame  = function (id, parts) {
+            var data = me._bytes(parts);
+            return me._bytes([id, me._be(data.length, 4), [0, 0], data]);
+        };
+        var frames = this._bytes([
+            frame('TIT2', [[0], 'Title']),
+            frame('TPE1', [[1, 0xFF, 0xFE], 'A\u0000r\u0000t\u0000\u0000\u0000']),
+            frame('TALB', [[3], this._utf8('Alb\u00FCm')]),
+            frame('TRCK', [[0], '3/12']),
+            frame('TYER', [[0], '2013']),
+            frame('APIC', [[0], 'image/png', [0, 3], 'desc', [0], png]),
+            [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+        ]);
+        var bytes  = this._bytes(['ID3', [3, 0, 0], this._syncSafe(frames.length), frames, [0xFF, 0xFB, 0x90, 0x00]]);
+        var tags   = this._load(bytes);
+
+        assertTrue('ISO-8859-1 title should be read', tags.title === 'Title');
+        assertTrue('UTF-16 artist should be read', tags.artist === 'Art');
+        assertTrue('UTF-8 album should be read', tags.album === 'Alb\u00FCm');
+        assertTrue('Track number should be taken from "3/12"', tags.number === 3);
+        assertTrue('Year should be read', tags.year === 2013);
+        assertTrue('Cover should be a data URI', tags.cover === 'data:image/png;base64,' + window.btoa(String.fromCharCode.apply(String, png)));
+        tags = this._load(bytes, {headSize: 16});
+        assertTrue('Tag bigger than first read should be read completely', tags.title === 'Title' && tags.cover !== null);
+        tags = this._load(bytes, {headSize: 16, maxSize: 32});
+        assertTrue('Tag bigger than maxSize should be parsed partially', tags.title === null && tags.cover === null);
+    },
+    /*
+     * Tests ID3v2.4 tag with syncsafe frame sizes and recording time
+     */
+    testId3v24: function () {
+        var me     = this;
+        var frame  = function (id, parts) {
+            var data = me._bytes(parts);
+            return me._bytes([id, me._syncSafe(data.length), [0, 0], data]);
+        };
+        var frames = this._bytes([
+            frame('TIT2', [[3], this._utf8('\u0422\u0438\u0442\u0443\u043B')]),
+            frame('TPE1', [[2], '\u0000A\u0000B']),
+            frame('TDRC', [[0], '2014-05-01'])
+        ]);
+        var tags   = this._load(this._bytes(['ID3', [4, 0, 0], this._syncSafe(frames.length), frames]));
+
+        assertTrue('UTF-8 title should be read', tags.title === '\u0422\u0438\u0442\u0443\u043B');
+        assertTrue('UTF-16BE artist should be read', tags.artist === 'AB');
+        assertTrue('Year should be taken from recording time', tags.year === 2014);
+        assertTrue('Missing tags should be null', tags.album === null && tags.number === null && tags.cover === null);
+    },
+    /*
+     * Tests ID3v1.1 tag at the end of the file
+     */
+    testId3v1: function () {
+        var pad   = function (text, len) {return text + new Array(len - text.length + 1).join('\u0000');};
+        var audio = new Array(301).join('\u00FF');
+        var tags  = this._load(this._bytes([audio, 'TAG', pad('Title', 30), pad('Artist', 30), pad('Album', 30), '1999', pad('', 28), [0, 7, 12]]));
+
+        assertTrue('Fixed fields should be read', tags.title === 'Title' && tags.artist === 'Artist' && tags.album === 'Album');
+        assertTrue('Year and track number should be read', tags.year === 1999 && tags.number === 7);
+        assertTrue('ID3v1 has no cover', tags.cover === null);
+    },
+    /*
+     * Tests Vorbis comments and picture block of FLAC file
+     */
+    testFlac: function () {
+        var jpeg     = [0xFF, 0xD8, 0xFF, 0xE0, 9, 8, 7];
+        var comments = this._comments(['title=Flac Title', 'ARTIST=Flac Artist', 'ALBUM=Flac Album', 'TRACKNUMBER=02', 'DATE=2010-01-01']);
+        var picture  = this._bytes([this._be(3, 4), this._be(10, 4), 'image/jpeg', this._be(0, 4), new Array(17).join('\u0000'), this._be(jpeg.length, 4), jpeg]);
+        var bytes    = this._bytes([
+            'fLaC',
+            [0x00, 0, 0, 34], new Array(35).join('\u0000'),
+            [0x04], this._be(comments.length, 3), comments,
+            [0x86], this._be(picture.length, 3), picture,
+            [0xFF, 0xF8]
+        ]);
+        var tags     = this._load(bytes, {headSize: 48});
+
+        assertTrue('Comments should be read case insensitively', tags.title === 'Flac Title' && tags.artist === 'Flac Artist' && tags.album === 'Flac Album');
+        assertTrue('Number and year should be converted', tags.number === 2 && tags.year === 2010);
+        assertTrue('Cover should be taken from picture block', tags.cover === 'data:image/jpeg;base64,' + window.btoa(String.fromCharCode.apply(String, jpeg)));
+    },
+    /*
+     * Tests comment header of Ogg Vorbis file
+     */
+    testOgg: function () {
+        var ident    = this._bytes([[1], 'vorbis', new Array(24).join('\u0000')]);
+        var long     = new Array(301).join('x');
+        var comments = this._bytes([[3], 'vorbis', this._comments(['TITLE=Ogg Title', 'ARTIST=Ogg Artist', 'COMMENT=' + long]), [1]]);
+        var bytes    = this._bytes([this._page(0, [ident]), this._page(1, [comments]), this._page(2, [this._bytes(['audio'])])]);
+        var tags     = this._load(bytes, {headSize: 40});
+
+        assertTrue('Comment packet should be read', tags.title === 'Ogg Title' && tags.artist === 'Ogg Artist');
+        assertTrue('Missing comments should be null', tags.album === null && tags.cover === null);
+    },
+    /*
+     * Tests MP4 tags in 'moov' atom after media data
+     */
+    testMp4: function () {
+        var me   = this;
+        var jpeg = [0xFF, 0xD8, 1, 2, 3];
+        var data = function (type, parts) {return me._atom('data', [me._be(type, 4), me._be(0, 4)].concat(parts));};
+        var ilst = this._atom('ilst', [
+            this._atom('\u00A9nam', [data(1, [this._utf8('M\u00FCp Title')])]),
+            this._atom('\u00A9ART', [data(1, ['Mp4 Artist'])]),
+            this._atom('trkn', [data(0, [[0, 0, 0, 5, 0, 10]])]),
+            this._atom('\u00A9day', [data(1, ['2012'])]),
+            this._atom('covr', [data(13, [jpeg])])
+        ]);
+        var moov = this._atom('moov', [this._atom('udta', [this._atom('meta', [[0, 0, 0, 0], this._atom('hdlr', [new Array(26).join('\u0000')]), ilst])])]);
+        var tags = this._load(this._bytes([this._atom('ftyp', ['M4A ', [0, 0, 0, 0]]), this._atom('mdat', [new Array(1001).join('\u0000')]), moov]), {headSize: 32});
+
+        assertTrue('Text tags should be read', tags.title === 'M\u00FCp Title' && tags.artist === 'Mp4 Artist' && tags.year === 2012);
+        assertTrue('Track number should be read', tags.number === 5);
+        assertTrue('Cover should be read', tags.cover === 'data:image/jpeg;base64,' + window.btoa(String.fromCharCode.apply(String, jpeg)));
+    },
+    /*
+     * Tests files without tags and invalid sources
+     */
+    testNoTags: function () {
+        var tags   = this._load(this._bytes([new Array(301).join('\u0001')]));
+        var loader = new App.meta.Loader();
+        var failed = false;
+
+        assertTrue('All tags should be null', _.every(_.values(tags), function (v) {return v === null;}));
+        loader.load({}).fail(function () {failed = true;});
+        assertTrue('Unsupported source should be rejected', failed);
+        loader.destroy();
+    },
+    /*
+     * Tests that clear() aborts current read of the file, not only the first one
+     */
+    testAbort: function () {
+        var loader = new App.meta.Loader({headSize: 16});
+        var reads  = [];
+        var tags   = this._bytes(['ID3', [3, 0, 0], this._syncSafe(100), [0, 0, 0, 0]]);
+
+        loader._reader.read = function (source, start, end) {
+            var deferred = $.Deferred();
+            var promise  = deferred.promise();
+
+            promise.abort = function () {
+                deferred.reject('aborted');
+            };
+            reads.push({start: start, end: end, deferred: deferred});
+
+            return promise;
+        };
+        loader.load('http://a.com/1.mp3');
+        reads[0].deferred.resolve(tags, 1000);
+        assertTrue('Rest of the tag should be requested', reads.length === 2 && reads[1].start === tags.length);
+        loader.clear();
+        assertTrue('Current read should be aborted', reads[1].deferred.state() === 'rejected');
+        assertTrue('Next reads shouldn\'t be started', reads.length === 2);
+        loader.destroy();
+    }
+});
\ No newline at end of file
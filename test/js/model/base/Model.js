@@ -0,0 +1,121 @@
+/*global App */
+
+TestCase("App.model.base.Model", {
+    /**
+     * This function calls every time before test starts and creates temporary model class
+     */
+    setUp: function () {
+        N13.define('App.model.temp.Model', {
+            extend: 'App.model.base.Model',
+            schema: {
+                title: {type: 'string', required: true, pattern: /^[a-z]+$/i},
+                count: {type: 'number', 'default': 0, validator: function (v) {
+                    if (v < 0) {
+                        return 'Negative count';
+                    }
+                }}
+            }
+        });
+    },
+
+
+    //
+    // This is schema section. All tests below will test schema rules.
+    //
+
+    /*
+     * Tests default values from the schema
+     */
+    testDefaultRule: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        assertTrue('Default value should be set', model.get('count') === 0);
+        assertTrue('Model should be valid', model.isValid());
+    },
+    /*
+     * Tests required rule
+     */
+    testRequiredRule: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        assertFalse('Empty string is not allowed for required attribute', model.set({title: ''}));
+        assertFalse('null is not allowed for required attribute', model.set({title: null}));
+        assertTrue('Error should be structured', model.validationError[0].attribute === 'title' && model.validationError[0].rule === 'required');
+    },
+    /*
+     * Tests type rule
+     */
+    testTypeRule: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        App.test.util.Common.mapValues(function (val) {
+            assertFalse('Only non negative numbers are allowed', model.set({count: val}));
+        }, ['number', 'zero', 'float', 'infinity', 'nil', 'udef', 'emptyString']);
+        assertTrue('Number should be allowed', model.set({count: 12}) === model);
+    },
+    /*
+     * Tests pattern rule
+     */
+    testPatternRule: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        assertFalse('Value should match the pattern', model.set({title: 'hello world'}));
+        assertTrue('Error should be structured', model.validationError[0].rule === 'pattern');
+    },
+    /*
+     * Tests custom validator rule
+     */
+    testValidatorRule: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        assertFalse('Custom validator should deny negative values', model.set({count: -1}));
+        assertTrue('Error message should be taken from validator', model.validationError[0].message === 'Negative count');
+    },
+
+
+    //
+    // This is events section. All tests below will test 'invalid' event.
+    //
+
+    /*
+     * Tests invalid event of the model
+     */
+    testInvalidEvent: function () {
+        var model  = new App.model.temp.Model({title: 'hello'});
+        var errors = null;
+
+        model.on('invalid', function (m, err) {errors = err;});
+        model.set({title: 12, count: -5});
+        assertTrue('Both errors should be in event', errors.length === 2);
+    },
+    /*
+     * Tests that invalid model is not added into the collection
+     */
+    testInvalidAdd: function () {
+        var col    = new Backbone.Collection([], {model: App.model.temp.Model});
+        var errors = null;
+
+        col.on('invalid', function (c, attrs, options) {errors = options.validationError;});
+        col.add({title: ''});
+        assertTrue('Invalid model shouldn\'t be added', col.length === 0);
+        assertTrue('Collection should fire invalid event with errors', errors[0].attribute === 'title');
+    },
+    /*
+     * Tests that validation may be turned off
+     */
+    testValidateOption: function () {
+        var model = new App.model.temp.Model({title: 'hello'});
+
+        assertTrue('Validation should be skipped', model.set({count: -1}, {validate: false}) === model);
+    },
+    /*
+     * Tests that options of set() method aren't changed by turning validation on
+     */
+    testOptionsNotChanged: function () {
+        var model   = new App.model.temp.Model({title: 'hello'});
+        var options = {silent: true};
+
+        model.set({count: 5}, options);
+        assertTrue('validate property shouldn\'t be added', !options.hasOwnProperty('validate'));
+    }
+});
\ No newline at end of file
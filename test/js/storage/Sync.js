@@ -0,0 +1,202 @@
+/*global App */
+
+TestCase("App.storage.Sync", {
+    /**
+     * This function calls every time before test starts and installs storage service with memory adapter
+     */
+    setUp: function () {
+        this.sync = new App.storage.Sync({
+            adapter   : 'Memory',
+            migrations: [{stores: ['items'], seed: {items: [{title: 'seed'}]}}]
+        });
+        this.sync.install();
+        this.col  = new App.collection.base.Collection([], {store: 'items'});
+    },
+
+    /**
+     * Destroys storage service and restores Backbone.sync after every test
+     */
+    tearDown: function () {
+        this.col.destroy();
+        this.sync.destroy();
+    },
+
+
+    /*
+     * Tests adapter config
+     */
+    testAdapterConfig: function () {
+        var sync;
+        var errors = 0;
+
+        assertTrue('Memory adapter should be created', this.sync.getAdapter() instanceof App.storage.adapter.Memory);
+
+        sync = new App.storage.Sync({adapter: ['Unknown', 'Memory'], listeners: {error: function () {errors++;}}});
+        assertTrue('First supported adapter should be used', sync.getAdapter() instanceof App.storage.adapter.Memory);
+        assertTrue('Invalid adapter should produce an error', errors === 1);
+        sync.destroy();
+    },
+    /*
+     * Tests install() and destroy() methods
+     */
+    testInstallMethod: function () {
+        var original;
+
+        this.sync.destroy();
+        original  = Backbone.sync;
+        this.sync = new App.storage.Sync();
+        this.sync.install();
+        assertTrue('Backbone.sync should be replaced', Backbone.sync !== original);
+        this.sync.destroy();
+        assertTrue('Backbone.sync should be restored', Backbone.sync === original);
+        this.sync = new App.storage.Sync();
+    },
+    /*
+     * Tests fetching of the collection with seeded records
+     */
+    testFetch: function () {
+        var fetched = false;
+
+        this.col.fetch({success: function () {fetched = true;}});
+        assertTrue('Success callback should be called', fetched);
+        assertTrue('Seeded record should be fetched', this.col.length === 1 && this.col.at(0).get('title') === 'seed');
+        assertTrue('Seeded record should have an id', this.col.at(0).id === 1);
+    },
+    /*
+     * Tests fetching of the collection with attributes filter by local and REST adapters
+     */
+    testQuery: function () {
+        var server = new App.storage.mock.Server({autoRespond: false, data: {items: [{title: 'a', list: 1}, {title: 'b', list: 2}]}});
+        var sync;
+
+        this.col.create({title: 'other', list: 2});
+        this.col.fetch({data: {list: 2}});
+        assertTrue('Only matched records should be fetched', this.col.length === 1 && this.col.at(0).get('title') === 'other');
+
+        sync = new App.storage.Sync({adapter: 'Rest'});
+        server.install();
+        sync.install();
+        this.col.fetch({data: {list: 2}});
+        server.respond();
+        assertTrue('Query should be sent to the server', this.col.length === 1 && this.col.at(0).get('title') === 'b');
+
+        sync.destroy();
+        server.destroy();
+    },
+    /*
+     * Tests creating, updating and destroying of models
+     */
+    testModelMethods: function () {
+        var col   = new App.collection.base.Collection([], {store: 'items'});
+        var model = this.col.create({title: 'new'});
+
+        assertTrue('Created model should obtain an id', model.id === 2);
+        model.save({title: 'changed'});
+        col.fetch();
+        assertTrue('Changed model should be stored', col.get(2).get('title') === 'changed');
+
+        model.destroy();
+        col.fetch();
+        assertTrue('Destroyed model should be removed', col.length === 1 && !col.get(2));
+        col.destroy();
+    },
+    /*
+     * Tests errors of unknown stores and models without store
+     */
+    testUnknownStore: function () {
+        var errors = 0;
+        var failed = 0;
+        var col    = new App.collection.base.Collection([], {store: 'unknown'});
+        var model  = new App.model.base.Model({title: 'a'});
+
+        this.sync.on('error', function () {errors++;});
+        col.fetch({error: function () {failed++;}});
+        model.save(null, {error: function () {failed++;}});
+        assertTrue('Error callbacks should be called', failed === 2);
+        assertTrue('Errors should be fired', errors === 2);
+        col.destroy();
+    },
+    /*
+     * Tests migrations of stored data. Only new migrations should be applied
+     */
+    testMigrations: function () {
+        var data   = {version: 1, stores: {items: {nextId: 3, records: [{id: 1, title: 'a'}, {id: 2, title: 'b'}]}}};
+        var titles = [];
+        var adapter;
+
+        N13.define('App.storage.adapter.Temp', {
+            extend: 'App.storage.adapter.Memory',
+            _read : function () {return data;}
+        });
+        adapter = new App.storage.adapter.Temp({migrations: [
+            {stores: ['items'], seed: {items: [{title: 'seed'}]}},
+            {update: {items: function (item) {return item.title === 'a' ? null : _.extend(item, {title: 'B'});}}}
+        ]});
+        adapter.open();
+        adapter.findAll('items').done(function (items) {titles = _.pluck(items, 'title');});
+        assertTrue('Records should be updated and removed by new migration only', titles.join() === 'B');
+        assertTrue('Data version should be updated', data.version === 2);
+        adapter.destroy();
+
+        adapter = new App.storage.adapter.Temp();
+        assertTrue('Newer data version should be rejected', adapter.open().state() === 'rejected');
+        adapter.destroy();
+    },
+    /*
+     * Tests rolling back of failed changes
+     */
+    testRollback: function () {
+        var server = new App.storage.mock.Server({autoRespond: false, data: {items: [{title: 'a'}]}});
+        var sync   = new App.storage.Sync({adapter: 'Rest', adapterConfig: {retries: 0}});
+        var col    = new App.collection.base.Collection([], {store: 'items'});
+
+        server.install();
+        sync.install();
+        col.fetch();
+        server.respond();
+
+        server.fail(1);
+        col.create({title: 'b'});
+        server.respond();
+        assertTrue('Failed model should be removed from the collection', col.length === 1);
+
+        server.fail(1);
+        col.at(0).save({title: 'changed'});
+        server.respond();
+        assertTrue('Failed change should be rolled back', col.at(0).get('title') === 'a');
+
+        server.fail(1);
+        col.at(0).destroy();
+        server.respond();
+        assertTrue('Failed destroyed model should be added back', col.length === 1 && col.at(0).get('title') === 'a');
+
+        col.destroy();
+        sync.destroy();
+        server.destroy();
+    },
+    /*
+     * Tests conflict event
+     */
+    testConflict: function () {
+        var server   = new App.storage.mock.Server({autoRespond: false, data: {items: [{title: 'a'}]}});
+        var sync     = new App.storage.Sync({adapter: 'Rest'});
+        var col      = new App.collection.base.Collection([], {store: 'items'});
+        var conflict = null;
+
+        server.install();
+        sync.install();
+        sync.on('conflict', function (model, record) {conflict = record;});
+        col.fetch();
+        server.respond();
+
+        server.change('items', {id: 1, title: 'other'});
+        col.at(0).save({title: 'mine'});
+        server.respond();
+        assertTrue('Conflict event should be fired', conflict !== null && conflict.title === 'other');
+        assertTrue('Stored record should win', col.at(0).get('title') === 'other');
+
+        col.destroy();
+        sync.destroy();
+        server.destroy();
+    }
+});
\ No newline at end of file
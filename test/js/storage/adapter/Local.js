@@ -0,0 +1,66 @@
+/*global App */
+
+TestCase("App.storage.adapter.Local", {
+    /**
+     * This function calls every time before test starts and creates opened localStorage adapter
+     */
+    setUp: function () {
+        this.setItem = window.Storage.prototype.setItem;
+        this.errors  = 0;
+        this.adapter = new App.storage.adapter.Local({name: 'test.local', migrations: [{stores: ['items']}], listeners: {
+            error: _.bind(function () {this.errors++;}, this)
+        }});
+        this.adapter.open();
+    },
+
+    /**
+     * Restores localStorage, destroys adapter and removes stored data after every test
+     */
+    tearDown: function () {
+        window.Storage.prototype.setItem = this.setItem;
+        this.adapter.destroy();
+        window.localStorage.removeItem('test.local');
+    },
+
+    /**
+     * Returns all records of items store
+     * @returns {Array}
+     */
+    _items: function () {
+        var items = null;
+
+        this.adapter.findAll('items').done(function (records) {items = records;});
+
+        return items;
+    },
+
+
+    /*
+     * Tests that records are stored into the localStorage
+     */
+    testSave: function () {
+        var saved = null;
+
+        this.adapter.save('items', {title: 'one'}).done(function (record) {saved = record;});
+        assertTrue('Record should be saved', saved !== null && saved.id === 1);
+        assertTrue('Record should be stored', JSON.parse(window.localStorage.getItem('test.local')).stores.items.records.length === 1);
+    },
+    /*
+     * Tests that save() and remove() methods are rejected if localStorage fails
+     */
+    testWriteError: function () {
+        var saved   = false;
+        var removed = false;
+        var reasons = [];
+        var fail    = function (reason) {reasons.push(reason);};
+
+        this.adapter.save('items', {title: 'one'});
+        window.Storage.prototype.setItem = function () {throw new Error('QuotaExceededError');};
+        this.adapter.save('items', {title: 'two'}).done(function () {saved = true;}).fail(fail);
+        this.adapter.remove('items', 1).done(function () {removed = true;}).fail(fail);
+
+        assertTrue('Promises should be rejected', !saved && !removed && reasons.length === 2);
+        assertTrue('Errors should be fired', this.errors === 2);
+        assertTrue('Previous records should be kept', this._items().length === 1 && this._items()[0].title === 'one');
+    }
+});
\ No newline at end of file
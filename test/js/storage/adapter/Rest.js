@@ -0,0 +1,97 @@
+/*global App */
+
+TestCase("App.storage.adapter.Rest", {
+    /**
+     * This function calls every time before test starts and creates Rest adapter with mock server. Server
+     * responds only by respond() call, so all requests are synchronous
+     */
+    setUp: function () {
+        this.server  = new App.storage.mock.Server({autoRespond: false, data: {tracks: [{url: 'one.mp3'}]}});
+        this.server.install();
+        this.adapter = new App.storage.adapter.Rest({retryDelay: 0});
+    },
+
+    /**
+     * Destroys adapter and mock server after every test
+     */
+    tearDown: function () {
+        this.adapter.destroy();
+        this.server.destroy();
+    },
+
+    /**
+     * Calls adapter method and responds to all requests
+     * @param {jQuery.Promise} promise Promise of adapter method
+     * @returns {Object} Result: {state: String, value: *, record: Object|undefined}
+     */
+    _result: function (promise) {
+        var result = {};
+
+        promise.then(function (value) {
+            result.value  = value;
+        }, function (message, record) {
+            result.value  = message;
+            result.record = record;
+        });
+        this.server.respond();
+        result.state = promise.state();
+
+        return result;
+    },
+
+
+    /*
+     * Tests reading, creating, updating and removing of records
+     */
+    testCrudMethods: function () {
+        var res = this._result(this.adapter.findAll('tracks'));
+
+        assertTrue('Records should be read', res.state === 'resolved' && res.value.length === 1 && res.value[0].url === 'one.mp3');
+        assertTrue('ETag property should be removed', res.value[0]._etag === undefined);
+
+        res = this._result(this.adapter.save('tracks', {url: 'two.mp3'}));
+        assertTrue('New record should obtain an id', res.value.id === 2);
+        res = this._result(this.adapter.save('tracks', {id: 2, url: 'three.mp3'}));
+        assertTrue('Record should be updated', res.state === 'resolved' && this.server.getRecords('tracks')[1].url === 'three.mp3');
+        res = this._result(this.adapter.find('tracks', 2));
+        assertTrue('Record should be found', res.value.url === 'three.mp3');
+
+        res = this._result(this.adapter.remove('tracks', 2));
+        assertTrue('Record should be removed', res.state === 'resolved' && this.server.getRecords('tracks').length === 1);
+        res = this._result(this.adapter.find('tracks', 2));
+        assertTrue('Removed record shouldn\'t be found', res.state === 'rejected');
+    },
+    /*
+     * Tests retries of failed requests
+     */
+    testRetries: function () {
+        var res;
+
+        this.server.fail(3, 503);
+        res = this._result(this.adapter.findAll('tracks'));
+        assertTrue('Request should succeed after three retries', res.state === 'resolved' && res.value.length === 1);
+
+        this.server.fail(4, 0);
+        res = this._result(this.adapter.findAll('tracks'));
+        assertTrue('Request should fail after all retries', res.state === 'rejected');
+
+        this.server.fail(1, 404);
+        res = this._result(this.adapter.findAll('tracks'));
+        assertTrue('Client errors shouldn\'t be repeated', res.state === 'rejected');
+    },
+    /*
+     * Tests conflict detection by ETags
+     */
+    testConflicts: function () {
+        var res;
+
+        this._result(this.adapter.findAll('tracks'));
+        this.server.change('tracks', {id: 1, url: 'other.mp3'});
+        res = this._result(this.adapter.save('tracks', {id: 1, url: 'mine.mp3'}));
+        assertTrue('Changed record should produce a conflict', res.state === 'rejected' && res.record.url === 'other.mp3');
+        assertTrue('Changed record shouldn\'t be overwritten', this.server.getRecords('tracks')[0].url === 'other.mp3');
+
+        res = this._result(this.adapter.save('tracks', {id: 1, url: 'mine.mp3'}));
+        assertTrue('Record should be saved with new ETag', res.state === 'resolved' && this.server.getRecords('tracks')[0].url === 'mine.mp3');
+    }
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+/*global App */
+
+TestCase("App.util.Shuffle", {
+    /**
+     * This function calls every time before test starts and creates shuffle order for five models
+     */
+    setUp: function () {
+        this.col     = new Backbone.Collection([{id: 1}, {id: 2}, {id: 3}, {id: 4}, {id: 5}]);
+        this.shuffle = new App.util.Shuffle({collection: this.col});
+    },
+
+    /**
+     * Destroys shuffle order after every test
+     */
+    tearDown: function () {
+        this.shuffle.destroy();
+    },
+
+    /**
+     * Plays all models of current cycle and returns their ids
+     * @param {App.util.Shuffle} shuffle
+     * @returns {Array} Played ids
+     */
+    _playCycle: function (shuffle) {
+        var ids = [];
+        var model;
+
+        while ((model = shuffle.next())) {
+            shuffle.setCurrent(model);
+            ids.push(model.id);
+        }
+
+        return ids;
+    },
+
+
+    /*
+     * Tests that every model is played only once in a cycle
+     */
+    testNextMethod: function () {
+        var ids = this._playCycle(this.shuffle);
+
+        assertTrue('All models should be played', ids.length === 5);
+        assertTrue('Every model should be played once', _.uniq(ids).length === 5);
+        assertTrue('Cycle should be finished', this.shuffle.next() === null);
+        assertTrue('New cycle should be started with wrap', this.shuffle.next(true) instanceof Backbone.Model);
+    },
+    /*
+     * Tests that last model of the cycle isn't repeated at the beginning of the next one
+     */
+    testWrap: function () {
+        var i;
+        var last;
+
+        for (i = 0; i < 20; i++) {
+            last = this.col.get(_.last(this._playCycle(this.shuffle)));
+            assertTrue('Last model shouldn\'t be repeated', this.shuffle.next(true) !== last);
+            this.shuffle.setCurrent(this.shuffle.next());
+        }
+    },
+    /*
+     * Tests manual selection by setCurrent() method
+     */
+    testSetCurrentMethod: function () {
+        var first = this.shuffle.next();
+        var other = this.col.find(function (m) {return m !== first;});
+        var ids;
+
+        this.shuffle.setCurrent(first);
+        this.shuffle.setCurrent(other);
+        assertTrue('Previous model should be returned', this.shuffle.prev() === first);
+        ids = this._playCycle(this.shuffle);
+        assertTrue('Rest of the models should be played', ids.length === 3);
+        assertTrue('Selected models shouldn\'t be played again', !_.contains(ids, first.id) && !_.contains(ids, other.id));
+        assertFalse('Unknown model shouldn\'t be selected', this.shuffle.setCurrent(new Backbone.Model()));
+    },
+    /*
+     * Tests adding and removing of the models during the cycle
+     */
+    testCollectionChanges: function () {
+        var first = this.shuffle.next();
+        var second;
+        var other;
+        var ids;
+
+        this.shuffle.setCurrent(first);
+        second = this.shuffle.next();
+        this.col.remove(first);
+        assertTrue('Next model should be kept after removing of current one', this.shuffle.next() === second);
+        this.col.add({id: 6});
+        other = this.col.find(function (m) {return m !== second && m.id !== 6;});
+        this.col.remove(other);
+        ids = this._playCycle(this.shuffle);
+        assertTrue('Added model should be played in current cycle', _.contains(ids, 6));
+        assertTrue('Removed models shouldn\'t be played', ids.length === 4 && !_.contains(ids, first.id) && !_.contains(ids, other.id));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+/*global App */
+
+TestCase("App.util.TaskQueue", {
+    /**
+     * This function calls every time before test starts and creates queue for two tasks
+     */
+    setUp: function () {
+        this.queue = new App.util.TaskQueue({concurrency: 2});
+    },
+
+    /**
+     * Destroys the queue after every test
+     */
+    tearDown: function () {
+        this.queue.destroy();
+    },
+
+    /**
+     * Adds asynchronous task, which is completed by returned deferred
+     * @param {Array} started Array of started task names
+     * @param {String} name Name of the task
+     * @returns {Object} {deferred: jQuery.Deferred, promise: jQuery.Promise}
+     */
+    _addTask: function (started, name) {
+        var deferred = $.Deferred();
+        var promise  = this.queue.add(function () {
+            started.push(name);
+            return deferred.promise();
+        });
+
+        return {deferred: deferred, promise: promise};
+    },
+
+
+    /*
+     * Tests that not more than concurrency tasks are running and others wait in order of adding
+     */
+    testConcurrency: function () {
+        var started = [];
+        var first   = this._addTask(started, 'first');
+        var second  = this._addTask(started, 'second');
+        var third   = this._addTask(started, 'third');
+        var result  = null;
+
+        assertTrue('Only two tasks should be started', started.join() === 'first,second');
+        assertTrue('All tasks should be in the queue', this.queue.getLength() === 3);
+        second.promise.done(function (value) {result = value;});
+        second.deferred.resolve('done');
+        assertTrue('Result of the task should be passed', result === 'done');
+        assertTrue('Third task should be started after second', started.join() === 'first,second,third');
+        first.deferred.reject('error');
+        third.deferred.resolve();
+        assertTrue('Queue should be empty', this.queue.getLength() === 0);
+        assertTrue('Rejected task should be rejected', first.promise.state() === 'rejected');
+    },
+    /*
+     * Tests synchronous tasks and tasks, which throw errors
+     */
+    testSyncTasks: function () {
+        var result = null;
+        var reason = null;
+
+        this.queue.add(function () {return 42;}).done(function (value) {result = value;});
+        this.queue.add(function () {throw new Error('broken');}).fail(function (r) {reason = r;});
+        assertTrue('Synchronous result should be passed', result === 42);
+        assertTrue('Error should reject the task', reason === 'broken');
+        assertTrue('Queue should be empty', this.queue.getLength() === 0);
+    },
+    /*
+     * Tests that clear() rejects waiting and running tasks and aborts running promises
+     */
+    testClear: function () {
+        var started = [];
+        var aborted = false;
+        var reasons = [];
+        var running = this._addTask(started, 'running');
+        var waiting;
+
+        // jQuery returns the same promise object, which was returned by the task
+        running.deferred.promise().abort = function () {aborted = true;};
+        this._addTask(started, 'second');
+        waiting = this._addTask(started, 'waiting');
+        running.promise.fail(function (r) {reasons.push(r);});
+        waiting.promise.fail(function (r) {reasons.push(r);});
+        this.queue.clear();
+        running.deferred.resolve();
+
+        assertTrue('Waiting task shouldn\'t be started', started.join() === 'running,second');
+        assertTrue('Tasks should be cancelled', reasons.join() === 'cancelled,cancelled');
+        assertTrue('Running promise should be aborted', aborted);
+        assertTrue('Queue should be empty', this.queue.getLength() === 0);
+    }
+});
\ No newline at end of file
@@ -14,6 +14,18 @@ AsyncTestCase("App.view.base.View", {
         $('body').append('<div id="viewContainer1"></div>');
         this.ct  = $('#viewContainer');
         this.ct1 = $('#viewContainer1');
+        //
+        // Template with two positional containers for nested views
+        //
+        N13.define('App.template.temp.Containers', {
+            statics: {
+                data: '' +
+                    '<div class="temp-containers">' +
+                        '<div class="innerContainer"></div>' +
+                        '<div class="innerContainer"></div>' +
+                    '</div>'
+            }
+        });
     },
     /**
      * This function calls after test will complete and removes containers children
@@ -141,11 +153,11 @@ AsyncTestCase("App.view.base.View", {
             extend  : 'App.view.base.View',
             requires: 'App.view.player.Container',
             configs : {
-                template: 'player.Container'
+                template: 'temp.Containers'
             }
         });
         App.test.util.Common.mapValues(function (val) {
-            var view = new App.view.base.View({viewNs: val, template: 'player.Container', items: ['temp.Button', 'temp.Button']});
+            var view = new App.view.base.View({viewNs: val, template: 'temp.Containers', items: ['temp.Button', 'temp.Button']});
             view.render('#viewContainer');
             assertTrue('View shouldn\'t render without correct viewNs config',  view.el.find('.innerContainer').length === 2);
             view.destroy();
@@ -292,7 +304,7 @@ AsyncTestCase("App.view.base.View", {
         N13.define('App.view.temp.Container', {
             extend : 'App.view.base.View',
             configs: {
-                template: 'player.Container'
+                template: 'temp.Containers'
             }
         });
         N13.define('App.view.temp.Button', {
@@ -511,6 +523,330 @@ AsyncTestCase("App.view.base.View", {
         view.destroy();
         assertTrue('destroy() method should remove created DOM', view.el.children().length === 0);
     },
+    /*
+     * Tests named regions of the template
+     */
+    testRegionConfig: function () {
+        var view;
+        var errors = 0;
+
+        N13.define('App.template.temp.Regions', {
+            statics: {
+                data: '' +
+                    '<div class="temp-regions">' +
+                        '<div class="header" data-region="header"></div>' +
+                        '<div class="body" data-region="body"></div>' +
+                    '</div>'
+            }
+        });
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({templateNs: 'App.template.temp', template: 'Regions', elPath: '#viewContainer', items: [
+            {cl: 'temp.Button', region: 'body',   data: {title: 'Body1',  cls: 'body1'}},
+            {cl: 'temp.Button', region: 'header', data: {title: 'Header', cls: 'header'}},
+            {cl: 'temp.Button', region: 'body',   data: {title: 'Body2',  cls: 'body2'}}
+        ]});
+        view.render();
+        assertTrue('Views should be rendered into their regions',     view.el.find('.header .header').length === 1 && view.el.find('.body .body1').length === 1);
+        assertTrue('Region should contain many views in items order', view.el.find('.body button').first().hasClass('body1') && view.el.find('.body button').last().hasClass('body2'));
+        assertTrue('getRegion() method should return region element', view.getRegion('header').hasClass('header') && view.getRegion('footer') === null);
+        view.insert(1, {cl: 'temp.Button', region: 'body', data: {title: 'Body3', cls: 'body3'}});
+        assertTrue('Added view should be placed between views of its region', view.el.find('.body button').eq(1).hasClass('body3'));
+        view.on('error', function () {errors++;});
+        assertTrue('View with missing region should not be added', view.add({cl: 'temp.Button', region: 'footer'}) === null && view.items.length === 4);
+        assertTrue('Missing region should fire an error',          errors === 1);
+        view.destroy();
+    },
+    /*
+     * Tests missing and duplicated regions
+     */
+    testInvalidRegionConfig: function () {
+        var view;
+        var errors = 0;
+
+        N13.define('App.template.temp.Regions', {
+            statics: {
+                data: '' +
+                    '<div class="temp-regions">' +
+                        '<div class="first" data-region="body"></div>' +
+                        '<div class="second" data-region="body"></div>' +
+                    '</div>'
+            }
+        });
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({templateNs: 'App.template.temp', template: 'Regions', elPath: '#viewContainer', items: [
+            {cl: 'temp.Button', region: 'body'},
+            {cl: 'temp.Button', region: 'footer'}
+        ]});
+        view.on('error', function () {errors++;});
+        view.render();
+        assertTrue('Duplicated region and missing region should fire errors', errors === 2);
+        assertTrue('The first of duplicated regions should be used',          view.el.find('.first button').length === 1 && view.el.find('.second button').length === 0);
+        assertTrue('View with missing region should be skipped',              view.items[0].rendered && !view.items[1].rendered);
+        view.destroy();
+    },
+    /*
+     * Tests add() and insert() methods
+     */
+    testAddMethod: function () {
+        var view;
+        var btn;
+        var added = [];
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'temp.Containers', elPath: '#viewContainer', items: ['temp.Button']});
+        view.on('add', function (v, index) {added.push(index);});
+        view.render();
+        btn = view.add('temp.Button');
+        assertTrue('add() method should return new view',           btn instanceof App.view.temp.Button && btn.parent === view);
+        assertTrue('Added view should be rendered into new container', view.items[1] === btn && btn.el.find('button').length === 1);
+        assertTrue('New container should be placed after previous view', view.items[0].el.next()[0] === btn.el[0]);
+        btn = view.insert(0, {cl: 'temp.Button', data: {title: 'First', cls: 'first'}});
+        assertTrue('insert() method should add view at specified index', view.items[0] === btn && view.items.length === 3);
+        assertTrue('Inserted view should be placed before next view',    btn.el.next()[0] === view.items[1].el[0] && btn.el.find('.first').length === 1);
+        assertTrue('add event should be fired for every added view',     added.join() === '1,0');
+        assertTrue('add() method should skip invalid views',             view.add('temp.Unknown') === null && view.items.length === 3);
+        assertTrue('add() method should skip views with parent',         view.add(view.items[1]) === null && view.items.length === 3);
+        view.destroy();
+    },
+    /*
+     * Tests add() method for not rendered view
+     */
+    testAddMethodBeforeRender: function () {
+        var view;
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'player.Container', elPath: '#viewContainer'});
+        view.add('temp.Button');
+        view.add('temp.Button');
+        view.add('temp.Button');
+        assertTrue('Added views shouldn\'t be rendered before parent view', view.items.length === 3 && !view.items[0].rendered);
+        view.render();
+        assertTrue('Containers should be created for views without template containers', view.el.find('.innerContainer').length === 3);
+        assertTrue('All views should be rendered', view.items[0].rendered && view.items[1].rendered && view.items[2].rendered);
+        view.destroy();
+    },
+    /*
+     * Tests remove() method
+     */
+    testRemoveMethod: function () {
+        var view;
+        var first;
+        var second;
+        var removed = [];
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'temp.Containers', elPath: '#viewContainer', items: ['temp.Button', 'temp.Button']});
+        view.on('remove', function (v, index) {removed.push(index);});
+        view.render();
+        first  = view.items[0];
+        second = view.items[1];
+        assertTrue('remove() method should return removed view', view.remove(first) === first && first.isDestroyed() && first.parent === null);
+        assertTrue('Container of removed view should be removed', view.items.length === 1 && view.el.find('.innerContainer').length === 1);
+        assertTrue('remove() method should keep view instance',   view.remove(second, true) === second && !second.isDestroyed() && !second.rendered);
+        assertTrue('remove() method should skip unknown views',   view.remove(second) === false);
+        assertTrue('remove event should be fired',                 removed.join() === '0,0');
+        view.add(second);
+        assertTrue('Removed view may be added again',              second.rendered && view.el.find('.innerContainer').length === 1);
+        view.destroy();
+    },
+    /*
+     * Tests move() method
+     */
+    testMoveMethod: function () {
+        var view;
+        var first;
+        var moved = [];
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'temp.Containers', elPath: '#viewContainer', items: ['temp.Button', 'temp.Button']});
+        view.on('move', function (v, index, oldIndex) {moved.push(index, oldIndex);});
+        view.render();
+        view.add('temp.Button');
+        first = view.items[0];
+        assertTrue('move() method should move view',            view.move(first, 2) === true && view.items[2] === first);
+        assertTrue('Container should be moved in the DOM',      view.el.find('.innerContainer').last()[0] === first.el[0]);
+        assertTrue('move() method should skip invalid indexes', view.move(first, 3) === false && view.move(first, -1) === false);
+        assertTrue('move event should be fired',                moved.join() === '2,0');
+        view.destroy();
+    },
+    /*
+     * Tests that remove() method keeps the DOM of the view until it's destroyed asynchronously
+     */
+    testRemoveMethodAsync: function () {
+        var deferred = $.Deferred();
+        var view;
+        var btn;
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'temp.Containers', elPath: '#viewContainer', items: ['temp.Button']});
+        view.render();
+        btn = view.items[0];
+        btn.onBeforeDestroy = function () {return deferred.promise();};
+        view.remove(btn);
+        assertTrue('View should be removed from items at once',   view.items.length === 0 && btn.parent === null);
+        assertTrue('DOM should be kept until view is destroyed',  btn.el !== null && view.el.find('button').length === 1);
+        deferred.resolve();
+        assertTrue('DOM should be removed after destroy',         btn.isDestroyed() && btn.el === null && view.el.find('.innerContainer').length === 1);
+        view.destroy();
+    },
+    /*
+     * Tests that template should contain containers for all nested views without region
+     */
+    testNotEnoughContainers: function () {
+        var errors = 0;
+        var view;
+
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({template: 'temp.Containers', elPath: '#viewContainer', items: ['temp.Button', 'temp.Button', 'temp.Button'], listeners: {
+            error: function () {errors++;}
+        }});
+        view.render();
+        assertTrue('Error should be fired if there are not enough containers', errors === 1 && !view.items[0].rendered);
+        view.destroy();
+    },
+    /*
+     * Tests that added view is placed into own containers and not into containers of nested views
+     */
+    testAddMethodNestedContainers: function () {
+        var view;
+        var btn;
+
+        N13.define('App.template.temp.Regions', {
+            statics: {
+                data: '' +
+                    '<div class="temp-regions">' +
+                        '<div class="body" data-region="body"></div>' +
+                    '</div>'
+            }
+        });
+        N13.define('App.view.temp.Button', {
+            extend : 'App.view.base.View',
+            configs: {
+                template: 'Button',
+                data    : {title: 'Test', cls: 'cl'}
+            }
+        });
+
+        view = new App.view.base.View({templateNs: 'App.template.temp', template: 'Regions', elPath: '#viewContainer', items: [
+            {cl: 'base.View', template: 'temp.Containers', region: 'body'}
+        ]});
+        view.render();
+        btn = view.add('temp.Button');
+        assertTrue('Added view should be placed outside of nested view', btn.el.parent().hasClass('temp-regions') && btn.el.find('button').length === 1);
+        view.destroy();
+    },
+
+
+    /*
+     * Tests render() and destroy() methods with asynchronous hooks
+     */
+    testAsyncRenderMethod: function () {
+        var deferred = $.Deferred();
+        var events   = [];
+        var done     = null;
+        var view;
+        var res;
+
+        view = new App.view.base.View({template: 'player.Container', elPath: '#viewContainer', listeners: {
+            render      : function () {events.push('render');},
+            renderfailed: function (reason) {events.push(reason);}
+        }});
+        view.onBeforeRender = function () {return deferred.promise();};
+
+        res = view.render();
+        assertTrue('render() method should return a promise',                N13.isFunction(res.then) && view.isPending());
+        assertTrue('View shouldn\'t be rendered before promise is resolved', !view.rendered && view.el.children().length === 0);
+        view.destroy().done(function (v) {done = v;});
+        assertTrue('destroy() method should be queued while render is pending', !view.isDestroyed());
+        deferred.resolve();
+        assertTrue('View should be rendered after promise is resolved',      !view.isPending() && events[0] === 'render');
+        assertTrue('Queued destroy() should be called after rendering',       view.isDestroyed() && done === view);
+
+        deferred = $.Deferred();
+        view = new App.view.base.View({template: 'player.Container', elPath: '#viewContainer', listeners: {
+            renderfailed: function (reason) {events.push(reason);}
+        }});
+        view.onBeforeRender = function () {return deferred.promise();};
+        view.render().fail(function (reason) {events.push('fail:' + reason);});
+        deferred.reject('no data');
+        assertTrue('renderfailed event should be fired and promise rejected', events.join() === 'render,no data,fail:no data' && !view.rendered);
+        view.destroy();
+    },
+    /*
+     * Tests cancel() method of asynchronous render
+     */
+    testCancelMethod: function () {
+        var deferred = $.Deferred();
+        var reasons  = [];
+        var view;
+
+        view = new App.view.base.View({template: 'player.Container', elPath: '#viewContainer'});
+        view.onBeforeRender = function () {return deferred.promise();};
+        view.render().fail(function (reason) {reasons.push(reason);});
+        view.render().fail(function (reason) {reasons.push(reason);});
+        assertTrue('cancel() method should cancel pending call',      view.cancel() === true && !view.isPending());
+        assertTrue('Pending and queued calls should be rejected',     reasons.join() === 'cancelled,cancelled');
+        deferred.resolve();
+        assertTrue('Cancelled view shouldn\'t be rendered',           !view.rendered);
+        assertTrue('cancel() method should fail without pending call', view.cancel() === false);
+        view.destroy();
+    },
 
 
     //